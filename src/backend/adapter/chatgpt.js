@@ -13,6 +13,7 @@ import {
     moveMouseAway,
     waitForInput,
     gotoWithCheck,
+    abortable,
     waitApiResponse,
     useContextDownload
 } from '../utils/index.js';
@@ -118,7 +119,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         let fileName = null;
 
         try {
-            await page.waitForResponse(async (response) => {
+            await abortable(page.waitForResponse(async (response) => {
                 const url = response.url();
                 if (!url.includes('backend-api/files/download/file_')) return false;
                 if (response.status() !== 200) return false;
@@ -145,7 +146,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 } catch {
                     return false;
                 }
-            }, { timeout: 120000 });
+            }, { timeout: 120000 }), meta);
         } catch (e) {
             const pageError = normalizePageError(e, meta);
             if (pageError) return pageError;
@@ -195,6 +196,9 @@ export const manifest = {
         return TARGET_URL;
     },
 
+    // 「停止生成」按钮 (客户端断开时点击)
+    stopSelector: 'button[data-testid="stop-button"]',
+
     // 模型列表
     models: [
         { id: 'gpt-image-1.5', imagePolicy: 'optional' }
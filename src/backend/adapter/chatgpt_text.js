@@ -13,13 +13,18 @@ import {
     moveMouseAway,
     waitForInput,
     gotoWithCheck,
-    waitApiResponse
+    abortable,
+    waitApiResponse,
+    tapStreamResponse
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
 // --- 配置常量 ---
 const TARGET_URL = 'https://chatgpt.com/';
+const SESSION_URL_PATTERN = /^https:\/\/chatgpt\.com\/c\/[\w-]+/;
 const INPUT_SELECTOR = '.ProseMirror';
+const CONVERSATION_URL_MATCH = 'backend-api/f/conversation';
+const THOUGHT_CONTENT_PATH = /^\/message\/content\/thoughts\/\d+\/content$/;
 
 /**
  * 通过 UI 选择模型
@@ -72,6 +77,145 @@ async function selectModel(page, codeName, meta = {}) {
     }
 }
 
+/**
+ * 创建 conversation SSE 流解析器
+ * @description 逐行喂入 SSE 数据，累积 final 频道的助手文本；思考模型在 final 之前输出的
+ * thoughts / 非 final 频道消息收集为思考过程。完整响应体与旁路流式监听共用同一套解析规则
+ * @returns {{feed: (line: string) => {text: string, reasoning: string}, text: string, reasoning: string, isComplete: boolean}}
+ * feed 返回本行新增的回复文本与思考过程
+ */
+function createConversationParser() {
+    let textContent = '';
+    let reasoningContent = '';
+    let isComplete = false;
+    let targetMessageId = null;  // 追踪目标消息 ID
+    let currentKind = 'text';    // 当前消息的 parts 追加写入位置 ('text' | 'reasoning')
+    let lastPath = '';           // 最近一次带路径的操作，后续只有 v 的增量沿用该路径
+
+    function appendParts(content) {
+        if (currentKind === 'reasoning') {
+            reasoningContent += content;
+        } else {
+            textContent += content;
+        }
+    }
+
+    function appendThoughts(thoughts) {
+        for (const thought of thoughts) {
+            if (thought?.content) {
+                reasoningContent += (reasoningContent ? '\n\n' : '') + thought.content;
+            }
+        }
+    }
+
+    function applyPatch(patch) {
+        if (patch.o === 'append' && patch.p === '/message/content/parts/0' && patch.v) {
+            appendParts(patch.v);
+        }
+        // 思考片段追加 (如 /message/content/thoughts/0/content)
+        if (patch.o === 'append' && THOUGHT_CONTENT_PATH.test(patch.p || '') && typeof patch.v === 'string') {
+            reasoningContent += patch.v;
+        }
+        // 新增思考片段
+        if (patch.o === 'append' && patch.p === '/message/content/thoughts' && Array.isArray(patch.v)) {
+            appendThoughts(patch.v);
+        }
+    }
+
+    function applyLine(line) {
+        // 跳过空行和事件行
+        if (!line.startsWith('data: ')) return;
+
+        const dataStr = line.slice(6).trim();
+        if (dataStr === '[DONE]') {
+            isComplete = true;
+            return;
+        }
+
+        try {
+            const data = JSON.parse(dataStr);
+            const message = data.v?.message;
+
+            if (message?.author?.role === 'assistant') {
+                const contentType = message.content?.content_type;
+                if (message.channel === 'final' && contentType === 'text') {
+                    // 检测目标消息 (assistant 角色, channel: "final", content_type: "text")
+                    targetMessageId = message.id;
+                    currentKind = 'text';
+                    // 初始内容
+                    const parts = message.content.parts;
+                    if (parts && parts[0]) {
+                        textContent = parts[0];
+                    }
+                } else if (contentType === 'thoughts') {
+                    // 思考模型的推理摘要
+                    currentKind = 'reasoning';
+                    if (Array.isArray(message.content.thoughts)) {
+                        appendThoughts(message.content.thoughts);
+                    }
+                } else if (contentType === 'text' && message.channel && message.channel !== 'final') {
+                    // 非 final 频道 (如 analysis) 的文本视为思考过程
+                    currentKind = 'reasoning';
+                    const parts = message.content.parts;
+                    if (parts && parts[0]) {
+                        reasoningContent += parts[0];
+                    }
+                }
+            }
+
+            // 累积 delta 内容 (append 操作)
+            if (data.o === 'append') {
+                applyPatch(data);
+            }
+            if (typeof data.p === 'string') {
+                lastPath = data.p;
+            }
+
+            // 简单的 delta 追加 (没有 p/o，只有 v，沿用上一次的路径)
+            if (data.v && typeof data.v === 'string' && !data.o && !data.p) {
+                if (THOUGHT_CONTENT_PATH.test(lastPath) || currentKind === 'reasoning') {
+                    reasoningContent += data.v;
+                } else if (targetMessageId) {
+                    textContent += data.v;
+                }
+            }
+
+            // patch 操作中的 append
+            if (data.o === 'patch' && Array.isArray(data.v)) {
+                for (const patch of data.v) {
+                    applyPatch(patch);
+                    // 检查是否完成
+                    if (patch.p === '/message/status' && patch.v === 'finished_successfully') {
+                        isComplete = true;
+                    }
+                }
+            }
+
+            // message_stream_complete 表示完成
+            if (data.type === 'message_stream_complete') {
+                isComplete = true;
+            }
+        } catch {
+            // 忽略解析错误
+        }
+    }
+
+    return {
+        feed(line) {
+            const textBefore = textContent;
+            const reasoningBefore = reasoningContent.length;
+            applyLine(line);
+            return {
+                text: textContent.startsWith(textBefore) ? textContent.slice(textBefore.length) : '',
+                reasoning: reasoningContent.slice(reasoningBefore)
+            };
+        },
+        get text() { return textContent; },
+        get reasoning() { return reasoningContent; },
+        get isComplete() { return isComplete; }
+    };
+}
+
 /**
  * 执行文本生成任务
  * @param {object} context - 浏览器上下文 { page, config }
@@ -79,23 +223,29 @@ async function selectModel(page, codeName, meta = {}) {
  * @param {string[]} imgPaths - 图片路径数组
  * @param {string} [modelId] - 模型 ID
  * @param {object} [meta={}] - 日志元数据
- * @returns {Promise<{text?: string, error?: string}>}
+ * @returns {Promise<{text?: string, reasoning?: string, error?: string}>}
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, onDelta, session } = context;
     const sendBtnLocator = page.getByRole('button', { name: 'Send prompt' });
+    let streamTap = null;
 
     try {
-        logger.info('适配器', '开启新会话...', meta);
-        await gotoWithCheck(page, TARGET_URL);
+        if (session?.url) {
+            logger.info('适配器', '续接已有会话...', meta);
+            await gotoWithCheck(page, session.url);
+        } else {
+            logger.info('适配器', '开启新会话...', meta);
+            await gotoWithCheck(page, TARGET_URL);
+        }
 
         // 1. 等待输入框加载
         await waitForInput(page, INPUT_SELECTOR, { click: false });
 
-        // 2. 选择模型
+        // 2. 选择模型 (续接会话时沿用会话中的模型)
         const modelConfig = manifest.models.find(m => m.id === modelId);
         const targetModel = modelConfig?.codeName || modelId;
-        if (targetModel) {
+        if (targetModel && !session?.url) {
             await selectModel(page, targetModel, meta);
         }
 
@@ -140,6 +290,19 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         await safeClick(page, INPUT_SELECTOR, { bias: 'input' });
         await humanType(page, INPUT_SELECTOR, prompt);
 
+        // 4. 流式请求：旁路读取 SSE，按 append 操作逐块输出回复与思考过程
+        if (onDelta) {
+            const streamParser = createConversationParser();
+            streamTap = await tapStreamResponse(page, {
+                urlMatch: CONVERSATION_URL_MATCH,
+                meta,
+                onLine: (line) => {
+                    const delta = streamParser.feed(line);
+                    if (delta.text || delta.reasoning) onDelta(delta);
+                }
+            });
+        }
+
         // 5. 发送提示词
         logger.debug('适配器', '发送提示词...', meta);
         await safeClick(page, sendBtnLocator, { bias: 'button' });
@@ -149,97 +312,41 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         // 6. 监听 conversation API 的 SSE 流，解析文本内容
         logger.info('适配器', '监听 SSE 流获取文本...', meta);
 
-        let textContent = '';
-        let isComplete = false;
-        let targetMessageId = null;  // 追踪目标消息 ID
+        const parser = createConversationParser();
 
         try {
-            await page.waitForResponse(async (response) => {
+            await abortable(page.waitForResponse(async (response) => {
                 const url = response.url();
-                if (!url.includes('backend-api/f/conversation')) return false;
+                if (!url.includes(CONVERSATION_URL_MATCH)) return false;
                 if (response.request().method() !== 'POST') return false;
                 if (response.status() !== 200) return false;
 
                 try {
                     const body = await response.text();
-                    const lines = body.split('\n');
-
-                    for (const line of lines) {
-                        // 跳过空行和事件行
-                        if (!line.startsWith('data: ')) continue;
-
-                        const dataStr = line.slice(6).trim();
-                        if (dataStr === '[DONE]') {
-                            isComplete = true;
-                            continue;
-                        }
-
-                        try {
-                            const data = JSON.parse(dataStr);
-
-                            // 检测目标消息 (assistant 角色, channel: "final", content_type: "text")
-                            if (data.v?.message?.author?.role === 'assistant' &&
-                                data.v?.message?.channel === 'final' &&
-                                data.v?.message?.content?.content_type === 'text') {
-                                targetMessageId = data.v.message.id;
-                                // 初始内容
-                                const parts = data.v.message.content.parts;
-                                if (parts && parts[0]) {
-                                    textContent = parts[0];
-                                }
-                            }
-
-                            // 累积 delta 内容 (append 操作)
-                            if (data.o === 'append' && data.p === '/message/content/parts/0' && data.v) {
-                                textContent += data.v;
-                            }
-
-                            // 简单的 delta 追加 (没有 p/o，只有 v)
-                            if (data.v && typeof data.v === 'string' && !data.o && !data.p && targetMessageId) {
-                                textContent += data.v;
-                            }
-
-                            // patch 操作中的 append
-                            if (data.o === 'patch' && Array.isArray(data.v)) {
-                                for (const patch of data.v) {
-                                    if (patch.o === 'append' && patch.p === '/message/content/parts/0' && patch.v) {
-                                        textContent += patch.v;
-                                    }
-                                    // 检查是否完成
-                                    if (patch.p === '/message/status' && patch.v === 'finished_successfully') {
-                                        isComplete = true;
-                                    }
-                                }
-                            }
-
-                            // message_stream_complete 表示完成
-                            if (data.type === 'message_stream_complete') {
-                                isComplete = true;
-                            }
-                        } catch {
-                            // 忽略解析错误
-                        }
+                    for (const line of body.split('\n')) {
+                        parser.feed(line);
                     }
-
-                    return isComplete;
+                    return parser.isComplete;
                 } catch {
                     return false;
                 }
-            }, { timeout: 120000 });
+            }, { timeout: 120000 }), meta);
         } catch (e) {
             const pageError = normalizePageError(e, meta);
             if (pageError) return pageError;
             throw e;
         }
 
+        const textContent = parser.text;
         if (!textContent || textContent.trim() === '') {
             logger.warn('适配器', '回复内容为空', meta);
             return { error: '回复内容为空' };
         }
 
-        logger.info('适配器', `已获取文本内容 (${textContent.length} 字符)`, meta);
+        const reasoning = parser.reasoning.trim();
+        logger.info('适配器', `已获取文本内容 (${textContent.length} 字符${reasoning ? `，思考过程 ${reasoning.length} 字符` : ''})`, meta);
         logger.info('适配器', '文本生成完成，任务完成', meta);
-        return { text: textContent.trim() };
+        return reasoning ? { text: textContent.trim(), reasoning } : { text: textContent.trim() };
 
     } catch (err) {
         // 顶层错误处理
@@ -249,6 +356,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.error('适配器', '生成任务失败', { ...meta, error: err.message });
         return { error: `生成任务失败: ${err.message}` };
     } finally {
+        if (streamTap) streamTap.stop();
         // 任务结束，将鼠标移至安全区域
         await moveMouseAway(page);
     }
@@ -267,6 +375,18 @@ export const manifest = {
         return TARGET_URL;
     },
 
+    // 会话地址 (支持会话续接)
+    sessionUrlPattern: SESSION_URL_PATTERN,
+
+    // 流式输出需要在页面主世界监听响应 (见 utils/stream.js)
+    streamTap: true,
+
+    // 附件上传入口同样接受 PDF / 文本文件
+    documentUpload: true,
+
+    // 「停止生成」按钮 (客户端断开时点击)
+    stopSelector: 'button[data-testid="stop-button"]',
+
     // 模型列表
     models: [
         { id: 'gpt-5.2', codeName: 'GPT-5.2 Instant', imagePolicy: 'optional' },
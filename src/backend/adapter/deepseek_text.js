@@ -11,13 +11,17 @@ import {
     normalizePageError,
     moveMouseAway,
     waitForInput,
-    gotoWithCheck
+    gotoWithCheck,
+    abortable,
+    tapStreamResponse
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
 // --- 配置常量 ---
 const TARGET_URL = 'https://chat.deepseek.com/';
+const SESSION_URL_PATTERN = /^https:\/\/chat\.deepseek\.com\/a\/chat\/s\/[\w-]+/;
 const INPUT_SELECTOR = 'textarea';
+const COMPLETION_URL_MATCH = 'chat/completion';
 
 /**
  * 切换功能按钮状态
@@ -73,6 +77,137 @@ async function configureModel(page, modelConfig, meta = {}) {
     await sleep(200, 400);
 }
 
+/**
+ * 创建 chat/completion SSE 流解析器
+ * @description 按 fragment 索引追踪当前写入位置：RESPONSE 类型收集为回复文本，
+ * THINK 类型收集为思考过程，SEARCH 类型收集其 results 作为引用来源。完整响应体与旁路流式监听共用同一套解析规则
+ * @returns {{feed: (line: string) => {text: string, reasoning: string}, text: string, reasoning: string, citations: object[], isComplete: boolean}}
+ * feed 返回本行新增的回复文本与思考过程
+ */
+function createFragmentParser() {
+    let textContent = '';
+    let reasoningContent = '';
+    let isComplete = false;
+    const fragmentTypes = [];        // fragments 数组中各项的类型 (RESPONSE / THINK / SEARCH)
+    let currentFragmentIndex = -1;   // 当前正在追加内容的 fragment 数组索引
+    const searchResults = new Map(); // url -> 搜索结果，按出现顺序去重
+
+    function appendToFragment(idx, content) {
+        const type = fragmentTypes[idx];
+        if (type === 'RESPONSE') {
+            textContent += content;
+        } else if (type === 'THINK') {
+            reasoningContent += content;
+        }
+    }
+
+    function addSearchResults(results) {
+        for (const item of results) {
+            if (!item?.url) continue;
+            // 同一来源可能先以未引用状态出现，后续再补充 cite_index
+            searchResults.set(item.url, { ...searchResults.get(item.url), ...item });
+        }
+    }
+
+    function addFragments(fragments) {
+        for (const fragment of fragments) {
+            const idx = fragmentTypes.push(fragment.type) - 1;
+            currentFragmentIndex = idx;
+            if (fragment.content) {
+                appendToFragment(idx, fragment.content);
+            }
+            if (Array.isArray(fragment.results)) {
+                addSearchResults(fragment.results);
+            }
+        }
+    }
+
+    function applyLine(line) {
+        // 跳过事件行和空行
+        if (line.startsWith('event:') || !line.startsWith('data:')) return;
+
+        const dataStr = line.slice(5).trim();
+        if (!dataStr || dataStr === '{}') return;
+
+        try {
+            const data = JSON.parse(dataStr);
+
+            // 初始响应中可能已有 fragments (如 SEARCH)
+            if (data.v?.response?.fragments && Array.isArray(data.v.response.fragments)) {
+                addFragments(data.v.response.fragments);
+            }
+
+            // 简单的文本追加 (只有 v 字符串，没有 p 和 o)，写入当前活跃的 fragment
+            if (data.v && typeof data.v === 'string' && !data.p && !data.o) {
+                appendToFragment(currentFragmentIndex, data.v);
+            }
+
+            // 带路径的 APPEND 操作 (如 response/fragments/1/content)
+            // 或不带操作符的路径设置 (如 {"v": "xxx", "p": "response/fragments/1/content"})
+            if (data.p && typeof data.v === 'string' && (data.o === 'APPEND' || !data.o)) {
+                const match = data.p.match(/response\/fragments\/(\d+)\/content/);
+                if (match) {
+                    const fragIdx = parseInt(match[1], 10);
+                    currentFragmentIndex = fragIdx;
+                    appendToFragment(fragIdx, data.v);
+                }
+            }
+
+            // fragments APPEND - 新增 fragment (非 BATCH)
+            if (data.p === 'response/fragments' && data.o === 'APPEND' && Array.isArray(data.v)) {
+                addFragments(data.v);
+            }
+
+            // SEARCH fragment 的搜索结果 (如 response/fragments/0/results)
+            if (data.p && /^response\/fragments\/\d+\/results$/.test(data.p) && Array.isArray(data.v)) {
+                addSearchResults(data.v);
+            }
+
+            // BATCH 操作中的 fragments
+            if (data.o === 'BATCH' && data.p === 'response' && Array.isArray(data.v)) {
+                for (const item of data.v) {
+                    // fragments 追加
+                    if (item.p === 'fragments' && item.o === 'APPEND' && Array.isArray(item.v)) {
+                        addFragments(item.v);
+                    }
+                    if (item.p && /^fragments\/\d+\/results$/.test(item.p) && Array.isArray(item.v)) {
+                        addSearchResults(item.v);
+                    }
+                    // 检查是否完成
+                    if (item.p === 'status' && item.v === 'FINISHED') {
+                        isComplete = true;
+                    }
+                }
+            }
+        } catch {
+            // 忽略解析错误
+        }
+    }
+
+    return {
+        feed(line) {
+            const textBefore = textContent.length;
+            const reasoningBefore = reasoningContent.length;
+            applyLine(line);
+            return {
+                text: textContent.slice(textBefore),
+                reasoning: reasoningContent.slice(reasoningBefore)
+            };
+        },
+        get text() { return textContent; },
+        get reasoning() { return reasoningContent; },
+        get citations() {
+            // 回复中以 [citation:N] 标注引用，优先只返回被引用的结果，并按 cite_index 排序
+            const results = [...searchResults.values()];
+            const cited = results
+                .filter(r => typeof r.cite_index === 'number')
+                .sort((a, b) => a.cite_index - b.cite_index);
+            return (cited.length > 0 ? cited : results).map(r => ({ url: r.url, title: r.title || '' }));
+        },
+        get isComplete() { return isComplete; }
+    };
+}
+
 /**
  * 执行文本生成任务
  * @param {object} context - 浏览器上下文 { page, config }
@@ -80,14 +215,20 @@ async function configureModel(page, modelConfig, meta = {}) {
  * @param {string[]} imgPaths - 图片路径数组 (此适配器不支持)
  * @param {string} [modelId] - 模型 ID
  * @param {object} [meta={}] - 日志元数据
- * @returns {Promise<{text?: string, error?: string}>}
+ * @returns {Promise<{text?: string, reasoning?: string, citations?: object[], error?: string}>}
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, onDelta, session } = context;
+    let streamTap = null;
 
     try {
-        logger.info('适配器', '开启新会话...', meta);
-        await gotoWithCheck(page, TARGET_URL);
+        if (session?.url) {
+            logger.info('适配器', '续接已有会话...', meta);
+            await gotoWithCheck(page, session.url);
+        } else {
+            logger.info('适配器', '开启新会话...', meta);
+            await gotoWithCheck(page, TARGET_URL);
+        }
 
         // 1. 等待输入框加载
         await waitForInput(page, INPUT_SELECTOR, { click: false });
@@ -104,131 +245,34 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         await humanType(page, INPUT_SELECTOR, prompt);
         await sleep(300, 500);
 
-        // 4. 先启动 API 监听
+        // 4. 先启动 API 监听（流式请求额外旁路读取 fragment APPEND，逐块输出回复与思考过程）
         logger.debug('适配器', '启动 API 监听...', meta);
+        if (onDelta) {
+            const streamParser = createFragmentParser();
+            streamTap = await tapStreamResponse(page, {
+                urlMatch: COMPLETION_URL_MATCH,
+                meta,
+                onLine: (line) => {
+                    const delta = streamParser.feed(line);
+                    if (delta.text || delta.reasoning) onDelta(delta);
+                }
+            });
+        }
 
-        let textContent = '';
-        let isComplete = false;
-        let responseFragmentIndex = -1;  // RESPONSE 类型 fragment 的数组索引
-        let currentFragmentIndex = -1;   // 当前正在追加内容的 fragment 数组索引
-        let fragmentCount = 0;           // fragments 数组的当前长度
+        const parser = createFragmentParser();
 
         const responsePromise = page.waitForResponse(async (response) => {
             const url = response.url();
-            if (!url.includes('chat/completion')) return false;
+            if (!url.includes(COMPLETION_URL_MATCH)) return false;
             if (response.request().method() !== 'POST') return false;
             if (response.status() !== 200) return false;
 
             try {
                 const body = await response.text();
-                const lines = body.split('\n');
-
-                for (const line of lines) {
-                    // 跳过事件行和空行
-                    if (line.startsWith('event:') || !line.startsWith('data:')) continue;
-
-                    const dataStr = line.slice(5).trim();
-                    if (!dataStr || dataStr === '{}') continue;
-
-                    try {
-                        const data = JSON.parse(dataStr);
-
-                        // 初始响应中可能已有 fragments (如 SEARCH)
-                        if (data.v?.response?.fragments && Array.isArray(data.v.response.fragments)) {
-                            for (const fragment of data.v.response.fragments) {
-                                const idx = fragmentCount++;
-                                if (fragment.type === 'RESPONSE') {
-                                    responseFragmentIndex = idx;
-                                    currentFragmentIndex = idx;
-                                    if (fragment.content) {
-                                        textContent += fragment.content;
-                                    }
-                                } else {
-                                    currentFragmentIndex = idx;
-                                }
-                            }
-                        }
-
-                        // 简单的文本追加 (只有 v 字符串，没有 p 和 o)
-                        // 只有当前活跃的 fragment 是 RESPONSE 类型时才收集
-                        if (data.v && typeof data.v === 'string' && !data.p && !data.o) {
-                            if (currentFragmentIndex === responseFragmentIndex && responseFragmentIndex >= 0) {
-                                textContent += data.v;
-                            }
-                        }
-
-                        // 带路径的 APPEND 操作 (如 response/fragments/1/content)
-                        if (data.o === 'APPEND' && data.p && typeof data.v === 'string') {
-                            const match = data.p.match(/response\/fragments\/(\d+)\/content/);
-                            if (match) {
-                                const fragIdx = parseInt(match[1], 10);
-                                currentFragmentIndex = fragIdx;
-                                if (fragIdx === responseFragmentIndex) {
-                                    textContent += data.v;
-                                }
-                            }
-                        }
-
-                        // 不带操作符的路径设置 (如 {"v": "xxx", "p": "response/fragments/1/content"})
-                        if (data.p && typeof data.v === 'string' && !data.o) {
-                            const match = data.p.match(/response\/fragments\/(\d+)\/content/);
-                            if (match) {
-                                const fragIdx = parseInt(match[1], 10);
-                                currentFragmentIndex = fragIdx;
-                                if (fragIdx === responseFragmentIndex) {
-                                    textContent += data.v;
-                                }
-                            }
-                        }
-
-                        // fragments APPEND - 新增 fragment (非 BATCH)
-                        if (data.p === 'response/fragments' && data.o === 'APPEND' && Array.isArray(data.v)) {
-                            for (const fragment of data.v) {
-                                const idx = fragmentCount++;
-                                if (fragment.type === 'RESPONSE') {
-                                    responseFragmentIndex = idx;
-                                    currentFragmentIndex = idx;
-                                    if (fragment.content) {
-                                        textContent += fragment.content;
-                                    }
-                                } else {
-                                    // THINK 或 SEARCH
-                                    currentFragmentIndex = idx;
-                                }
-                            }
-                        }
-
-                        // BATCH 操作中的 fragments
-                        if (data.o === 'BATCH' && data.p === 'response' && Array.isArray(data.v)) {
-                            for (const item of data.v) {
-                                // fragments 追加
-                                if (item.p === 'fragments' && item.o === 'APPEND' && Array.isArray(item.v)) {
-                                    for (const fragment of item.v) {
-                                        const idx = fragmentCount++;
-                                        if (fragment.type === 'RESPONSE') {
-                                            responseFragmentIndex = idx;
-                                            currentFragmentIndex = idx;
-                                            if (fragment.content) {
-                                                textContent += fragment.content;
-                                            }
-                                        } else {
-                                            // THINK 或 SEARCH
-                                            currentFragmentIndex = idx;
-                                        }
-                                    }
-                                }
-                                // 检查是否完成
-                                if (item.p === 'status' && item.v === 'FINISHED') {
-                                    isComplete = true;
-                                }
-                            }
-                        }
-                    } catch {
-                        // 忽略解析错误
-                    }
+                for (const line of body.split('\n')) {
+                    parser.feed(line);
                 }
-
-                return isComplete;
+                return parser.isComplete;
             } catch {
                 return false;
             }
@@ -242,21 +286,28 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         // 6. 等待 API 响应
         try {
-            await responsePromise;
+            await abortable(responsePromise, meta);
         } catch (e) {
             const pageError = normalizePageError(e, meta);
             if (pageError) return pageError;
             throw e;
         }
 
+        const textContent = parser.text;
         if (!textContent || textContent.trim() === '') {
             logger.warn('适配器', '回复内容为空', meta);
             return { error: '回复内容为空' };
         }
 
-        logger.info('适配器', `已获取文本内容 (${textContent.length} 字符)`, meta);
+        const reasoning = parser.reasoning.trim();
+        const citations = modelConfig?.citations ? parser.citations : [];
+        logger.info('适配器', `已获取文本内容 (${textContent.length} 字符${reasoning ? `，思考过程 ${reasoning.length} 字符` : ''}${citations.length ? `，引用来源 ${citations.length} 条` : ''})`, meta);
         logger.info('适配器', '文本生成完成，任务完成', meta);
-        return { text: textContent.trim() };
+
+        const result = { text: textContent.trim() };
+        if (reasoning) result.reasoning = reasoning;
+        if (citations.length > 0) result.citations = citations;
+        return result;
 
     } catch (err) {
         // 顶层错误处理
@@ -265,6 +316,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.error('适配器', '生成任务失败', { ...meta, error: err.message });
         return { error: `生成任务失败: ${err.message}` };
     } finally {
+        if (streamTap) streamTap.stop();
         // 任务结束，将鼠标移至安全区域
         await moveMouseAway(page);
     }
@@ -283,12 +335,18 @@ export const manifest = {
         return TARGET_URL;
     },
 
+    // 会话地址 (支持会话续接)
+    sessionUrlPattern: SESSION_URL_PATTERN,
+
+    // 流式输出需要在页面主世界监听响应 (见 utils/stream.js)
+    streamTap: true,
+
     // 模型列表
     models: [
         { id: 'deepseek-v3.2', imagePolicy: 'forbidden' },
         { id: 'deepseek-v3.2-thinking', imagePolicy: 'forbidden', thinking: true },
-        { id: 'deepseek-v3.2-search', imagePolicy: 'forbidden', search: true },
-        { id: 'deepseek-v3.2-thinking-search', imagePolicy: 'forbidden', thinking: true, search: true },
+        { id: 'deepseek-v3.2-search', imagePolicy: 'forbidden', search: true, citations: true },
+        { id: 'deepseek-v3.2-thinking-search', imagePolicy: 'forbidden', thinking: true, search: true, citations: true },
     ],
 
     // 无需导航处理器
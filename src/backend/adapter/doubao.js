@@ -6,13 +6,15 @@ import {
     sleep,
     humanType,
     safeClick,
-    uploadFilesViaChooser
+    uploadFilesViaChooser,
+    reportProgress
 } from '../engine/utils.js';
 import {
     normalizePageError,
     moveMouseAway,
     waitForInput,
     gotoWithCheck,
+    abortable,
     useContextDownload
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
@@ -131,7 +133,8 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         // 7. 等待响应
         logger.info('适配器', '等待图片生成...', meta);
-        await resultPromise;
+        reportProgress(page, 'generating');
+        await abortable(resultPromise, meta);
 
         if (!imageUrl) {
             return { error: '未能从响应中提取图片链接' };
@@ -6,13 +6,15 @@ import {
     sleep,
     humanType,
     safeClick,
-    uploadFilesViaChooser
+    uploadFilesViaChooser,
+    reportProgress
 } from '../engine/utils.js';
 import {
     normalizePageError,
     moveMouseAway,
     waitForInput,
-    gotoWithCheck
+    gotoWithCheck,
+    abortable
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
@@ -141,7 +143,8 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         // 7. 等待响应
         logger.info('适配器', '等待生成结果...', meta);
-        await resultPromise;
+        reportProgress(page, 'generating');
+        await abortable(resultPromise, meta);
 
         if (resultText) {
             logger.info('适配器', `生成完成，文本长度: ${resultText.length}`, meta);
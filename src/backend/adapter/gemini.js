@@ -214,6 +214,9 @@ export const manifest = {
         return TARGET_URL;
     },
 
+    // 「停止生成」按钮 (客户端断开时点击)
+    stopSelector: 'button[aria-label="Stop response"]',
+
     // 模型列表
     models: [
         { id: 'gemini-3-pro-image-preview', imagePolicy: 'optional' },
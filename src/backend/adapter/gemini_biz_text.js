@@ -94,7 +94,7 @@ async function handleAccountChooser(page) {
  * @param {string} prompt - 提示词
  * @param {string[]} imgPaths - 参考图片路径数组
  * @param {string} modelId - 模型 ID (目前未使用,固定为 gemini-3-pro-preview)
- * @returns {Promise<{image?: string, error?: string}>} 生成结果
+ * @returns {Promise<{text?: string, citations?: object[], error?: string}>} 生成结果
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
     const { page, config } = context;
@@ -220,7 +220,9 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         // 解析 JSON 数组响应
         // 格式: [{uToken, streamAssistResponse: {answer: {replies: [...], state: "..."}}}, ...]
+        // Grounding 模式下 groundedContent.textGroundingMetadata.references 携带引用来源
         let fullText = '';
+        const citations = new Map();  // url -> citation，按出现顺序去重
         try {
             const parsed = JSON.parse(content);
 
@@ -250,6 +252,17 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                             continue;
                         }
 
+                        // 收集引用来源
+                        if (modelConfig?.citations) {
+                            const references = replies[0]?.groundedContent?.textGroundingMetadata?.references || [];
+                            for (const ref of references) {
+                                const url = ref?.documentMetadata?.uri;
+                                if (url && !citations.has(url)) {
+                                    citations.set(url, { url, title: ref.documentMetadata.title || '' });
+                                }
+                            }
+                        }
+
                         // 提取文本内容
                         const text = groundedContent?.text;
                         if (text) {
@@ -264,8 +277,10 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         }
 
         if (fullText) {
-            logger.info('适配器', `获取文本成功，长度: ${fullText.length}`, meta);
-            return { text: fullText };
+            logger.info('适配器', `获取文本成功，长度: ${fullText.length}${citations.size ? `，引用来源 ${citations.size} 条` : ''}`, meta);
+            return citations.size > 0
+                ? { text: fullText, citations: [...citations.values()] }
+                : { text: fullText };
         } else {
             logger.warn('适配器', '未解析到有效文本内容', { ...meta, preview: content.substring(0, 200) });
             return { error: '未解析到有效文本内容' };
@@ -317,10 +332,10 @@ export const manifest = {
         { id: 'gemini-2.5-pro', codeName: 'gemini-2.5pro', imagePolicy: 'optional', type: 'text' },
         { id: 'gemini-3-flash-preview', codeName: 'gemini-3-pro-preview', imagePolicy: 'optional', type: 'text' },
         { id: 'gemini-2.5-flash', codeName: 'gemini-2.5-flash', imagePolicy: 'optional', type: 'text' },
-        { id: 'gemini-3-pro-grounding', codeName: 'gemini-3-pro-preview', imagePolicy: 'optional', type: 'text' },
-        { id: 'gemini-2.5-pro-grounding', codeName: 'gemini-2.5-pro', imagePolicy: 'optional', type: 'text' },
-        { id: 'gemini-2.5-flash-grounding', codeName: 'gemini-2.5-flash', imagePolicy: 'optional', type: 'text' },
-        { id: 'gemini-3-flash-preview-grounding', codeName: 'gemini-3-flash-preview', imagePolicy: 'optional', type: 'text' },
+        { id: 'gemini-3-pro-grounding', codeName: 'gemini-3-pro-preview', imagePolicy: 'optional', type: 'text', citations: true },
+        { id: 'gemini-2.5-pro-grounding', codeName: 'gemini-2.5-pro', imagePolicy: 'optional', type: 'text', citations: true },
+        { id: 'gemini-2.5-flash-grounding', codeName: 'gemini-2.5-flash', imagePolicy: 'optional', type: 'text', citations: true },
+        { id: 'gemini-3-flash-preview-grounding', codeName: 'gemini-3-flash-preview', imagePolicy: 'optional', type: 'text', citations: true },
     ],
 
     // 导航处理器
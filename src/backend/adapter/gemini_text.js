@@ -20,6 +20,7 @@ import { logger } from '../../utils/logger.js';
 
 // --- 配置常量 ---
 const TARGET_URL = 'https://gemini.google.com/app?hl=en';
+const SESSION_URL_PATTERN = /^https:\/\/gemini\.google\.com\/app\/[\w-]+/;
 
 /**
  * 执行文本生成任务
@@ -31,13 +32,18 @@ const TARGET_URL = 'https://gemini.google.com/app?hl=en';
  * @returns {Promise<{text?: string, error?: string}>}
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, session } = context;
     const inputLocator = page.getByRole('textbox');
     const sendBtnLocator = page.getByRole('button', { name: 'Send message' });
 
     try {
-        logger.info('适配器', '开启新会话...', meta);
-        await gotoWithCheck(page, TARGET_URL);
+        if (session?.url) {
+            logger.info('适配器', '续接已有会话...', meta);
+            await gotoWithCheck(page, session.url);
+        } else {
+            logger.info('适配器', '开启新会话...', meta);
+            await gotoWithCheck(page, TARGET_URL);
+        }
 
         // 1. 等待输入框加载
         await waitForInput(page, inputLocator, { click: false });
@@ -222,6 +228,12 @@ export const manifest = {
         return TARGET_URL;
     },
 
+    sessionUrlPattern: SESSION_URL_PATTERN,
+
+    documentUpload: true,
+
+    stopSelector: 'button[aria-label="Stop response"]',
+
     models: [
         { id: 'gemini-2.0-flash-exp', imagePolicy: 'optional', type: 'text' },
         { id: 'gemini-exp-1206', imagePolicy: 'optional', type: 'text' },
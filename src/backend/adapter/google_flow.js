@@ -158,7 +158,8 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
                 const uploadResponsePromise = waitApiResponse(page, {
                     urlMatch: 'v1:uploadUserImage',
                     method: 'POST',
-                    timeout: 60000
+                    timeout: 60000,
+                    meta
                 });
 
                 const cropBtn = page.getByRole('button', { name: /^crop/ });
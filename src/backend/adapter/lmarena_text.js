@@ -14,13 +14,39 @@ import {
     normalizeHttpError,
     moveMouseAway,
     waitForInput,
-    gotoWithCheck
+    gotoWithCheck,
+    tapStreamResponse
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
 
 // --- 配置常量 ---
 const TARGET_URL = 'https://lmarena.ai/c/new?mode=direct';
 const TARGET_URL_SEARCH = 'https://lmarena.ai/zh/c/new?mode=direct&chat-modality=search';
+const SESSION_URL_PATTERN = /^https:\/\/lmarena\.ai\/(?:[\w-]+\/)?c\/(?!new\b)[\w-]+/;
+const STREAM_URL_MATCH = '/nextjs-api/stream';
+
+/**
+ * 解析单行流数据
+ * @param {string} line - 响应流中的一行，如 a0:"Hello"（正文）、ag:"..."（思考模型的推理过程）
+ * 或 ah:{"sourceType":"url",...}（搜索模型引用的来源）
+ * @returns {{text?: string, reasoning?: string, citation?: {url: string, title?: string}}|null} 解析结果，无关行返回 null
+ */
+function parseStreamLine(line) {
+    // line.substring(3) 应该是 JSON 字符串，如 "Hello"
+    if (line.startsWith('a0:')) {
+        return { text: JSON.parse(line.substring(3)) };
+    }
+    if (line.startsWith('ag:')) {
+        return { reasoning: JSON.parse(line.substring(3)) };
+    }
+    if (line.startsWith('ah:')) {
+        const source = JSON.parse(line.substring(3));
+        if (source?.sourceType === 'url' && source.url) {
+            return { citation: { url: source.url, title: source.title || '' } };
+        }
+    }
+    return null;
+}
 
 /**
  * 执行生图任务
@@ -29,11 +55,12 @@ const TARGET_URL_SEARCH = 'https://lmarena.ai/zh/c/new?mode=direct&chat-modality
  * @param {string[]} imgPaths - 图片路径数组
  * @param {string} [modelId] - 指定的模型 ID (可选)
  * @param {object} [meta={}] - 日志元数据
- * @returns {Promise<{image?: string, text?: string, error?: string}>} 生成结果
+ * @returns {Promise<{image?: string, text?: string, reasoning?: string, citations?: object[], error?: string}>} 生成结果
  */
 async function generate(context, prompt, imgPaths, modelId, meta = {}) {
-    const { page } = context;
+    const { page, onDelta, session } = context;
     const textareaSelector = 'textarea';
+    let streamTap = null;
 
     // Worker 已验证，直接解析模型配置
     const modelConfig = manifest.models.find(m => m.id === modelId);
@@ -41,14 +68,19 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
     const targetUrl = search ? TARGET_URL_SEARCH : TARGET_URL;
 
     try {
-        logger.info('适配器', `开启新会话... (搜索模式: ${!!search})`, meta);
-        await gotoWithCheck(page, targetUrl);
+        if (session?.url) {
+            logger.info('适配器', '续接已有会话...', meta);
+            await gotoWithCheck(page, session.url);
+        } else {
+            logger.info('适配器', `开启新会话... (搜索模式: ${!!search})`, meta);
+            await gotoWithCheck(page, targetUrl);
+        }
 
         // 1. 等待输入框加载
         await waitForInput(page, textareaSelector, { click: false });
 
-        // 2. 选择模型
-        if (modelId) {
+        // 2. 选择模型 (续接会话时沿用会话中的模型)
+        if (modelId && !session?.url) {
             logger.debug('适配器', `选择模型: ${modelId}`, meta);
             const modelCombobox = page.locator('#chat-area')
                 .locator('button[role="combobox"][aria-haspopup="dialog"]')
@@ -84,10 +116,20 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.info('适配器', '输入提示词...', meta);
         await humanType(page, textareaSelector, prompt);
 
-        // 5. 先启动 API 监听
+        // 5. 先启动 API 监听（流式请求额外旁路读取响应流，逐块输出）
         logger.debug('适配器', '启动 API 监听...', meta);
+        if (onDelta) {
+            streamTap = await tapStreamResponse(page, {
+                urlMatch: STREAM_URL_MATCH,
+                meta,
+                onLine: (line) => {
+                    const part = parseStreamLine(line);
+                    if (part?.text || part?.reasoning) onDelta(part);
+                }
+            });
+        }
         const responsePromise = waitApiResponse(page, {
-            urlMatch: '/nextjs-api/stream',
+            urlMatch: STREAM_URL_MATCH,
             method: 'POST',
             timeout: 120000,
             meta
@@ -122,29 +164,36 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         // 9. 解析文本流
         // 格式示例:
+        // ag:"Thinking..."
         // a0:"Hello"
         // a0:" World"
+        // ah:{"sourceType":"url","id":"...","url":"https://...","title":"..."}
         // d:{"finishReason":"stop"}
         let fullText = '';
+        let reasoning = '';
+        const citations = new Map();  // url -> citation，按出现顺序去重
         const lines = content.split('\n');
 
         for (const line of lines) {
-            if (line.startsWith('a0:')) {
-                try {
-                    // 尝试解析 JSON 字符串内容
-                    // line.substring(3) 应该是 JSON 字符串，如 "Hello"
-                    const textPart = JSON.parse(line.substring(3));
-                    fullText += textPart;
-                } catch (e) {
-                    // 如果解析失败，可能是原生文本或其他格式
-                    logger.warn('适配器', `解析文本块失败: ${line}`, meta);
+            try {
+                const part = parseStreamLine(line);
+                if (part?.text) fullText += part.text;
+                if (part?.reasoning) reasoning += part.reasoning;
+                if (part?.citation && modelConfig?.citations && !citations.has(part.citation.url)) {
+                    citations.set(part.citation.url, part.citation);
                 }
+            } catch (e) {
+                // 如果解析失败，可能是原生文本或其他格式
+                logger.warn('适配器', `解析文本块失败: ${line}`, meta);
             }
         }
 
         if (fullText) {
-            logger.info('适配器', `获取文本成功，长度: ${fullText.length}`, meta);
-            return { text: fullText };
+            logger.info('适配器', `获取文本成功，长度: ${fullText.length}${citations.size ? `，引用来源 ${citations.size} 条` : ''}`, meta);
+            const result = { text: fullText };
+            if (reasoning) result.reasoning = reasoning;
+            if (citations.size > 0) result.citations = [...citations.values()];
+            return result;
         } else {
             logger.warn('适配器', '未解析到有效文本内容', { ...meta, preview: content.substring(0, 150) });
             // 如果没解析到 a0，尝试直接返回原始内容防空
@@ -159,6 +208,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.error('适配器', '生成任务失败', { ...meta, error: err.message });
         return { error: `生成任务失败: ${err.message}` };
     } finally {
+        if (streamTap) streamTap.stop();
         // 任务结束，将鼠标移至安全区域
         await moveMouseAway(page);
     }
@@ -177,6 +227,12 @@ export const manifest = {
         return TARGET_URL;
     },
 
+    // 会话地址 (支持会话续接)
+    sessionUrlPattern: SESSION_URL_PATTERN,
+
+    // 流式输出需要在页面主世界监听响应 (见 utils/stream.js)
+    streamTap: true,
+
     // 模型列表（根据最新支持列表整理）
     models: [
         // --- 文本模型 ---
@@ -301,20 +357,20 @@ export const manifest = {
         { id: 'gpt-5-high-new-system-prompt', codeName: '', imagePolicy: 'optional', type: 'text' },
 
         // --- 搜索模型 ---
-        { id: 'gemini-3-pro-grounding', codeName: '019abdb7-6957-71c1-96a2-bfa79e8a094f', imagePolicy: 'forbidden', type: 'text', search: true },
-        { id: 'gpt-5.1-search', codeName: '019abdb7-50a5-7c05-9308-4491d069578b', imagePolicy: 'forbidden', type: 'text', search: true },
-        { id: 'grok-4-fast-search', codeName: '9217ac2d-91bc-4391-aa07-b8f9e2cf11f2', imagePolicy: 'forbidden', type: 'text', search: true },
-        { id: 'gemini-2.5-pro-grounding', codeName: 'b222be23-bd55-4b20-930b-a30cc84d3afd', imagePolicy: 'forbidden', type: 'text', search: true },
-        { id: 'o3-search', codeName: 'fbe08e9a-3805-4f9f-a085-7bc38e4b51d1', imagePolicy: 'forbidden', type: 'text', search: true },
-        { id: 'grok-4-search', codeName: '86d767b0-2574-4e47-a256-a22bcace9f56', imagePolicy: 'forbidden', type: 'text', search: true },
-        { id: 'ppl-sonar-reasoning-pro-high', codeName: '24145149-86c9-4690-b7c9-79c7db216e5c', imagePolicy: 'forbidden', type: 'text', search: true },
-        { id: 'claude-opus-4-1-search', codeName: 'd942b564-191c-41c5-ae22-400a930a2cfe', imagePolicy: 'forbidden', type: 'text', search: true },
-        { id: 'gpt-5-search', codeName: 'd14d9b23-1e46-4659-b157-a3804ba7e2ef', imagePolicy: 'forbidden', type: 'text', search: true },
-        { id: 'claude-opus-4-search', codeName: '25bcb878-749e-49f4-ac05-de84d964bcee', imagePolicy: 'forbidden', type: 'text', search: true },
-        { id: 'diffbot-small-xl', codeName: '0862885e-ef53-4d0d-b9c4-4c8f68f453ce', imagePolicy: 'forbidden', type: 'text', search: true },
-        { id: 'grok-4-1-fast-search', codeName: '019af19c-0658-7566-9c60-112ae5bdb8db', imagePolicy: 'forbidden', type: 'text', search: true },
-        { id: 'gpt-5.2-search', codeName: '019b1448-f74a-72de-b25d-8666618f8c5a', imagePolicy: 'forbidden', type: 'text', search: true },
-        { id: 'gpt-5.1-search-sp', codeName: '', imagePolicy: 'forbidden', type: 'text', search: true }
+        { id: 'gemini-3-pro-grounding', codeName: '019abdb7-6957-71c1-96a2-bfa79e8a094f', imagePolicy: 'forbidden', type: 'text', search: true, citations: true },
+        { id: 'gpt-5.1-search', codeName: '019abdb7-50a5-7c05-9308-4491d069578b', imagePolicy: 'forbidden', type: 'text', search: true, citations: true },
+        { id: 'grok-4-fast-search', codeName: '9217ac2d-91bc-4391-aa07-b8f9e2cf11f2', imagePolicy: 'forbidden', type: 'text', search: true, citations: true },
+        { id: 'gemini-2.5-pro-grounding', codeName: 'b222be23-bd55-4b20-930b-a30cc84d3afd', imagePolicy: 'forbidden', type: 'text', search: true, citations: true },
+        { id: 'o3-search', codeName: 'fbe08e9a-3805-4f9f-a085-7bc38e4b51d1', imagePolicy: 'forbidden', type: 'text', search: true, citations: true },
+        { id: 'grok-4-search', codeName: '86d767b0-2574-4e47-a256-a22bcace9f56', imagePolicy: 'forbidden', type: 'text', search: true, citations: true },
+        { id: 'ppl-sonar-reasoning-pro-high', codeName: '24145149-86c9-4690-b7c9-79c7db216e5c', imagePolicy: 'forbidden', type: 'text', search: true, citations: true },
+        { id: 'claude-opus-4-1-search', codeName: 'd942b564-191c-41c5-ae22-400a930a2cfe', imagePolicy: 'forbidden', type: 'text', search: true, citations: true },
+        { id: 'gpt-5-search', codeName: 'd14d9b23-1e46-4659-b157-a3804ba7e2ef', imagePolicy: 'forbidden', type: 'text', search: true, citations: true },
+        { id: 'claude-opus-4-search', codeName: '25bcb878-749e-49f4-ac05-de84d964bcee', imagePolicy: 'forbidden', type: 'text', search: true, citations: true },
+        { id: 'diffbot-small-xl', codeName: '0862885e-ef53-4d0d-b9c4-4c8f68f453ce', imagePolicy: 'forbidden', type: 'text', search: true, citations: true },
+        { id: 'grok-4-1-fast-search', codeName: '019af19c-0658-7566-9c60-112ae5bdb8db', imagePolicy: 'forbidden', type: 'text', search: true, citations: true },
+        { id: 'gpt-5.2-search', codeName: '019b1448-f74a-72de-b25d-8666618f8c5a', imagePolicy: 'forbidden', type: 'text', search: true, citations: true },
+        { id: 'gpt-5.1-search-sp', codeName: '', imagePolicy: 'forbidden', type: 'text', search: true, citations: true }
     ],
 
     // 无需导航处理器
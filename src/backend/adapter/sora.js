@@ -6,13 +6,15 @@ import {
     sleep,
     humanType,
     safeClick,
-    uploadFilesViaChooser
+    uploadFilesViaChooser,
+    reportProgress
 } from '../engine/utils.js';
 import {
     normalizePageError,
     moveMouseAway,
     waitForInput,
     gotoWithCheck,
+    abortable,
     useContextDownload
 } from '../utils/index.js';
 import { logger } from '../../utils/logger.js';
@@ -104,7 +106,8 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         // 等待 create 响应
         logger.info('适配器', '等待创建任务...', meta);
-        const createResponse = await createResponsePromise;
+        reportProgress(page, 'generating');
+        const createResponse = await abortable(createResponsePromise, meta);
 
         try {
             const createBody = await createResponse.json();
@@ -131,13 +134,13 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
         while (!taskCompleted && (Date.now() - startTime) < maxWaitTime) {
             try {
-                const pendingResponse = await page.waitForResponse(async (response) => {
+                const pendingResponse = await abortable(page.waitForResponse(async (response) => {
                     const url = response.url();
                     if (!url.includes('nf/pending/v2')) return false;
                     if (response.request().method() !== 'GET') return false;
                     if (response.status() !== 200) return false;
                     return true;
-                }, { timeout: 30000 });
+                }, { timeout: 30000 }), meta);
 
                 const pendingBody = await pendingResponse.json();
 
@@ -172,7 +175,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
         logger.debug('适配器', '获取视频链接...', meta);
 
         try {
-            const draftsResponse = await draftsResponsePromise;
+            const draftsResponse = await abortable(draftsResponsePromise, meta);
             const draftsBody = await draftsResponse.json();
 
             // 在 items 数组中查找 task_id 匹配的项目
@@ -194,6 +197,7 @@ async function generate(context, prompt, imgPaths, modelId, meta = {}) {
 
             logger.info('适配器', '已获取视频链接', meta);
         } catch (e) {
+            if (e.message === 'REQUEST_ABORTED') throw e;
             logger.error('适配器', '获取视频链接失败', { ...meta, error: e.message });
             return { error: `获取视频链接失败: ${e.message}` };
         }
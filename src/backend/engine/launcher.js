@@ -6,6 +6,7 @@
  * 约定：
  * - 登录模式会尽量保留 Profile（用户数据目录）
  * - 清理采用三级退出：Playwright close -> SIGTERM -> SIGKILL
+ * - 单个浏览器断开不会退出进程，由工作池重建对应的 Worker
  */
 
 import { Camoufox } from 'camoufox-js';
@@ -21,7 +22,26 @@ import { getBrowserProxy, cleanupProxy } from '../../utils/proxy.js';
 
 // 全局状态：用于在登录模式下管理残留进程与复用上下文
 let globalBrowserProcess = null;
-let globalContext = null; // 替代 globalBrowser
+const globalContexts = new Set(); // 所有已启动的浏览器上下文
+const mainWorldContexts = new WeakSet(); // 以 main_world_eval 启动的浏览器上下文
+let shuttingDown = false;
+
+/**
+ * 检查进程是否正在退出（退出时关闭的浏览器不需要重建）
+ * @returns {boolean}
+ */
+export function isShuttingDown() {
+    return shuttingDown;
+}
+
+/**
+ * 检查浏览器上下文是否允许 "mw:" 前缀脚本在页面主世界执行
+ * @param {object} context - 浏览器上下文
+ * @returns {boolean}
+ */
+export function isMainWorldEnabled(context) {
+    return !!context && mainWorldContexts.has(context);
+}
 
 /**
  * 清理浏览器资源和进程
@@ -29,13 +49,14 @@ let globalContext = null; // 替代 globalBrowser
  * @returns {Promise<void>}
  */
 export async function cleanup() {
+    shuttingDown = true;
 
     // Level 1: 通过 Playwright 协议优雅关闭 Context，保存 Profile
-    if (globalContext) {
+    for (const context of [...globalContexts]) {
         try {
             logger.debug('浏览器', '正在断开远程调试连接并保存 Profile...');
-            await globalContext.close();
-            globalContext = null;
+            await context.close();
+            globalContexts.delete(context);
             logger.debug('浏览器', '已关闭浏览器上下文');
         } catch (e) {
             logger.warn('浏览器', `关闭上下文失败: ${e.message}`);
@@ -248,13 +269,15 @@ async function getPersistentFingerprint(filePath) {
  * @param {string} options.userDataDir - 用户数据目录路径
  * @param {string} [options.userDataMark] - 用户数据目录标识 (用于日志显示)
  * @param {object} [options.proxyConfig] - Worker 级代理配置
+ * @param {boolean} [options.mainWorldEval=false] - 是否允许脚本在页面主世界执行（仅流式响应监听需要）
  * @returns {Promise<{context: object, page: object}>} 浏览器上下文和初始页面
  */
 export async function initBrowserBase(config, options = {}) {
     const {
         userDataDir,
         instanceName = null,
-        proxyConfig = null
+        proxyConfig = null,
+        mainWorldEval = false
     } = options;
 
     // 日志标识 (优先使用实例名称)
@@ -295,6 +318,8 @@ export async function initBrowserBase(config, options = {}) {
         block_webrtc: true,
         exclude_addons: ['UBO'],
         geoip: true,
+        // 允许 "mw:" 前缀脚本在页面主世界执行（流式响应监听需要包装页面 fetch，会改变页面可观察的行为）
+        main_world_eval: mainWorldEval,
         config: {
             forceScopeAccess: true,
             // Canvas 抗指纹：注入固定噪点偏移
@@ -320,22 +345,23 @@ export async function initBrowserBase(config, options = {}) {
 
     // 启动 Camoufox
     const context = await Camoufox(camoufoxLaunchOptions);
-    globalContext = context;
+    globalContexts.add(context);
+    if (mainWorldEval) mainWorldContexts.add(context);
 
     // 构建状态描述
     const statusParts = [];
     statusParts.push(`无头模式: ${headlessMode ? '是' : '否'}`);
     if (proxyObj) statusParts.push('代理: 已配置');
+    if (mainWorldEval) statusParts.push('流式响应监听: 已开启');
     logger.info('浏览器', `[${markLabel}] 浏览器已启动 (${statusParts.join(', ')})`);
 
     // 注册清理处理器
     registerCleanupHandlers();
 
-    // 注册断开连接事件
-    context.on('close', async () => {
-        logger.warn('浏览器', `[${markLabel}] 浏览器已断开连接`);
-        await cleanup();
-        process.exit(0);
+    // 注册断开连接事件（重建由工作池负责，登录模式的退出由 Worker 处理）
+    context.on('close', () => {
+        globalContexts.delete(context);
+        if (!shuttingDown) logger.warn('浏览器', `[${markLabel}] 浏览器已断开连接`);
     });
 
     // 获取或创建 Page
@@ -18,6 +18,8 @@
  * - `safeClick` / `humanType`：拟人化点击与输入
  * - `pasteImages` / `uploadFilesViaChooser`：图片粘贴/上传辅助
  * - `isPageValid` / `createPageCloseWatcher`：页面有效性与关闭/崩溃监听
+ * - `reportProgress`：报告任务进度阶段（客户端开启进度事件时）
+ * - `delayUnlessAborted`：可被任务取消信号提前结束的等待
  */
 
 import path from 'path';
@@ -274,6 +276,7 @@ export async function safeScroll(page, target, options = {}) {
  */
 export async function humanType(page, target, text, options = {}) {
     const { skipFocus = false } = options;
+    reportProgress(page, 'typing');
 
     // 如果不跳过 focus，需要定位并聚焦元素
     if (!skipFocus) {
@@ -408,6 +411,7 @@ async function findAllFileInputs(page) {
  */
 export async function pasteImages(page, target, filePaths, options = {}) {
     if (!filePaths || filePaths.length === 0) return;
+    reportProgress(page, 'uploading');
     logger.info('浏览器', `正在处理 ${filePaths.length} 张图片...`);
 
     // 1. 拟人化: 先点击一下目标区域 (让后台看起来像是用户聚焦了输入框)
@@ -508,6 +512,7 @@ export async function pasteImages(page, target, filePaths, options = {}) {
  */
 export async function uploadFilesViaChooser(page, triggerTarget, filePaths, options = {}) {
     if (!filePaths || filePaths.length === 0) return;
+    reportProgress(page, 'uploading');
 
     const timeout = options.timeout || 60000;
     const clickAction = options.clickAction || 'click';
@@ -605,6 +610,66 @@ export function createPageCloseWatcher(page) {
     return { promise, cleanup };
 }
 
+/**
+ * 创建请求取消监听Promise
+ * @description 客户端断开后 signal 被触发，promise 以 REQUEST_ABORTED 拒绝；未传入 signal 时永不完成
+ * @param {AbortSignal} [signal] - 任务取消信号 (meta.signal)
+ * @returns {{promise: Promise, cleanup: Function}}
+ */
+export function createAbortWatcher(signal) {
+    let abortHandler;
+
+    const promise = new Promise((_, reject) => {
+        if (!signal) return;
+        abortHandler = () => reject(new Error('REQUEST_ABORTED'));
+        if (signal.aborted) {
+            abortHandler();
+        } else {
+            signal.addEventListener('abort', abortHandler, { once: true });
+        }
+    });
+    // 未参与 race 时不产生未处理的拒绝
+    promise.catch(() => { });
+
+    const cleanup = () => {
+        if (abortHandler) signal.removeEventListener('abort', abortHandler);
+    };
+
+    return { promise, cleanup };
+}
+
+/**
+ * 等待指定时间，客户端断开时提前结束
+ * @param {number} ms - 等待毫秒数
+ * @param {AbortSignal} [signal] - 任务取消信号 (meta.signal)
+ * @returns {Promise<boolean>} 完整等待返回 true，被取消返回 false
+ */
+export function delayUnlessAborted(ms, signal) {
+    if (signal?.aborted) return Promise.resolve(false);
+    return new Promise(resolve => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve(false);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve(true);
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * 报告任务进度阶段
+ * @description Worker 执行开启了进度事件的任务时在 page.taskProgress 挂载回调；
+ * 上传、输入、等待响应、下载等工具函数在开始时调用，适配器通常无需单独报告
+ * @param {import('playwright-core').Page} page - 页面对象
+ * @param {'uploading'|'typing'|'generating'|'downloading'} phase - 阶段
+ */
+export function reportProgress(page, phase) {
+    page?.taskProgress?.(phase);
+}
+
 /**
  * 获取当前页面的所有 Cookies (实时从浏览器获取)
  * @param {import('playwright-core').Page} page - Playwright 页面实例
@@ -4,14 +4,15 @@
  *
  * 对外统一能力：
  * - `initBrowser(cfg)` → 初始化 Pool
- * - `generate(ctx, prompt, imagePaths, modelId, meta)`
+ * - `generate(ctx, prompt, imagePaths, modelId, meta)` / `generateMany(..., n)`
  * - `getModels()` / `getImagePolicy(modelKey)` / `getModelType(modelKey)`
  * - `getCookies(workerName, domain)` - 获取指定 Worker 的 Cookies
+ * - `reload()` - 重新读取配置文件并热加载工作池
  */
 
 import fs from 'fs';
 import path from 'path';
-import { loadConfig } from '../config/index.js';
+import { loadConfig, readConfig, applyReloadedConfig } from '../config/index.js';
 import { PoolManager } from './pool/index.js';
 import { logger } from '../utils/logger.js';
 
@@ -62,6 +63,7 @@ export function getBackend() {
         /**
          * 生成图片
          * @param {object} ctx - 浏览器上下文 (来自 initBrowser 返回)
+         * @param {Function} [ctx.onDelta] - 增量回调，文本适配器解析到新内容时以 {text} 调用
          * @param {string} prompt - 提示词
          * @param {string[]} paths - 图片路径
          * @param {string} modelId - 模型 ID
@@ -74,6 +76,23 @@ export function getBackend() {
             return await poolManager.generate(ctx, prompt, paths, modelId, meta);
         },
 
+        /**
+         * 并行生成多个结果 (n > 1)
+         * @param {object} ctx - 浏览器上下文，onDelta 收到的增量附带 index 表示结果序号
+         * @param {string} prompt - 提示词
+         * @param {string[]} paths - 图片路径
+         * @param {string} modelId - 模型 ID
+         * @param {object} meta - 元信息
+         * @param {number} n - 结果数量
+         * @returns {Promise<object[]>} 按序号排列的结果数组
+         */
+        generateMany: async (ctx, prompt, paths, modelId, meta, n) => {
+            if (!poolManager) {
+                return Array.from({ length: n }, () => ({ error: 'Pool 未初始化' }));
+            }
+            return await poolManager.generateMany(ctx, prompt, paths, modelId, meta, n);
+        },
+
         /**
          * 获取模型列表
          * @returns {object}
@@ -97,6 +116,30 @@ export function getBackend() {
             return poolManager.getImagePolicy(modelKey);
         },
 
+        /**
+         * 检查模型是否支持上传文档 (PDF / 文本文件)
+         * @param {string} modelKey - 模型 key
+         * @returns {boolean}
+         */
+        supportsDocuments: (modelKey) => {
+            if (!poolManager) {
+                return false;
+            }
+            return poolManager.supportsDocuments(modelKey);
+        },
+
+        /**
+         * 获取模型的上传图片限制
+         * @param {string} modelKey - 模型 key
+         * @returns {{maxBytes?: number, maxDimension?: number}}
+         */
+        getImageConstraints: (modelKey) => {
+            if (!poolManager) {
+                return {};
+            }
+            return poolManager.getImageConstraints(modelKey);
+        },
+
         /**
          * 获取模型类型
          * @param {string} modelKey - 模型 key
@@ -131,6 +174,20 @@ export function getBackend() {
             }
         },
 
+        /**
+         * 重新读取配置文件并热加载工作池
+         * @description 新配置校验失败时抛出错误，原配置保持不变
+         * @returns {Promise<object|null>} 变更摘要（见 PoolManager.reload）；Pool 未初始化时只更新配置，返回 null
+         */
+        reload: async () => {
+            const next = readConfig();
+            if (!poolManager?.initialized) {
+                applyReloadedConfig(next);
+                return null;
+            }
+            return await poolManager.reload(next, () => applyReloadedConfig(next));
+        },
+
         /**
          * 获取 PoolManager 实例
          * @returns {PoolManager|null}
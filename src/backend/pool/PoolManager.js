@@ -4,11 +4,16 @@
  */
 
 import { logger } from '../../utils/logger.js';
-import { registry } from '../registry.js';
+import { registry, mergeImageConstraints } from '../registry.js';
 import { createStrategySelector } from '../strategies/index.js';
 import { executeWithFailover } from '../strategies/failover.js';
 import { normalizeError } from '../utils/error.js';
+import { ADAPTER_ERRORS, TIMEOUTS } from '../../utils/constants.js';
+import { isDocumentPath } from '../../utils/download.js';
+import { delayUnlessAborted } from '../engine/utils.js';
 import { Worker } from './Worker.js';
+import { createRateLimiter } from './rateLimiter.js';
+import { createHealthMonitor, HEALTH_STATES } from './health.js';
 
 /**
  * PoolManager 类 - 管理 Worker 池
@@ -22,6 +27,14 @@ export class PoolManager {
         this.workers = [];
         this.strategy = config.backend.pool.strategy || 'least_busy';
         this.strategySelector = createStrategySelector(this.strategy);
+        this.rateLimiter = createRateLimiter(config);
+        this.health = createHealthMonitor(config.backend.pool.health);
+        this.probing = new Set();
+        /** @type {Set<string>} 正在重建的浏览器 (userDataDir) */
+        this.restarting = new Set();
+        this.probeTimer = null;
+        /** @type {Set<Worker>} 已移除、等待任务完成后关闭的 Worker */
+        this.draining = new Set();
         this.initialized = false;
     }
 
@@ -66,20 +79,8 @@ export class PoolManager {
                 continue;
             }
 
-            if (workerConfig.type !== 'merge' && !registry.hasAdapter(workerConfig.type)) {
-                logger.error('工作池', `Worker [${workerConfig.name}] 的类型 "${workerConfig.type}" 无对应适配器，跳过`);
-                continue;
-            }
-
-            if (workerConfig.type === 'merge') {
-                const invalidTypes = (workerConfig.mergeTypes || []).filter(t => !registry.hasAdapter(t));
-                if (invalidTypes.length > 0) {
-                    logger.error('工作池', `Worker [${workerConfig.name}] 的 mergeTypes 包含无效类型: ${invalidTypes.join(', ')}`);
-                    continue;
-                }
-            }
-
-            validWorkers.push(new Worker(this.config, workerConfig));
+            const worker = this._createWorker(workerConfig, this.config);
+            if (worker) validWorkers.push(worker);
         }
 
         if (isLoginMode && validWorkers.length === 0) {
@@ -124,16 +125,177 @@ export class PoolManager {
 
         this.initialized = true;
         logger.info('工作池', `工作池初始化完成，共 ${this.workers.length} 个 Worker 就绪 (${browserMap.size} 个浏览器实例)`);
+        this._startHealthProbes();
+    }
+
+    /**
+     * 校验 Worker 的适配器类型并创建 Worker（尚未初始化）
+     * @private
+     * @param {object} workerConfig - Worker 配置
+     * @param {object} config - 全局配置
+     * @returns {Worker|null} 类型无效时返回 null
+     */
+    _createWorker(workerConfig, config) {
+        if (workerConfig.type !== 'merge' && !registry.hasAdapter(workerConfig.type)) {
+            logger.error('工作池', `Worker [${workerConfig.name}] 的类型 "${workerConfig.type}" 无对应适配器，跳过`);
+            return null;
+        }
+
+        if (workerConfig.type === 'merge') {
+            const invalidTypes = (workerConfig.mergeTypes || []).filter(t => !registry.hasAdapter(t));
+            if (invalidTypes.length > 0) {
+                logger.error('工作池', `Worker [${workerConfig.name}] 的 mergeTypes 包含无效类型: ${invalidTypes.join(', ')}`);
+                return null;
+            }
+        }
+
+        const worker = new Worker(config, workerConfig, this.rateLimiter);
+        worker.onLost = (w, reason) => this._handleLost(w, reason);
+        return worker;
+    }
+
+    /**
+     * 热加载配置：启动新增的 Worker，排空并关闭被移除的 Worker，其余 Worker 照常服务
+     * @description 新增的 Worker 全部就绪后，在同一时刻切换配置、调度策略、模型过滤与 Worker 列表；
+     * 被移除的 Worker 不再接收新任务，正在执行的任务完成后再关闭。
+     * 类型、合并适配器、用户数据目录或代理发生变化的 Worker 按先移除再添加处理
+     * @param {object} next - 新配置（见 config/index.js 的 readConfig）
+     * @param {Function} commit - 将新配置应用到全局配置对象（this.config）的回调
+     * @returns {Promise<{added: string[], removed: string[], failed: {name: string, error: string}[]}>}
+     */
+    async reload(next, commit) {
+        const identity = (wc) => JSON.stringify([wc.type, wc.mergeTypes || [], wc.userDataDir, wc.resolvedProxy || null]);
+        const current = new Map(this.workers.map(w => [w.name, w]));
+        const nextConfigs = next.backend.pool.workers;
+
+        const kept = new Map();
+        const pending = [];
+        for (const workerConfig of nextConfigs) {
+            const existing = current.get(workerConfig.name);
+            if (existing && identity(existing.workerConfig) === identity(workerConfig)) {
+                kept.set(workerConfig.name, workerConfig);
+            } else {
+                pending.push(workerConfig);
+            }
+        }
+        const removed = this.workers.filter(w => !kept.has(w.name));
+
+        // 先启动新增的 Worker，期间仍按旧配置服务
+        const added = [];
+        const failed = [];
+        for (const workerConfig of pending) {
+            const worker = this._createWorker(workerConfig, next);
+            if (!worker) {
+                failed.push({ name: workerConfig.name, error: '适配器类型无效' });
+                continue;
+            }
+            // 同一用户数据目录只能由一个浏览器打开，已有浏览器时创建新标签页
+            const peer = [...this.workers, ...this.draining, ...added]
+                .find(w => w.userDataDir === worker.userDataDir && w.isBrowserAlive());
+            try {
+                await worker.init(peer?.browser || null);
+                added.push(worker);
+            } catch (e) {
+                logger.error('工作池', `[${worker.name}] 初始化失败，跳过该 Worker`, { error: e.message });
+                failed.push({ name: worker.name, error: e.message });
+            }
+        }
+
+        // 一次性切换（同步执行，调度不会看到中间状态）
+        commit();
+        registry.setAdapterConfig(this.config.backend.adapter || {});
+        this.strategy = this.config.backend.pool.strategy || 'least_busy';
+        this.strategySelector = createStrategySelector(this.strategy);
+        this.rateLimiter.update(this.config);
+        this.health.update(this.config.backend.pool.health);
+        for (const worker of added) worker.globalConfig = this.config;
+        for (const worker of this.workers) {
+            const workerConfig = kept.get(worker.name);
+            if (!workerConfig) continue;
+            worker.workerConfig = workerConfig;
+            worker.instanceName = workerConfig.instanceName || null;
+            worker.mergeMonitor = workerConfig.mergeMonitor || null;
+        }
+        const byName = new Map([...this.workers.filter(w => kept.has(w.name)), ...added].map(w => [w.name, w]));
+        this.workers = nextConfigs.map(wc => byName.get(wc.name)).filter(Boolean);
+        this._startHealthProbes();
+
+        for (const worker of removed) {
+            worker.onLost = null;
+            this.draining.add(worker);
+            this._drainWorker(worker);
+        }
+
+        logger.info('工作池', `配置已热加载，共 ${this.workers.length} 个 Worker`, {
+            added: added.map(w => w.name).join(', ') || '-',
+            removed: removed.map(w => w.name).join(', ') || '-'
+        });
+        return { added: added.map(w => w.name), removed: removed.map(w => w.name), failed };
+    }
+
+    /**
+     * 等待被移除的 Worker 完成正在执行的任务后关闭其页面；浏览器不再被其他 Worker 使用时一并关闭
+     * @description 任务在 TIMEOUTS.WORKER_DRAIN 内仍未结束（如适配器卡在页面上）时中断任务后关闭
+     * @private
+     * @param {Worker} worker - 已从工作池移除的 Worker
+     */
+    async _drainWorker(worker) {
+        const deadline = Date.now() + TIMEOUTS.WORKER_DRAIN;
+        while (worker.busyCount > 0) {
+            if (Date.now() >= deadline) {
+                logger.warn('工作池', `[${worker.name}] 等待任务完成超时，中断任务后移除`);
+                worker.abortTasks('drain_timeout');
+                break;
+            }
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+        this.draining.delete(worker);
+
+        const browser = worker.browser;
+        const page = worker.page;
+        worker.detach();
+        // 同名 Worker 以新配置重新加入时保留其健康状态
+        if (!this.workers.some(w => w.name === worker.name)) this.health.remove(worker.name);
+        try {
+            if (browser && ![...this.workers, ...this.draining].some(w => w.browser === browser)) {
+                await browser.close();
+            } else if (page && !page.isClosed()) {
+                await page.close();
+            }
+            logger.info('工作池', `[${worker.name}] 已移除`);
+        } catch (e) {
+            logger.warn('工作池', `[${worker.name}] 关闭失败`, { error: e.message });
+        }
+    }
+
+    /**
+     * 获取支持指定模型且未被隔离的 Worker
+     * @private
+     * @param {string} modelId - 模型 ID
+     * @returns {Worker[]}
+     */
+    _availableWorkers(modelId) {
+        return this.workers.filter(w => w.supports(modelId) && this.health.isAvailable(w.name));
+    }
+
+    /**
+     * 没有可用 Worker 时的错误消息
+     * @private
+     */
+    _noWorkerError(modelId) {
+        return this.workers.some(w => w.supports(modelId))
+            ? `支持模型 ${modelId} 的 Worker 均已隔离，等待探测恢复`
+            : `没有 Worker 支持模型: ${modelId}`;
     }
 
     /**
      * 根据模型选择 Worker
      */
     selectWorker(modelId) {
-        const candidates = this.workers.filter(w => w.supports(modelId));
+        const candidates = this._availableWorkers(modelId);
 
         if (candidates.length === 0) {
-            throw new Error(`没有 Worker 支持模型: ${modelId}`);
+            throw new Error(this._noWorkerError(modelId));
         }
 
         if (candidates.length === 1) {
@@ -161,16 +323,329 @@ export class PoolManager {
      * 分发生图任务（支持故障转移）
      */
     async generate(ctx, prompt, paths, modelId, meta) {
-        const failoverConfig = this.config.backend?.pool?.failover || {};
-        const failoverEnabled = failoverConfig.enabled !== false;
-        const maxRetries = failoverConfig.maxRetries || 2;
+        let candidates = this._availableWorkers(modelId);
+
+        if (candidates.length === 0) {
+            return { error: this._noWorkerError(modelId) };
+        }
+
+        // 会话续接：固定分发至产生上一轮回复的 Worker，失败时改为开启新会话
+        const session = ctx?.session;
+        if (session?.url) {
+            const pinned = candidates.find(w => w.name === session.workerName && w.getThrottle(modelId)?.reason !== 'cooldown');
+            if (pinned) {
+                const result = await this._continueSession(pinned, ctx, modelId, meta);
+                if (result) return result;
+            } else {
+                logger.warn('工作池', `会话所属 Worker [${session.workerName}] 不可用，改为开启新会话`, meta);
+            }
+            ctx = { ...ctx, session: { prompt: session.prompt, imagePaths: session.imagePaths } };
+        }
+
+        candidates = this._filterCandidates(candidates, paths, modelId);
+        if (candidates.length === 0) {
+            return { error: `没有 Worker 支持为模型 ${modelId} 上传文档` };
+        }
 
-        let candidates = this.workers.filter(w => w.supports(modelId));
+        const available = await this._awaitAvailable(candidates, modelId, meta);
+        if (available.error) return available.error;
+        candidates = available.candidates;
+
+        return await this._dispatch(this._orderCandidates(candidates, ctx?.reservedWorkers), ctx, prompt, paths, modelId, meta);
+    }
+
+    /**
+     * 并行生成多个结果（n > 1）
+     * @description 每个支持该模型的 Worker 作为一条通道并行执行，结果数多于 Worker 数时各通道依次领取剩余序号。
+     * 通道失败时只转移到不属于其他通道的 Worker，避免与其他通道争用同一页面
+     * @param {object} ctx - 上下文（onDelta 收到的增量附带 index 表示结果序号）
+     * @param {string} prompt - 提示词
+     * @param {string[]} paths - 图片路径
+     * @param {string} modelId - 模型 ID
+     * @param {object} meta - 元信息
+     * @param {number} n - 结果数量
+     * @returns {Promise<object[]>} 按序号排列的结果数组，可能包含失败项
+     */
+    async generateMany(ctx, prompt, paths, modelId, meta, n) {
+        let candidates = this._availableWorkers(modelId);
+        if (candidates.length === 0) {
+            return Array.from({ length: n }, () => ({ error: this._noWorkerError(modelId) }));
+        }
 
+        candidates = this._filterCandidates(candidates, paths, modelId);
         if (candidates.length === 0) {
-            return { error: `没有 Worker 支持模型: ${modelId}` };
+            return Array.from({ length: n }, () => ({ error: `没有 Worker 支持为模型 ${modelId} 上传文档` }));
+        }
+
+        const available = await this._awaitAvailable(candidates, modelId, meta);
+        if (available.error) return Array.from({ length: n }, () => available.error);
+        candidates = available.candidates;
+
+        // 多结果不参与会话续接
+        const { session, ...baseCtx } = ctx || {};
+        const sorted = this._orderCandidates(candidates, baseCtx.reservedWorkers);
+        // 队列已占用 Worker 时只在这些 Worker 上并行，其余 Worker 仅用于故障转移
+        const reservedCount = sorted.filter(w => baseCtx.reservedWorkers?.includes(w.name)).length;
+        const laneCount = Math.min(n, reservedCount || sorted.length);
+        const spare = sorted.slice(laneCount);
+        const results = new Array(n);
+        let next = 0;
+
+        logger.info('工作池', `并行生成 ${n} 个结果，使用 ${laneCount} 个 Worker`, meta);
+
+        const runLane = async (primary) => {
+            while (next < n) {
+                const index = next++;
+                const choiceCtx = baseCtx.onDelta
+                    ? { ...baseCtx, onDelta: (delta) => baseCtx.onDelta({ ...delta, index }) }
+                    : baseCtx;
+                results[index] = await this._dispatch([primary, ...spare], choiceCtx, prompt, paths, modelId, { ...meta, choice: index });
+            }
+        };
+
+        await Promise.all(sorted.slice(0, laneCount).map(runLane));
+        return results;
+    }
+
+    /**
+     * 为队列调度选择空闲 Worker
+     * @param {string} modelId - 模型 ID
+     * @param {string[]} paths - 图片路径
+     * @param {Set<string>} busy - 已被队列中其他任务占用的 Worker 名称
+     * @param {object} [options={}] - 选项
+     * @param {number} [options.count=1] - 需要的 Worker 数（n > 1 时并行生成）
+     * @param {string} [options.pinned] - 会话续接固定的 Worker 名称
+     * @returns {string[]|null} 选中的 Worker 名称（能执行的 Worker 均繁忙或令牌不足时为空数组）；
+     * 没有 Worker 能执行该任务（包括均处于限流冷却期）时返回 null，由 generate 返回相应错误
+     */
+    selectIdleWorkers(modelId, paths, busy, options = {}) {
+        const { count = 1, pinned } = options;
+        const supporting = this._availableWorkers(modelId);
+
+        // 会话续接只能在原 Worker 上进行，等待其空闲
+        if (pinned && supporting.some(w => w.name === pinned)) {
+            return busy.has(pinned) ? [] : [pinned];
         }
 
+        const candidates = this._filterCandidates(supporting, paths, modelId, false);
+        if (candidates.length === 0) return null;
+
+        const throttles = new Map(candidates.map(w => [w, w.getThrottle(modelId)]));
+        if ([...throttles.values()].every(t => t?.reason === 'cooldown')) return null;
+
+        // 每轮调度会对所有等待中的任务调用，不能推进轮询位置；队列实际占用 Worker 后由 recordDispatch 推进。
+        // 先按全部候选排列再筛选空闲的 Worker，轮询位置上的 Worker 繁忙时顺延到下一个
+        return this.strategySelector.peek(candidates)
+            .filter(w => !busy.has(w.name) && !throttles.get(w))
+            .slice(0, count)
+            .map(w => w.name);
+    }
+
+    /**
+     * 记录队列为任务占用的 Worker，每占用一个 Worker 推进一次轮询位置
+     * @param {string[]} names - 占用的 Worker 名称
+     */
+    recordDispatch(names) {
+        if (names.length > 0) this.strategySelector.advance(names.length);
+    }
+
+    /**
+     * 获取最近一次限流解除的等待时间
+     * @returns {number|null} 毫秒；没有受限的 Worker 时返回 null
+     */
+    getThrottleDelay() {
+        return this.rateLimiter.nextReadyIn();
+    }
+
+    /**
+     * 获取各 Worker 的运行状态
+     * @returns {{name: string, type: string, busy: number, health: object, cooldowns: object[]}[]}
+     */
+    getWorkerStatus() {
+        return this.workers.map(w => ({
+            name: w.name,
+            type: w.type,
+            busy: w.busyCount,
+            health: this.health.getState(w.name),
+            cooldowns: this.rateLimiter.getCooldowns(w.name)
+        }));
+    }
+
+    /**
+     * 获取最近的健康状态变更（新的在前）
+     * @returns {import('./health.js').HealthTransition[]}
+     */
+    getHealthTransitions() {
+        return this.health.getTransitions();
+    }
+
+    /**
+     * 探测 Worker 并更新健康状态
+     * @param {string} name - Worker 名称
+     * @returns {Promise<object>} 探测后的健康状态
+     */
+    async probeWorker(name) {
+        const worker = this.workers.find(w => w.name === name);
+        if (!worker) {
+            throw new Error(`Worker 不存在: ${name}`);
+        }
+        // 页面或浏览器已关闭时探测即重建
+        if (!worker.isAlive()) {
+            return this.restartWorker(name, { ifLost: true });
+        }
+
+        // 正在执行任务或探测中的 Worker 不打断
+        if (worker.busyCount > 0 || this.probing.has(name)) {
+            return this.health.getState(name);
+        }
+
+        this.probing.add(name);
+        try {
+            this.health.recordProbe(name, await worker.probe());
+        } finally {
+            this.probing.delete(name);
+        }
+        return this.health.getState(name);
+    }
+
+    /**
+     * 重建单个 Worker，其他 Worker 照常服务
+     * @description 浏览器仍然可用时只重建该 Worker 的页面；浏览器已关闭或指定 browser 时重启整个浏览器，
+     * 共享该浏览器 (同一 userDataDir) 的 Worker 一并重建。重建期间 Worker 处于隔离状态，结果按探测结果记录
+     * @param {string} name - Worker 名称
+     * @param {object} [options={}]
+     * @param {boolean} [options.browser=false] - 重启整个浏览器
+     * @param {boolean} [options.ifLost=false] - 仅在页面或浏览器已关闭时重建（自动恢复使用）
+     * @returns {Promise<object>} 重建后的健康状态
+     */
+    async restartWorker(name, options = {}) {
+        const { browser = false, ifLost = false } = options;
+        const worker = this.workers.find(w => w.name === name);
+        if (!worker) {
+            throw new Error(`Worker 不存在: ${name}`);
+        }
+
+        const key = worker.userDataDir;
+        if (this.restarting.has(key) || (ifLost && worker.isAlive())) {
+            return this.health.getState(name);
+        }
+
+        const relaunch = browser || !worker.isBrowserAlive();
+        const group = relaunch ? this.workers.filter(w => w.userDataDir === key) : [worker];
+        // 手动重启不打断正在执行的任务；已失效的页面上的任务本就会失败
+        if (!ifLost && group.some(w => w.busyCount > 0 && w.isAlive())) {
+            throw new Error(`Worker 正在处理任务，请稍后重试: ${group.filter(w => w.busyCount > 0).map(w => w.name).join(', ')}`);
+        }
+
+        this.restarting.add(key);
+        try {
+            for (const w of group) this.health.quarantine(w.name, 'restart');
+
+            if (!relaunch) {
+                logger.info('工作池', `[${name}] 正在重建页面...`);
+                await this._recordRestart(worker, () => worker.recreatePage());
+            } else {
+                logger.info('工作池', `[${name}] 正在重启浏览器 (${group.map(w => w.name).join(', ')})...`);
+                const oldBrowser = group.map(w => w.detach()).find(Boolean);
+                await oldBrowser?.close().catch(() => { });
+
+                let shared = null;
+                for (const w of group) {
+                    await this._recordRestart(w, () => w.init(shared));
+                    if (w.initialized && !shared) shared = w.browser;
+                }
+            }
+        } finally {
+            this.restarting.delete(key);
+        }
+        return this.health.getState(name);
+    }
+
+    /**
+     * 执行重建并按探测结果记录健康状态
+     * @private
+     */
+    async _recordRestart(worker, rebuild) {
+        try {
+            const ready = await rebuild();
+            this.health.recordProbe(worker.name, ready ? { ok: true } : { ok: false, error: '目标页面无法打开' });
+        } catch (err) {
+            logger.error('工作池', `[${worker.name}] 重建失败`, { error: err.message });
+            this.health.recordProbe(worker.name, { ok: false, error: err.message });
+        }
+    }
+
+    /**
+     * 页面或浏览器意外关闭：立即隔离，稍后自动重建
+     * @private
+     */
+    _handleLost(worker, reason) {
+        if (!this.initialized) return;
+        this.health.quarantine(worker.name, reason);
+        // 正在执行的任务不会再正常结束，立即中断以便故障转移，并清零 busyCount 使重建不被阻塞
+        worker.abortTasks(reason);
+        // 浏览器关闭时共享它的 Worker 会依次触发，稍作等待后统一重建
+        setTimeout(() => {
+            this.restartWorker(worker.name, { ifLost: true }).catch(err => {
+                logger.error('工作池', `[${worker.name}] 自动重建失败`, { error: err.message });
+            });
+        }, 1000).unref();
+    }
+
+    /**
+     * 定期探测被隔离的 Worker
+     * @private
+     */
+    _startHealthProbes() {
+        clearInterval(this.probeTimer);
+        this.probeTimer = null;
+        const interval = (this.config.backend.pool.health?.probeInterval ?? 60) * 1000;
+        if (!(interval > 0)) return;
+
+        this.probeTimer = setInterval(async () => {
+            for (const worker of this.workers) {
+                if (this.health.getState(worker.name).state !== HEALTH_STATES.QUARANTINED) continue;
+                await this.probeWorker(worker.name).catch(() => { });
+            }
+        }, interval).unref();
+    }
+
+    /**
+     * 获取支持指定模型的 Worker 名称
+     * @param {string} modelId - 模型 ID
+     * @returns {string[]}
+     */
+    getWorkerNames(modelId) {
+        return this.workers.filter(w => w.supports(modelId)).map(w => w.name);
+    }
+
+    /**
+     * 排列候选 Worker：队列已占用的 Worker 在前，其余按负载均衡策略排在后面供故障转移
+     * @private
+     * @param {Worker[]} candidates - 候选列表
+     * @param {string[]} [reserved] - 队列为任务占用的 Worker 名称
+     * @returns {Worker[]}
+     */
+    _orderCandidates(candidates, reserved) {
+        // 最近失败过的 Worker 排在健康的 Worker 之后；队列已占用 Worker 时轮询位置已由 recordDispatch 推进
+        const byHealth = (list) => {
+            const sorted = reserved?.length ? this.strategySelector.peek(list) : this.strategySelector.sort(list);
+            const degraded = sorted.filter(w => this.health.getState(w.name).state === HEALTH_STATES.DEGRADED);
+            return [...sorted.filter(w => !degraded.includes(w)), ...degraded];
+        };
+        if (!reserved?.length) return byHealth(candidates);
+        const primary = reserved.map(name => candidates.find(w => w.name === name)).filter(Boolean);
+        const rest = candidates.filter(w => !primary.includes(w));
+        return [...primary, ...byHealth(rest)];
+    }
+
+    /**
+     * 按请求内容筛选候选 Worker
+     * @private
+     * @param {boolean} [verbose=true] - 是否输出筛选日志（队列调度时频繁调用，不输出）
+     * @returns {Worker[]} 筛选后的候选列表；包含文档但没有 Worker 支持时为空数组
+     */
+    _filterCandidates(candidates, paths, modelId, verbose = true) {
         // 如果请求包含图片，优先选择 imagePolicy 为 optional 的 Worker
         const hasImages = paths && paths.length > 0;
         if (hasImages && candidates.length > 1) {
@@ -180,35 +655,183 @@ export class PoolManager {
             });
 
             if (optionalCandidates.length > 0) {
-                logger.debug('工作池', `请求包含图片，优先选择支持图片的 Worker (${optionalCandidates.length}/${candidates.length} 个)`);
+                if (verbose) logger.debug('工作池', `请求包含图片，优先选择支持图片的 Worker (${optionalCandidates.length}/${candidates.length} 个)`);
                 candidates = optionalCandidates;
-            } else {
+            } else if (verbose) {
                 logger.warn('工作池', `请求包含图片，但没有 Worker 的 imagePolicy 为 optional`);
             }
         }
 
-        const sortedCandidates = this.strategySelector.sort(candidates);
+        // 如果请求包含文档，只能分发给支持文档上传的 Worker
+        if (paths?.some(isDocumentPath)) {
+            candidates = candidates.filter(w => w.supportsDocuments(modelId));
+        }
+
+        return candidates;
+    }
+
+    /**
+     * 筛选可以立即执行的候选 Worker
+     * @description 候选 Worker 均令牌不足时等待令牌恢复；均处于冷却期时不再等待，返回限流错误
+     * @private
+     * @returns {Promise<{candidates: Worker[]}|{error: object}>}
+     */
+    async _awaitAvailable(candidates, modelId, meta) {
+        for (; ;) {
+            const throttles = candidates.map(w => w.getThrottle(modelId));
+            const available = candidates.filter((w, i) => !throttles[i]);
+            if (available.length > 0) return { candidates: available };
+
+            const waits = throttles.filter(t => t.reason === 'throttle').map(t => t.wait);
+            if (waits.length === 0) {
+                const seconds = Math.ceil(Math.min(...throttles.map(t => t.wait)) / 1000);
+                logger.warn('工作池', `支持模型 ${modelId} 的 Worker 均在限流冷却中`, meta);
+                return { error: { error: `上游限流，Worker 均在冷却中，约 ${seconds} 秒后恢复`, code: ADAPTER_ERRORS.RATE_LIMITED, retryable: true } };
+            }
+            if (meta?.signal?.aborted) {
+                return { error: { error: '客户端已断开，任务已取消', code: ADAPTER_ERRORS.REQUEST_ABORTED, retryable: false } };
+            }
+
+            logger.debug('工作池', `Worker 令牌不足，等待 ${Math.min(...waits)}ms`, meta);
+            await delayUnlessAborted(Math.min(...waits), meta?.signal);
+        }
+    }
+
+    /**
+     * 按顺序在候选 Worker 上执行（支持故障转移）
+     * @private
+     */
+    async _dispatch(sortedCandidates, ctx, prompt, paths, modelId, meta) {
+        const failoverConfig = this.config.backend?.pool?.failover || {};
+        const failoverEnabled = failoverConfig.enabled !== false;
+        const maxRetries = failoverConfig.maxRetries || 2;
 
         if (!failoverEnabled) {
             const worker = sortedCandidates[0];
+            const throttled = await this._waitForWorker(worker, modelId, true, meta);
+            if (throttled) return throttled;
             logger.debug('工作池', `任务分发至: ${worker.name} (busy: ${worker.busyCount})`);
             return await this._safeExecuteWorker(worker, ctx, prompt, paths, modelId, meta);
         }
 
-        return await executeWithFailover(
+        // 已经向客户端输出过增量内容后不再切换 Worker，否则新 Worker 的输出会拼接在残缺内容之后
+        let deltaSent = false;
+        let lastResult = null;
+        if (ctx?.onDelta) {
+            const onDelta = ctx.onDelta;
+            ctx = {
+                ...ctx,
+                onDelta: (delta) => {
+                    deltaSent = true;
+                    onDelta(delta);
+                }
+            };
+        }
+
+        // 结构化输出已在原 Worker 上修正过，换 Worker 重新生成意义不大，保留原始错误码返回；
+        // 客户端已断开的任务同样不再转移
+        const isFinal = (result) => result?.code === ADAPTER_ERRORS.INVALID_STRUCTURED_OUTPUT
+            || result?.code === ADAPTER_ERRORS.REQUEST_ABORTED;
+
+        const result = await executeWithFailover(
             sortedCandidates,
             async (worker) => {
+                if (lastResult && (deltaSent || isFinal(lastResult))) return lastResult;
+                const throttled = await this._waitForWorker(worker, modelId, worker === sortedCandidates[0], meta);
+                if (throttled) return throttled;
                 logger.debug('工作池', `任务分发至: ${worker.name} (busy: ${worker.busyCount})`);
-                return await this._safeExecuteWorker(worker, ctx, prompt, paths, modelId, meta);
+                lastResult = await this._safeExecuteWorker(worker, ctx, prompt, paths, modelId, meta);
+                return lastResult;
             },
             {
                 maxRetries,
                 meta,
                 onRetry: (worker, error) => {
                     logger.warn('工作池', `[${worker.name}] 失败，尝试下一个 Worker...`, { error, ...meta });
+                    meta?.onProgress?.({ stage: 'failover', worker: worker.name, error });
                 }
             }
         );
+        return isFinal(lastResult) ? lastResult : result;
+    }
+
+    /**
+     * 执行前检查 Worker 的限流状态
+     * @description 首选 Worker 令牌不足时等待令牌恢复（如多结果任务在同一 Worker 上依次生成）；
+     * 处于冷却期或作为故障转移目标时直接跳过，避免紧接着向其发送请求。
+     * 等待期间可能进入冷却或令牌被其他请求取走，等待结束后重新检查
+     * @private
+     * @param {Worker} worker - Worker
+     * @param {string} modelId - 模型 ID
+     * @param {boolean} primary - 是否为首选 Worker
+     * @param {object} [meta] - 日志元数据（含取消信号 signal）
+     * @returns {Promise<object|null>} 需要跳过时返回限流错误，等待期间客户端断开时返回取消错误，否则返回 null
+     */
+    async _waitForWorker(worker, modelId, primary, meta) {
+        let throttle = worker.getThrottle(modelId);
+        while (primary && throttle?.reason === 'throttle') {
+            if (!(await delayUnlessAborted(throttle.wait, meta?.signal))) {
+                return { error: '客户端已断开，任务已取消', code: ADAPTER_ERRORS.REQUEST_ABORTED, retryable: false };
+            }
+            throttle = worker.getThrottle(modelId);
+        }
+        if (!throttle) return null;
+        return {
+            error: `[${worker.name}] ${throttle.reason === 'cooldown' ? '限流冷却中' : '令牌不足'}，跳过`,
+            code: ADAPTER_ERRORS.RATE_LIMITED,
+            retryable: true
+        };
+    }
+
+    /**
+     * 在原 Worker 上续接会话，只输入本轮用户消息
+     * @private
+     * @returns {Promise<object|null>} 生成结果；续接失败且可改为开启新会话时返回 null
+     */
+    async _continueSession(worker, ctx, modelId, meta) {
+        const { prompt, imagePaths } = ctx.session;
+
+        // 同一页面无法并行操作，排队等待 Worker 完成当前任务；客户端断开时放弃等待
+        const release = await worker.acquirePage(meta?.signal);
+        if (!release) {
+            if (meta?.signal?.aborted) {
+                return { error: '客户端已断开，任务已取消', code: ADAPTER_ERRORS.REQUEST_ABORTED, retryable: false };
+            }
+            // 等待期间页面丢失，改为开启新会话
+            logger.warn('工作池', `[${worker.name}] 页面已不可用，改为开启新会话`, meta);
+            return null;
+        }
+        try {
+            return await this._runSession(worker, ctx, prompt, imagePaths, modelId, meta);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * 在已独占的页面上执行续接会话
+     * @private
+     * @returns {Promise<object|null>}
+     */
+    async _runSession(worker, ctx, prompt, imagePaths, modelId, meta) {
+        let deltaSent = false;
+        if (ctx.onDelta) {
+            const onDelta = ctx.onDelta;
+            ctx = {
+                ...ctx,
+                onDelta: (delta) => {
+                    deltaSent = true;
+                    onDelta(delta);
+                }
+            };
+        }
+
+        logger.info('工作池', `续接会话，任务分发至: ${worker.name}`, meta);
+        const result = await this._safeExecuteWorker(worker, ctx, prompt, imagePaths, modelId, meta);
+        if (!result.error || deltaSent || result.code === ADAPTER_ERRORS.REQUEST_ABORTED) return result;
+
+        logger.warn('工作池', `[${worker.name}] 续接会话失败，改为开启新会话`, { error: result.error, ...meta });
+        return null;
     }
 
     /**
@@ -216,12 +839,15 @@ export class PoolManager {
      * @private
      */
     async _safeExecuteWorker(worker, ctx, prompt, paths, modelId, meta) {
+        let result;
         try {
-            return await worker.generate(ctx, prompt, paths, modelId, meta);
+            result = await worker.generate(ctx, prompt, paths, modelId, meta);
         } catch (err) {
             logger.error('工作池', `[${worker.name}] 执行异常`, { error: err.message, ...meta });
-            return normalizeError(err.message || '执行异常');
+            result = normalizeError(err.message || '执行异常');
         }
+        this.health.record(worker.name, result);
+        return result;
     }
 
     /**
@@ -244,6 +870,21 @@ export class PoolManager {
         return { object: 'list', data: allModels };
     }
 
+    /**
+     * 检查是否有 Worker 支持为指定模型上传文档
+     */
+    supportsDocuments(modelKey) {
+        return this.workers.some(w => w.supports(modelKey) && w.supportsDocuments(modelKey));
+    }
+
+    /**
+     * 获取上传图片限制（图片在入队前处理，尚不确定由哪个 Worker 执行，因此取最严格的限制）
+     */
+    getImageConstraints(modelKey) {
+        const supporting = this.workers.filter(w => w.supports(modelKey));
+        return mergeImageConstraints(supporting.map(w => w.getImageConstraints(modelKey)));
+    }
+
     /**
      * 获取图片策略（宽松策略：只要有一个 Worker 支持 optional 就返回 optional）
      */
@@ -5,9 +5,12 @@
 
 import fs from 'fs';
 import { logger } from '../../utils/logger.js';
-import { initBrowserBase, createCursor } from '../engine/launcher.js';
-import { registry } from '../registry.js';
+import { initBrowserBase, createCursor, isShuttingDown } from '../engine/launcher.js';
+import { registry, mergeImageConstraints } from '../registry.js';
 import { tryGotoWithCheck } from '../utils/page.js';
+import { delayUnlessAborted } from '../engine/utils.js';
+import { isDocumentPath } from '../../utils/download.js';
+import { ADAPTER_ERRORS } from '../../utils/constants.js';
 
 /**
  * Worker 类 - 封装单个浏览器实例
@@ -16,8 +19,9 @@ export class Worker {
     /**
      * @param {object} globalConfig - 全局配置
      * @param {object} workerConfig - Worker 配置
+     * @param {object} [rateLimiter] - 限流器（见 rateLimiter.js）
      */
-    constructor(globalConfig, workerConfig) {
+    constructor(globalConfig, workerConfig, rateLimiter = null) {
         this.name = workerConfig.name;
         this.type = workerConfig.type;
         this.instanceName = workerConfig.instanceName || null;
@@ -25,6 +29,7 @@ export class Worker {
         this.proxyConfig = workerConfig.resolvedProxy;
         this.globalConfig = globalConfig;
         this.workerConfig = workerConfig;
+        this.rateLimiter = rateLimiter;
 
         // Merge 模式专属
         this.mergeTypes = workerConfig.mergeTypes || [];
@@ -35,14 +40,27 @@ export class Worker {
         this.page = null;
         this.busyCount = 0;
         this.initialized = false;
+        this.browserClosed = false;
+        this.pageCrashed = false;
+        this.navigationHandler = null;
+        /** @type {{grant: Function, cancel: Function}[]} 等待独占页面的任务（续接会话） */
+        this.pageWaiters = [];
+        /** @type {Set<AbortController>} 正在执行的任务，页面或浏览器丢失时中断 */
+        this.runningTasks = new Set();
+        // 每次中断任务后递增，此前开始的任务结束时不再减少 busyCount
+        this.epoch = 0;
+
+        /** @type {((worker: Worker, reason: string) => void)|null} 页面或浏览器意外关闭时的回调（由 PoolManager 设置） */
+        this.onLost = null;
     }
 
     /**
      * 初始化浏览器实例
      * @param {object} [sharedBrowser] - 可选，共享的浏览器实例
+     * @returns {Promise<boolean>} 目标页面是否打开成功
      */
     async init(sharedBrowser = null) {
-        if (this.initialized) return;
+        if (this.initialized) return true;
 
         // 确保用户数据目录存在
         if (!fs.existsSync(this.userDataDir)) {
@@ -50,13 +68,7 @@ export class Worker {
         }
 
         // 获取目标 URL
-        let targetUrl = 'about:blank';
-        if (this.type === 'merge') {
-            const firstType = this.mergeTypes[0];
-            targetUrl = registry.getTargetUrl(firstType, this.globalConfig, this.workerConfig) || 'about:blank';
-        } else {
-            targetUrl = registry.getTargetUrl(this.type, this.globalConfig, this.workerConfig) || 'about:blank';
-        }
+        const targetUrl = this._getTargetUrl();
 
         // 登录模式下不注册导航处理器，避免自动登录干预用户操作
         const isLoginMode = process.argv.some(arg => arg.startsWith('-login'));
@@ -87,61 +99,48 @@ export class Worker {
             logger.debug('工作池', `[${this.name}] 直连模式（无代理）`);
         }
 
-        if (sharedBrowser) {
-            await this._initWithSharedBrowser(sharedBrowser, targetUrl, navigationHandler);
-        } else {
-            await this._initNewBrowser(targetUrl, navigationHandler);
-        }
+        this.navigationHandler = navigationHandler;
+        const ready = sharedBrowser
+            ? await this._initWithSharedBrowser(sharedBrowser, targetUrl)
+            : await this._initNewBrowser(targetUrl);
 
         this.initialized = true;
+        return ready;
     }
 
     /**
      * 使用共享浏览器初始化
      * @private
      */
-    async _initWithSharedBrowser(sharedBrowser, targetUrl, navigationHandler) {
+    async _initWithSharedBrowser(sharedBrowser, targetUrl) {
         logger.info('工作池', `[${this.name}] 复用已有浏览器，创建新标签页...`);
-        this.browser = sharedBrowser;
-        this.page = await sharedBrowser.newPage();
-        this.page.authState = { isHandlingAuth: false };
-        this.page.cursor = createCursor(this.page);
+        this._attachBrowser(sharedBrowser);
+        this._attachPage(await sharedBrowser.newPage(), false);
 
-        await this._navigateToTarget(targetUrl);
-
-        if (navigationHandler) {
-            this.page.on('framenavigated', async () => {
-                try { await navigationHandler(this.page); } catch (e) { /* ignore */ }
-            });
-        }
+        const ready = await this._navigateToTarget(targetUrl);
+        this._watchNavigation();
 
         logger.info('工作池', `[${this.name}] 初始化完成`);
+        return ready;
     }
 
     /**
      * 启动新浏览器初始化
      * @private
      */
-    async _initNewBrowser(targetUrl, navigationHandler) {
+    async _initNewBrowser(targetUrl) {
         const base = await initBrowserBase(this.globalConfig, {
             userDataDir: this.userDataDir,
             instanceName: this.instanceName,
-            proxyConfig: this.proxyConfig
+            proxyConfig: this.proxyConfig,
+            mainWorldEval: this._needsMainWorld()
         });
 
-        this.browser = base.context;
-        this.page = base.page;
-        this.page.authState = { isHandlingAuth: false };
-        this.page.cursor = createCursor(this.page);
-
-        if (navigationHandler) {
-            this.page.on('framenavigated', async () => {
-                try { await navigationHandler(this.page); } catch (e) { /* ignore */ }
-            });
-        }
+        this._attachBrowser(base.context);
+        this._attachPage(base.page, true);
 
         logger.info('工作池', `[${this.name}] 正在连接目标页面...`);
-        await this._navigateToTarget(targetUrl);
+        const ready = await this._navigateToTarget(targetUrl);
 
         // 登录模式：注册浏览器关闭事件（不阻塞）
         const isLoginMode = process.argv.some(arg => arg.startsWith('-login'));
@@ -154,11 +153,217 @@ export class Worker {
         }
 
         logger.info('工作池', `[${this.name}] 初始化完成`);
+        return ready;
+    }
+
+    /**
+     * 判断新启动的浏览器是否需要开启 main_world_eval
+     * @description 浏览器由同一用户数据目录的 Worker 共享，任一 Worker 使用了声明 streamTap 的适配器时开启；
+     * browser.streamTap 为 false 时一律关闭
+     * @private
+     * @returns {boolean}
+     */
+    _needsMainWorld() {
+        if (this.globalConfig.browser?.streamTap === false) return false;
+        const peers = (this.globalConfig.backend?.pool?.workers || [])
+            .filter(wc => wc.userDataDir === this.userDataDir);
+        return [this.workerConfig, ...peers].some(wc => {
+            const types = wc.type === 'merge' ? (wc.mergeTypes || []) : [wc.type];
+            return types.some(type => registry.usesStreamTap(type));
+        });
+    }
+
+    /**
+     * 绑定浏览器上下文，并在其意外关闭时通知工作池
+     * @private
+     */
+    _attachBrowser(context) {
+        this.browser = context;
+        this.browserClosed = false;
+        context.on('close', () => {
+            if (context !== this.browser) return;
+            this.browserClosed = true;
+            this._notifyLost('browser_closed');
+        });
+    }
+
+    /**
+     * 绑定页面：初始化认证状态与光标，并在页面崩溃或被关闭时通知工作池
+     * @private
+     * @param {object} page - Playwright 页面
+     * @param {boolean} watchNavigation - 是否立即注册导航处理器（共享浏览器在首次导航后注册）
+     */
+    _attachPage(page, watchNavigation) {
+        this.page = page;
+        this.pageCrashed = false;
+        page.authState = { isHandlingAuth: false };
+        page.cursor = createCursor(page);
+
+        page.on('crash', () => {
+            if (page !== this.page) return;
+            this.pageCrashed = true;
+            this._notifyLost('page_crashed');
+        });
+        page.on('close', () => {
+            // 浏览器整体关闭时由 _attachBrowser 统一通知
+            if (page === this.page && !this.browserClosed) this._notifyLost('page_closed');
+        });
+
+        if (watchNavigation) this._watchNavigation();
+    }
+
+    /**
+     * 为当前页面注册导航处理器
+     * @private
+     */
+    _watchNavigation() {
+        const page = this.page;
+        const handler = this.navigationHandler;
+        if (!handler) return;
+        page.on('framenavigated', async () => {
+            try { await handler(page); } catch (e) { /* ignore */ }
+        });
+    }
+
+    /**
+     * 通知工作池页面或浏览器已不可用（进程退出时忽略）
+     * @private
+     */
+    _notifyLost(reason) {
+        if (isShuttingDown()) return;
+        logger.warn('工作池', `[${this.name}] ${reason === 'browser_closed' ? '浏览器已关闭' : reason === 'page_crashed' ? '页面崩溃' : '页面已关闭'}`);
+        this.onLost?.(this, reason);
+    }
+
+    /**
+     * 等待页面空闲并独占使用（续接会话需要在同一页面上继续操作）
+     * @description 等待者按先后顺序依次获得页面；获得后计入 busyCount，使用完毕须调用返回的释放函数
+     * @param {AbortSignal} [signal] - 任务取消信号，触发时放弃等待
+     * @returns {Promise<Function|null>} 获得页面时返回释放函数；客户端断开或页面丢失（见 abortTasks）时返回 null
+     */
+    acquirePage(signal) {
+        if (signal?.aborted) return Promise.resolve(null);
+        return new Promise(resolve => {
+            const waiter = {
+                grant: () => {
+                    signal?.removeEventListener('abort', waiter.cancel);
+                    this.busyCount++;
+                    const epoch = this.epoch;
+                    let released = false;
+                    resolve(() => {
+                        if (released || epoch !== this.epoch) return;
+                        released = true;
+                        this._releaseBusy();
+                    });
+                },
+                cancel: () => {
+                    signal?.removeEventListener('abort', waiter.cancel);
+                    this.pageWaiters = this.pageWaiters.filter(w => w !== waiter);
+                    resolve(null);
+                }
+            };
+            signal?.addEventListener('abort', waiter.cancel, { once: true });
+            this.pageWaiters.push(waiter);
+            this._grantPage();
+        });
+    }
+
+    /**
+     * 中断正在执行与等待页面的任务，并将 busyCount 清零
+     * @description 页面或浏览器意外关闭后，正在执行的任务不会再正常结束，不清零会使 Worker 一直显示繁忙；
+     * 被中断的任务返回可故障转移的错误，稍后结束时不再减少 busyCount
+     * @param {string} reason - 原因
+     */
+    abortTasks(reason) {
+        const running = this.runningTasks.size;
+        const waiting = this.pageWaiters.length;
+        this.epoch++;
+        this.busyCount = 0;
+        for (const controller of this.runningTasks) controller.abort(reason);
+        this.runningTasks.clear();
+        for (const waiter of [...this.pageWaiters]) waiter.cancel();
+        if (running + waiting > 0) {
+            logger.warn('工作池', `[${this.name}] 已中断 ${running} 个执行中的任务与 ${waiting} 个等待中的任务`, { reason });
+        }
+    }
+
+    /**
+     * 任务结束：减少 busyCount，页面空闲时交给下一个等待者
+     * @private
+     */
+    _releaseBusy() {
+        this.busyCount = Math.max(0, this.busyCount - 1);
+        this._grantPage();
+    }
+
+    /**
+     * 页面空闲时将其交给最早的等待者
+     * @private
+     */
+    _grantPage() {
+        if (this.busyCount > 0) return;
+        this.pageWaiters.shift()?.grant();
+    }
+
+    /**
+     * 检查页面与浏览器是否仍然可用
+     * @returns {boolean}
+     */
+    isAlive() {
+        return !!this.page && !this.page.isClosed() && !this.pageCrashed && !this.browserClosed;
+    }
+
+    /**
+     * 检查浏览器上下文是否仍然可用（可在其中重建页面）
+     * @returns {boolean}
+     */
+    isBrowserAlive() {
+        return !!this.browser && !this.browserClosed;
+    }
+
+    /**
+     * 在原浏览器中重建页面并重新打开目标页面（浏览器须仍然可用）
+     * @returns {Promise<boolean>} 目标页面是否打开成功
+     */
+    async recreatePage() {
+        const oldPage = this.page;
+        this._attachPage(await this.browser.newPage(), false);
+        if (oldPage && !oldPage.isClosed()) {
+            await oldPage.close().catch(() => { });
+        }
+
+        const ready = await this._navigateToTarget(this._getTargetUrl());
+        this._watchNavigation();
+        logger.info('工作池', `[${this.name}] 页面已重建`);
+        return ready;
+    }
+
+    /**
+     * 解除与当前浏览器的绑定，之后可通过 init() 重新初始化
+     * @returns {object|null} 原浏览器上下文（由调用方负责关闭）
+     */
+    detach() {
+        const browser = this.browser;
+        this.browser = null;
+        this.page = null;
+        this.browserClosed = false;
+        this.initialized = false;
+        return browser;
+    }
+
+    /**
+     * 获取初始化时打开的目标 URL
+     * @private
+     */
+    _getTargetUrl() {
+        const type = this.type === 'merge' ? this.mergeTypes[0] : this.type;
+        return registry.getTargetUrl(type, this.globalConfig, this.workerConfig) || 'about:blank';
     }
 
     /**
      * 导航到目标 URL
      * @private
+     * @returns {Promise<boolean>} 是否打开成功
      */
     async _navigateToTarget(targetUrl) {
         if (this.type === 'merge') {
@@ -177,12 +382,36 @@ export class Worker {
             if (!gotoSuccess) {
                 logger.warn('工作池', `[${this.name}] 所有适配器网站当前不可用，但 Worker 仍将初始化（请求时可能会失败）`);
             }
-        } else {
-            const gotoResult = await tryGotoWithCheck(this.page, targetUrl, { timeout: 60000 });
-            if (gotoResult.error) {
-                logger.warn('工作池', `[${this.name}] 目标网站当前不可用: ${gotoResult.error}，但 Worker 仍将初始化`);
-            }
+            return gotoSuccess;
+        }
+
+        const gotoResult = await tryGotoWithCheck(this.page, targetUrl, { timeout: 60000 });
+        if (gotoResult.error) {
+            logger.warn('工作池', `[${this.name}] 目标网站当前不可用: ${gotoResult.error}，但 Worker 仍将初始化`);
+        }
+        return !gotoResult.error;
+    }
+
+    /**
+     * 探测 Worker 是否可用：重新打开目标页面
+     * @description 合并后端依次尝试各适配器的页面，任一打开成功即视为可用
+     * @returns {Promise<{ok: boolean, error?: string}>}
+     */
+    async probe() {
+        if (!this.page || this.page.isClosed()) {
+            return { ok: false, error: '页面已关闭' };
+        }
+
+        const types = this.type === 'merge' ? this.mergeTypes : [this.type];
+        let lastError = null;
+        for (const type of types) {
+            const url = registry.getTargetUrl(type, this.globalConfig, this.workerConfig);
+            if (!url) continue;
+            const gotoResult = await tryGotoWithCheck(this.page, url, { timeout: 30000 });
+            if (!gotoResult.error) return { ok: true };
+            lastError = gotoResult.error;
         }
+        return lastError ? { ok: false, error: lastError } : { ok: true };
     }
 
     /**
@@ -234,6 +463,33 @@ export class Worker {
         return this.type;
     }
 
+    /**
+     * 获取执行指定模型前的限流状态
+     * @description 合并后端只要有一个适配器可用即视为可用；否则优先报告令牌不足（等待即可恢复）
+     * @param {string} modelId - 模型 ID
+     * @returns {import('./rateLimiter.js').Throttle|null} 可以立即执行时返回 null
+     */
+    getThrottle(modelId) {
+        if (!this.rateLimiter) return null;
+        const throttles = this._getAdapterTargets(modelId)
+            .map(c => this.rateLimiter.check(this.name, c.type, c.modelId));
+        if (throttles.length === 0 || throttles.includes(null)) return null;
+
+        const throttled = throttles.filter(t => t.reason === 'throttle');
+        return (throttled.length > 0 ? throttled : throttles).reduce((a, b) => (a.wait <= b.wait ? a : b));
+    }
+
+    /**
+     * 获取可执行指定模型的适配器与实际模型 ID
+     * @private
+     * @returns {{type: string, modelId: string}[]}
+     */
+    _getAdapterTargets(modelKey) {
+        if (this.type === 'merge') return this._getCandidateTypes(modelKey);
+        const modelId = modelKey.includes('/') ? modelKey.split('/', 2)[1] : modelKey;
+        return [{ type: this.type, modelId }];
+    }
+
     /**
      * 生成图片
      */
@@ -241,6 +497,15 @@ export class Worker {
         const failoverConfig = this.globalConfig.backend?.pool?.failover || {};
         const failoverEnabled = failoverConfig.enabled !== false;
 
+        // 续接会话时固定使用上一轮的适配器
+        if (ctx?.session?.url) {
+            if (!this.supports(modelId)) {
+                return { error: `Worker [${this.name}] 不支持模型: ${modelId}` };
+            }
+            const actualModelId = modelId.includes('/') ? modelId.split('/', 2)[1] : modelId;
+            return this._executeAdapter(ctx, ctx.session.adapter, actualModelId, prompt, paths, meta);
+        }
+
         if (this.type === 'merge' && failoverEnabled) {
             return this._generateWithFailover(ctx, prompt, paths, modelId, meta, failoverConfig);
         }
@@ -270,12 +535,25 @@ export class Worker {
      */
     async _generateWithFailover(ctx, prompt, paths, modelId, meta, failoverConfig = {}) {
         const maxRetries = failoverConfig.maxRetries || 2;
-        const candidateTypes = this._getCandidateTypes(modelId);
+        let candidateTypes = this._getCandidateTypes(modelId);
+
+        // 包含文档时只使用支持文档上传的适配器
+        if (paths?.some(isDocumentPath)) {
+            candidateTypes = candidateTypes.filter(c => registry.supportsDocuments(c.type));
+        }
 
         if (candidateTypes.length === 0) {
             return { error: `Worker [${this.name}] 不支持模型: ${modelId}` };
         }
 
+        // 跳过限流中的适配器
+        if (this.rateLimiter) {
+            candidateTypes = candidateTypes.filter(c => !this.rateLimiter.check(this.name, c.type, c.modelId));
+            if (candidateTypes.length === 0) {
+                return { error: `Worker [${this.name}] 的适配器均在限流中`, code: ADAPTER_ERRORS.RATE_LIMITED, retryable: true };
+            }
+        }
+
         const maxAttempts = maxRetries === 0 ? candidateTypes.length : Math.min(maxRetries + 1, candidateTypes.length);
         let lastError = null;
 
@@ -283,13 +561,14 @@ export class Worker {
             const { type, modelId: actualModelId } = candidateTypes[i];
             const result = await this._executeAdapter(ctx, type, actualModelId, prompt, paths, meta);
 
-            if (!result.error) {
+            if (!result.error || result.code === ADAPTER_ERRORS.INVALID_STRUCTURED_OUTPUT || result.code === ADAPTER_ERRORS.REQUEST_ABORTED) {
                 return result;
             }
 
             lastError = result.error;
             if (i < maxAttempts - 1) {
                 logger.warn('工作池', `[${this.name}] ${type} 失败，尝试下一个适配器...`, { error: lastError, ...meta });
+                meta?.onProgress?.({ stage: 'failover', worker: this.name, adapter: type, error: lastError });
             }
         }
 
@@ -331,6 +610,12 @@ export class Worker {
             return { error: `适配器不存在: ${type}` };
         }
 
+        // 客户端已断开（如在队列或故障转移途中）时不再开始新的生成
+        const signal = meta?.signal;
+        if (signal?.aborted) {
+            return { error: '客户端已断开，任务已取消', code: ADAPTER_ERRORS.REQUEST_ABORTED, retryable: false };
+        }
+
         logger.info('工作池', `[${this.name}] 执行任务 -> ${type}/${modelId}`, meta);
 
         const subContext = {
@@ -341,12 +626,141 @@ export class Worker {
             userDataDir: this.userDataDir
         };
 
+        // 未声明 mask 的模型没有独立的蒙版入口，将蒙版作为最后一张参考图上传并在提示词中说明
+        if (ctx?.maskPath && !registry.supportsMask(type, modelId)) {
+            paths = [...paths, ctx.maskPath];
+            prompt = `${prompt}\n\n(最后一张图片是蒙版：仅修改蒙版中白色区域对应的内容，黑色区域保持不变)`;
+        }
+
+        // 生成途中客户端断开：点击站点的「停止生成」，适配器的等待随 meta.signal 提前结束
+        const onAbort = () => this._stopGeneration(type, meta);
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        // 进度事件：页面操作工具在各阶段调用 page.taskProgress（见 engine/utils.js reportProgress），连续的相同阶段只发送一次；
+        // 部分适配器上传图片时也会等待接口响应，输入提示词之前的 generating 不发送
+        if (meta?.onProgress) {
+            let lastPhase = null;
+            let typed = false;
+            this.page.taskProgress = (phase) => {
+                if (phase === 'typing') typed = true;
+                if (phase === lastPhase || (phase === 'generating' && !typed)) return;
+                lastPhase = phase;
+                meta.onProgress({ stage: phase, worker: this.name });
+            };
+        }
+
+        // 适配器的等待在客户端断开或 abortTasks 时提前结束
+        const controller = new AbortController();
+        const forwardAbort = () => controller.abort(signal.reason);
+        signal?.addEventListener('abort', forwardAbort, { once: true });
+        const taskMeta = { ...meta, signal: controller.signal };
+        const epoch = this.epoch;
+        this.runningTasks.add(controller);
+
         this.busyCount++;
         try {
             // 传递原始 modelId，由适配器自己解析
-            return await adapter.generate(subContext, prompt, paths, modelId, meta);
+            let result = await this._callAdapter(adapter, subContext, type, prompt, paths, modelId, taskMeta);
+
+            // 结构化输出：校验不通过时在本 Worker 上要求模型修正
+            if (ctx?.outputValidator && !result.error) {
+                result = await this._repairOutput(adapter, subContext, type, prompt, paths, modelId, taskMeta, result);
+            }
+
+            // 页面丢失被中断：返回可故障转移的错误
+            if (epoch !== this.epoch && !signal?.aborted) {
+                return { error: `[${this.name}] 页面已不可用，任务已中断`, code: ADAPTER_ERRORS.PAGE_CLOSED, retryable: true };
+            }
+
+            // 会话续接：记录本轮所在的网页会话地址，供下一轮固定分发
+            const sessionUrlPattern = registry.getSessionUrlPattern(type);
+            if (ctx?.session && sessionUrlPattern && !result.error) {
+                const url = this.page.url();
+                if (sessionUrlPattern.test(url)) {
+                    result.session = { workerName: this.name, adapter: type, url };
+                }
+            }
+            return result;
         } finally {
-            this.busyCount--;
+            signal?.removeEventListener('abort', onAbort);
+            signal?.removeEventListener('abort', forwardAbort);
+            if (meta?.onProgress) subContext.page.taskProgress = null;
+            this.runningTasks.delete(controller);
+            if (epoch === this.epoch) this._releaseBusy();
+        }
+    }
+
+    /**
+     * 调用适配器生成，发送前消耗令牌，并按结果更新冷却状态
+     * @private
+     */
+    async _callAdapter(adapter, subContext, type, prompt, paths, modelId, meta) {
+        this.rateLimiter?.acquire(this.name, type, modelId);
+        const result = await adapter.generate(subContext, prompt, paths, modelId, meta);
+        this.rateLimiter?.report(this.name, type, result, meta);
+        return result;
+    }
+
+    /**
+     * 中止站点上正在进行的生成
+     * @description 仅对声明了 stopSelector 的适配器生效，按钮不可见（生成已结束或尚未开始）时跳过
+     * @private
+     */
+    async _stopGeneration(type, meta) {
+        const selector = registry.getStopSelector(type);
+        if (!selector || !this.page || this.page.isClosed()) return;
+
+        try {
+            const button = this.page.locator(selector).first();
+            if (await button.isVisible()) {
+                await button.click({ timeout: 3000 });
+                logger.info('工作池', `[${this.name}] 客户端已断开，已停止站点上的生成`, meta);
+            }
+        } catch (e) {
+            logger.debug('工作池', `[${this.name}] 点击停止按钮失败: ${e.message}`, meta);
+        }
+    }
+
+    /**
+     * 校验并修正结构化输出
+     * @description 适配器支持会话续接时回到刚才的网页会话发送修正要求；
+     * 否则开启新会话，在原提示词后附上上一次的回复与错误原因
+     * @private
+     * @returns {Promise<object>} 通过校验的结果，或修正次数用尽后的错误结果
+     */
+    async _repairOutput(adapter, subContext, type, prompt, paths, modelId, meta, result) {
+        const validator = subContext.outputValidator;
+        const sessionUrlPattern = registry.getSessionUrlPattern(type);
+
+        for (let attempt = 0; ; attempt++) {
+            const checked = validator.validate(result);
+            if (checked.result) return checked.result;
+            if (attempt >= validator.maxRepairs) {
+                logger.warn('工作池', `[${this.name}] 输出仍不符合 response_format，放弃修正`, { error: checked.error, ...meta });
+                return validator.failure(checked.error);
+            }
+
+            // 修正同样是一次上游请求，与首次生成共用限速：令牌不足时等待，冷却中放弃修正
+            const throttle = this.rateLimiter?.check(this.name, type, modelId);
+            if (throttle?.reason === 'cooldown') {
+                logger.warn('工作池', `[${this.name}] ${type} 限流冷却中，放弃修正`, { error: checked.error, ...meta });
+                return validator.failure(checked.error);
+            }
+            if (throttle && !(await delayUnlessAborted(throttle.wait, meta?.signal))) {
+                return { error: '客户端已断开，任务已取消', code: ADAPTER_ERRORS.REQUEST_ABORTED, retryable: false };
+            }
+
+            logger.warn('工作池', `[${this.name}] 输出不符合 response_format，要求模型修正 (${attempt + 1}/${validator.maxRepairs})`, { error: checked.error, ...meta });
+            const repairPrompt = validator.buildRepairPrompt(checked.error);
+            const url = this.page.url();
+            if (sessionUrlPattern?.test(url)) {
+                const session = { workerName: this.name, adapter: type, url, prompt: repairPrompt, imagePaths: [] };
+                result = await this._callAdapter(adapter, { ...subContext, session }, type, repairPrompt, [], modelId, meta);
+            } else {
+                const previous = result.text || '';
+                result = await this._callAdapter(adapter, subContext, type, `${prompt}\n\n你上一次的回复：\n${previous}\n\n${repairPrompt}`, paths, modelId, meta);
+            }
+            if (result.error) return result;
         }
     }
 
@@ -405,6 +819,27 @@ export class Worker {
         }
     }
 
+    /**
+     * 检查是否支持为指定模型上传文档
+     */
+    supportsDocuments(modelKey) {
+        if (this.type === 'merge') {
+            return this._getCandidateTypes(modelKey).some(c => registry.supportsDocuments(c.type));
+        }
+        return registry.supportsDocuments(this.type);
+    }
+
+    /**
+     * 获取上传图片限制（合并后端适配器时取各适配器中最严格的限制）
+     */
+    getImageConstraints(modelKey) {
+        if (this.type === 'merge') {
+            const candidates = this._getCandidateTypes(modelKey);
+            return mergeImageConstraints(candidates.map(c => registry.getImageConstraints(c.type, c.modelId)));
+        }
+        return registry.getImageConstraints(this.type, modelKey);
+    }
+
     /**
      * 获取图片策略（宽松策略：只要有一个适配器支持 optional 就返回 optional）
      */
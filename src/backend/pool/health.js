@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Worker 健康状态模块
+ * @description 按 Worker 连续出现的错误码维护健康状态：
+ * - healthy：正常
+ * - degraded：最近有失败，仍参与调度，但排在健康的 Worker 之后
+ * - quarantined：连续失败达到 pool.health.quarantineAfter 次（或需要登录、页面崩溃）后隔离，不再参与调度，
+ *   由工作池定期重新打开目标页面探测，探测成功后恢复为 healthy
+ * - dead：连续探测失败 pool.health.maxProbes 次后不再自动探测，需通过 Admin API 手动探测恢复
+ *
+ * 页面或浏览器意外关闭、手动重启期间直接隔离，重建结果按探测结果记录
+ *
+ * 限流、内容拦截、客户端取消等与 Worker 状态无关的错误不计入连续失败
+ */
+
+import { logger } from '../../utils/logger.js';
+import { ADAPTER_ERRORS } from '../../utils/constants.js';
+import { normalizeError } from '../utils/error.js';
+
+/**
+ * 健康状态枚举
+ * @readonly
+ */
+export const HEALTH_STATES = {
+    HEALTHY: 'healthy',
+    DEGRADED: 'degraded',
+    QUARANTINED: 'quarantined',
+    DEAD: 'dead',
+};
+
+// 与 Worker 状态无关的错误（限流由 rateLimiter.js 处理）
+const NEUTRAL_CODES = new Set([
+    ADAPTER_ERRORS.RATE_LIMITED,
+    ADAPTER_ERRORS.CAPTCHA_REQUIRED,
+    ADAPTER_ERRORS.CONTENT_BLOCKED,
+    ADAPTER_ERRORS.INVALID_STRUCTURED_OUTPUT,
+    ADAPTER_ERRORS.REQUEST_ABORTED,
+]);
+
+// 出现一次即隔离的错误
+const SEVERE_CODES = new Set([
+    ADAPTER_ERRORS.AUTH_REQUIRED,
+    ADAPTER_ERRORS.PAGE_CRASHED,
+]);
+
+// 保留的状态变更记录数
+const MAX_TRANSITIONS = 100;
+
+/**
+ * @typedef {object} HealthTransition
+ * @property {string} worker - Worker 名称
+ * @property {string} from - 原状态
+ * @property {string} to - 新状态
+ * @property {string} reason - 原因（错误码或探测结果）
+ * @property {number} at - 时间（毫秒）
+ */
+
+/**
+ * 创建健康状态监控
+ * @param {object} [options={}] - 选项（pool.health）
+ * @param {number} [options.quarantineAfter=3] - 连续失败多少次后隔离
+ * @param {number} [options.maxProbes=5] - 连续探测失败多少次后判定为 dead
+ * @returns {object} 健康状态监控
+ */
+export function createHealthMonitor(options = {}) {
+    let quarantineAfter, maxProbes;
+    update(options);
+
+    /** @type {Map<string, {state: string, failures: number, probeFailures: number, lastError: string|null, since: number}>} */
+    const workers = new Map();
+
+    /** @type {HealthTransition[]} */
+    const transitions = [];
+
+    /**
+     * 更新阈值（热加载配置），已有的健康状态保持不变
+     * @param {object} [options={}] - 选项（pool.health）
+     */
+    function update(options = {}) {
+        quarantineAfter = options.quarantineAfter ?? 3;
+        maxProbes = options.maxProbes ?? 5;
+    }
+
+    /**
+     * 获取 Worker 的健康记录
+     * @param {string} name - Worker 名称
+     */
+    function entry(name) {
+        if (!workers.has(name)) {
+            workers.set(name, { state: HEALTH_STATES.HEALTHY, failures: 0, probeFailures: 0, lastError: null, since: Date.now() });
+        }
+        return workers.get(name);
+    }
+
+    /**
+     * 切换状态并记录
+     */
+    function transition(name, to, reason) {
+        const record = entry(name);
+        if (record.state === to) return;
+
+        const change = { worker: name, from: record.state, to, reason, at: Date.now() };
+        transitions.push(change);
+        if (transitions.length > MAX_TRANSITIONS) transitions.shift();
+        record.state = to;
+        record.since = change.at;
+
+        const level = to === HEALTH_STATES.HEALTHY ? 'info' : 'warn';
+        logger[level]('工作池', `[${name}] 健康状态: ${change.from} -> ${to}`, { reason });
+    }
+
+    /**
+     * 记录一次生成结果
+     * @param {string} name - Worker 名称
+     * @param {object} result - Worker 返回的结果
+     */
+    function record(name, result) {
+        const health = entry(name);
+        if (!result?.error) {
+            health.failures = 0;
+            health.lastError = null;
+            if (health.state === HEALTH_STATES.DEGRADED) transition(name, HEALTH_STATES.HEALTHY, 'success');
+            return;
+        }
+
+        const code = result.code || normalizeError(result.error).code;
+        if (NEUTRAL_CODES.has(code)) return;
+        // 隔离期间仍可能有转移前已开始的任务结束，不影响状态
+        if (health.state === HEALTH_STATES.QUARANTINED || health.state === HEALTH_STATES.DEAD) return;
+
+        health.failures++;
+        health.lastError = result.error;
+        if (SEVERE_CODES.has(code) || health.failures >= quarantineAfter) {
+            health.probeFailures = 0;
+            transition(name, HEALTH_STATES.QUARANTINED, code);
+        } else {
+            transition(name, HEALTH_STATES.DEGRADED, code);
+        }
+    }
+
+    /**
+     * 记录一次探测结果
+     * @param {string} name - Worker 名称
+     * @param {{ok: boolean, error?: string}} result - 探测结果
+     */
+    function recordProbe(name, result) {
+        const health = entry(name);
+        if (result.ok) {
+            health.failures = 0;
+            health.probeFailures = 0;
+            health.lastError = null;
+            transition(name, HEALTH_STATES.HEALTHY, 'probe_ok');
+            return;
+        }
+
+        health.probeFailures++;
+        health.lastError = result.error;
+        if (health.state === HEALTH_STATES.HEALTHY || health.state === HEALTH_STATES.DEGRADED) {
+            // 手动探测发现问题
+            transition(name, HEALTH_STATES.QUARANTINED, 'probe_failed');
+        } else if (health.probeFailures >= maxProbes) {
+            transition(name, HEALTH_STATES.DEAD, 'probe_failed');
+        } else {
+            logger.warn('工作池', `[${name}] 探测失败 (${health.probeFailures}/${maxProbes})`, { error: result.error });
+        }
+    }
+
+    /**
+     * 直接隔离 Worker（页面丢失或正在重启）
+     * @param {string} name - Worker 名称
+     * @param {string} reason - 原因
+     */
+    function quarantine(name, reason) {
+        const health = entry(name);
+        if (health.state === HEALTH_STATES.DEAD || health.state === HEALTH_STATES.QUARANTINED) return;
+        health.probeFailures = 0;
+        transition(name, HEALTH_STATES.QUARANTINED, reason);
+    }
+
+    /**
+     * 清除 Worker 的健康记录（Worker 已从配置中移除）
+     * @param {string} name - Worker 名称
+     */
+    function remove(name) {
+        workers.delete(name);
+    }
+
+    /**
+     * 检查 Worker 是否参与调度
+     * @param {string} name - Worker 名称
+     * @returns {boolean}
+     */
+    function isAvailable(name) {
+        const state = entry(name).state;
+        return state === HEALTH_STATES.HEALTHY || state === HEALTH_STATES.DEGRADED;
+    }
+
+    /**
+     * 获取 Worker 的健康状态
+     * @param {string} name - Worker 名称
+     * @returns {{state: string, failures: number, lastError: string|null, since: number}}
+     */
+    function getState(name) {
+        const { state, failures, lastError, since } = entry(name);
+        return { state, failures, lastError, since };
+    }
+
+    /**
+     * 获取最近的状态变更记录（新的在前）
+     * @returns {HealthTransition[]}
+     */
+    function getTransitions() {
+        return [...transitions].reverse();
+    }
+
+    return {
+        update,
+        record,
+        recordProbe,
+        quarantine,
+        remove,
+        isAvailable,
+        getState,
+        getTransitions
+    };
+}
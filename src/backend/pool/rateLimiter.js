@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Worker 限流模块
+ * @description 控制发往各 Worker 的请求速率，并在上游限流后暂停使用对应的适配器：
+ * - 令牌桶：Worker 级 (instances[].workers[].rateLimit)、适配器级 (adapter.<id>.rateLimit)
+ *   与模型级 (adapter.<id>.rateLimit.models.<modelId>) 限速，三级均在每个 Worker 上单独计算，须同时有令牌才能发送
+ * - 冷却：适配器返回 RATE_LIMITED (HTTP 429) 或 CAPTCHA_REQUIRED 后，该 Worker 上的此适配器在冷却期内不接收任务；
+ *   连续触发限流时冷却时长逐次翻倍（不超过 pool.cooldown.max），成功生成一次后恢复初始时长
+ */
+
+import { logger } from '../../utils/logger.js';
+import { ADAPTER_ERRORS } from '../../utils/constants.js';
+
+/**
+ * @typedef {object} RateLimitRule
+ * @property {number} rpm - 每分钟请求数
+ * @property {number} [burst=1] - 令牌桶容量（空闲后可连续发送的请求数）
+ */
+
+/**
+ * @typedef {object} Throttle
+ * @property {'cooldown'|'throttle'} reason - 冷却中 / 令牌不足
+ * @property {number} wait - 距离可用的毫秒数
+ */
+
+/**
+ * 创建限流器
+ * @param {object} config - 全局配置
+ * @returns {object} 限流器
+ */
+export function createRateLimiter(config) {
+    let adapterConfig, cooldownConfig, workerRules;
+    update(config);
+
+    /** @type {Map<string, {tokens: number, capacity: number, rpm: number, updatedAt: number}>} */
+    const buckets = new Map();
+
+    /** @type {Map<string, {until: number, reason: string, strikes: number}>} Worker|适配器 -> 冷却状态 */
+    const cooldowns = new Map();
+
+    /**
+     * 更新限速规则与冷却时长（热加载配置），保留已有的令牌与冷却状态
+     * @param {object} config - 全局配置
+     */
+    function update(config) {
+        adapterConfig = config.backend?.adapter || {};
+        cooldownConfig = config.backend?.pool?.cooldown || {};
+        workerRules = new Map((config.backend?.pool?.workers || []).map(w => [w.name, w.rateLimit]));
+    }
+
+    /**
+     * 获取请求需要满足的限速规则
+     * @returns {[string, RateLimitRule][]} [令牌桶键, 规则]
+     */
+    function rulesFor(workerName, type, modelId) {
+        const adapterRule = adapterConfig[type]?.rateLimit;
+        return [
+            [workerName, workerRules.get(workerName)],
+            [`${workerName}|${type}`, adapterRule],
+            [`${workerName}|${type}|${modelId}`, adapterRule?.models?.[modelId]]
+        ].filter(([, rule]) => rule?.rpm > 0);
+    }
+
+    /**
+     * 按经过的时间补充令牌
+     * @returns {{tokens: number, capacity: number, rpm: number, updatedAt: number}}
+     */
+    function refill(key, rule, now) {
+        const capacity = Math.max(1, rule.burst || 1);
+        const bucket = buckets.get(key) || { tokens: capacity, capacity, rpm: rule.rpm, updatedAt: now };
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * rule.rpm / 60000);
+        bucket.updatedAt = now;
+        buckets.set(key, bucket);
+        return bucket;
+    }
+
+    /**
+     * 检查 Worker 上的适配器能否立即发送请求
+     * @param {string} workerName - Worker 名称
+     * @param {string} type - 适配器类型
+     * @param {string} modelId - 模型 ID（不含适配器前缀）
+     * @returns {Throttle|null} 可以发送时返回 null
+     */
+    function check(workerName, type, modelId) {
+        const now = Date.now();
+        const cooldown = cooldowns.get(`${workerName}|${type}`);
+        if (cooldown && cooldown.until > now) {
+            return { reason: 'cooldown', wait: cooldown.until - now };
+        }
+
+        let wait = 0;
+        for (const [key, rule] of rulesFor(workerName, type, modelId)) {
+            const bucket = refill(key, rule, now);
+            if (bucket.tokens < 1) {
+                wait = Math.max(wait, Math.ceil((1 - bucket.tokens) * 60000 / rule.rpm));
+            }
+        }
+        return wait > 0 ? { reason: 'throttle', wait } : null;
+    }
+
+    /**
+     * 发送请求前消耗令牌
+     * @param {string} workerName - Worker 名称
+     * @param {string} type - 适配器类型
+     * @param {string} modelId - 模型 ID
+     */
+    function acquire(workerName, type, modelId) {
+        const now = Date.now();
+        for (const [key, rule] of rulesFor(workerName, type, modelId)) {
+            refill(key, rule, now).tokens -= 1;
+        }
+    }
+
+    /**
+     * 根据生成结果更新冷却状态
+     * @param {string} workerName - Worker 名称
+     * @param {string} type - 适配器类型
+     * @param {object} result - 适配器返回的结果
+     * @param {object} [meta] - 日志元数据
+     */
+    function report(workerName, type, result, meta) {
+        const key = `${workerName}|${type}`;
+        const captcha = result?.code === ADAPTER_ERRORS.CAPTCHA_REQUIRED;
+
+        if (!captcha && result?.code !== ADAPTER_ERRORS.RATE_LIMITED) {
+            if (!result?.error) cooldowns.delete(key);
+            return;
+        }
+
+        const base = captcha ? cooldownConfig.captcha : cooldownConfig.rateLimited;
+        if (!(base > 0)) return;
+
+        // 人机验证需要人工处理，不随次数延长
+        const strikes = captcha ? 1 : (cooldowns.get(key)?.strikes || 0) + 1;
+        const seconds = Math.min(base * 2 ** (strikes - 1), cooldownConfig.max || Infinity);
+        cooldowns.set(key, { until: Date.now() + seconds * 1000, reason: result.code, strikes });
+        logger.warn('工作池', `[${workerName}] ${type} ${captcha ? '触发人机验证' : '被上游限流'}，冷却 ${seconds} 秒`, meta);
+    }
+
+    /**
+     * 获取最近一次限流解除的等待时间（供队列定时重新调度）
+     * @returns {number|null} 毫秒；没有受限的 Worker 时返回 null
+     */
+    function nextReadyIn() {
+        const now = Date.now();
+        const waits = [];
+        for (const bucket of buckets.values()) {
+            const tokens = bucket.tokens + (now - bucket.updatedAt) * bucket.rpm / 60000;
+            if (tokens < 1) waits.push(Math.ceil((1 - tokens) * 60000 / bucket.rpm));
+        }
+        for (const cooldown of cooldowns.values()) {
+            if (cooldown.until > now) waits.push(cooldown.until - now);
+        }
+        return waits.length > 0 ? Math.min(...waits) : null;
+    }
+
+    /**
+     * 获取 Worker 上处于冷却期的适配器
+     * @param {string} workerName - Worker 名称
+     * @returns {{adapter: string, reason: string, remaining: number}[]} remaining 为剩余秒数
+     */
+    function getCooldowns(workerName) {
+        const now = Date.now();
+        const result = [];
+        for (const [key, cooldown] of cooldowns) {
+            const [name, adapter] = key.split('|');
+            if (name !== workerName || cooldown.until <= now) continue;
+            result.push({ adapter, reason: cooldown.reason, remaining: Math.ceil((cooldown.until - now) / 1000) });
+        }
+        return result;
+    }
+
+    return {
+        update,
+        check,
+        acquire,
+        report,
+        nextReadyIn,
+        getCooldowns
+    };
+}
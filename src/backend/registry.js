@@ -26,6 +26,21 @@ export const IMAGE_POLICY = {
     FORBIDDEN: 'forbidden'
 };
 
+/**
+ * 合并多组上传图片限制，每项取最严格（最小）的值
+ * @param {Array<{maxBytes?: number, maxDimension?: number}>} list - 限制列表
+ * @returns {{maxBytes?: number, maxDimension?: number}}
+ */
+export function mergeImageConstraints(list) {
+    const merged = {};
+    for (const c of list) {
+        for (const key of ['maxBytes', 'maxDimension']) {
+            if (c?.[key] && !(merged[key] <= c[key])) merged[key] = c[key];
+        }
+    }
+    return merged;
+}
+
 /**
  * 适配器注册表类
  */
@@ -138,9 +153,42 @@ class AdapterRegistry {
                 if (!m.imagePolicy || !Object.values(IMAGE_POLICY).includes(m.imagePolicy)) {
                     errors.push(`models[${i}] imagePolicy 无效`);
                 }
+                if (m.citations !== undefined && typeof m.citations !== 'boolean') {
+                    errors.push(`models[${i}] citations 必须为布尔值`);
+                }
+                if (m.mask !== undefined && typeof m.mask !== 'boolean') {
+                    errors.push(`models[${i}] mask 必须为布尔值`);
+                }
+                for (const key of ['maxImageBytes', 'maxImageDimension']) {
+                    if (m[key] !== undefined && !(Number.isInteger(m[key]) && m[key] > 0)) {
+                        errors.push(`models[${i}] ${key} 必须为正整数`);
+                    }
+                }
+            }
+        }
+
+        for (const key of ['maxImageBytes', 'maxImageDimension']) {
+            if (manifest[key] !== undefined && !(Number.isInteger(manifest[key]) && manifest[key] > 0)) {
+                errors.push(`${key} 必须为正整数`);
             }
         }
 
+        if (manifest.documentUpload !== undefined && typeof manifest.documentUpload !== 'boolean') {
+            errors.push('documentUpload 必须为布尔值');
+        }
+
+        if (manifest.streamTap !== undefined && typeof manifest.streamTap !== 'boolean') {
+            errors.push('streamTap 必须为布尔值');
+        }
+
+        if (manifest.sessionUrlPattern !== undefined && !(manifest.sessionUrlPattern instanceof RegExp)) {
+            errors.push('sessionUrlPattern 必须为正则表达式');
+        }
+
+        if (manifest.stopSelector !== undefined && (typeof manifest.stopSelector !== 'string' || !manifest.stopSelector)) {
+            errors.push('stopSelector 必须为非空字符串');
+        }
+
         if (errors.length > 0) {
             logger.error('注册表', `${fileName} manifest 校验失败: ${errors.join('; ')}`);
             return false;
@@ -215,6 +263,49 @@ class AdapterRegistry {
         return adapter.waitInput || null;
     }
 
+    /**
+     * 获取适配器的会话地址匹配规则
+     * @description 声明了 sessionUrlPattern 的适配器支持会话续接：
+     * 生成结束后页面地址匹配该规则时，下一轮可直接回到此地址继续对话
+     * @param {string} id - 适配器 ID
+     * @returns {RegExp|null}
+     */
+    getSessionUrlPattern(id) {
+        const adapter = this.getAdapter(id);
+        if (!adapter) return null;
+        return adapter.sessionUrlPattern || null;
+    }
+
+    /**
+     * 获取适配器的「停止生成」按钮选择器
+     * @description 客户端断开时 Worker 点击该按钮中止站点上正在进行的生成
+     * @param {string} id - 适配器 ID
+     * @returns {string|null}
+     */
+    getStopSelector(id) {
+        return this.getAdapter(id)?.stopSelector || null;
+    }
+
+    /**
+     * 检查适配器是否需要流式响应监听
+     * @description 声明了 streamTap 的适配器会在页面主世界包装 fetch（见 utils/stream.js），
+     * 其所在的浏览器需要以 main_world_eval 启动
+     * @param {string} id - 适配器 ID
+     * @returns {boolean}
+     */
+    usesStreamTap(id) {
+        return this.getAdapter(id)?.streamTap === true;
+    }
+
+    /**
+     * 检查适配器是否支持上传文档 (PDF / 文本文件)
+     * @param {string} id - 适配器 ID
+     * @returns {boolean}
+     */
+    supportsDocuments(id) {
+        return this.getAdapter(id)?.documentUpload === true;
+    }
+
     /**
      * 获取指定适配器的模型列表 (OpenAI 格式)
      * @param {string} id - 适配器 ID
@@ -234,7 +325,8 @@ class AdapterRegistry {
                 created: Math.floor(Date.now() / 1000),
                 owned_by: id,
                 image_policy: m.imagePolicy,
-                type: m.type || 'image'
+                type: m.type || 'image',
+                citations: m.citations === true
             }));
 
         return { object: 'list', data };
@@ -295,6 +387,36 @@ class AdapterRegistry {
         return model?.imagePolicy || IMAGE_POLICY.OPTIONAL;
     }
 
+    /**
+     * 获取模型的上传图片限制
+     * @description 模型级 maxImageBytes / maxImageDimension 优先，其次为适配器级声明；
+     * 均未声明时上传图片按原格式原尺寸保存
+     * @param {string} adapterId - 适配器 ID
+     * @param {string} modelKey - 模型 key
+     * @returns {{maxBytes?: number, maxDimension?: number}}
+     */
+    getImageConstraints(adapterId, modelKey) {
+        const adapter = this.getAdapter(adapterId);
+        if (!adapter) return {};
+
+        const model = adapter.models?.find(m => m.id === modelKey);
+        return {
+            maxBytes: model?.maxImageBytes ?? adapter.maxImageBytes,
+            maxDimension: model?.maxImageDimension ?? adapter.maxImageDimension
+        };
+    }
+
+    /**
+     * 检查模型是否接收独立的蒙版图片 (context.maskPath)
+     * @param {string} adapterId - 适配器 ID
+     * @param {string} modelKey - 模型 key
+     * @returns {boolean}
+     */
+    supportsMask(adapterId, modelKey) {
+        const model = this.getAdapter(adapterId)?.models?.find(m => m.id === modelKey);
+        return model?.mask === true;
+    }
+
     /**
      * 获取模型的类型
      * @param {string} adapterId - 适配器 ID
@@ -327,7 +449,8 @@ class AdapterRegistry {
                         created: Math.floor(Date.now() / 1000),
                         owned_by: id,
                         image_policy: m.imagePolicy,
-                        type: m.type || 'image'
+                        type: m.type || 'image',
+                        citations: m.citations === true
                     });
                 }
             }
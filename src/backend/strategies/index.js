@@ -34,29 +34,56 @@ export const STRATEGIES = {
 export function createStrategySelector(strategy) {
     let roundRobinIndex = 0;
 
+    /**
+     * 按策略排列候选列表（不推进轮询位置）
+     * @param {object[]} candidates - 候选列表（需有 busyCount 属性）
+     * @returns {object[]}
+     */
+    function order(candidates) {
+        if (candidates.length <= 1) return candidates;
+
+        switch (strategy) {
+            case STRATEGIES.ROUND_ROBIN: {
+                const start = roundRobinIndex % candidates.length;
+                return [...candidates.slice(start), ...candidates.slice(0, start)];
+            }
+            case STRATEGIES.RANDOM: {
+                return [...candidates].sort(() => Math.random() - 0.5);
+            }
+            case STRATEGIES.LEAST_BUSY:
+            default: {
+                return [...candidates].sort((a, b) => (a.busyCount || 0) - (b.busyCount || 0));
+            }
+        }
+    }
+
     return {
         /**
-         * 根据策略排序候选列表
+         * 根据策略排序候选列表（直接分发任务时调用，轮询策略会推进到下一个位置）
          * @param {object[]} candidates - 候选列表（需有 busyCount 属性）
          * @returns {object[]} 排序后的候选列表
          */
         sort(candidates) {
-            if (candidates.length <= 1) return candidates;
+            const sorted = order(candidates);
+            this.advance();
+            return sorted;
+        },
 
-            switch (strategy) {
-                case STRATEGIES.ROUND_ROBIN: {
-                    const start = roundRobinIndex % candidates.length;
-                    roundRobinIndex++;
-                    return [...candidates.slice(start), ...candidates.slice(0, start)];
-                }
-                case STRATEGIES.RANDOM: {
-                    return [...candidates].sort(() => Math.random() - 0.5);
-                }
-                case STRATEGIES.LEAST_BUSY:
-                default: {
-                    return [...candidates].sort((a, b) => (a.busyCount || 0) - (b.busyCount || 0));
-                }
-            }
+        /**
+         * 按策略排序候选列表，但不推进轮询位置（队列调度时检查空闲 Worker 用）
+         * @param {object[]} candidates - 候选列表（需有 busyCount 属性）
+         * @returns {object[]} 排序后的候选列表
+         */
+        peek(candidates) {
+            return order(candidates);
+        },
+
+        /**
+         * 推进轮询位置（队列实际占用 Worker 后按占用数调用）
+         * @param {number} [count=1] - 推进的位置数
+         */
+        advance(count = 1) {
+            if (strategy === STRATEGIES.ROUND_ROBIN) roundRobinIndex += count;
         },
 
         /**
@@ -66,7 +93,6 @@ export function createStrategySelector(strategy) {
          */
         select(candidates) {
             if (candidates.length === 0) return null;
-            if (candidates.length === 1) return candidates[0];
             return this.sort(candidates)[0];
         }
     };
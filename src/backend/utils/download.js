@@ -3,6 +3,8 @@
  * @description 图片下载与 Base64 转换
  */
 
+import { reportProgress } from '../engine/utils.js';
+
 /**
  * 使用页面上下文下载图片并转换为 Base64
  * 自动继承页面的 Cookie 和 Session，解决鉴权问题
@@ -14,6 +16,7 @@
  */
 export async function useContextDownload(url, page, options = {}) {
     const { timeout = 60000 } = options;
+    reportProgress(page, 'downloading');
 
     try {
         const response = await page.request.get(url, { timeout });
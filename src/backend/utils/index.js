@@ -8,7 +8,8 @@
  *   - waitForInput: 等待输入框出现（自动等待认证完成）
  *   - gotoWithCheck: 导航到 URL 并检测 HTTP 错误
  *   - moveMouseAway: 任务完成后移开鼠标
- *   - waitApiResponse: 等待 API 响应（带页面关闭监听）
+ *   - waitApiResponse: 等待 API 响应（带页面关闭与任务取消监听）
+ *   - abortable: 任务取消时提前结束任意等待
  * 
  * - 错误处理 (error.js):
  *   - isRetryableError: 判断错误是否可重试
@@ -18,6 +19,9 @@
  * 
  * - 资源下载 (download.js):
  *   - useContextDownload: 使用页面上下文下载图片并转换为 Base64
+ * 
+ * - 流式监听 (stream.js):
+ *   - tapStreamResponse: 旁路读取页面请求的响应流，用于增量输出
  */
 
 // 页面交互
@@ -31,6 +35,7 @@ export {
     tryGotoWithCheck,
     moveMouseAway,
     waitApiResponse,
+    abortable,
     scrollToElement,
 } from './page.js';
 
@@ -44,3 +49,6 @@ export {
 
 // 资源下载
 export { useContextDownload } from './download.js';
+
+// 流式监听
+export { tapStreamResponse } from './stream.js';
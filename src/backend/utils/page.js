@@ -3,7 +3,7 @@
  * @description 页面认证锁、输入框等待、表单提交等页面级操作
  */
 
-import { sleep, safeClick, isPageValid, createPageCloseWatcher, getRealViewport, clamp, random } from '../engine/utils.js';
+import { sleep, safeClick, isPageValid, createPageCloseWatcher, createAbortWatcher, getRealViewport, clamp, random, reportProgress } from '../engine/utils.js';
 
 // ==========================================
 // 页面认证锁
@@ -198,7 +198,25 @@ export async function scrollToElement(page, selectorOrLocator, options = {}) {
 
 
 /**
- * 等待 API 响应 (带页面关闭监听和错误关键词检测)
+ * 等待 Promise，任务被取消时提前以 REQUEST_ABORTED 拒绝
+ * @description 供直接使用 page.waitForResponse 或自定义响应监听的适配器使用，
+ * 客户端断开后不再等待生成结果，使 Worker 立即空闲
+ * @template T
+ * @param {Promise<T>} promise - 原始等待
+ * @param {object} [meta] - 任务元数据 (meta.signal 为任务取消信号)
+ * @returns {Promise<T>}
+ */
+export async function abortable(promise, meta) {
+    const abortWatcher = createAbortWatcher(meta?.signal);
+    try {
+        return await Promise.race([promise, abortWatcher.promise]);
+    } finally {
+        abortWatcher.cleanup();
+    }
+}
+
+/**
+ * 等待 API 响应 (带页面关闭监听、请求取消监听和错误关键词检测)
  * @param {import('playwright-core').Page} page - Playwright 页面对象
  * @param {object} options - 等待选项
  * @param {string} options.urlMatch - URL 匹配字符串
@@ -206,16 +224,23 @@ export async function scrollToElement(page, selectorOrLocator, options = {}) {
  * @param {string} [options.method='POST'] - HTTP 方法
  * @param {number} [options.timeout=120000] - 超时时间（毫秒）
  * @param {string|string[]} [options.errorText] - 错误关键词，页面 UI 或 API 响应体中出现时立即停止并返回错误
+ * @param {object} [options.meta] - 任务元数据，meta.signal 为任务取消信号，触发时抛出 REQUEST_ABORTED
  * @returns {Promise<import('playwright-core').Response>} 响应对象
  */
 export async function waitApiResponse(page, options = {}) {
-    const { urlMatch, urlContains, method = 'POST', timeout = 120000, errorText } = options;
+    const { urlMatch, urlContains, method = 'POST', timeout = 120000, errorText, meta } = options;
+    const signal = meta?.signal;
 
     if (!isPageValid(page)) {
         throw new Error('PAGE_INVALID');
     }
+    if (signal?.aborted) {
+        throw new Error('REQUEST_ABORTED');
+    }
+    reportProgress(page, 'generating');
 
     const pageWatcher = createPageCloseWatcher(page);
+    const abortWatcher = createAbortWatcher(signal);
     const patterns = errorText ? (Array.isArray(errorText) ? errorText : [errorText]) : [];
 
     // 页面 UI 错误关键词检测
@@ -256,7 +281,7 @@ export async function waitApiResponse(page, options = {}) {
             { timeout }
         );
 
-        const promises = [responsePromise, pageWatcher.promise];
+        const promises = [responsePromise, pageWatcher.promise, abortWatcher.promise];
         if (uiErrorPromise) promises.push(uiErrorPromise);
 
         const response = await Promise.race(promises);
@@ -296,5 +321,6 @@ export async function waitApiResponse(page, options = {}) {
         throw e;
     } finally {
         pageWatcher.cleanup();
+        abortWatcher.cleanup();
     }
 }
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview 流式响应旁路监听
+ * @description 在页面主世界中包装 fetch，将匹配请求的响应体 tee 一份逐块回传给 Node 侧，
+ * 用于在站点仍在输出时就拿到增量内容（Playwright 的 response.text() 需要等待响应结束）。
+ *
+ * 注意：
+ * - 注入脚本需要 Camoufox 开启 main_world_eval，仅使用声明了 streamTap 的适配器的浏览器会开启
+ *   （可通过 browser.streamTap 关闭）；未开启时直接跳过，生成结束后一次性输出
+ * - 包装后的 window.fetch 可以被页面检测到（例如检查函数源码）
+ * - 页面发生完整导航后注入会失效，适配器应在 gotoWithCheck 之后、发送提示词之前调用
+ * - 监听失败不影响原有流程，调用方仍应以完整响应体的解析结果为准
+ */
+
+import { logger } from '../../utils/logger.js';
+import { isPageValid, reportProgress } from '../engine/utils.js';
+import { isMainWorldEnabled } from '../engine/launcher.js';
+
+const BINDING_NAME = '__webaiStreamChunk';
+
+/** @type {WeakMap<import('playwright-core').Page, Map<string, Function>>} */
+const pageHandlers = new WeakMap();
+
+let tapSeq = 0;
+
+/**
+ * 页面内执行的安装脚本（序列化后注入主世界）
+ * @param {{id: string, urlMatch: string, method: string, binding: string}} args
+ */
+function installFetchTap(args) {
+    const w = window;
+    if (!w.__webaiStreamTaps) {
+        w.__webaiStreamTaps = {};
+        const originalFetch = w.fetch;
+        w.fetch = async function (...fetchArgs) {
+            const response = await originalFetch.apply(this, fetchArgs);
+            try {
+                const input = fetchArgs[0];
+                const url = typeof input === 'string' ? input : (input?.url || String(input));
+                const method = String(fetchArgs[1]?.method || input?.method || 'GET').toUpperCase();
+                const tapId = Object.keys(w.__webaiStreamTaps).find(id => {
+                    const tap = w.__webaiStreamTaps[id];
+                    return url.includes(tap.urlMatch) && method === tap.method;
+                });
+                if (!tapId || !response.body) return response;
+
+                const [pageStream, tapStream] = response.body.tee();
+                (async () => {
+                    const reader = tapStream.getReader();
+                    const decoder = new TextDecoder();
+                    try {
+                        while (true) {
+                            const { value, done } = await reader.read();
+                            if (done) break;
+                            w[args.binding](tapId, decoder.decode(value, { stream: true }), false);
+                        }
+                    } catch (e) { /* ignore */ }
+                    w[args.binding](tapId, '', true);
+                })();
+
+                const wrapped = new Response(pageStream, {
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: response.headers
+                });
+                Object.defineProperty(wrapped, 'url', { value: response.url });
+                return wrapped;
+            } catch (e) {
+                return response;
+            }
+        };
+    }
+    w.__webaiStreamTaps[args.id] = { urlMatch: args.urlMatch, method: args.method };
+}
+
+/**
+ * 确保页面已暴露回传通道
+ * @param {import('playwright-core').Page} page - 页面对象
+ * @returns {Promise<Map<string, Function>>} tapId -> 处理函数
+ */
+async function ensureBinding(page) {
+    let handlers = pageHandlers.get(page);
+    if (handlers) return handlers;
+
+    handlers = new Map();
+    pageHandlers.set(page, handlers);
+    try {
+        await page.exposeBinding(BINDING_NAME, (source, id, chunk, done) => {
+            const handler = handlers.get(id);
+            if (handler) handler(chunk, done);
+        });
+    } catch (e) {
+        pageHandlers.delete(page);
+        throw e;
+    }
+    return handlers;
+}
+
+/**
+ * 监听匹配请求的响应流，按行回调（直到调用 stop）
+ * @param {import('playwright-core').Page} page - 页面对象
+ * @param {object} options - 监听选项
+ * @param {string} options.urlMatch - URL 匹配字符串
+ * @param {string} [options.method='POST'] - HTTP 方法
+ * @param {(line: string) => void} options.onLine - 每解析出一整行时回调
+ * @param {object} [options.meta={}] - 日志元数据
+ * @returns {Promise<{stop: Function}>} 调用 stop() 停止接收
+ */
+export async function tapStreamResponse(page, options) {
+    const { urlMatch, method = 'POST', onLine, meta = {} } = options;
+    const noop = { stop: () => { } };
+
+    if (!isPageValid(page) || typeof onLine !== 'function') return noop;
+    reportProgress(page, 'generating');
+    if (!isMainWorldEnabled(page.context())) {
+        logger.debug('适配器', '浏览器未开启流式响应监听，将在生成结束后一次性输出', meta);
+        return noop;
+    }
+
+    const id = `tap_${Date.now()}_${++tapSeq}`;
+    let buffer = '';
+    const flushLine = (line) => {
+        try { onLine(line.replace(/\r$/, '')); } catch (e) { /* ignore */ }
+    };
+    const handleChunk = (chunk, done) => {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) flushLine(line);
+        if (done && buffer) {
+            flushLine(buffer);
+            buffer = '';
+        }
+    };
+
+    let handlers;
+    try {
+        handlers = await ensureBinding(page);
+        handlers.set(id, handleChunk);
+        const script = `mw:(${installFetchTap.toString()})(${JSON.stringify({
+            id, urlMatch, method: method.toUpperCase(), binding: BINDING_NAME
+        })})`;
+        await page.evaluate(script);
+    } catch (e) {
+        handlers?.delete(id);
+        logger.debug('适配器', `流式监听注入失败，将在生成结束后一次性输出: ${e.message}`, meta);
+        return noop;
+    }
+
+    return {
+        stop: () => {
+            handlers.delete(id);
+            page.evaluate(`mw:(() => { if (window.__webaiStreamTaps) delete window.__webaiStreamTaps[${JSON.stringify(id)}]; })()`)
+                .catch(() => { });
+        }
+    };
+}
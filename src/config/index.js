@@ -19,7 +19,7 @@ const DATA_CONFIG_PATH = path.join(DATA_DIR, 'config.yaml');
 const ROOT_CONFIG_PATH = path.join(process.cwd(), 'config.yaml');
 const EXAMPLE_CONFIG_PATH = path.join(process.cwd(), 'config.example.yaml');
 
-// 模块级缓存：确保配置只从磁盘读取一次
+// 模块级缓存：启动时从磁盘读取一次，热加载时只替换其中的 backend (见 applyReloadedConfig)
 let cachedConfig = null;
 // 实际使用的配置文件路径
 let activeConfigPath = null;
@@ -145,6 +145,25 @@ function validateWorker(worker, instanceName, index) {
     }
 }
 
+/**
+ * 校验限速规则
+ * @param {object} rule - 限速规则 {rpm, burst}
+ * @param {string} label - 配置路径（用于日志）
+ * @returns {object|undefined} 无效时返回 undefined（不限速）
+ */
+function normalizeRateLimit(rule, label) {
+    if (rule === undefined || rule === null) return undefined;
+    if (typeof rule !== 'object' || typeof rule.rpm !== 'number' || !(rule.rpm > 0)) {
+        logger.warn('配置器', `无效的 ${label}: rpm 必须是正数，已忽略该限速`);
+        return undefined;
+    }
+    if (rule.burst !== undefined && !(Number.isInteger(rule.burst) && rule.burst >= 1)) {
+        logger.warn('配置器', `无效的 ${label}.burst: ${rule.burst}，使用默认值 1`);
+        rule.burst = 1;
+    }
+    return rule;
+}
+
 /**
  * 展开 instances 配置为扁平化的 workers 数组
  * @param {object[]} instances - instances 配置数组
@@ -180,6 +199,7 @@ function flattenInstancesToWorkers(instances, globalProxy) {
                 type: worker.type,
                 mergeTypes: worker.mergeTypes || [],
                 mergeMonitor: worker.mergeMonitor || null,
+                rateLimit: normalizeRateLimit(worker.rateLimit, `workers[${worker.name}].rateLimit`),
 
                 // 从 Instance 继承的属性
                 instanceName: instance.name,
@@ -201,6 +221,15 @@ export function loadConfig() {
     // 如果已有缓存，直接返回
     if (cachedConfig) return cachedConfig;
 
+    cachedConfig = readConfig();
+    return cachedConfig;
+}
+
+/**
+ * 从磁盘读取并校验配置（不使用缓存，热加载时用于预先校验新配置）
+ * @returns {object} 新的配置对象
+ */
+export function readConfig() {
     // 解析配置文件路径（带优先级和自动复制逻辑）
     const configPath = getConfigPath();
 
@@ -238,6 +267,35 @@ export function loadConfig() {
         throw new Error('server.auth 必须是至少 10 个字符的字符串 (建议使用 npm run genkey 生成)');
     }
 
+    // 附加 API Key 校验（优先级与公平调度）
+    if (!config.server.apiKeys) config.server.apiKeys = [];
+    if (!Array.isArray(config.server.apiKeys)) {
+        throw new Error('server.apiKeys 必须是数组');
+    }
+    const apiKeyNames = new Set();
+    for (const entry of config.server.apiKeys) {
+        if (!entry?.name || typeof entry.name !== 'string') {
+            throw new Error('server.apiKeys 中的每一项都必须设置 name');
+        }
+        if (entry.name === 'default' || apiKeyNames.has(entry.name)) {
+            throw new Error(`server.apiKeys 名称重复或使用了保留名称 default: ${entry.name}`);
+        }
+        apiKeyNames.add(entry.name);
+        if (typeof entry.key !== 'string' || entry.key.length < 10 || entry.key === config.server.auth) {
+            throw new Error(`server.apiKeys[${entry.name}].key 必须是至少 10 个字符的字符串，且不能与 server.auth 相同`);
+        }
+        if (entry.priority === undefined) entry.priority = 'normal';
+        if (!['high', 'normal', 'low'].includes(entry.priority)) {
+            logger.warn('配置器', `无效的 apiKeys[${entry.name}].priority: ${entry.priority}，使用默认值 normal`);
+            entry.priority = 'normal';
+        }
+        if (entry.weight === undefined) entry.weight = 1;
+        if (typeof entry.weight !== 'number' || !(entry.weight > 0)) {
+            logger.warn('配置器', `无效的 apiKeys[${entry.name}].weight: ${entry.weight}，使用默认值 1`);
+            entry.weight = 1;
+        }
+    }
+
     // 设置 keepalive 配置默认值
     if (!config.server.keepalive) {
         config.server.keepalive = { mode: 'comment' };
@@ -249,6 +307,18 @@ export function loadConfig() {
         }
     }
 
+    // 设置媒体存储配置默认值
+    if (!config.server.media) config.server.media = {};
+    if (!['url', 'b64'].includes(config.server.media.responseFormat)) {
+        if (config.server.media.responseFormat !== undefined) {
+            logger.warn('配置器', `无效的 media.responseFormat: ${config.server.media.responseFormat}，使用默认值 b64`);
+        }
+        config.server.media.responseFormat = 'b64';
+    }
+    if (config.server.media.ttl === undefined) config.server.media.ttl = 86400;
+    if (config.server.media.publicUrl === undefined) config.server.media.publicUrl = '';
+    if (config.server.media.trustProxy === undefined) config.server.media.trustProxy = false;
+
     // 设置 Pool 配置默认值
     if (!config.backend) config.backend = {};
     if (!config.backend.pool) config.backend.pool = {};
@@ -272,6 +342,46 @@ export function loadConfig() {
         config.backend.pool.failover.maxRetries = 2;
     }
 
+    // 会话续接配置默认值
+    if (!config.backend.pool.session) {
+        config.backend.pool.session = {};
+    }
+    if (config.backend.pool.session.enabled === undefined) {
+        config.backend.pool.session.enabled = false;
+    }
+    if (config.backend.pool.session.ttl === undefined) {
+        config.backend.pool.session.ttl = 3600;
+    }
+
+    // 限流冷却配置默认值（秒，0 表示不冷却）
+    if (!config.backend.pool.cooldown) {
+        config.backend.pool.cooldown = {};
+    }
+    for (const [key, value] of Object.entries({ rateLimited: 60, captcha: 300, max: 900 })) {
+        const current = config.backend.pool.cooldown[key];
+        if (current === undefined) {
+            config.backend.pool.cooldown[key] = value;
+        } else if (typeof current !== 'number' || current < 0) {
+            logger.warn('配置器', `无效的 pool.cooldown.${key}: ${current}，使用默认值 ${value}`);
+            config.backend.pool.cooldown[key] = value;
+        }
+    }
+
+    // 健康检查配置默认值（probeInterval 单位为秒，0 表示不自动探测）
+    if (!config.backend.pool.health) {
+        config.backend.pool.health = {};
+    }
+    for (const [key, value] of Object.entries({ quarantineAfter: 3, probeInterval: 60, maxProbes: 5 })) {
+        const current = config.backend.pool.health[key];
+        const min = key === 'probeInterval' ? 0 : 1;
+        if (current === undefined) {
+            config.backend.pool.health[key] = value;
+        } else if (!Number.isInteger(current) || current < min) {
+            logger.warn('配置器', `无效的 pool.health.${key}: ${current}，使用默认值 ${value}`);
+            config.backend.pool.health[key] = value;
+        }
+    }
+
     // 校验 instances 配置
     if (!config.backend.pool.instances || !Array.isArray(config.backend.pool.instances)) {
         throw new Error('配置文件缺少必需字段: backend.pool.instances');
@@ -290,11 +400,18 @@ export function loadConfig() {
     if (!config.queue) {
         config.queue = {
             queueBuffer: 2,
-            imageLimit: 5
+            imageLimit: 5,
+            jobRetention: 24,
+            webhookAllowHosts: []
         };
     } else {
         if (config.queue.queueBuffer === undefined) config.queue.queueBuffer = 2;
         if (config.queue.imageLimit === undefined) config.queue.imageLimit = 5;
+        if (config.queue.jobRetention === undefined) config.queue.jobRetention = 24;
+        if (config.queue.webhookAllowHosts === undefined) config.queue.webhookAllowHosts = [];
+    }
+    if (!Array.isArray(config.queue.webhookAllowHosts) || config.queue.webhookAllowHosts.some(h => typeof h !== 'string' || !h)) {
+        throw new Error('queue.webhookAllowHosts 必须是主机名字符串数组');
     }
 
     // maxConcurrent 动态计算：等于 Workers 数量
@@ -305,6 +422,21 @@ export function loadConfig() {
         config.backend.adapter = {};
     }
 
+    // 校验适配器级与模型级限速
+    for (const [id, adapterConfig] of Object.entries(config.backend.adapter)) {
+        if (!adapterConfig?.rateLimit) continue;
+        const models = adapterConfig.rateLimit.models || {};
+        for (const modelId of Object.keys(models)) {
+            models[modelId] = normalizeRateLimit(models[modelId], `adapter.${id}.rateLimit.models.${modelId}`);
+        }
+        if (adapterConfig.rateLimit.rpm !== undefined) {
+            adapterConfig.rateLimit = {
+                ...normalizeRateLimit(adapterConfig.rateLimit, `adapter.${id}.rateLimit`),
+                models
+            };
+        }
+    }
+
     // 校验 gemini_biz 配置（如果有 Worker 使用）
     const hasGeminiBizWorker = config.backend.pool.workers.some(
         w => w.type === 'gemini_biz' || (w.type === 'merge' && w.mergeTypes?.includes('gemini_biz'))
@@ -324,8 +456,20 @@ export function loadConfig() {
     logger.debug('配置器', `调度策略: ${config.backend.pool.strategy}`);
     logger.debug('配置器', `流式心跳模式: ${config.server.keepalive.mode}`);
 
-    // 缓存配置
-    cachedConfig = config;
+    return config;
+}
+
+/**
+ * 将新配置中可热加载的部分应用到已加载的配置对象
+ * @description 只替换 backend（实例、工作池与适配器配置）及随 Worker 数变化的并发数，
+ * 其余模块持有的是同一个配置对象，替换后立即读到新值；server、browser 等配置仍需重启生效
+ * @param {object} next - readConfig() 返回的配置
+ * @returns {object} 已加载的配置对象
+ */
+export function applyReloadedConfig(next) {
+    const config = loadConfig();
+    config.backend = next.backend;
+    config.queue.maxConcurrent = next.queue.maxConcurrent;
     return config;
 }
 
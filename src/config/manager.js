@@ -46,7 +46,12 @@ export function getServerConfig() {
     return {
         port: config.server?.port || 3000,
         authToken: config.server?.auth || '',
-        keepaliveMode: config.server?.keepalive?.mode || 'comment'
+        keepaliveMode: config.server?.keepalive?.mode || 'comment',
+        mediaResponseFormat: config.server?.media?.responseFormat || 'b64',
+        mediaTtl: config.server?.media?.ttl ?? 86400,
+        publicUrl: config.server?.media?.publicUrl || '',
+        trustProxy: config.server?.media?.trustProxy === true,
+        apiKeys: config.server?.apiKeys || []
     };
 }
 
@@ -61,10 +66,19 @@ export function saveServerConfig(data) {
 
     if (data.port !== undefined) config.server.port = data.port;
     if (data.authToken !== undefined) config.server.auth = data.authToken;
+    if (data.apiKeys !== undefined) config.server.apiKeys = data.apiKeys;
     if (data.keepaliveMode !== undefined) {
         if (!config.server.keepalive) config.server.keepalive = {};
         config.server.keepalive.mode = data.keepaliveMode;
     }
+    if (data.mediaResponseFormat !== undefined || data.mediaTtl !== undefined || data.publicUrl !== undefined
+        || data.trustProxy !== undefined) {
+        if (!config.server.media) config.server.media = {};
+        if (data.mediaResponseFormat !== undefined) config.server.media.responseFormat = data.mediaResponseFormat;
+        if (data.mediaTtl !== undefined) config.server.media.ttl = data.mediaTtl;
+        if (data.publicUrl !== undefined) config.server.media.publicUrl = data.publicUrl;
+        if (data.trustProxy !== undefined) config.server.media.trustProxy = data.trustProxy;
+    }
 
     writeConfig(config);
 }
@@ -83,6 +97,7 @@ export function getBrowserConfig() {
         path: browser.path || '',
         headless: browser.headless || false,
         fission: browser.fission !== false, // 默认 true
+        streamTap: browser.streamTap !== false, // 默认 true
         cssInject: {
             animation: cssInject.animation || false,
             filter: cssInject.filter || false,
@@ -112,6 +127,7 @@ export function saveBrowserConfig(data) {
     if (data.path !== undefined) config.browser.path = data.path;
     if (data.headless !== undefined) config.browser.headless = data.headless;
     if (data.fission !== undefined) config.browser.fission = data.fission;
+    if (data.streamTap !== undefined) config.browser.streamTap = data.streamTap;
 
     // CSS 性能优化配置
     if (data.cssInject) {
@@ -145,7 +161,8 @@ export function getQueueConfig() {
     const config = readRawConfig();
     return {
         queueBuffer: config.queue?.queueBuffer ?? 2,
-        imageLimit: config.queue?.imageLimit ?? 5
+        imageLimit: config.queue?.imageLimit ?? 5,
+        jobRetention: config.queue?.jobRetention ?? 24
     };
 }
 
@@ -160,6 +177,7 @@ export function saveQueueConfig(data) {
 
     if (data.queueBuffer !== undefined) config.queue.queueBuffer = data.queueBuffer;
     if (data.imageLimit !== undefined) config.queue.imageLimit = data.imageLimit;
+    if (data.jobRetention !== undefined) config.queue.jobRetention = data.jobRetention;
 
     writeConfig(config);
 }
@@ -185,7 +203,8 @@ export function getInstancesConfig() {
             name: w.name,
             type: w.type,
             mergeTypes: w.mergeTypes || [],
-            mergeMonitor: w.mergeMonitor || null
+            mergeMonitor: w.mergeMonitor || null,
+            rateLimit: w.rateLimit || null
         }))
     }));
 }
@@ -230,6 +249,10 @@ export function saveInstancesConfig(data) {
                 worker.mergeTypes = w.mergeTypes;
                 if (w.mergeMonitor) worker.mergeMonitor = w.mergeMonitor;
             }
+            if (w.rateLimit?.rpm > 0) {
+                worker.rateLimit = { rpm: w.rateLimit.rpm };
+                if (w.rateLimit.burst > 1) worker.rateLimit.burst = w.rateLimit.burst;
+            }
             return worker;
         });
 
@@ -267,19 +290,36 @@ export function saveAdaptersConfig(data) {
 }
 
 /**
- * 获取 Pool 配置（负载均衡和故障转移）
+ * 获取 Pool 配置（负载均衡、故障转移、会话续接和限流冷却）
  * @returns {object}
  */
 export function getPoolConfig() {
     const config = readRawConfig();
     const pool = config.backend?.pool || {};
     const failover = pool.failover || {};
+    const session = pool.session || {};
+    const cooldown = pool.cooldown || {};
+    const health = pool.health || {};
 
     return {
         strategy: pool.strategy || 'least_busy',
         failover: {
             enabled: failover.enabled !== false, // 默认 true
             maxRetries: failover.maxRetries ?? 2
+        },
+        session: {
+            enabled: session.enabled === true, // 默认 false
+            ttl: session.ttl ?? 3600
+        },
+        cooldown: {
+            rateLimited: cooldown.rateLimited ?? 60,
+            captcha: cooldown.captcha ?? 300,
+            max: cooldown.max ?? 900
+        },
+        health: {
+            quarantineAfter: health.quarantineAfter ?? 3,
+            probeInterval: health.probeInterval ?? 60,
+            maxProbes: health.maxProbes ?? 5
         }
     };
 }
@@ -308,5 +348,33 @@ export function savePoolConfig(data) {
         }
     }
 
+    if (data.session) {
+        if (!config.backend.pool.session) config.backend.pool.session = {};
+        if (data.session.enabled !== undefined) {
+            config.backend.pool.session.enabled = data.session.enabled;
+        }
+        if (data.session.ttl !== undefined) {
+            config.backend.pool.session.ttl = data.session.ttl;
+        }
+    }
+
+    if (data.cooldown) {
+        if (!config.backend.pool.cooldown) config.backend.pool.cooldown = {};
+        for (const key of ['rateLimited', 'captcha', 'max']) {
+            if (data.cooldown[key] !== undefined) {
+                config.backend.pool.cooldown[key] = data.cooldown[key];
+            }
+        }
+    }
+
+    if (data.health) {
+        if (!config.backend.pool.health) config.backend.pool.health = {};
+        for (const key of ['quarantineAfter', 'probeInterval', 'maxProbes']) {
+            if (data.health[key] !== undefined) {
+                config.backend.pool.health[key] = data.health[key];
+            }
+        }
+    }
+
     writeConfig(config);
 }
@@ -31,6 +31,35 @@ export function validateServerConfig(data) {
         }
     }
 
+    // API Keys 校验
+    if (data.apiKeys !== undefined) {
+        if (!Array.isArray(data.apiKeys)) {
+            errors.push('apiKeys 必须是数组');
+        } else {
+            const names = new Set();
+            data.apiKeys.forEach((entry, i) => {
+                if (!entry?.name || typeof entry.name !== 'string') {
+                    errors.push(`apiKeys[${i}].name 不能为空`);
+                } else if (entry.name === 'default' || names.has(entry.name)) {
+                    errors.push(`apiKeys[${i}].name 重复或使用了保留名称 default`);
+                } else {
+                    names.add(entry.name);
+                }
+                if (typeof entry?.key !== 'string' || entry.key.length < 10) {
+                    errors.push(`apiKeys[${i}].key 必须至少 10 个字符`);
+                } else if (data.authToken !== undefined && entry.key === data.authToken) {
+                    errors.push(`apiKeys[${i}].key 不能与 authToken 相同`);
+                }
+                if (entry?.priority !== undefined && !['high', 'normal', 'low'].includes(entry.priority)) {
+                    errors.push(`apiKeys[${i}].priority 必须是 high、normal 或 low`);
+                }
+                if (entry?.weight !== undefined && (typeof entry.weight !== 'number' || !(entry.weight > 0))) {
+                    errors.push(`apiKeys[${i}].weight 必须是正数`);
+                }
+            });
+        }
+    }
+
     // Keepalive Mode 校验
     if (data.keepaliveMode !== undefined) {
         if (!['comment', 'content'].includes(data.keepaliveMode)) {
@@ -38,6 +67,30 @@ export function validateServerConfig(data) {
         }
     }
 
+    // 媒体存储校验
+    if (data.mediaResponseFormat !== undefined) {
+        if (!['url', 'b64'].includes(data.mediaResponseFormat)) {
+            errors.push('mediaResponseFormat 必须是 url 或 b64');
+        }
+    }
+    if (data.mediaTtl !== undefined) {
+        if (typeof data.mediaTtl !== 'number' || !Number.isInteger(data.mediaTtl)) {
+            errors.push('mediaTtl 必须是整数');
+        } else if (data.mediaTtl <= 0) {
+            errors.push('mediaTtl 必须大于 0');
+        }
+    }
+    if (data.publicUrl !== undefined) {
+        if (typeof data.publicUrl !== 'string') {
+            errors.push('publicUrl 必须是字符串');
+        } else if (data.publicUrl && !/^https?:\/\//.test(data.publicUrl)) {
+            errors.push('publicUrl 必须以 http:// 或 https:// 开头');
+        }
+    }
+    if (data.trustProxy !== undefined && typeof data.trustProxy !== 'boolean') {
+        errors.push('trustProxy 必须是布尔值');
+    }
+
     // Queue Buffer 校验
     if (data.queueBuffer !== undefined) {
         if (typeof data.queueBuffer !== 'number' || !Number.isInteger(data.queueBuffer)) {
@@ -56,6 +109,15 @@ export function validateServerConfig(data) {
         }
     }
 
+    // Job Retention 校验
+    if (data.jobRetention !== undefined) {
+        if (typeof data.jobRetention !== 'number' || !Number.isInteger(data.jobRetention)) {
+            errors.push('jobRetention 必须是整数');
+        } else if (data.jobRetention < 1) {
+            errors.push('jobRetention 必须大于 0');
+        }
+    }
+
     return { valid: errors.length === 0, errors };
 }
 
@@ -82,6 +144,11 @@ export function validateBrowserConfig(data) {
         errors.push('fission 必须是布尔值');
     }
 
+    // 流式响应监听校验
+    if (data.streamTap !== undefined && typeof data.streamTap !== 'boolean') {
+        errors.push('streamTap 必须是布尔值');
+    }
+
     // Proxy 校验
     if (data.proxy) {
         if (data.proxy.enable !== undefined && typeof data.proxy.enable !== 'boolean') {
@@ -209,6 +276,17 @@ export function validateInstancesConfig(data) {
                         errors.push(`${wPrefix}: mergeMonitor "${w.mergeMonitor}" 必须是 mergeTypes 中的一个`);
                     }
                 }
+
+                // 限速校验（可选，rpm 为空表示不限速）
+                if (w.rateLimit && w.rateLimit.rpm !== undefined && w.rateLimit.rpm !== null) {
+                    if (typeof w.rateLimit.rpm !== 'number' || w.rateLimit.rpm <= 0) {
+                        errors.push(`${wPrefix}: rateLimit.rpm 必须是正数`);
+                    }
+                    if (w.rateLimit.burst !== undefined && w.rateLimit.burst !== null
+                        && !(Number.isInteger(w.rateLimit.burst) && w.rateLimit.burst >= 1)) {
+                        errors.push(`${wPrefix}: rateLimit.burst 必须是不小于 1 的整数`);
+                    }
+                }
             }
         }
     }
@@ -245,6 +323,44 @@ export function validatePoolConfig(data) {
         }
     }
 
+    // Session 校验
+    if (data.session) {
+        if (data.session.enabled !== undefined && typeof data.session.enabled !== 'boolean') {
+            errors.push('session.enabled 必须是布尔值');
+        }
+        if (data.session.ttl !== undefined) {
+            if (typeof data.session.ttl !== 'number' || !Number.isInteger(data.session.ttl)) {
+                errors.push('session.ttl 必须是整数');
+            } else if (data.session.ttl <= 0) {
+                errors.push('session.ttl 必须大于 0');
+            }
+        }
+    }
+
+    // Cooldown 校验
+    if (data.cooldown) {
+        for (const key of ['rateLimited', 'captcha', 'max']) {
+            const value = data.cooldown[key];
+            if (value !== undefined && (typeof value !== 'number' || !Number.isInteger(value) || value < 0)) {
+                errors.push(`cooldown.${key} 必须是非负整数`);
+            }
+        }
+    }
+
+    // Health 校验
+    if (data.health) {
+        for (const key of ['quarantineAfter', 'maxProbes']) {
+            const value = data.health[key];
+            if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+                errors.push(`health.${key} 必须是正整数`);
+            }
+        }
+        const interval = data.health.probeInterval;
+        if (interval !== undefined && (!Number.isInteger(interval) || interval < 0)) {
+            errors.push('health.probeInterval 必须是非负整数');
+        }
+    }
+
     return { valid: errors.length === 0, errors };
 }
 
@@ -57,10 +57,30 @@ async function readBody(req) {
  * @param {object} context.config - 完整配置对象
  * @param {object} context.queueManager - 队列管理器
  * @param {string} context.tempDir - 临时目录
+ * @param {object} [context.queueJournal] - 队列日志（见 journal.js）
+ * @param {object} [context.configReloader] - 配置热加载器（见 reload.js，登录模式下不提供）
  * @returns {Function} Admin 路由处理函数
  */
 export function createAdminRouter(context) {
-    const { config, queueManager, tempDir, getSafeMode } = context;
+    const { config, queueManager, tempDir, getSafeMode, queueJournal, configReloader } = context;
+
+    /**
+     * 保存实例、工作池或适配器配置后立即热加载
+     * @returns {Promise<{success: boolean, message: string, reload: object|null}>}
+     */
+    async function savedAndReloaded() {
+        // 安全模式下工作池未运行，修改后需重启
+        const reload = configReloader && !getSafeMode?.()?.enabled ? await configReloader.reload() : null;
+        let message = '配置已保存，请重启服务生效';
+        if (reload?.error) {
+            message = `配置已保存，但热加载失败（继续使用原配置）: ${reload.error}`;
+        } else if (reload?.failed?.length > 0) {
+            message = `配置已生效，部分 Worker 启动失败: ${reload.failed.map(f => f.name).join(', ')}`;
+        } else if (reload) {
+            message = '配置已保存并生效';
+        }
+        return { success: true, message, reload };
+    }
 
     /**
      * Admin 路由处理函数
@@ -78,7 +98,9 @@ export function createAdminRouter(context) {
             if (method === 'GET' && pathname === '/status') {
                 const status = getSystemStatus();
                 const safeMode = getSafeMode?.() || { enabled: false, reason: null };
-                sendJson(res, 200, { ...status, safeMode });
+                // 各 Worker 的负载与限流冷却剩余秒数（工作池初始化前为空）
+                const workers = queueManager.getPoolContext()?.poolManager?.getWorkerStatus?.() || [];
+                sendJson(res, 200, { ...status, safeMode, workers });
                 return;
             }
 
@@ -170,9 +192,9 @@ export function createAdminRouter(context) {
 
             // ==================== 缓存与数据管理 ====================
 
-            // POST /admin/cache/clear - 清理缓存
+            // POST /admin/cache/clear - 清理缓存（保留队列日志中任务引用的图片）
             if (method === 'POST' && pathname === '/cache/clear') {
-                const result = clearTempFiles(tempDir);
+                const result = clearTempFiles(tempDir, queueJournal?.referencedFiles());
                 sendJson(res, 200, { success: true, cleaned: result.cleaned });
                 return;
             }
@@ -234,7 +256,8 @@ export function createAdminRouter(context) {
                     sendJson(res, 200, {
                         ...serverConfig,
                         queueBuffer: queueConfig.queueBuffer,
-                        imageLimit: queueConfig.imageLimit
+                        imageLimit: queueConfig.imageLimit,
+                        jobRetention: queueConfig.jobRetention
                     });
                 } else if (method === 'POST') {
                     const body = await readBody(req);
@@ -251,7 +274,7 @@ export function createAdminRouter(context) {
 
                     // 分别保存 server 和 queue 配置
                     saveServerConfig(body);
-                    if (body.queueBuffer !== undefined || body.imageLimit !== undefined) {
+                    if (body.queueBuffer !== undefined || body.imageLimit !== undefined || body.jobRetention !== undefined) {
                         saveQueueConfig(body);
                     }
                     sendJson(res, 200, { success: true, message: '配置已保存，请重启服务生效' });
@@ -306,7 +329,7 @@ export function createAdminRouter(context) {
                     }
 
                     saveInstancesConfig(body);
-                    sendJson(res, 200, { success: true, message: '配置已保存，请重启服务生效' });
+                    sendJson(res, 200, await savedAndReloaded());
                 } else {
                     res.writeHead(405);
                     res.end();
@@ -332,7 +355,7 @@ export function createAdminRouter(context) {
                     }
 
                     saveAdaptersConfig(body);
-                    sendJson(res, 200, { success: true, message: '配置已保存，请重启服务生效' });
+                    sendJson(res, 200, await savedAndReloaded());
                 } else {
                     res.writeHead(405);
                     res.end();
@@ -358,7 +381,7 @@ export function createAdminRouter(context) {
                     }
 
                     savePoolConfig(body);
-                    sendJson(res, 200, { success: true, message: '配置已保存，请重启服务生效' });
+                    sendJson(res, 200, await savedAndReloaded());
                 } else {
                     res.writeHead(405);
                     res.end();
@@ -396,7 +419,7 @@ export function createAdminRouter(context) {
 
             // ==================== 统计与监控 ====================
 
-            // GET /admin/stats - 基本统计（包含今日成功/失败）
+            // GET /admin/stats - 基本统计（包含今日成功/失败与用量）
             if (method === 'GET' && pathname === '/stats') {
                 const instances = config.backend?.pool?.instances || [];
                 const workers = config.backend?.pool?.workers || [];
@@ -406,7 +429,11 @@ export function createAdminRouter(context) {
                     instances: instances.length,
                     workers: workers.length,
                     success: todayStats.success,
-                    failed: todayStats.failed
+                    failed: todayStats.failed,
+                    promptTokens: todayStats.promptTokens,
+                    completionTokens: todayStats.completionTokens,
+                    images: todayStats.images,
+                    videos: todayStats.videos
                 });
                 return;
             }
@@ -453,11 +480,54 @@ export function createAdminRouter(context) {
                     waiting: queueStatus.queueLength,
                     total: queueStatus.total,
                     processingTasks: detailedStatus.processing,
-                    waitingTasks: detailedStatus.waiting
+                    waitingTasks: detailedStatus.waiting,
+                    recovery: queueJournal?.getRecovery() ?? null
+                });
+                return;
+            }
+
+            // ==================== Worker 健康状态 ====================
+
+            // GET /admin/workers - Worker 健康状态与最近的状态变更
+            if (method === 'GET' && pathname === '/workers') {
+                const poolManager = queueManager.getPoolContext()?.poolManager;
+                sendJson(res, 200, {
+                    workers: poolManager?.getWorkerStatus() || [],
+                    transitions: poolManager?.getHealthTransitions() || []
                 });
                 return;
             }
 
+            // POST /admin/workers/{name}/probe - 立即探测 Worker（可恢复 dead 状态）
+            // POST /admin/workers/{name}/restart?browser=true - 重建 Worker 的页面（或整个浏览器），不影响其他 Worker
+            const workerMatch = pathname.match(/^\/workers\/([^/]+)\/(probe|restart)$/);
+            if (method === 'POST' && workerMatch) {
+                const poolManager = queueManager.getPoolContext()?.poolManager;
+                if (!poolManager) {
+                    sendApiError(res, { code: ERROR_CODES.BROWSER_NOT_INITIALIZED });
+                    return;
+                }
+                const name = decodeURIComponent(workerMatch[1]);
+                if (!poolManager.getWorkerStatus().some(w => w.name === name)) {
+                    sendApiError(res, { code: ERROR_CODES.WORKER_NOT_FOUND });
+                    return;
+                }
+
+                if (workerMatch[2] === 'probe') {
+                    sendJson(res, 200, { name, health: await poolManager.probeWorker(name) });
+                    return;
+                }
+
+                const url = new URL(req.url, `http://${req.headers.host}`);
+                try {
+                    const health = await poolManager.restartWorker(name, { browser: url.searchParams.get('browser') === 'true' });
+                    sendJson(res, 200, { name, health });
+                } catch (err) {
+                    sendApiError(res, { code: ERROR_CODES.SERVER_BUSY, status: 409, message: err.message });
+                }
+                return;
+            }
+
             // 404
             res.writeHead(404);
             res.end(JSON.stringify({ error: 'Not Found' }));
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Anthropic Messages 请求解析模块
+ * @description 将 Anthropic Messages 格式（顶层 system、content blocks）转换为 OpenAI 聊天格式，
+ * 再交给 OpenAI 的 parseRequest 统一处理提示词与图片
+ */
+
+import { parseRequest } from '../openai/parse.js';
+
+/**
+ * 将 Anthropic content（字符串或 content blocks）转换为 OpenAI content parts
+ * @param {string|object[]} content - Anthropic 消息内容
+ * @returns {string|object[]}
+ */
+function toOpenAIContent(content) {
+    if (!Array.isArray(content)) return content || '';
+
+    const parts = [];
+    for (const block of content) {
+        if (block.type === 'text') {
+            parts.push({ type: 'text', text: block.text || '' });
+        } else if (block.type === 'image' && block.source) {
+            const { source } = block;
+            const url = source.type === 'base64'
+                ? `data:${source.media_type};base64,${source.data}`
+                : source.url;
+            if (url) parts.push({ type: 'image_url', image_url: { url } });
+        } else if (block.type === 'document' && block.source) {
+            const { source } = block;
+            const filename = block.title || 'document';
+            if (source.type === 'base64') {
+                parts.push({ type: 'file', file: { file_data: `data:${source.media_type};base64,${source.data}`, filename } });
+            } else if (source.type === 'text') {
+                parts.push({ type: 'file', file: { file_data: `data:text/plain;base64,${Buffer.from(source.data || '').toString('base64')}`, filename: `${filename}.txt` } });
+            } else if (source.type === 'url') {
+                parts.push({ type: 'file', file: { file_url: source.url, filename } });
+            }
+        } else if (block.type === 'tool_result') {
+            // 工具结果按文本处理，内容可能是字符串或 content blocks
+            const inner = toOpenAIContent(block.content);
+            if (typeof inner === 'string') {
+                parts.push({ type: 'text', text: inner });
+            } else {
+                parts.push(...inner);
+            }
+        }
+        // thinking / redacted_thinking / tool_use 等块不参与提示词构建
+    }
+    return parts;
+}
+
+/**
+ * 提取顶层 system 字段的文本
+ * @param {string|object[]} [system] - 字符串或 text blocks
+ * @returns {string}
+ */
+function extractSystemText(system) {
+    if (!system) return '';
+    if (typeof system === 'string') return system;
+    return system
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n');
+}
+
+/**
+ * 解析 Anthropic Messages 请求
+ * @param {object} data - 请求体数据
+ * @param {object} options - 解析选项（同 OpenAI parseRequest）
+ * @returns {Promise<import('../openai/parse.js').ParseResult>} 解析结果
+ */
+export async function parseMessagesRequest(data, options) {
+    const messages = [];
+
+    const systemText = extractSystemText(data.system);
+    if (systemText) {
+        messages.push({ role: 'system', content: systemText });
+    }
+
+    if (Array.isArray(data.messages)) {
+        for (const msg of data.messages) {
+            messages.push({ role: msg.role, content: toOpenAIContent(msg.content) });
+        }
+    }
+
+    return await parseRequest({
+        model: data.model,
+        messages,
+        stream: data.stream === true,
+        // 思考模型默认输出 thinking 块，thinking.type 为 disabled 时关闭
+        include_reasoning: data.thinking?.type !== 'disabled',
+        conversation_id: data.conversation_id,
+        media_format: data.media_format
+    }, options);
+}
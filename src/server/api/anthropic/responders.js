@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Anthropic Messages 响应写出器
+ * @description 将队列产出的生成结果转换为 Anthropic Messages 响应与 SSE 事件
+ * (message_start → content_block_start/delta/stop → message_delta → message_stop)。
+ * responder 约定见 api/openai/responders.js
+ */
+
+import crypto from 'crypto';
+import { sendJson, sendSseEvent } from '../../respond.js';
+import { ERROR_CODES, ERROR_TYPES, getErrorDetails } from '../../errors.js';
+import { resultToContent, getUnsentContent } from '../openai/responders.js';
+import { sendProgressEvent } from '../../progress.js';
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * 将内部错误码转换为 Anthropic 错误类型
+ * @param {string} [code] - 错误码
+ * @param {number} status - HTTP 状态码
+ * @returns {string}
+ */
+function toAnthropicErrorType(code, status) {
+    if (code === ERROR_CODES.UNAUTHORIZED) return 'authentication_error';
+    const type = code ? getErrorDetails(code).type : null;
+    if (type === ERROR_TYPES.INVALID_REQUEST) return 'invalid_request_error';
+    if (type === ERROR_TYPES.RATE_LIMIT) return 'rate_limit_error';
+    if (status === 503) return 'overloaded_error';
+    return 'api_error';
+}
+
+/**
+ * 发送 Anthropic 格式的错误响应
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 错误选项
+ * @param {string} [options.code] - 错误码（使用 ERROR_CODES 枚举）
+ * @param {string} [options.message] - 自定义错误消息
+ * @param {number} [options.status] - 自定义 HTTP 状态码
+ * @param {boolean} [options.isStreaming=false] - 是否为流式响应
+ */
+export function sendAnthropicError(res, options) {
+    const { code, message, status, isStreaming = false } = options;
+    const details = code ? getErrorDetails(code) : null;
+    const httpStatus = status || (details ? details.status : 500);
+
+    const payload = {
+        type: 'error',
+        error: {
+            type: toAnthropicErrorType(code, httpStatus),
+            message: message || details?.message || '未知错误'
+        }
+    };
+
+    if (isStreaming) {
+        sendSseEvent(res, 'error', payload);
+        if (!res.writableEnded) res.end();
+    } else {
+        sendJson(res, httpStatus, payload);
+    }
+}
+
+/**
+ * 将引用来源转换为 Anthropic web_search_result_location 引用
+ * @param {{url: string, title?: string}[]} [citations]
+ * @returns {object[]}
+ */
+function toCitationBlocks(citations) {
+    return (citations || []).map(c => ({
+        type: 'web_search_result_location',
+        url: c.url,
+        title: c.title || '',
+        cited_text: ''
+    }));
+}
+
+/**
+ * 创建 /v1/messages 响应写出器
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 选项
+ * @param {string} [options.modelName] - 模型名称
+ * @param {boolean} [options.isStreaming=false] - 是否流式
+ * @param {boolean} [options.includeThinking=true] - 是否输出 thinking 块
+ * @param {number} [options.inputTokens=0] - 提示词 token 数（流式响应在 message_start 中返回）
+ * @param {string} [options.id] - 请求 ID（日志用）
+ * @returns {object} responder
+ */
+export function createMessagesResponder(res, options = {}) {
+    const { modelName, isStreaming = false, includeThinking = true, inputTokens: promptTokens = 0, id } = options;
+    const messageId = 'msg_' + crypto.randomUUID().replace(/-/g, '');
+    const model = modelName || 'default-model';
+
+    // 流式状态：当前打开的内容块及其索引
+    let started = false;
+    let blockIndex = -1;
+    let openBlockType = null;
+    let streamedText = '';
+    let streamedThinking = false;
+
+    function ensureStarted() {
+        if (started) return;
+        started = true;
+        sendSseEvent(res, 'message_start', {
+            type: 'message_start',
+            message: {
+                id: messageId,
+                type: 'message',
+                role: 'assistant',
+                model,
+                content: [],
+                stop_reason: null,
+                stop_sequence: null,
+                usage: { input_tokens: promptTokens, output_tokens: 0 }
+            }
+        });
+    }
+
+    function closeBlock() {
+        if (openBlockType === null) return;
+        sendSseEvent(res, 'content_block_stop', { type: 'content_block_stop', index: blockIndex });
+        openBlockType = null;
+    }
+
+    /**
+     * 确保当前打开的是指定类型的内容块，类型切换时关闭上一块
+     * @param {'thinking'|'text'} type
+     */
+    function openBlock(type) {
+        ensureStarted();
+        if (openBlockType === type) return;
+        closeBlock();
+        blockIndex++;
+        openBlockType = type;
+        sendSseEvent(res, 'content_block_start', {
+            type: 'content_block_start',
+            index: blockIndex,
+            content_block: type === 'thinking' ? { type: 'thinking', thinking: '' } : { type: 'text', text: '' }
+        });
+    }
+
+    function sendThinking(thinking) {
+        openBlock('thinking');
+        sendSseEvent(res, 'content_block_delta', {
+            type: 'content_block_delta',
+            index: blockIndex,
+            delta: { type: 'thinking_delta', thinking }
+        });
+    }
+
+    function sendText(text) {
+        openBlock('text');
+        sendSseEvent(res, 'content_block_delta', {
+            type: 'content_block_delta',
+            index: blockIndex,
+            delta: { type: 'text_delta', text }
+        });
+    }
+
+    return {
+        isStreaming,
+
+        heartbeat(mode) {
+            if (res.writableEnded) return;
+            if (mode === 'comment') {
+                res.write(`:keepalive\n\n`);
+            } else {
+                ensureStarted();
+                sendSseEvent(res, 'ping', { type: 'ping' });
+            }
+        },
+
+        progress(event) {
+            sendProgressEvent(res, event);
+        },
+
+        delta(delta) {
+            if (!isStreaming || !delta || res.writableEnded) return;
+            if (delta.reasoning && includeThinking) {
+                streamedThinking = true;
+                sendThinking(delta.reasoning);
+            }
+            if (delta.text) {
+                streamedText += delta.text;
+                sendText(delta.text);
+            }
+        },
+
+        success(results, usage) {
+            const result = results.find(r => !r.error) || results[0];
+            const inputTokens = usage?.promptTokens ?? promptTokens;
+            const outputTokens = usage?.completionTokens || 0;
+            const finalContent = resultToContent(result);
+            const thinking = includeThinking ? result.reasoning : undefined;
+            const citations = toCitationBlocks(result.citations);
+
+            logger.info('服务器', '准备发送响应...', { id, isStreaming, contentLength: finalContent.length });
+            if (isStreaming) {
+                if (thinking && !streamedThinking) {
+                    sendThinking(thinking);
+                }
+                const remaining = getUnsentContent(finalContent, streamedText);
+                if (remaining || openBlockType !== 'text') {
+                    sendText(remaining);
+                }
+                for (const citation of citations) {
+                    sendSseEvent(res, 'content_block_delta', {
+                        type: 'content_block_delta',
+                        index: blockIndex,
+                        delta: { type: 'citations_delta', citation }
+                    });
+                }
+                closeBlock();
+                sendSseEvent(res, 'message_delta', {
+                    type: 'message_delta',
+                    delta: { stop_reason: 'end_turn', stop_sequence: null },
+                    usage: { input_tokens: inputTokens, output_tokens: outputTokens }
+                });
+                sendSseEvent(res, 'message_stop', { type: 'message_stop' });
+                if (!res.writableEnded) res.end();
+                logger.info('服务器', '流式响应已结束', { id });
+            } else {
+                const content = [];
+                if (thinking) {
+                    content.push({ type: 'thinking', thinking, signature: '' });
+                }
+                const textBlock = { type: 'text', text: finalContent };
+                if (citations.length > 0) textBlock.citations = citations;
+                content.push(textBlock);
+
+                sendJson(res, 200, {
+                    id: messageId,
+                    type: 'message',
+                    role: 'assistant',
+                    model,
+                    content,
+                    stop_reason: 'end_turn',
+                    stop_sequence: null,
+                    usage: { input_tokens: inputTokens, output_tokens: outputTokens }
+                });
+                logger.info('服务器', 'JSON 响应已发送', { id });
+            }
+        },
+
+        error({ code, message, status }) {
+            sendAnthropicError(res, { code, message, status, isStreaming });
+        }
+    };
+}
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Anthropic Messages 兼容 API 路由
+ * @description 处理 /v1/messages 请求，解析后与 OpenAI 接口共用同一任务队列
+ */
+
+import crypto from 'crypto';
+import { logger } from '../../../utils/logger.js';
+import { countTokens } from '../../../utils/tokenizer.js';
+import { ERROR_CODES } from '../../errors.js';
+import { wantsProgressEvents } from '../../progress.js';
+import { parseMessagesRequest } from './parse.js';
+import { createMessagesResponder, sendAnthropicError } from './responders.js';
+
+/**
+ * 创建 Anthropic API 路由处理器
+ * @param {object} context - 路由上下文（同 createOpenAIRouter）
+ * @returns {Function} 路由处理函数
+ */
+export function createAnthropicRouter(context) {
+    const {
+        backendName,
+        getModels,
+        getImagePolicy,
+        getModelType,
+        supportsDocuments,
+        getImageConstraints,
+        tempDir,
+        imageLimit,
+        queueManager,
+        config
+    } = context;
+
+    /**
+     * 处理 POST /v1/messages
+     */
+    async function handleMessages(req, res, requestId) {
+        let body = '';
+        for await (const chunk of req) {
+            body += chunk;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch (e) {
+            sendAnthropicError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: `JSON 解析失败: ${e.message}` });
+            return;
+        }
+
+        try {
+            const isStreaming = data.stream === true;
+
+            // 限流检查
+            if (!isStreaming && !queueManager.canAcceptNonStreaming(data.model)) {
+                const status = queueManager.getStatus();
+                logger.warn('服务器', '非流式请求被拒绝 (队列已满)', { id: requestId, queueSize: status.total });
+                sendAnthropicError(res, {
+                    code: ERROR_CODES.SERVER_BUSY,
+                    message: `服务器繁忙（队列: ${status.total}）。请使用流式模式 (stream: true) 或稍后重试。`
+                });
+                return;
+            }
+
+            // 设置 SSE 响应头
+            if (isStreaming) {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                });
+            }
+
+            // 解析请求
+            const parseResult = await parseMessagesRequest(data, {
+                tempDir,
+                imageLimit,
+                backendName,
+                getSupportedModels: getModels,
+                getImagePolicy,
+                getModelType,
+                supportsDocuments,
+                getImageConstraints,
+                config,
+                requestId,
+                logger
+            });
+
+            if (!parseResult.success) {
+                sendAnthropicError(res, {
+                    code: parseResult.error.code,
+                    message: parseResult.error.error,
+                    isStreaming
+                });
+                return;
+            }
+
+            const { prompt, imagePaths, session, modelId, modelName, includeReasoning, mediaFormat } = parseResult.data;
+
+            logger.info('服务器', `[队列] Messages 请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length });
+
+            queueManager.addTask({
+                req,
+                res,
+                prompt,
+                imagePaths,
+                session,
+                modelId,
+                modelName,
+                mediaFormat,
+                progressEvents: isStreaming && wantsProgressEvents(req),
+                id: requestId,
+                isStreaming,
+                responder: createMessagesResponder(res, {
+                    modelName,
+                    isStreaming,
+                    includeThinking: includeReasoning,
+                    // 提示词在入队前已确定，流式响应的 message_start 即可返回输入 token 数
+                    inputTokens: isStreaming ? countTokens(prompt) : 0,
+                    id: requestId
+                })
+            });
+
+        } catch (err) {
+            logger.error('服务器', 'Messages 请求处理失败', { id: requestId, error: err.message });
+            sendAnthropicError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message,
+                isStreaming: res.headersSent
+            });
+        }
+    }
+
+    /**
+     * Anthropic API 路由处理函数
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {string} pathname - 去除 /v1 前缀后的路径
+     */
+    return async function handleAnthropicRequest(req, res, pathname) {
+        const requestId = crypto.randomUUID().slice(0, 8);
+
+        if (req.method === 'POST' && pathname === '/messages') {
+            await handleMessages(req, res, requestId);
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    };
+}
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Gemini generateContent 请求解析模块
+ * @description 将 Gemini REST 格式（contents[].parts、systemInstruction）转换为 OpenAI 聊天格式，
+ * 再交给 OpenAI 的 parseRequest 统一处理提示词与图片。字段同时兼容 camelCase 与 snake_case 写法
+ */
+
+import { parseRequest } from '../openai/parse.js';
+
+/**
+ * 将 Gemini parts 转换为 OpenAI content parts
+ * @param {object[]} [parts] - Gemini parts
+ * @returns {object[]}
+ */
+function toOpenAIContent(parts) {
+    const content = [];
+    for (const part of parts || []) {
+        // 历史中的思考内容不参与提示词构建
+        if (part.thought) continue;
+
+        if (typeof part.text === 'string') {
+            content.push({ type: 'text', text: part.text });
+            continue;
+        }
+
+        const inline = part.inlineData || part.inline_data;
+        if (inline?.data) {
+            const mimeType = inline.mimeType || inline.mime_type || '';
+            if (mimeType.startsWith('image/')) {
+                content.push({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${inline.data}` } });
+            } else {
+                content.push({ type: 'file', file: { file_data: `data:${mimeType};base64,${inline.data}` } });
+            }
+            continue;
+        }
+
+        const file = part.fileData || part.file_data;
+        const fileUri = file?.fileUri || file?.file_uri;
+        if (fileUri) {
+            const mimeType = file.mimeType || file.mime_type || '';
+            if (!mimeType || mimeType.startsWith('image/')) {
+                content.push({ type: 'image_url', image_url: { url: fileUri } });
+            } else {
+                content.push({ type: 'file', file: { file_url: fileUri } });
+            }
+        }
+    }
+    return content;
+}
+
+/**
+ * 解析 Gemini generateContent 请求
+ * @param {object} data - 请求体数据
+ * @param {string} model - 路径中的模型名称
+ * @param {boolean} isStreaming - 是否为 streamGenerateContent
+ * @param {object} options - 解析选项（同 OpenAI parseRequest）
+ * @returns {Promise<import('../openai/parse.js').ParseResult>} 解析结果
+ */
+export async function parseGenerateContentRequest(data, model, isStreaming, options) {
+    const messages = [];
+
+    const systemInstruction = data.systemInstruction || data.system_instruction;
+    if (systemInstruction?.parts) {
+        const systemText = systemInstruction.parts
+            .filter(p => typeof p.text === 'string')
+            .map(p => p.text)
+            .join('\n');
+        if (systemText) {
+            messages.push({ role: 'system', content: systemText });
+        }
+    }
+
+    for (const item of data.contents || []) {
+        messages.push({
+            role: item.role === 'model' ? 'assistant' : 'user',
+            content: toOpenAIContent(item.parts)
+        });
+    }
+
+    const generationConfig = data.generationConfig || data.generation_config || {};
+    const thinkingConfig = generationConfig.thinkingConfig || generationConfig.thinking_config || {};
+
+    return await parseRequest({
+        model,
+        messages,
+        stream: isStreaming,
+        // 与 Gemini API 一致：仅在 includeThoughts 为 true 时返回思考内容
+        include_reasoning: (thinkingConfig.includeThoughts ?? thinkingConfig.include_thoughts) === true,
+        conversation_id: data.conversationId || data.conversation_id,
+        media_format: data.mediaFormat || data.media_format
+    }, options);
+}
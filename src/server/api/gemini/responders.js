@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Gemini generateContent 响应写出器
+ * @description 将队列产出的生成结果转换为 Gemini GenerateContentResponse。
+ * streamGenerateContent 支持 alt=sse（SSE 事件流）与默认的 JSON 数组流两种输出方式。
+ * responder 约定见 api/openai/responders.js
+ */
+
+import { sendJson, sendSse } from '../../respond.js';
+import { getErrorDetails } from '../../errors.js';
+import { getUnsentContent } from '../openai/responders.js';
+import { sendProgressEvent } from '../../progress.js';
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * HTTP 状态码到 Google RPC 状态的映射
+ */
+const RPC_STATUS = {
+    400: 'INVALID_ARGUMENT',
+    401: 'UNAUTHENTICATED',
+    403: 'PERMISSION_DENIED',
+    404: 'NOT_FOUND',
+    429: 'RESOURCE_EXHAUSTED',
+    500: 'INTERNAL',
+    502: 'INTERNAL',
+    503: 'UNAVAILABLE'
+};
+
+/**
+ * 构造 Gemini 格式的错误体
+ * @param {object} options
+ * @param {string} [options.code] - 错误码（使用 ERROR_CODES 枚举）
+ * @param {string} [options.message] - 自定义错误消息
+ * @param {number} [options.status] - 自定义 HTTP 状态码
+ * @returns {{httpStatus: number, payload: object}}
+ */
+function buildGeminiError({ code, message, status }) {
+    const details = code ? getErrorDetails(code) : null;
+    const httpStatus = status || (details ? details.status : 500);
+    return {
+        httpStatus,
+        payload: {
+            error: {
+                code: httpStatus,
+                message: message || details?.message || '未知错误',
+                status: RPC_STATUS[httpStatus] || 'UNKNOWN'
+            }
+        }
+    };
+}
+
+/**
+ * 发送 Gemini 格式的错误响应（非流式）
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 错误选项 { code, message, status }
+ */
+export function sendGeminiError(res, options) {
+    const { httpStatus, payload } = buildGeminiError(options);
+    sendJson(res, httpStatus, payload);
+}
+
+/**
+ * 将图片/视频结果转换为 Gemini part
+ * @description data URI 直接拆分为 inlineData；媒体存储的链接（media_format: url）以 fileData 引用返回；
+ * 其他 http(s) 链接下载后内联，下载失败时退回 fileData 引用
+ * @param {string} media - data URI 或 http(s) 链接
+ * @param {object} [mediaStore] - 媒体存储
+ * @returns {Promise<object>}
+ */
+async function toMediaPart(media, mediaStore) {
+    if (media.startsWith('data:')) {
+        const commaIndex = media.indexOf(',');
+        const mimeType = media.slice(5, commaIndex).split(';')[0];
+        return { inlineData: { mimeType, data: media.slice(commaIndex + 1) } };
+    }
+
+    const storedType = mediaStore?.lookup(media);
+    if (storedType) {
+        return { fileData: { mimeType: storedType, fileUri: media } };
+    }
+
+    try {
+        const response = await fetch(media, { signal: AbortSignal.timeout(60000) });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const mimeType = (response.headers.get('content-type') || 'application/octet-stream').split(';')[0];
+        const data = Buffer.from(await response.arrayBuffer()).toString('base64');
+        return { inlineData: { mimeType, data } };
+    } catch (e) {
+        logger.warn('服务器', `下载媒体结果失败，返回链接引用: ${e.message}`);
+        return { fileData: { mimeType: media.includes('.mp4') ? 'video/mp4' : 'image/png', fileUri: media } };
+    }
+}
+
+/**
+ * 构造 GenerateContentResponse
+ * @param {object[]} parts - 内容 parts
+ * @param {string} modelName - 模型名称
+ * @param {object} [extra] - 附加到候选项的字段（如 finishReason、groundingMetadata）
+ * @param {import('../../usage.js').Usage} [usage] - 用量（仅最终响应）
+ * @returns {object}
+ */
+function buildResponse(parts, modelName, extra = {}, usage) {
+    const promptTokens = usage?.promptTokens || 0;
+    const completionTokens = usage?.completionTokens || 0;
+    const thoughtsTokens = usage?.reasoningTokens || 0;
+    return {
+        candidates: [{
+            content: { role: 'model', parts },
+            index: 0,
+            ...extra
+        }],
+        usageMetadata: {
+            promptTokenCount: promptTokens,
+            // Gemini 的 candidatesTokenCount 不包含思考部分
+            candidatesTokenCount: completionTokens - thoughtsTokens,
+            totalTokenCount: promptTokens + completionTokens,
+            ...(thoughtsTokens ? { thoughtsTokenCount: thoughtsTokens } : {})
+        },
+        modelVersion: modelName
+    };
+}
+
+/**
+ * 创建 generateContent / streamGenerateContent 响应写出器
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 选项
+ * @param {string} [options.modelName] - 模型名称
+ * @param {boolean} [options.isStreaming=false] - 是否流式
+ * @param {boolean} [options.sse=false] - 流式时是否使用 SSE（alt=sse），否则输出 JSON 数组流
+ * @param {boolean} [options.includeThoughts=false] - 是否输出思考内容 (thought: true 的 part)
+ * @param {object} [options.mediaStore] - 媒体存储
+ * @param {string} [options.id] - 请求 ID（日志用）
+ * @returns {object} responder
+ */
+export function createGenerateContentResponder(res, options = {}) {
+    const { modelName, isStreaming = false, sse = false, includeThoughts = false, mediaStore, id } = options;
+    const model = modelName || 'default-model';
+    let streamedText = '';
+    let streamedThoughts = false;
+    let chunkCount = 0;
+
+    /**
+     * 写出一个流式响应块
+     * @param {object} payload
+     */
+    function writeChunk(payload) {
+        if (res.writableEnded) return;
+        if (sse) {
+            sendSse(res, payload);
+        } else {
+            // JSON 数组流：首块前写入 [，后续块以逗号分隔
+            res.write((chunkCount === 0 ? '[' : ',\r\n') + JSON.stringify(payload));
+        }
+        chunkCount++;
+    }
+
+    function endStream() {
+        if (res.writableEnded) return;
+        if (!sse) res.write(chunkCount === 0 ? '[]' : ']');
+        res.end();
+    }
+
+    return {
+        isStreaming,
+
+        heartbeat(mode) {
+            if (res.writableEnded) return;
+            if (!sse) {
+                // JSON 数组流中空白字符不影响解析
+                res.write('\n');
+            } else if (mode === 'comment') {
+                res.write(`:keepalive\n\n`);
+            } else {
+                writeChunk(buildResponse([{ text: '' }], model));
+            }
+        },
+
+        progress(event) {
+            // JSON 数组流无法插入额外事件
+            if (sse) sendProgressEvent(res, event);
+        },
+
+        delta(delta) {
+            if (!isStreaming || !delta || res.writableEnded) return;
+            if (delta.reasoning && includeThoughts) {
+                streamedThoughts = true;
+                writeChunk(buildResponse([{ text: delta.reasoning, thought: true }], model));
+            }
+            if (delta.text) {
+                streamedText += delta.text;
+                writeChunk(buildResponse([{ text: delta.text }], model));
+            }
+        },
+
+        async success(results, usage) {
+            const result = results.find(r => !r.error) || results[0];
+            const parts = [];
+
+            if (includeThoughts && result.reasoning && !streamedThoughts) {
+                parts.push({ text: result.reasoning, thought: true });
+            }
+            if (result.image) {
+                parts.push(await toMediaPart(result.image, mediaStore));
+            } else {
+                const text = isStreaming ? getUnsentContent(result.text || '', streamedText) : (result.text || '');
+                parts.push({ text });
+            }
+
+            const extra = { finishReason: 'STOP' };
+            if (result.citations?.length) {
+                extra.groundingMetadata = {
+                    groundingChunks: result.citations.map(c => ({ web: { uri: c.url, title: c.title || '' } }))
+                };
+            }
+
+            logger.info('服务器', '准备发送响应...', { id, isStreaming, parts: parts.length });
+            if (isStreaming) {
+                writeChunk(buildResponse(parts, model, extra, usage));
+                endStream();
+                logger.info('服务器', '流式响应已结束', { id });
+            } else {
+                sendJson(res, 200, buildResponse(parts, model, extra, usage));
+                logger.info('服务器', 'JSON 响应已发送', { id });
+            }
+        },
+
+        error({ code, message, status }) {
+            if (!isStreaming) {
+                sendGeminiError(res, { code, message, status });
+                return;
+            }
+            writeChunk(buildGeminiError({ code, message, status }).payload);
+            endStream();
+        }
+    };
+}
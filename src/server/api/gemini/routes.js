@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Gemini generateContent 兼容 API 路由
+ * @description 处理 models/{model}:generateContent 与 :streamGenerateContent 请求，
+ * 解析后与 OpenAI 接口共用同一任务队列
+ */
+
+import crypto from 'crypto';
+import { logger } from '../../../utils/logger.js';
+import { ERROR_CODES } from '../../errors.js';
+import { sendJson } from '../../respond.js';
+import { wantsProgressEvents } from '../../progress.js';
+import { parseGenerateContentRequest } from './parse.js';
+import { createGenerateContentResponder, sendGeminiError } from './responders.js';
+
+/**
+ * 匹配 /models/{model}:{method}
+ */
+const MODEL_ACTION_PATTERN = /^\/models\/([^/:]+):(generateContent|streamGenerateContent)$/;
+
+/**
+ * 创建 Gemini API 路由处理器
+ * @param {object} context - 路由上下文（同 createOpenAIRouter）
+ * @returns {Function} 路由处理函数
+ */
+export function createGeminiRouter(context) {
+    const {
+        backendName,
+        getModels,
+        getImagePolicy,
+        getModelType,
+        supportsDocuments,
+        getImageConstraints,
+        tempDir,
+        imageLimit,
+        queueManager,
+        mediaStore,
+        config
+    } = context;
+
+    /**
+     * 处理 GET /models (Gemini 格式模型列表)
+     */
+    function handleModels(res) {
+        const models = getModels().data.map(m => ({
+            name: `models/${m.id}`,
+            displayName: m.id,
+            supportedGenerationMethods: ['generateContent', 'streamGenerateContent']
+        }));
+        sendJson(res, 200, { models });
+    }
+
+    /**
+     * 处理 POST /models/{model}:generateContent 与 :streamGenerateContent
+     */
+    async function handleGenerateContent(req, res, requestId, model, isStreaming, sse) {
+        let body = '';
+        for await (const chunk of req) {
+            body += chunk;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch (e) {
+            sendGeminiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: `JSON 解析失败: ${e.message}` });
+            return;
+        }
+
+        try {
+            // 限流检查
+            if (!isStreaming && !queueManager.canAcceptNonStreaming(model)) {
+                const status = queueManager.getStatus();
+                logger.warn('服务器', '非流式请求被拒绝 (队列已满)', { id: requestId, queueSize: status.total });
+                sendGeminiError(res, {
+                    code: ERROR_CODES.SERVER_BUSY,
+                    message: `服务器繁忙（队列: ${status.total}）。请使用 streamGenerateContent 或稍后重试。`
+                });
+                return;
+            }
+
+            // 解析请求（先于响应头，解析失败时仍可返回正常的 HTTP 错误码）
+            const parseResult = await parseGenerateContentRequest(data, model, isStreaming, {
+                tempDir,
+                imageLimit,
+                backendName,
+                getSupportedModels: getModels,
+                getImagePolicy,
+                getModelType,
+                supportsDocuments,
+                getImageConstraints,
+                config,
+                requestId,
+                logger
+            });
+
+            if (!parseResult.success) {
+                sendGeminiError(res, {
+                    code: parseResult.error.code,
+                    message: parseResult.error.error
+                });
+                return;
+            }
+
+            if (isStreaming) {
+                res.writeHead(200, sse
+                    ? { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' }
+                    : { 'Content-Type': 'application/json' });
+            }
+
+            const { prompt, imagePaths, session, modelId, modelName, includeReasoning, mediaFormat } = parseResult.data;
+
+            logger.info('服务器', `[队列] Gemini 请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length });
+
+            queueManager.addTask({
+                req,
+                res,
+                prompt,
+                imagePaths,
+                session,
+                modelId,
+                modelName,
+                mediaFormat,
+                progressEvents: isStreaming && sse && wantsProgressEvents(req),
+                id: requestId,
+                isStreaming,
+                responder: createGenerateContentResponder(res, {
+                    modelName,
+                    isStreaming,
+                    sse,
+                    includeThoughts: includeReasoning,
+                    mediaStore,
+                    id: requestId
+                })
+            });
+
+        } catch (err) {
+            logger.error('服务器', 'Gemini 请求处理失败', { id: requestId, error: err.message });
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+            sendGeminiError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message
+            });
+        }
+    }
+
+    /**
+     * Gemini API 路由处理函数
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {string} pathname - 去除版本前缀后的路径 (如 /models/gemini-3-pro:generateContent)
+     * @param {URL} parsedUrl - 解析后的 URL 对象
+     */
+    return async function handleGeminiRequest(req, res, pathname, parsedUrl) {
+        const requestId = crypto.randomUUID().slice(0, 8);
+        const match = pathname.match(MODEL_ACTION_PATTERN);
+
+        if (req.method === 'GET' && pathname === '/models') {
+            handleModels(res);
+        } else if (req.method === 'POST' && match) {
+            let model;
+            try {
+                model = decodeURIComponent(match[1]);
+            } catch {
+                sendGeminiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: `模型名称不是有效的 URL 编码: ${match[1]}` });
+                return;
+            }
+            const isStreaming = match[2] === 'streamGenerateContent';
+            const sse = parsedUrl.searchParams.get('alt') === 'sse';
+            await handleGenerateContent(req, res, requestId, model, isStreaming, sse);
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    };
+}
@@ -1,13 +1,19 @@
 /**
  * @fileoverview API 路由总装配
- * @description 统一挂载 /v1 和 /admin 路由
+ * @description 统一挂载 /v1 (OpenAI 与 Anthropic Messages 兼容接口、异步任务接口)、/v1beta (Gemini 兼容接口)、/admin 路由
+ * 以及 /media 媒体下载链接
  */
 
 import fs from 'fs';
 import path from 'path';
 import { createOpenAIRouter } from './openai/routes.js';
+import { createAnthropicRouter } from './anthropic/routes.js';
+import { createGeminiRouter } from './gemini/routes.js';
+import { createJobsRouter } from './jobs/routes.js';
 import { createAdminRouter } from './admin/routes.js';
 import { createAuthMiddleware } from '../middlewares/auth.js';
+import { sendApiError } from '../respond.js';
+import { ERROR_CODES } from '../errors.js';
 
 // MIME 类型映射
 const MIME_TYPES = {
@@ -36,14 +42,17 @@ const WEBUI_DIR = path.join(process.cwd(), 'webui', 'dist');
  * @returns {Function} 请求处理函数
  */
 export function createGlobalRouter(context) {
-    const { authToken, config, queueManager, tempDir, loginMode, getSafeMode } = context;
+    const { authToken, apiKeys, config, queueManager, queueJournal, configReloader, mediaStore, tempDir, loginMode, getSafeMode } = context;
 
     // 创建鉴权中间件
-    const checkAuth = createAuthMiddleware(authToken);
+    const checkAuth = createAuthMiddleware(authToken, apiKeys);
 
     // 创建子路由处理器
     const handleOpenAIRequest = loginMode ? null : createOpenAIRouter(context);
-    const handleAdminRequest = createAdminRouter({ config, queueManager, tempDir, getSafeMode });
+    const handleAnthropicRequest = loginMode ? null : createAnthropicRouter(context);
+    const handleGeminiRequest = loginMode ? null : createGeminiRouter(context);
+    const handleJobsRequest = loginMode ? null : createJobsRouter(context);
+    const handleAdminRequest = createAdminRouter({ config, queueManager, queueJournal, configReloader, tempDir, getSafeMode });
 
     /**
      * 主路由处理函数
@@ -52,6 +61,13 @@ export function createGlobalRouter(context) {
         const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
         const pathname = parsedUrl.pathname;
 
+        // ==================== 媒体下载 ====================
+        // 链接自带签名，无需鉴权
+        if (req.method === 'GET' && pathname.startsWith('/media/') && mediaStore) {
+            await mediaStore.serve(req, res, pathname.slice(7), parsedUrl.searchParams);
+            return;
+        }
+
         // ==================== 静态文件服务 ====================
         if (req.method === 'GET' && !pathname.startsWith('/v1') && !pathname.startsWith('/admin')) {
             let filePath = pathname === '/' ? '/index.html' : pathname;
@@ -85,14 +101,23 @@ export function createGlobalRouter(context) {
         }
 
         // ==================== 鉴权检查 ====================
+        // 管理接口拒绝通过查询参数传递密钥，避免主密钥出现在 URL 与日志中
+        if (pathname.startsWith('/admin') && parsedUrl.searchParams.has('key')) {
+            sendApiError(res, { code: ERROR_CODES.UNAUTHORIZED, message: '管理接口不接受 ?key= 查询参数，请使用 Authorization 请求头' });
+            return;
+        }
         if (!checkAuth(req, res)) {
             return; // 鉴权失败，已发送错误响应
         }
 
         // ==================== API 路由分发 ====================
 
-        // Admin API (/admin)
+        // Admin API (/admin)，附加 API Key 只能访问 /v1 接口
         if (pathname.startsWith('/admin')) {
+            if (!req.apiKey.admin) {
+                sendApiError(res, { code: ERROR_CODES.UNAUTHORIZED });
+                return;
+            }
             const adminPath = pathname.slice(6); // 去除 /admin 前缀
             await handleAdminRequest(req, res, adminPath);
             return;
@@ -120,7 +145,27 @@ export function createGlobalRouter(context) {
                 }));
                 return;
             }
+            // Gemini 接口 (/v1beta/models/{model}:generateContent)
+            if (pathname.startsWith('/v1beta/')) {
+                await handleGeminiRequest(req, res, pathname.slice(7), parsedUrl); // 去除 /v1beta 前缀
+                return;
+            }
             const v1Path = pathname.slice(3); // 去除 /v1 前缀
+            // 部分客户端使用 /v1/models/{model}:generateContent
+            if (v1Path.startsWith('/models/') && v1Path.includes(':')) {
+                await handleGeminiRequest(req, res, v1Path, parsedUrl);
+                return;
+            }
+            // Anthropic Messages 接口与 OpenAI 接口共用 /v1 前缀
+            if (v1Path.startsWith('/messages')) {
+                await handleAnthropicRequest(req, res, v1Path);
+                return;
+            }
+            // 异步任务接口 (/v1/jobs)
+            if (v1Path === '/jobs' || v1Path.startsWith('/jobs/')) {
+                await handleJobsRequest(req, res, v1Path);
+                return;
+            }
             await handleOpenAIRequest(req, res, v1Path, parsedUrl);
             return;
         }
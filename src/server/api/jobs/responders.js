@@ -0,0 +1,65 @@
+/**
+ * @fileoverview 异步任务响应写出器
+ * @description 任务结果不写入 HTTP 响应，而是保存到任务存储 (jobs.js)，由 GET /v1/jobs/:id 查询。
+ * responder 约定见 api/openai/responders.js
+ */
+
+import { ERROR_CODES } from '../../errors.js';
+import { isVideoResult, toChatUsage } from '../../usage.js';
+
+/**
+ * 将适配器结果转换为任务结果中的一项
+ * @param {object} result - 适配器结果
+ * @param {number} index - 结果序号
+ * @param {boolean} includeReasoning - 是否保留思考过程
+ * @returns {object} 文本为 {index, type: 'text', text}，媒体为 {index, type: 'image'|'video', url}，失败为 {index, error}
+ */
+function buildJobChoice(result, index, includeReasoning) {
+    if (result.error) {
+        return { index, error: { code: result.code || ERROR_CODES.GENERATION_FAILED, message: result.error } };
+    }
+
+    const choice = result.image
+        ? { index, type: isVideoResult(result.image) ? 'video' : 'image', url: result.image }
+        : { index, type: 'text', text: result.text || '' };
+    if (includeReasoning && result.reasoning) {
+        choice.reasoning = result.reasoning;
+    }
+    return choice;
+}
+
+/**
+ * 创建异步任务响应写出器
+ * @param {object} jobStore - 任务存储
+ * @param {string} jobId - 任务 ID
+ * @param {object} [options={}] - 选项
+ * @param {boolean} [options.includeReasoning=true] - 是否保留思考过程
+ * @returns {object} responder
+ */
+export function createJobResponder(jobStore, jobId, options = {}) {
+    const { includeReasoning = true } = options;
+
+    return {
+        isStreaming: false,
+
+        heartbeat() { },
+
+        delta() { },
+
+        /** 队列开始处理任务时调用 */
+        async start() {
+            await jobStore.markRunning(jobId);
+        },
+
+        async success(results, usage) {
+            await jobStore.complete(jobId, {
+                choices: results.map((result, index) => buildJobChoice(result, index, includeReasoning)),
+                usage: toChatUsage(usage)
+            });
+        },
+
+        async error({ code, message }) {
+            await jobStore.fail(jobId, { code: code || ERROR_CODES.INTERNAL_ERROR, message });
+        }
+    };
+}
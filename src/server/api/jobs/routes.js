@@ -0,0 +1,172 @@
+/**
+ * @fileoverview 异步任务 API 路由
+ * @description 处理 /v1/jobs 请求：提交后立即返回任务 ID，生成在队列中异步进行，
+ * 适合视频等耗时较长、不便保持连接的生成。任务不受非流式队列上限限制，并写入队列日志，服务重启后继续执行。
+ */
+
+import crypto from 'crypto';
+import { logger } from '../../../utils/logger.js';
+import { ERROR_CODES } from '../../errors.js';
+import { sendJson, sendApiError } from '../../respond.js';
+import { parseRequest } from '../openai/parse.js';
+import { resolveLane } from '../../priority.js';
+import { checkWebhookUrl } from '../../webhook.js';
+import { createJobResponder } from './responders.js';
+
+/**
+ * 创建异步任务 API 路由处理器
+ * @param {object} context - 路由上下文（同 createOpenAIRouter，另需 jobStore）
+ * @returns {Function} 路由处理函数
+ */
+export function createJobsRouter(context) {
+    const {
+        backendName,
+        getModels,
+        getImagePolicy,
+        getModelType,
+        supportsDocuments,
+        getImageConstraints,
+        tempDir,
+        imageLimit,
+        queueManager,
+        mediaStore,
+        config,
+        jobStore
+    } = context;
+
+    /**
+     * 附加排队位置（从 1 开始）与预计等待秒数（仅 queued 状态）
+     * @param {object} job - 任务
+     * @returns {object}
+     */
+    function withQueuePosition(job) {
+        if (job.status !== 'queued') return job;
+        const entry = queueManager.getDetailedStatus().waiting.find(t => t.id === job.id);
+        return { ...job, queue_position: entry?.position ?? null, estimated_wait: entry?.estimatedWait ?? null };
+    }
+
+    /**
+     * 处理 POST /v1/jobs
+     * @description 请求体与 /v1/chat/completions 相同（stream 被忽略），也可用 prompt 字段代替 messages；
+     * 扩展字段 webhook_url 指定任务结束时回调的地址
+     */
+    async function handleCreateJob(req, res, requestId) {
+        let body = '';
+        for await (const chunk of req) {
+            body += chunk;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch (e) {
+            sendApiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: `JSON 解析失败: ${e.message}` });
+            return;
+        }
+
+        try {
+            const webhookUrl = data.webhook_url ?? null;
+            if (webhookUrl !== null) {
+                const reason = typeof webhookUrl === 'string'
+                    ? await checkWebhookUrl(webhookUrl, config.queue?.webhookAllowHosts)
+                    : 'webhook_url 必须是 http(s) 地址';
+                if (reason) {
+                    sendApiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: reason });
+                    return;
+                }
+            }
+
+            if (!data.messages && typeof data.prompt === 'string') {
+                data = { ...data, messages: [{ role: 'user', content: data.prompt }] };
+            }
+
+            const parseResult = await parseRequest({ ...data, stream: false }, {
+                tempDir,
+                imageLimit,
+                backendName,
+                getSupportedModels: getModels,
+                getImagePolicy,
+                getModelType,
+                supportsDocuments,
+                getImageConstraints,
+                config,
+                requestId,
+                logger
+            });
+
+            if (!parseResult.success) {
+                sendApiError(res, {
+                    code: parseResult.error.code,
+                    message: parseResult.error.error
+                });
+                return;
+            }
+
+            const { prompt, imagePaths, session, modelId, modelName, n, includeReasoning, outputFormat, mediaFormat } = parseResult.data;
+
+            const job = await jobStore.create({ model: modelName || modelId, webhookUrl });
+
+            logger.info('服务器', `[队列] 异步任务入队: ${prompt.slice(0, 10)}...`, { id: requestId, job: job.id, images: imagePaths.length, n });
+
+            // 任务不绑定 HTTP 连接，客户端断开不会取消任务；写入队列日志后再返回 202，重启后可以恢复
+            await queueManager.addTask({
+                prompt,
+                imagePaths,
+                session,
+                outputFormat,
+                modelId,
+                modelName,
+                mediaFormat,
+                baseUrl: mediaStore?.baseUrlOf(req),
+                // 结果保留期间媒体链接保持有效
+                mediaTtl: jobStore.retentionSeconds,
+                lane: resolveLane(req),
+                replay: { includeReasoning },
+                id: job.id,
+                isStreaming: false,
+                n,
+                responder: createJobResponder(jobStore, job.id, { includeReasoning })
+            });
+
+            sendJson(res, 202, withQueuePosition(jobStore.get(job.id)));
+
+        } catch (err) {
+            logger.error('服务器', '异步任务提交失败', { id: requestId, error: err.message });
+            sendApiError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message
+            });
+        }
+    }
+
+    /**
+     * 处理 GET /v1/jobs/:id
+     */
+    function handleGetJob(res, jobId) {
+        const job = jobStore.get(jobId);
+        if (!job) {
+            sendApiError(res, { code: ERROR_CODES.JOB_NOT_FOUND });
+            return;
+        }
+        sendJson(res, 200, withQueuePosition(job));
+    }
+
+    /**
+     * 异步任务 API 路由处理函数
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {string} pathname - 去除 /v1 前缀后的路径
+     */
+    return async function handleJobsRequest(req, res, pathname) {
+        const requestId = crypto.randomUUID().slice(0, 8);
+
+        if (req.method === 'POST' && pathname === '/jobs') {
+            await handleCreateJob(req, res, requestId);
+        } else if (req.method === 'GET' && pathname.startsWith('/jobs/')) {
+            handleGetJob(res, decodeURIComponent(pathname.slice(6)));
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    };
+}
@@ -8,6 +8,11 @@ import path from 'path';
 import sharp from 'sharp';
 import { IMAGE_POLICY } from '../../../backend/registry.js';
 import { ERROR_CODES, getErrorMessage } from '../../errors.js';
+import { normalizeContent } from '../../session.js';
+import { normalizeTools, buildToolPrompt, renderToolCalls, renderToolResult } from '../../tools.js';
+import { normalizeResponseFormat, buildFormatPrompt } from '../../structured.js';
+import { downloadRemoteFile, sniffMimeType, isTextBuffer, DOCUMENT_TYPES } from '../../../utils/download.js';
+import { REMOTE_FILE_LIMITS } from '../../../utils/constants.js';
 
 /**
  * 构造解析错误结果
@@ -25,6 +30,26 @@ function parseError(code, customMessage) {
     };
 }
 
+/**
+ * 删除解析失败前已保存的临时文件
+ * @param {string[]} paths - 临时文件路径
+ */
+function removeSavedFiles(paths) {
+    for (const p of paths) {
+        try { fs.unlinkSync(p); } catch (e) { /* ignore */ }
+    }
+}
+
+/**
+ * 解析结果数量参数 n
+ * @param {*} value - 请求中的 n
+ * @returns {number|null} 1-10 之间的整数，无效时返回 null
+ */
+function parseChoiceCount(value) {
+    const n = value === undefined || value === null ? 1 : Number(value);
+    return Number.isInteger(n) && n >= 1 && n <= 10 ? n : null;
+}
+
 /**
  * @typedef {object} ParsedRequest
  * @property {string} prompt - 提取的提示词
@@ -32,6 +57,14 @@ function parseError(code, customMessage) {
  * @property {string|null} modelId - 解析后的模型 ID
  * @property {string|null} modelName - 原始模型名称
  * @property {boolean} isStreaming - 是否流式请求
+ * @property {number} n - 结果数量（choices 数）
+ * @property {boolean} includeReasoning - 是否输出思考过程
+ * @property {boolean} citationFootnotes - 是否在回复末尾追加引用来源列表
+ * @property {boolean} includeUsage - 流式响应是否在末尾发送用量块（stream_options.include_usage）
+ * @property {'url'|'b64'|null} mediaFormat - 媒体结果返回格式（media_format 扩展字段，未指定时为 null）
+ * @property {import('../../session.js').RequestSession} [session] - 会话续接信息（仅文本模型，使用工具调用时不提供）
+ * @property {string[]|null} [toolNames] - 可调用的函数名（仅文本模型声明 tools 且 tool_choice 不为 none 时）
+ * @property {import('../../structured.js').OutputFormat|null} [outputFormat] - response_format 指定的结构化输出格式（仅文本模型）
  */
 
 /**
@@ -57,6 +90,9 @@ function parseError(code, customMessage) {
  * @param {Function} options.getSupportedModels - 获取支持的模型列表函数
  * @param {Function} options.getImagePolicy - 获取图片策略函数
  * @param {Function} options.getModelType - 获取模型类型函数
+ * @param {Function} [options.supportsDocuments] - 检查模型是否支持上传文档的函数
+ * @param {Function} [options.getImageConstraints] - 获取模型图片尺寸/大小限制的函数
+ * @param {object} [options.config] - 全局配置（下载远程图片/文件时读取代理设置）
  * @param {string} options.requestId - 请求 ID
  * @param {Function} options.logger - 日志函数
  * @returns {Promise<ParseResult>} 解析结果
@@ -69,6 +105,9 @@ export async function parseRequest(data, options) {
         getSupportedModels,
         getImagePolicy,
         getModelType,
+        supportsDocuments,
+        getImageConstraints,
+        config,
         requestId,
         logger
     } = options;
@@ -81,6 +120,26 @@ export async function parseRequest(data, options) {
         return parseError(ERROR_CODES.NO_MESSAGES);
     }
 
+    const n = parseChoiceCount(data.n);
+    if (n === null) {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, 'n 必须是 1-10 之间的整数');
+    }
+
+    const tools = normalizeTools(data);
+    if (tools.error) {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, tools.error);
+    }
+
+    const output = normalizeResponseFormat(data.response_format);
+    if (output.error) {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, output.error);
+    }
+
+    const mediaFormat = data.media_format ?? null;
+    if (mediaFormat !== null && mediaFormat !== 'url' && mediaFormat !== 'b64') {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, `不支持的 media_format: ${mediaFormat}`);
+    }
+
     // 1. 解析模型参数与类型
     let modelKey = null;
     let isTextMode = false;
@@ -111,29 +170,135 @@ export async function parseRequest(data, options) {
         logger.info('服务器', '未指定模型，使用网页默认', { id: requestId });
     }
 
-    // ============================================================
-    // 分支 A: 文本模型解析 (构建虚拟上下文)
-    // ============================================================
+    const imageConstraints = (modelKey && getImageConstraints?.(modelKey)) || {};
+
+    let result;
     if (isTextMode) {
-        return await parseTextRequest(messages, tempDir, imageLimit, modelKey, isStreaming);
+        // ============================================================
+        // 分支 A: 文本模型解析 (构建虚拟上下文)
+        // ============================================================
+        result = await parseTextRequest(messages, tempDir, imageLimit, modelKey, isStreaming, {
+            config,
+            imageConstraints,
+            documentsAllowed: !!(modelKey && supportsDocuments?.(modelKey)),
+            logger,
+            requestId
+        }, { toolSpec: tools.spec, outputFormat: output.format });
+    } else {
+        // ============================================================
+        // 分支 B: 生图模型解析 (原有逻辑)
+        // ============================================================
+        result = await parseImageRequest(messages, tempDir, imageLimit, modelKey, isStreaming, getImagePolicy, { config, imageConstraints, logger, requestId });
+    }
+
+    // 思考过程默认输出，可通过 include_reasoning: false 或 reasoning.exclude: true 关闭
+    if (result.success) {
+        result.data.n = n;
+        result.data.includeReasoning = data.include_reasoning !== false && data.reasoning?.exclude !== true;
+        // 引用来源始终以 annotations 返回，脚注列表需显式开启
+        result.data.citationFootnotes = data.citation_footnotes === true;
+        result.data.includeUsage = data.stream_options?.include_usage === true;
+        result.data.mediaFormat = mediaFormat;
+        if (result.data.session && typeof data.conversation_id === 'string' && data.conversation_id) {
+            result.data.session.conversationId = data.conversation_id;
+        }
+    }
+    return result;
+}
+
+/**
+ * 将 Responses API 的 input content 转换为聊天 content parts
+ * @param {string|object[]} content - 字符串或 input_text / input_image / output_text 列表
+ * @returns {string|object[]}
+ */
+function toChatContent(content) {
+    if (!Array.isArray(content)) return content || '';
+
+    const parts = [];
+    for (const item of content) {
+        if (item.type === 'input_text' || item.type === 'output_text' || item.type === 'text') {
+            parts.push({ type: 'text', text: item.text || '' });
+        } else if (item.type === 'input_image') {
+            const url = typeof item.image_url === 'string' ? item.image_url : item.image_url?.url;
+            if (url) parts.push({ type: 'image_url', image_url: { url } });
+        } else if (item.type === 'input_file') {
+            parts.push({
+                type: 'file',
+                file: { file_data: item.file_data, file_url: item.file_url, filename: item.filename }
+            });
+        }
+    }
+    return parts;
+}
+
+/**
+ * 将 Responses API 的 text.format 转换为聊天接口的 response_format
+ * @param {object} [format] - text.format（json_schema 的 name/schema 与 type 同级）
+ * @returns {object|undefined}
+ */
+function toChatResponseFormat(format) {
+    if (format?.type !== 'json_schema') return format;
+    return { type: 'json_schema', json_schema: { name: format.name, schema: format.schema, strict: format.strict } };
+}
+
+/**
+ * 解析 Responses API 请求 (/v1/responses)
+ * @description 将 instructions 与 input items 转换为聊天 messages 后交给 parseRequest，
+ * 只处理 message 类型的输入项（reasoning 等输出项回传时忽略）
+ * @param {object} data - 请求体数据
+ * @param {object} options - 解析选项（同 parseRequest）
+ * @returns {Promise<ParseResult>} 解析结果
+ */
+export async function parseResponsesRequest(data, options) {
+    const messages = [];
+
+    if (typeof data.instructions === 'string' && data.instructions) {
+        messages.push({ role: 'system', content: data.instructions });
+    }
+
+    if (typeof data.input === 'string') {
+        messages.push({ role: 'user', content: data.input });
+    } else if (Array.isArray(data.input)) {
+        for (const item of data.input) {
+            if (item.type && item.type !== 'message') continue;
+            // developer 消息等同于 system 指令
+            const role = item.role === 'developer' ? 'system' : item.role;
+            messages.push({ role, content: toChatContent(item.content) });
+        }
     }
 
-    // ============================================================
-    // 分支 B: 生图模型解析 (原有逻辑)
-    // ============================================================
-    return await parseImageRequest(messages, tempDir, imageLimit, modelKey, isStreaming, getImagePolicy);
+    return await parseRequest({
+        model: data.model,
+        messages,
+        stream: data.stream === true,
+        reasoning: data.reasoning,
+        include_reasoning: data.include_reasoning,
+        citation_footnotes: data.citation_footnotes,
+        response_format: toChatResponseFormat(data.text?.format),
+        media_format: data.media_format,
+        // Responses API 的 conversation 可以是 ID 字符串或 { id } 对象
+        conversation_id: data.conversation_id || (typeof data.conversation === 'string' ? data.conversation : data.conversation?.id)
+    }, options);
 }
 
 /**
  * 解析文本请求 (构建虚拟上下文)
+ * @param {object} fileOptions - 附件处理选项 { config, imageConstraints, documentsAllowed, logger, requestId }
+ * @param {object} [promptOptions] - 提示词选项
+ * @param {import('../../tools.js').ToolSpec|null} [promptOptions.toolSpec] - 工具调用声明
+ * @param {import('../../structured.js').OutputFormat|null} [promptOptions.outputFormat] - 结构化输出格式
  */
-async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStreaming) {
+async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStreaming, fileOptions, promptOptions = {}) {
+    const { toolSpec = null, outputFormat = null } = promptOptions;
+    const { imageConstraints, documentsAllowed, logger, requestId } = fileOptions;
     let systemPrompt = '';
     let historyPrompt = '';
     let currentPrompt = '';
 
     const imagePaths = [];
     let globalImageCount = 0;
+    let globalFileCount = 0;
+    let rejectedDocument = null;
 
     // 辅助函数：处理单条消息内容
     async function processContent(content) {
@@ -147,15 +312,15 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
                 } else if (item.type === 'image_url' && item.image_url?.url) {
                     globalImageCount++;
 
-                    // 图片数量限制检查
-                    if (imageLimit > 0 && globalImageCount > imageLimit) {
+                    // 图片数量限制检查 (文件与图片共用附件数量上限)
+                    if (imageLimit > 0 && globalImageCount + globalFileCount > imageLimit) {
                         textBuffer += `[图片${globalImageCount} (已忽略:超过限制)]`;
                         continue;
                     }
 
                     const url = item.image_url.url;
                     if (url.startsWith('data:image')) {
-                        const imagePath = await saveBase64Image(url, tempDir);
+                        const imagePath = await saveBase64Image(url, tempDir, imageConstraints);
                         if (imagePath) {
                             imagePaths.push(imagePath);
                             // 插入占位符
@@ -163,15 +328,68 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
                         } else {
                             textBuffer += `[图片${globalImageCount} (上传失败)]`;
                         }
+                    } else if (/^https?:\/\//.test(url)) {
+                        const imagePath = await saveRemoteImage(url, tempDir, fileOptions);
+                        if (imagePath) {
+                            imagePaths.push(imagePath);
+                            textBuffer += `[图片${globalImageCount}]`;
+                        } else {
+                            textBuffer += `[图片${globalImageCount} (下载失败)]`;
+                        }
                     } else {
                         textBuffer += `[图片${globalImageCount} (无效链接)]`;
                     }
+                } else if (item.type === 'file' && item.file) {
+                    globalFileCount++;
+                    const name = item.file.filename || `文件${globalFileCount}`;
+
+                    if (imageLimit > 0 && globalImageCount + globalFileCount > imageLimit) {
+                        textBuffer += `[文件: ${name} (已忽略:超过限制)]`;
+                        continue;
+                    }
+
+                    const loaded = await loadFilePart(item.file, fileOptions.config);
+                    if (loaded.error) {
+                        logger.warn('服务器', `文件 ${name} 处理失败: ${loaded.error}`, { id: requestId });
+                        textBuffer += `[文件: ${name} (${loaded.error})]`;
+                    } else if (loaded.mimeType.startsWith('image/')) {
+                        // 以文件形式传入的图片按图片上传
+                        const imagePath = await saveImageBuffer(loaded.buffer, tempDir, imageConstraints);
+                        if (imagePath) imagePaths.push(imagePath);
+                        textBuffer += imagePath ? `[文件: ${name}]` : `[文件: ${name} (上传失败)]`;
+                    } else if (!documentsAllowed) {
+                        rejectedDocument = name;
+                    } else {
+                        imagePaths.push(saveDocumentBuffer(loaded.buffer, name, loaded.mimeType, tempDir));
+                        textBuffer += `[文件: ${name}]`;
+                    }
                 }
             }
         }
         return textBuffer;
     }
 
+    // tool_call_id -> 函数名，用于渲染 tool 结果
+    const callNames = new Map();
+    for (const msg of messages) {
+        for (const call of msg.tool_calls || []) {
+            callNames.set(call.id, call.function?.name);
+        }
+    }
+
+    // 辅助函数：将一条历史消息渲染为对话记录（包含工具调用与工具结果）
+    async function renderMessage(msg) {
+        const content = await processContent(msg.content);
+        if (msg.role === 'tool') {
+            return renderToolResult(msg, content, callNames);
+        }
+        const roleName = msg.role === 'user' ? 'User' : 'AI';
+        if (msg.tool_calls?.length) {
+            return `${roleName}: ${content ? `${content}\n` : ''}${renderToolCalls(msg.tool_calls)}`;
+        }
+        return `${roleName}: ${content}`;
+    }
+
     // 1. 提取 System Prompt
     const systemMsg = messages.find(m => m.role === 'system');
     if (systemMsg) {
@@ -180,6 +398,10 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
             systemPrompt = `=== 系统指令 (永远置顶) ===\n${content}\n\n`;
         }
     }
+    const toolPrompt = toolSpec ? buildToolPrompt(toolSpec) : '';
+    if (toolPrompt) {
+        systemPrompt += `${toolPrompt}\n\n`;
+    }
 
     // 2. 区分历史和当前消息
     // 找到最后一条 user 消息的索引
@@ -192,6 +414,7 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
     }
 
     if (lastUserIndex === -1) {
+        removeSavedFiles(imagePaths);
         return parseError(ERROR_CODES.NO_USER_MESSAGES);
     }
 
@@ -203,30 +426,54 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
     if (historyMessages.length > 0) {
         historyPrompt += `=== 历史对话 (滑动窗口或摘要) ===\n`;
         for (const msg of historyMessages) {
-            const roleName = msg.role === 'user' ? 'User' : 'AI';
-            const content = await processContent(msg.content);
-            historyPrompt += `${roleName}: ${content}\n`;
+            historyPrompt += `${await renderMessage(msg)}\n`;
         }
         historyPrompt += `\n`;
     }
 
     // 4. 构建当前输入
     const lastUserMsg = messages[lastUserIndex];
-    const currentContent = await processContent(lastUserMsg.content);
+    const historyImageCount = imagePaths.length;
+    let currentContent = await processContent(lastUserMsg.content);
+    // 输出格式要求紧跟本轮输入，续接会话时同样生效
+    if (outputFormat) {
+        currentContent += `\n\n${buildFormatPrompt(outputFormat)}`;
+    }
+
+    // 最后一条 user 消息之后的工具调用与工具结果属于本轮输入
+    const toolTurnMessages = messages
+        .slice(lastUserIndex + 1)
+        .filter(m => m.role === 'tool' || m.tool_calls?.length);
+    let toolTurnPrompt = '';
+    for (const msg of toolTurnMessages) {
+        toolTurnPrompt += `\n${await renderMessage(msg)}`;
+    }
 
     // 判断是否需要添加分割符号
-    const hasContext = systemPrompt || historyPrompt;
+    const hasContext = systemPrompt || historyPrompt || toolTurnPrompt;
     if (hasContext) {
         // 有上下文，添加分割符
-        currentPrompt = `=== 当前输入 ===\nUser: ${currentContent}`;
+        currentPrompt = `=== 当前输入 ===\nUser: ${currentContent}${toolTurnPrompt}`;
     } else {
         // 没有上下文，直接使用内容
         currentPrompt = currentContent;
     }
 
+    if (rejectedDocument) {
+        removeSavedFiles(imagePaths);
+        return parseError(ERROR_CODES.FILE_FORBIDDEN, `模型 ${modelId} 不支持文件输入: ${rejectedDocument}`);
+    }
+
     // 5. 合并最终 Prompt
     const finalPrompt = systemPrompt + historyPrompt + currentPrompt;
 
+    // 6. 会话续接信息：续接已有网页会话时只需输入本轮用户消息
+    // 工具调用依赖每轮重新注入的函数说明与工具结果，不参与会话续接
+    const usesTools = toolSpec || callNames.size > 0 || messages.some(m => m.role === 'tool');
+    const turns = messages
+        .slice(0, lastUserIndex + 1)
+        .map(m => ({ role: m.role, text: normalizeContent(m.content) }));
+
     return {
         success: true,
         data: {
@@ -234,15 +481,25 @@ async function parseTextRequest(messages, tempDir, imageLimit, modelId, isStream
             imagePaths,
             modelId,
             modelName: modelId,
-            isStreaming
+            isStreaming,
+            toolNames: toolPrompt ? toolSpec.tools.map(t => t.name) : null,
+            outputFormat,
+            session: usesTools ? undefined : {
+                conversationId: null,
+                modelId,
+                turns,
+                prompt: currentContent,
+                imagePaths: imagePaths.slice(historyImageCount)
+            }
         }
     };
 }
 
 /**
  * 解析生图请求 (原有逻辑)
+ * @param {object} fileOptions - 附件处理选项 { config, imageConstraints, logger, requestId }
  */
-async function parseImageRequest(messages, tempDir, imageLimit, modelId, isStreaming, getImagePolicy) {
+async function parseImageRequest(messages, tempDir, imageLimit, modelId, isStreaming, getImagePolicy, fileOptions) {
     // 筛选用户消息
     const userMessages = messages.filter(m => m.role === 'user');
     if (userMessages.length === 0) {
@@ -278,10 +535,17 @@ async function parseImageRequest(messages, tempDir, imageLimit, modelId, isStrea
                 // 处理 data URL
                 const url = item.image_url.url;
                 if (url.startsWith('data:image')) {
-                    const imagePath = await saveBase64Image(url, tempDir);
+                    const imagePath = await saveBase64Image(url, tempDir, fileOptions.imageConstraints);
                     if (imagePath) {
                         imagePaths.push(imagePath);
                     }
+                } else if (/^https?:\/\//.test(url)) {
+                    // 参考图下载失败直接报错，避免在缺少参考图的情况下生成
+                    const imagePath = await saveRemoteImage(url, tempDir, fileOptions);
+                    if (!imagePath) {
+                        return parseError(ERROR_CODES.REMOTE_FILE_FAILED, `参考图下载失败: ${url}`);
+                    }
+                    imagePaths.push(imagePath);
                 }
             }
         }
@@ -300,6 +564,7 @@ async function parseImageRequest(messages, tempDir, imageLimit, modelId, isStrea
     }
 
     if (policy === IMAGE_POLICY.FORBIDDEN && hasImage) {
+        removeSavedFiles(imagePaths);
         return parseError(ERROR_CODES.IMAGE_FORBIDDEN, `模型 ${modelId} 不支持图片输入`);
     }
 
@@ -315,30 +580,328 @@ async function parseImageRequest(messages, tempDir, imageLimit, modelId, isStrea
     };
 }
 
+/**
+ * @typedef {object} ParsedImagesRequest
+ * @property {string} prompt - 提示词
+ * @property {string[]} imagePaths - 参考图临时文件路径
+ * @property {string|null} maskPath - 蒙版临时文件路径（黑白 PNG，白色为待编辑区域）
+ * @property {string|null} modelId - 解析后的模型 ID
+ * @property {string|null} modelName - 原始模型名称
+ * @property {number} n - 生成数量
+ * @property {'url'|'b64_json'} responseFormat - 返回格式
+ */
+
+/**
+ * 解析图片接口请求 (/v1/images/generations、/v1/images/edits)
+ * @param {object} data - 请求字段 { model, prompt, n, response_format }
+ * @param {object} files - 上传的图片
+ * @param {Buffer[]} [files.images=[]] - 参考图
+ * @param {Buffer} [files.mask] - 蒙版
+ * @param {object} options - 解析选项（同 parseRequest）
+ * @returns {Promise<{success: boolean, data?: ParsedImagesRequest, error?: ParseError}>}
+ */
+export async function parseImagesRequest(data, files, options) {
+    const { tempDir, imageLimit, backendName, getSupportedModels, getImagePolicy, getModelType, getImageConstraints, requestId, logger } = options;
+    const { images = [], mask = null } = files;
+
+    const prompt = typeof data.prompt === 'string' ? data.prompt.trim() : '';
+    if (!prompt) {
+        return parseError(ERROR_CODES.NO_PROMPT);
+    }
+
+    const n = parseChoiceCount(data.n);
+    if (n === null) {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, 'n 必须是 1-10 之间的整数');
+    }
+
+    const responseFormat = data.response_format || 'url';
+    if (responseFormat !== 'url' && responseFormat !== 'b64_json') {
+        return parseError(ERROR_CODES.INVALID_REQUEST_BODY, `不支持的 response_format: ${responseFormat}`);
+    }
+
+    // 解析模型
+    let modelKey = null;
+    if (data.model) {
+        const supportedModels = getSupportedModels();
+        if (!supportedModels.data.some(m => m.id === data.model)) {
+            return parseError(ERROR_CODES.INVALID_MODEL, `模型无效/后端 ${backendName} 不支持: ${data.model}`);
+        }
+        if (getModelType && getModelType(data.model) === 'text') {
+            return parseError(ERROR_CODES.INVALID_MODEL, `模型 ${data.model} 不是图像模型`);
+        }
+        modelKey = data.model;
+        logger.info('服务器', `触发模型: ${data.model}`, { id: requestId });
+    } else {
+        logger.info('服务器', '未指定模型，使用网页默认', { id: requestId });
+    }
+
+    // 图片数量检查（蒙版也占用一个上传位）
+    const totalImages = images.length + (mask ? 1 : 0);
+    const maxImages = imageLimit <= 10 ? imageLimit : 10;
+    if (totalImages > maxImages) {
+        return parseError(ERROR_CODES.TOO_MANY_IMAGES, `图片数量超过限制（最大 ${maxImages} 张）`);
+    }
+
+    // 图片策略校验
+    const policy = modelKey ? getImagePolicy(modelKey) : IMAGE_POLICY.OPTIONAL;
+    if (policy === IMAGE_POLICY.REQUIRED && images.length === 0) {
+        return parseError(ERROR_CODES.IMAGE_REQUIRED, `模型 ${modelKey} 需要参考图`);
+    }
+    if (policy === IMAGE_POLICY.FORBIDDEN && totalImages > 0) {
+        return parseError(ERROR_CODES.IMAGE_FORBIDDEN, `模型 ${modelKey} 不支持图片输入`);
+    }
+
+    const imageConstraints = (modelKey && getImageConstraints?.(modelKey)) || {};
+    const imagePaths = [];
+    for (const buffer of images) {
+        const imagePath = await saveImageBuffer(buffer, tempDir, imageConstraints);
+        if (!imagePath) {
+            removeSavedFiles(imagePaths);
+            return parseError(ERROR_CODES.INVALID_REQUEST_BODY, '参考图无法解析');
+        }
+        imagePaths.push(imagePath);
+    }
+
+    // 蒙版单独保存，由 Worker 决定交给适配器的蒙版输入还是作为参考图上传
+    let maskPath = null;
+    if (mask) {
+        maskPath = await saveMaskBuffer(mask, tempDir, imageConstraints);
+        if (!maskPath) {
+            removeSavedFiles(imagePaths);
+            return parseError(ERROR_CODES.INVALID_REQUEST_BODY, '蒙版无法解析');
+        }
+    }
+
+    return {
+        success: true,
+        data: {
+            prompt,
+            imagePaths,
+            maskPath,
+            modelId: modelKey,
+            modelName: modelKey,
+            n,
+            responseFormat
+        }
+    };
+}
+
 /**
  * 保存 Base64 图片到临时文件
  * @param {string} dataUrl - data URL 格式的图片
  * @param {string} tempDir - 临时目录
+ * @param {ImageConstraints} [constraints] - 图片限制
  * @returns {Promise<string|null>} 保存的文件路径，失败返回 null
  */
-async function saveBase64Image(dataUrl, tempDir) {
+async function saveBase64Image(dataUrl, tempDir, constraints) {
     const matches = dataUrl.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
     if (!matches || matches.length !== 3) {
         return null;
     }
 
+    return await saveImageBuffer(Buffer.from(matches[2], 'base64'), tempDir, constraints);
+}
+
+/**
+ * 下载远程图片并保存到临时文件
+ * @param {string} url - http(s) 图片链接
+ * @param {string} tempDir - 临时目录
+ * @param {object} fileOptions - 附件处理选项 { config, imageConstraints, logger, requestId }
+ * @returns {Promise<string|null>} 保存的文件路径，失败返回 null
+ */
+async function saveRemoteImage(url, tempDir, fileOptions) {
+    const { config, imageConstraints, logger, requestId } = fileOptions;
     try {
-        const buffer = Buffer.from(matches[2], 'base64');
-        // 压缩图片
-        const processedBuffer = await sharp(buffer)
-            .jpeg({ quality: 90 })
-            .toBuffer();
+        const { buffer, mimeType } = await downloadRemoteFile(url, {
+            config,
+            maxBytes: REMOTE_FILE_LIMITS.MAX_IMAGE_SIZE
+        });
+        if (!mimeType?.startsWith('image/')) {
+            throw new Error(`不是图片 (${mimeType || '未知类型'})`);
+        }
+        return await saveImageBuffer(buffer, tempDir, imageConstraints);
+    } catch (e) {
+        logger.warn('服务器', `远程图片下载失败: ${e.message}`, { id: requestId, url });
+        return null;
+    }
+}
+
+/**
+ * 读取 file content part 的数据并识别类型
+ * @description 支持 file_data（data URL 或纯 Base64）与 file_url（http 链接）。
+ * 类型优先按文件头识别，其次按声明的 MIME / 文件名后缀，文本文件需通过 UTF-8 校验
+ * @param {object} file - { file_data?, file_url?, filename? }
+ * @param {object} config - 全局配置
+ * @returns {Promise<{buffer?: Buffer, mimeType?: string, error?: string}>}
+ */
+async function loadFilePart(file, config) {
+    let buffer;
+    let declaredType = null;
+
+    try {
+        if (typeof file.file_data === 'string' && file.file_data) {
+            const matches = file.file_data.match(/^data:([^;,]+)?(?:;[^,]*)?,(.*)$/s);
+            declaredType = matches?.[1] || null;
+            buffer = Buffer.from(matches ? matches[2] : file.file_data, 'base64');
+        } else if (typeof file.file_url === 'string' && /^https?:\/\//.test(file.file_url)) {
+            const downloaded = await downloadRemoteFile(file.file_url, {
+                config,
+                maxBytes: REMOTE_FILE_LIMITS.MAX_DOCUMENT_SIZE
+            });
+            buffer = downloaded.buffer;
+            declaredType = downloaded.mimeType;
+        } else if (file.file_id) {
+            return { error: '不支持 file_id 引用' };
+        } else {
+            return { error: '缺少文件内容' };
+        }
+    } catch (e) {
+        return { error: `下载失败: ${e.message}` };
+    }
+
+    if (buffer.length === 0) {
+        return { error: '文件为空' };
+    }
+    if (buffer.length > REMOTE_FILE_LIMITS.MAX_DOCUMENT_SIZE) {
+        return { error: '超过大小限制' };
+    }
+
+    const sniffed = sniffMimeType(buffer);
+    if (sniffed) {
+        return { buffer, mimeType: sniffed };
+    }
+
+    // 文件头无法识别时只接受文本类文档
+    const ext = path.extname(file.filename || '').toLowerCase();
+    const typeByExt = Object.keys(DOCUMENT_TYPES).find(type => DOCUMENT_TYPES[type] === ext);
+    const mimeType = DOCUMENT_TYPES[declaredType] ? declaredType : typeByExt || (declaredType?.startsWith('text/') ? 'text/plain' : null);
+    if (!mimeType || mimeType === 'application/pdf' || !isTextBuffer(buffer)) {
+        return { error: '不支持的文件类型' };
+    }
+    return { buffer, mimeType };
+}
+
+/**
+ * 保存文档到临时文件（保留原文件名，便于网页端识别）
+ * @param {Buffer} buffer - 文档数据
+ * @param {string} filename - 原文件名
+ * @param {string} mimeType - 文档类型 (DOCUMENT_TYPES 中的键)
+ * @param {string} tempDir - 临时目录
+ * @returns {string} 保存的文件路径
+ */
+function saveDocumentBuffer(buffer, filename, mimeType, tempDir) {
+    const ext = DOCUMENT_TYPES[mimeType];
+    const baseName = path.basename(filename, path.extname(filename)).replace(/[^\w.\-\u4e00-\u9fa5]/g, '_') || 'document';
+    const filePath = path.join(tempDir, `doc_${Date.now()}_${Math.random().toString(36).substring(7)}_${baseName}${ext}`);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+}
+
+/**
+ * @typedef {object} ImageConstraints
+ * @property {number} [maxBytes] - 单张图片大小上限（字节）
+ * @property {number} [maxDimension] - 最长边像素上限
+ */
 
-        const filename = `img_${Date.now()}_${Math.random().toString(36).substring(7)}.jpg`;
+/**
+ * 按原格式保存的图片类型 (sharp format -> 扩展名)，其余格式转换为 PNG
+ */
+const IMAGE_EXTENSIONS = {
+    jpeg: '.jpg',
+    png: '.png',
+    webp: '.webp',
+    gif: '.gif'
+};
+
+/**
+ * 以指定格式重新编码图片
+ * @param {import('sharp').Sharp} pipeline - sharp 处理管线
+ * @param {string} format - 目标格式 (IMAGE_EXTENSIONS 中的键)
+ * @returns {Promise<Buffer>}
+ */
+function encodeImage(pipeline, format) {
+    switch (format) {
+        case 'jpeg': return pipeline.jpeg({ quality: 95 }).toBuffer();
+        case 'webp': return pipeline.webp({ quality: 95 }).toBuffer();
+        case 'gif': return pipeline.gif().toBuffer();
+        default: return pipeline.png().toBuffer();
+    }
+}
+
+/**
+ * 保存图片二进制到临时文件
+ * @description 保留原始格式与数据（PNG 透明通道不受影响），仅在以下情况重新编码：
+ * EXIF 方向不为正、格式不在 IMAGE_EXTENSIONS 中，或超出适配器声明的尺寸/大小限制
+ * @param {Buffer} buffer - 图片数据
+ * @param {string} tempDir - 临时目录
+ * @param {ImageConstraints} [constraints={}] - 图片限制（来自适配器 manifest）
+ * @returns {Promise<string|null>} 保存的文件路径，失败返回 null
+ */
+async function saveImageBuffer(buffer, tempDir, constraints = {}) {
+    try {
+        const { maxBytes, maxDimension } = constraints;
+        const { format, orientation, width, height } = await sharp(buffer).metadata();
+        const outputFormat = IMAGE_EXTENSIONS[format] ? format : 'png';
+
+        // EXIF 方向 5-8 旋正后宽高互换，最长边不变，无需按方向调整
+        const longestSide = Math.max(width, height);
+        let targetDimension = maxDimension && longestSide > maxDimension ? maxDimension : null;
+
+        let output = buffer;
+        if ((orientation && orientation !== 1) || outputFormat !== format || targetDimension) {
+            output = await resizeImage(buffer, outputFormat, targetDimension);
+        }
+
+        // 超出大小限制时逐步缩小尺寸
+        let attempts = 0;
+        while (maxBytes && output.length > maxBytes && attempts < 8) {
+            targetDimension = Math.floor((targetDimension || longestSide) * 0.8);
+            output = await resizeImage(buffer, outputFormat, targetDimension);
+            attempts++;
+        }
+
+        const filename = `img_${Date.now()}_${Math.random().toString(36).substring(7)}${IMAGE_EXTENSIONS[outputFormat]}`;
         const filePath = path.join(tempDir, filename);
-        fs.writeFileSync(filePath, processedBuffer);
+        fs.writeFileSync(filePath, output);
         return filePath;
     } catch (e) {
         return null;
     }
 }
+
+/**
+ * 按 EXIF 方向旋正并缩放图片
+ * @param {Buffer} buffer - 原始图片数据
+ * @param {string} format - 输出格式
+ * @param {number|null} dimension - 最长边像素，null 表示不缩放
+ * @returns {Promise<Buffer>}
+ */
+function resizeImage(buffer, format, dimension) {
+    let pipeline = sharp(buffer, { animated: format === 'gif' }).rotate();
+    if (dimension) {
+        pipeline = pipeline.resize({ width: dimension, height: dimension, fit: 'inside', withoutEnlargement: true });
+    }
+    return encodeImage(pipeline, format);
+}
+
+/**
+ * 保存蒙版到临时文件
+ * OpenAI 蒙版以透明区域表示待编辑部分，转换为黑白图（白色=待编辑）以便网页端模型理解
+ * @param {Buffer} buffer - 蒙版 PNG 数据
+ * @param {string} tempDir - 临时目录
+ * @param {ImageConstraints} [constraints] - 图片限制（与参考图一致，保证缩放后尺寸对应）
+ * @returns {Promise<string|null>} 保存的文件路径，失败返回 null
+ */
+async function saveMaskBuffer(buffer, tempDir, constraints) {
+    try {
+        const maskBuffer = await sharp(buffer)
+            .ensureAlpha()
+            .extractChannel('alpha')
+            .negate()
+            .png()
+            .toBuffer();
+        return await saveImageBuffer(maskBuffer, tempDir, constraints);
+    } catch (e) {
+        return null;
+    }
+}
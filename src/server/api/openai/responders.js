@@ -0,0 +1,614 @@
+/**
+ * @fileoverview OpenAI 响应写出器
+ * @description 将队列产出的生成结果转换为 OpenAI 各接口的响应格式。
+ *
+ * 队列只负责调度与统计，任务入队时附带一个 responder，由它决定如何写出：
+ * - `isStreaming`：是否流式（决定是否启动心跳和转发增量）
+ * - `heartbeat(mode)`：发送心跳
+ * - `delta(delta)`：转发适配器的增量内容（n > 1 时 delta.index 为结果序号）
+ * - `success(results, usage)`：写出成功结果（results 为每次生成的结果数组，可能包含失败项；usage 见 usage.js）
+ * - `error({ code, message, status })`：写出错误
+ * - `start()`：可选，任务开始处理时调用（异步任务借此更新状态）
+ * - `progress(event)`：可选，发送进度事件（仅在请求开启进度事件时调用，见 progress.js）
+ */
+
+import crypto from 'crypto';
+import {
+    sendJson,
+    sendSse,
+    sendSseEvent,
+    sendSseDone,
+    sendHeartbeat,
+    sendApiError,
+    buildChatChoice,
+    buildMultiChoiceCompletion,
+    buildChatCompletionChunk,
+    buildUsageChunk
+} from '../../respond.js';
+import { ERROR_CODES, getErrorDetails } from '../../errors.js';
+import { extractToolCalls, createToolCallFilter } from '../../tools.js';
+import { toChatUsage, toResponsesUsage, isVideoResult } from '../../usage.js';
+import { sendProgressEvent } from '../../progress.js';
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * 将适配器结果转换为聊天消息内容
+ * @param {object} result - 适配器结果 {text?, image?}
+ * @returns {string}
+ */
+export function resultToContent(result) {
+    if (result.image) {
+        // 只有图片格式才使用 markdown，视频等其他格式直接返回 data URI
+        if (result.image.startsWith('data:image/')) {
+            return `![generated](${result.image})`;
+        }
+        return result.image;
+    }
+    return result.text || '生成失败';
+}
+
+/**
+ * 将适配器返回的引用来源转换为 url_citation 标注
+ * @description 开启脚注时在回复末尾追加 `[n] 标题 - URL` 列表，标注区间指向对应脚注行；
+ * 否则标注区间覆盖整段回复
+ * @param {string} content - 回复内容
+ * @param {{url: string, title?: string}[]} [citations] - 引用来源
+ * @param {boolean} footnotes - 是否追加脚注列表
+ * @returns {{content: string, annotations: object[]}} 追加脚注后的内容与标注
+ */
+function applyCitations(content, citations, footnotes) {
+    if (!citations?.length) return { content, annotations: [] };
+
+    const annotations = [];
+    let output = content;
+    if (footnotes) {
+        output += '\n\n';
+        citations.forEach((citation, i) => {
+            const line = `[${i + 1}] ${citation.title ? `${citation.title} - ` : ''}${citation.url}`;
+            if (i > 0) output += '\n';
+            annotations.push(buildUrlCitation(citation, output.length, output.length + line.length));
+            output += line;
+        });
+    } else {
+        for (const citation of citations) {
+            annotations.push(buildUrlCitation(citation, 0, content.length));
+        }
+    }
+    return { content: output, annotations };
+}
+
+/**
+ * 构造单条 url_citation 标注
+ * @param {{url: string, title?: string}} citation - 引用来源
+ * @param {number} start - 起始字符位置
+ * @param {number} end - 结束字符位置
+ * @returns {object}
+ */
+function buildUrlCitation(citation, start, end) {
+    return {
+        type: 'url_citation',
+        url_citation: {
+            url: citation.url,
+            title: citation.title || '',
+            start_index: start,
+            end_index: end
+        }
+    };
+}
+
+/**
+ * 计算最终结果中尚未通过增量块发出的部分
+ * @param {string} finalContent - 适配器返回的完整内容
+ * @param {string} streamedText - 已发送的增量文本
+ * @returns {string} 需要在结束块中补发的内容
+ */
+export function getUnsentContent(finalContent, streamedText) {
+    if (!streamedText) return finalContent;
+    // 适配器返回的文本经过 trim，已发送部分的前导空白需要忽略
+    const sent = streamedText.trimStart();
+    if (finalContent.startsWith(sent)) {
+        return finalContent.slice(sent.length);
+    }
+    // 完整结果与增量不一致时不再补发，避免客户端看到重复内容
+    return '';
+}
+
+/**
+ * 创建 /v1/chat/completions 响应写出器
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 选项
+ * @param {string} [options.modelName] - 模型名称
+ * @param {boolean} [options.isStreaming=false] - 是否流式
+ * @param {boolean} [options.includeReasoning=true] - 是否输出 reasoning_content
+ * @param {boolean} [options.citationFootnotes=false] - 是否在回复末尾追加引用来源列表
+ * @param {string[]|null} [options.toolNames] - 可调用的函数名（开启工具调用模拟时）
+ * @param {boolean} [options.includeUsage=false] - 流式时是否在 [DONE] 之前发送用量块（stream_options.include_usage）
+ * @param {string} [options.id] - 请求 ID（日志用）
+ * @returns {object} responder
+ */
+export function createChatResponder(res, options = {}) {
+    const { modelName, isStreaming = false, includeReasoning = true, citationFootnotes = false, toolNames = null, includeUsage = false, id } = options;
+    // 按结果序号记录已增量输出的内容
+    const streamedText = [];
+    const streamedReasoning = [];
+    // 开启工具调用时，调用块不作为文本增量发出
+    const toolFilters = [];
+
+    /**
+     * 将适配器结果转换为回复内容，开启工具调用时拆分出 tool_calls
+     * @param {object} result - 适配器结果
+     * @returns {{content: string, annotations: object[], toolCalls: object[]}}
+     */
+    function buildReply(result) {
+        let text = resultToContent(result);
+        let toolCalls = [];
+        if (toolNames && !result.image) {
+            ({ content: text, toolCalls } = extractToolCalls(text, toolNames));
+        }
+        return { ...applyCitations(text, result.citations, citationFootnotes), toolCalls };
+    }
+
+    /**
+     * 流式写出单个结果的剩余内容与结束块
+     * @param {object} result - 适配器结果
+     * @param {number} index - 结果序号
+     */
+    function finishStreamChoice(result, index) {
+        if (result.error) {
+            sendSse(res, buildChatCompletionChunk(null, modelName, 'error', undefined, undefined, index));
+            return;
+        }
+        const { content, annotations, toolCalls } = buildReply(result);
+        const reasoning = includeReasoning ? result.reasoning : undefined;
+        // 思考过程未能增量输出时（如流式监听不可用），在结束块之前一次性补发
+        if (reasoning && !streamedReasoning[index]) {
+            sendSse(res, buildChatCompletionChunk(null, modelName, null, reasoning, undefined, index));
+        }
+        // 工具调用：先补齐调用块之前的文本，再逐个发出 tool_calls 增量
+        if (toolCalls.length > 0) {
+            const remaining = getUnsentContent(content, streamedText[index]);
+            if (remaining) {
+                sendSse(res, buildChatCompletionChunk(remaining, modelName, null, undefined, undefined, index));
+            }
+            toolCalls.forEach((call, i) => {
+                sendSse(res, buildChatCompletionChunk(null, modelName, null, undefined, undefined, index, [{ index: i, ...call }]));
+            });
+            sendSse(res, buildChatCompletionChunk(null, modelName, 'tool_calls', undefined, annotations, index));
+            return;
+        }
+        // 已增量输出的部分不再重复发送，结束块只补齐剩余内容
+        // 引用来源随结束块一并发出
+        sendSse(res, buildChatCompletionChunk(getUnsentContent(content, streamedText[index]), modelName, 'stop', undefined, annotations, index));
+    }
+
+    /**
+     * 构造非流式响应中的单个选项
+     * @param {object} result - 适配器结果
+     * @param {number} index - 结果序号
+     * @returns {object}
+     */
+    function buildChoice(result, index) {
+        if (result.error) {
+            return { ...buildChatChoice(index, null, undefined, undefined, 'error'), error: { message: result.error } };
+        }
+        const { content, annotations, toolCalls } = buildReply(result);
+        const reasoning = includeReasoning ? result.reasoning : undefined;
+        if (toolCalls.length > 0) {
+            return buildChatChoice(index, content || null, reasoning, annotations, 'tool_calls', toolCalls);
+        }
+        return buildChatChoice(index, content, reasoning, annotations);
+    }
+
+    /**
+     * 结束流式响应，开启 include_usage 时在 [DONE] 之前发送用量块
+     * @param {object} [chatUsage] - OpenAI 格式的用量
+     */
+    function endStream(chatUsage) {
+        if (includeUsage && chatUsage) {
+            sendSse(res, buildUsageChunk(chatUsage, modelName));
+        }
+        sendSseDone(res);
+        logger.info('服务器', '流式响应已结束', { id });
+    }
+
+    return {
+        isStreaming,
+
+        heartbeat(mode) {
+            sendHeartbeat(res, mode, modelName);
+        },
+
+        progress(event) {
+            sendProgressEvent(res, event);
+        },
+
+        delta(delta) {
+            if (!isStreaming || !delta || res.writableEnded) return;
+            const index = delta.index || 0;
+            if (delta.reasoning && includeReasoning) {
+                streamedReasoning[index] = true;
+                sendSse(res, buildChatCompletionChunk(null, modelName, null, delta.reasoning, undefined, index));
+            }
+            let text = delta.text;
+            if (text && toolNames) {
+                toolFilters[index] ??= createToolCallFilter();
+                text = toolFilters[index].push(text);
+            }
+            if (text) {
+                streamedText[index] = (streamedText[index] || '') + text;
+                sendSse(res, buildChatCompletionChunk(text, modelName, null, undefined, undefined, index));
+            }
+        },
+
+        success(results, usage) {
+            const chatUsage = usage ? toChatUsage(usage) : undefined;
+
+            // 单个结果时沿用原有行为；多个结果时每个结果对应一个 choice，失败项以 finish_reason: 'error' 占位
+            if (results.length > 1) {
+                const succeeded = results.filter(r => !r.error).length;
+                logger.info('服务器', '准备发送响应...', { id, isStreaming, choices: `${succeeded}/${results.length}` });
+                if (isStreaming) {
+                    results.forEach(finishStreamChoice);
+                    endStream(chatUsage);
+                    return;
+                }
+                sendJson(res, 200, buildMultiChoiceCompletion(results.map(buildChoice), modelName, chatUsage));
+                logger.info('服务器', 'JSON 响应已发送', { id });
+                return;
+            }
+
+            const result = results.find(r => !r.error) || results[0];
+
+            logger.info('服务器', '准备发送响应...', { id, isStreaming, contentLength: resultToContent(result).length });
+            if (isStreaming) {
+                finishStreamChoice(result, 0);
+                endStream(chatUsage);
+            } else {
+                sendJson(res, 200, buildMultiChoiceCompletion([buildChoice(result, 0)], modelName, chatUsage));
+                logger.info('服务器', 'JSON 响应已发送', { id });
+            }
+        },
+
+        error({ code, message, status }) {
+            sendApiError(res, { code, message, status, isStreaming });
+        }
+    };
+}
+
+/**
+ * 将图片结果转换为 Base64（不含 data URI 前缀）
+ * @param {string} image - data URI 或 http(s) 链接
+ * @param {object} [mediaStore] - 媒体存储（媒体链接直接读取本地文件）
+ * @returns {Promise<string>}
+ */
+async function toBase64(image, mediaStore) {
+    if (image.startsWith('data:')) {
+        return image.slice(image.indexOf(',') + 1);
+    }
+    const stored = await mediaStore?.read(image);
+    if (stored) {
+        return stored.buffer.toString('base64');
+    }
+    const response = await fetch(image, { signal: AbortSignal.timeout(60000) });
+    if (!response.ok) {
+        throw new Error(`下载图片失败: HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer()).toString('base64');
+}
+
+/**
+ * 创建 /v1/images/* 响应写出器
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 选项
+ * @param {'url'|'b64_json'} [options.responseFormat='url'] - 返回格式
+ * @param {string} [options.id] - 请求 ID（日志用）
+ * @returns {object} responder
+ */
+export function createImagesResponder(res, options = {}) {
+    const { responseFormat = 'url', id } = options;
+
+    return {
+        isStreaming: false,
+
+        heartbeat() { },
+
+        delta() { },
+
+        async success(results, usage) {
+            const data = [];
+            for (const result of results) {
+                if (result.error || !result.image) continue;
+                try {
+                    if (responseFormat === 'b64_json') {
+                        data.push({ b64_json: await toBase64(result.image) });
+                    } else {
+                        // 站点未提供直链时返回 data URI
+                        data.push({ url: result.image });
+                    }
+                } catch (e) {
+                    logger.warn('服务器', `图片结果转换失败: ${e.message}`, { id });
+                }
+            }
+
+            if (data.length === 0) {
+                const failed = results.find(r => r.error);
+                sendApiError(res, {
+                    code: ERROR_CODES.GENERATION_FAILED,
+                    message: failed?.error || '未返回图片结果'
+                });
+                return;
+            }
+
+            sendJson(res, 200, {
+                created: Math.floor(Date.now() / 1000),
+                data,
+                ...(usage ? { usage: toResponsesUsage(usage) } : {})
+            });
+            logger.info('服务器', `图片响应已发送 (${data.length}/${results.length})`, { id });
+        },
+
+        error({ code, message, status }) {
+            sendApiError(res, { code, message, status });
+        }
+    };
+}
+
+/**
+ * 生成 Responses API 对象 ID（如 resp_xxx、msg_xxx）
+ * @param {string} prefix - ID 前缀
+ * @returns {string}
+ */
+function responsesId(prefix) {
+    return `${prefix}_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+/**
+ * 创建 /v1/responses 响应写出器
+ * @description 输出项顺序为 reasoning → message / image_generation_call。
+ * 流式事件按 Responses API 规范依次发出 response.created、output_item.added、
+ * *.delta、*.done、output_item.done，最后以 response.completed 结束
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} options - 选项
+ * @param {string} [options.modelName] - 模型名称
+ * @param {boolean} [options.isStreaming=false] - 是否流式
+ * @param {boolean} [options.includeReasoning=true] - 是否输出 reasoning 输出项
+ * @param {boolean} [options.citationFootnotes=false] - 是否在回复末尾追加引用来源列表
+ * @param {string} [options.instructions] - 请求中的 instructions（原样回显）
+ * @param {object} [options.mediaStore] - 媒体存储（image_generation_call 需要 Base64）
+ * @param {string} [options.id] - 请求 ID（日志用）
+ * @returns {object} responder
+ */
+export function createResponsesResponder(res, options = {}) {
+    const { modelName, isStreaming = false, includeReasoning = true, citationFootnotes = false, instructions = null, mediaStore, id } = options;
+    const responseId = responsesId('resp');
+    const createdAt = Math.floor(Date.now() / 1000);
+    const output = [];
+
+    // 流式状态
+    let sequenceNumber = 0;
+    let started = false;
+    let reasoningItem = null;  // 正在输出的 reasoning 项
+    let messageItem = null;    // 正在输出的 message 项
+    let streamedText = '';
+    let usage = null;
+
+    function buildResponse(status, extra = {}) {
+        return {
+            id: responseId,
+            object: 'response',
+            created_at: createdAt,
+            status,
+            model: modelName || 'default-model',
+            instructions,
+            output,
+            error: null,
+            incomplete_details: null,
+            usage: status === 'completed' && usage ? toResponsesUsage(usage) : null,
+            ...extra
+        };
+    }
+
+    function emit(type, payload = {}) {
+        sendSseEvent(res, type, { type, sequence_number: sequenceNumber++, ...payload });
+    }
+
+    function ensureStarted() {
+        if (started) return;
+        started = true;
+        emit('response.created', { response: buildResponse('in_progress') });
+        emit('response.in_progress', { response: buildResponse('in_progress') });
+    }
+
+    function addItem(item) {
+        ensureStarted();
+        output.push(item);
+        emit('response.output_item.added', { output_index: output.length - 1, item: { ...item } });
+        return output.length - 1;
+    }
+
+    function startReasoning() {
+        if (reasoningItem) return;
+        const itemId = responsesId('rs');
+        const outputIndex = addItem({ id: itemId, type: 'reasoning', summary: [] });
+        reasoningItem = { id: itemId, outputIndex, text: '', done: false };
+        emit('response.reasoning_summary_part.added', {
+            item_id: reasoningItem.id,
+            output_index: reasoningItem.outputIndex,
+            summary_index: 0,
+            part: { type: 'summary_text', text: '' }
+        });
+    }
+
+    function finishReasoning() {
+        if (!reasoningItem || reasoningItem.done) return;
+        reasoningItem.done = true;
+        const { id: itemId, outputIndex, text } = reasoningItem;
+        const part = { type: 'summary_text', text };
+        emit('response.reasoning_summary_text.done', { item_id: itemId, output_index: outputIndex, summary_index: 0, text });
+        emit('response.reasoning_summary_part.done', { item_id: itemId, output_index: outputIndex, summary_index: 0, part });
+        output[outputIndex] = { id: itemId, type: 'reasoning', summary: [part] };
+        emit('response.output_item.done', { output_index: outputIndex, item: output[outputIndex] });
+    }
+
+    function sendReasoning(delta) {
+        startReasoning();
+        reasoningItem.text += delta;
+        emit('response.reasoning_summary_text.delta', {
+            item_id: reasoningItem.id,
+            output_index: reasoningItem.outputIndex,
+            summary_index: 0,
+            delta
+        });
+    }
+
+    function startMessage() {
+        if (messageItem) return;
+        finishReasoning();
+        const itemId = responsesId('msg');
+        const outputIndex = addItem({
+            id: itemId,
+            type: 'message',
+            status: 'in_progress',
+            role: 'assistant',
+            content: []
+        });
+        messageItem = { id: itemId, outputIndex, text: '' };
+        emit('response.content_part.added', {
+            item_id: messageItem.id,
+            output_index: messageItem.outputIndex,
+            content_index: 0,
+            part: { type: 'output_text', text: '', annotations: [] }
+        });
+    }
+
+    function sendText(delta) {
+        startMessage();
+        messageItem.text += delta;
+        emit('response.output_text.delta', {
+            item_id: messageItem.id,
+            output_index: messageItem.outputIndex,
+            content_index: 0,
+            delta
+        });
+    }
+
+    function finishMessage(annotations) {
+        const { id: itemId, outputIndex, text } = messageItem;
+        const part = { type: 'output_text', text, annotations };
+        emit('response.output_text.done', { item_id: itemId, output_index: outputIndex, content_index: 0, text });
+        emit('response.content_part.done', { item_id: itemId, output_index: outputIndex, content_index: 0, part });
+        output[outputIndex] = { id: itemId, type: 'message', status: 'completed', role: 'assistant', content: [part] };
+        emit('response.output_item.done', { output_index: outputIndex, item: output[outputIndex] });
+    }
+
+    /**
+     * 将图片结果转换为 image_generation_call 输出项，非图片结果（如视频）返回 null
+     * @param {string} image - data URI 或 http(s) 链接
+     * @returns {Promise<object|null>}
+     */
+    async function toImageGenerationCall(image) {
+        if (image.startsWith('data:') ? !image.startsWith('data:image/') : isVideoResult(image)) return null;
+        try {
+            return { id: responsesId('ig'), type: 'image_generation_call', status: 'completed', result: await toBase64(image, mediaStore) };
+        } catch (e) {
+            logger.warn('服务器', `图片结果转换失败: ${e.message}`, { id });
+            return null;
+        }
+    }
+
+    return {
+        isStreaming,
+
+        heartbeat() {
+            // Responses 事件流没有空内容事件，统一使用 SSE 注释保活
+            if (!res.writableEnded) res.write(`:keepalive\n\n`);
+        },
+
+        progress(event) {
+            sendProgressEvent(res, event);
+        },
+
+        delta(delta) {
+            if (!isStreaming || !delta || res.writableEnded) return;
+            if (delta.reasoning && includeReasoning) {
+                sendReasoning(delta.reasoning);
+            }
+            if (delta.text) {
+                streamedText += delta.text;
+                sendText(delta.text);
+            }
+        },
+
+        async success(results, taskUsage) {
+            usage = taskUsage || null;
+            const result = results.find(r => !r.error) || results[0];
+            const reasoning = includeReasoning ? result.reasoning : undefined;
+            const imageCall = result.image ? await toImageGenerationCall(result.image) : null;
+
+            logger.info('服务器', '准备发送响应...', { id, isStreaming, image: !!imageCall });
+            if (isStreaming) {
+                if (reasoning && !reasoningItem) {
+                    sendReasoning(reasoning);
+                }
+                finishReasoning();
+
+                if (imageCall) {
+                    if (messageItem) finishMessage([]);
+                    const outputIndex = addItem({ id: imageCall.id, type: 'image_generation_call', status: 'in_progress' });
+                    output[outputIndex] = imageCall;
+                    emit('response.output_item.done', { output_index: outputIndex, item: imageCall });
+                } else {
+                    const { content, annotations } = applyCitations(resultToContent(result), result.citations, citationFootnotes);
+                    const remaining = getUnsentContent(content, streamedText);
+                    if (remaining || !messageItem) sendText(remaining);
+                    finishMessage(annotations.map(a => ({ type: a.type, ...a.url_citation })));
+                }
+
+                emit('response.completed', { response: buildResponse('completed') });
+                if (!res.writableEnded) res.end();
+                logger.info('服务器', '流式响应已结束', { id });
+                return;
+            }
+
+            if (reasoning) {
+                output.push({ id: responsesId('rs'), type: 'reasoning', summary: [{ type: 'summary_text', text: reasoning }] });
+            }
+            let outputText = '';
+            if (imageCall) {
+                output.push(imageCall);
+            } else {
+                const { content, annotations } = applyCitations(resultToContent(result), result.citations, citationFootnotes);
+                outputText = content;
+                output.push({
+                    id: responsesId('msg'),
+                    type: 'message',
+                    status: 'completed',
+                    role: 'assistant',
+                    content: [{
+                        type: 'output_text',
+                        text: content,
+                        annotations: annotations.map(a => ({ type: a.type, ...a.url_citation }))
+                    }]
+                });
+            }
+
+            sendJson(res, 200, buildResponse('completed', { output_text: outputText }));
+            logger.info('服务器', 'JSON 响应已发送', { id });
+        },
+
+        error({ code, message, status }) {
+            if (!isStreaming) {
+                sendApiError(res, { code, message, status });
+                return;
+            }
+            const error = { code: code || 'INTERNAL_ERROR', message: message || getErrorDetails(code).message };
+            if (started) {
+                // 已发出 response.created 时以 response.failed 结束
+                emit('response.failed', { response: buildResponse('failed', { error }) });
+            } else {
+                emit('error', { ...error, param: null });
+            }
+            if (!res.writableEnded) res.end();
+        }
+    };
+}
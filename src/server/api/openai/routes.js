@@ -7,7 +7,37 @@ import crypto from 'crypto';
 import { logger } from '../../../utils/logger.js';
 import { ERROR_CODES } from '../../errors.js';
 import { sendJson, sendApiError } from '../../respond.js';
-import { parseRequest } from './parse.js';
+import { wantsProgressEvents } from '../../progress.js';
+import { parseRequest, parseResponsesRequest, parseImagesRequest } from './parse.js';
+import { createChatResponder, createResponsesResponder, createImagesResponder } from './responders.js';
+
+/**
+ * 读取请求体
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * 解析 multipart/form-data 请求体（借助 Web Request 内置解析）
+ * @param {import('http').IncomingMessage} req
+ * @param {Buffer} body - 原始请求体
+ * @returns {Promise<FormData>}
+ */
+async function parseMultipart(req, body) {
+    const request = new Request('http://localhost/', {
+        method: 'POST',
+        headers: { 'content-type': req.headers['content-type'] || '' },
+        body
+    });
+    return await request.formData();
+}
 
 /**
  * 创建 OpenAI API 路由处理器
@@ -20,9 +50,13 @@ export function createOpenAIRouter(context) {
         getModels,
         getImagePolicy,
         getModelType,
+        supportsDocuments,
+        getImageConstraints,
         tempDir,
         imageLimit,
-        queueManager
+        queueManager,
+        mediaStore,
+        config
     } = context;
 
     /**
@@ -34,9 +68,14 @@ export function createOpenAIRouter(context) {
     }
 
     /**
-     * 处理 GET /v1/cookies
+     * 处理 GET /v1/cookies（Cookies 包含各站点的登录凭据，只允许主密钥访问）
      */
-    async function handleCookies(res, requestId, workerName, domain) {
+    async function handleCookies(req, res, requestId, workerName, domain) {
+        if (!req.apiKey?.admin) {
+            sendApiError(res, { code: ERROR_CODES.FORBIDDEN });
+            return;
+        }
+
         const poolContext = queueManager.getPoolContext();
 
         if (!poolContext?.poolManager) {
@@ -71,18 +110,15 @@ export function createOpenAIRouter(context) {
      * 处理 POST /v1/chat/completions
      */
     async function handleChatCompletions(req, res, requestId) {
-        const chunks = [];
-        for await (const chunk of req) {
-            chunks.push(chunk);
-        }
+        const rawBody = await readBody(req);
 
         try {
-            const body = Buffer.concat(chunks).toString();
+            const body = rawBody.toString();
             const data = JSON.parse(body);
             const isStreaming = data.stream === true;
 
             // 限流检查
-            if (!isStreaming && !queueManager.canAcceptNonStreaming()) {
+            if (!isStreaming && !queueManager.canAcceptNonStreaming(data.model)) {
                 const status = queueManager.getStatus();
                 logger.warn('服务器', '非流式请求被拒绝 (队列已满)', { id: requestId, queueSize: status.total });
                 sendApiError(res, {
@@ -109,6 +145,9 @@ export function createOpenAIRouter(context) {
                 getSupportedModels: getModels,
                 getImagePolicy,
                 getModelType,
+                supportsDocuments,
+                getImageConstraints,
+                config,
                 requestId,
                 logger
             });
@@ -122,9 +161,9 @@ export function createOpenAIRouter(context) {
                 return;
             }
 
-            const { prompt, imagePaths, modelId, modelName } = parseResult.data;
+            const { prompt, imagePaths, session, modelId, modelName, n, includeReasoning, citationFootnotes, toolNames, outputFormat, includeUsage, mediaFormat } = parseResult.data;
 
-            logger.info('服务器', `[队列] 请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length });
+            logger.info('服务器', `[队列] 请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length, n });
 
             // 加入队列
             queueManager.addTask({
@@ -132,10 +171,16 @@ export function createOpenAIRouter(context) {
                 res,
                 prompt,
                 imagePaths,
+                session,
+                outputFormat,
                 modelId,
                 modelName,
+                mediaFormat,
+                progressEvents: isStreaming && wantsProgressEvents(req),
                 id: requestId,
-                isStreaming
+                isStreaming,
+                n,
+                responder: createChatResponder(res, { modelName, isStreaming, includeReasoning, citationFootnotes, toolNames, includeUsage, id: requestId })
             });
 
         } catch (err) {
@@ -147,6 +192,235 @@ export function createOpenAIRouter(context) {
         }
     }
 
+    /**
+     * 处理 POST /v1/responses
+     */
+    async function handleResponses(req, res, requestId) {
+        const body = (await readBody(req)).toString();
+
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch (e) {
+            sendApiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: `JSON 解析失败: ${e.message}` });
+            return;
+        }
+
+        try {
+            const isStreaming = data.stream === true;
+
+            // 限流检查
+            if (!isStreaming && !queueManager.canAcceptNonStreaming(data.model)) {
+                const status = queueManager.getStatus();
+                logger.warn('服务器', '非流式请求被拒绝 (队列已满)', { id: requestId, queueSize: status.total });
+                sendApiError(res, {
+                    code: ERROR_CODES.SERVER_BUSY,
+                    message: `服务器繁忙（队列: ${status.total}）。请使用流式模式 (stream: true) 或稍后重试。`
+                });
+                return;
+            }
+
+            // 解析请求（先于 SSE 响应头，解析失败时直接返回 HTTP 错误）
+            const parseResult = await parseResponsesRequest(data, {
+                tempDir,
+                imageLimit,
+                backendName,
+                getSupportedModels: getModels,
+                getImagePolicy,
+                getModelType,
+                supportsDocuments,
+                getImageConstraints,
+                config,
+                requestId,
+                logger
+            });
+
+            if (!parseResult.success) {
+                sendApiError(res, {
+                    code: parseResult.error.code,
+                    message: parseResult.error.error
+                });
+                return;
+            }
+
+            if (isStreaming) {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                });
+            }
+
+            const { prompt, imagePaths, session, modelId, modelName, includeReasoning, citationFootnotes, outputFormat, mediaFormat } = parseResult.data;
+
+            logger.info('服务器', `[队列] Responses 请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length });
+
+            queueManager.addTask({
+                req,
+                res,
+                prompt,
+                imagePaths,
+                session,
+                outputFormat,
+                modelId,
+                modelName,
+                mediaFormat,
+                progressEvents: isStreaming && wantsProgressEvents(req),
+                id: requestId,
+                isStreaming,
+                responder: createResponsesResponder(res, {
+                    modelName,
+                    isStreaming,
+                    includeReasoning,
+                    citationFootnotes,
+                    instructions: data.instructions ?? null,
+                    mediaStore,
+                    id: requestId
+                })
+            });
+
+        } catch (err) {
+            logger.error('服务器', 'Responses 请求处理失败', { id: requestId, error: err.message });
+            sendApiError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message,
+                isStreaming: res.headersSent
+            });
+        }
+    }
+
+    /**
+     * 图片接口入队（generations / edits 共用）
+     * @param {object} fields - 请求字段
+     * @param {object} files - 上传的图片 { images, mask }
+     */
+    async function enqueueImagesTask(req, res, requestId, fields, files) {
+        // 图片接口只有非流式模式，沿用非流式限流
+        if (!queueManager.canAcceptNonStreaming(fields.model)) {
+            const status = queueManager.getStatus();
+            logger.warn('服务器', '图片请求被拒绝 (队列已满)', { id: requestId, queueSize: status.total });
+            sendApiError(res, {
+                code: ERROR_CODES.SERVER_BUSY,
+                message: `服务器繁忙（队列: ${status.total}）。请稍后重试。`
+            });
+            return;
+        }
+
+        const parseResult = await parseImagesRequest(fields, files, {
+            tempDir,
+            imageLimit,
+            backendName,
+            getSupportedModels: getModels,
+            getImagePolicy,
+            getModelType,
+            getImageConstraints,
+            requestId,
+            logger
+        });
+
+        if (!parseResult.success) {
+            sendApiError(res, {
+                code: parseResult.error.code,
+                message: parseResult.error.error
+            });
+            return;
+        }
+
+        const { prompt, imagePaths, maskPath, modelId, modelName, n, responseFormat } = parseResult.data;
+
+        logger.info('服务器', `[队列] 图片请求入队: ${prompt.slice(0, 10)}...`, { id: requestId, images: imagePaths.length, mask: !!maskPath, n });
+
+        queueManager.addTask({
+            req,
+            res,
+            prompt,
+            imagePaths,
+            maskPath,
+            modelId,
+            modelName,
+            // response_format 同时决定媒体存储：url 返回签名链接，b64_json 保留 Base64
+            mediaFormat: responseFormat === 'url' ? 'url' : 'b64',
+            id: requestId,
+            isStreaming: false,
+            n,
+            responder: createImagesResponder(res, { responseFormat, id: requestId })
+        });
+    }
+
+    /**
+     * 处理 POST /v1/images/generations (JSON)
+     */
+    async function handleImageGenerations(req, res, requestId) {
+        try {
+            const body = (await readBody(req)).toString();
+            let data;
+            try {
+                data = body ? JSON.parse(body) : {};
+            } catch (e) {
+                sendApiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: `JSON 解析失败: ${e.message}` });
+                return;
+            }
+            await enqueueImagesTask(req, res, requestId, data, { images: [] });
+        } catch (err) {
+            logger.error('服务器', '图片请求处理失败', { id: requestId, error: err.message });
+            sendApiError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message
+            });
+        }
+    }
+
+    /**
+     * 处理 POST /v1/images/edits (multipart/form-data，字段 image / image[] / mask)
+     */
+    async function handleImageEdits(req, res, requestId) {
+        try {
+            const contentType = req.headers['content-type'] || '';
+            if (!contentType.includes('multipart/form-data')) {
+                sendApiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: '请求体必须为 multipart/form-data' });
+                return;
+            }
+
+            let form;
+            try {
+                form = await parseMultipart(req, await readBody(req));
+            } catch (e) {
+                sendApiError(res, { code: ERROR_CODES.INVALID_REQUEST_BODY, message: `表单解析失败: ${e.message}` });
+                return;
+            }
+
+            const images = [];
+            for (const file of [...form.getAll('image'), ...form.getAll('image[]')]) {
+                if (typeof file === 'string') continue;
+                images.push(Buffer.from(await file.arrayBuffer()));
+            }
+            if (images.length === 0) {
+                sendApiError(res, { code: ERROR_CODES.IMAGE_REQUIRED, message: '缺少 image 文件' });
+                return;
+            }
+
+            const maskFile = form.get('mask');
+            const mask = maskFile && typeof maskFile !== 'string'
+                ? Buffer.from(await maskFile.arrayBuffer())
+                : null;
+
+            const fields = {
+                model: form.get('model') || undefined,
+                prompt: form.get('prompt') || '',
+                n: form.get('n') ?? undefined,
+                response_format: form.get('response_format') || undefined
+            };
+
+            await enqueueImagesTask(req, res, requestId, fields, { images, mask });
+        } catch (err) {
+            logger.error('服务器', '图片编辑请求处理失败', { id: requestId, error: err.message });
+            sendApiError(res, {
+                code: ERROR_CODES.INTERNAL_ERROR,
+                message: err.message
+            });
+        }
+    }
+
     /**
      * OpenAI API 路由处理函数
      * @param {import('http').IncomingMessage} req
@@ -162,9 +436,15 @@ export function createOpenAIRouter(context) {
         } else if (req.method === 'GET' && pathname === '/cookies') {
             const workerName = parsedUrl.searchParams.get('name');
             const domain = parsedUrl.searchParams.get('domain');
-            await handleCookies(res, requestId, workerName, domain);
+            await handleCookies(req, res, requestId, workerName, domain);
         } else if (req.method === 'POST' && pathname.startsWith('/chat/completions')) {
             await handleChatCompletions(req, res, requestId);
+        } else if (req.method === 'POST' && pathname === '/responses') {
+            await handleResponses(req, res, requestId);
+        } else if (req.method === 'POST' && pathname === '/images/generations') {
+            await handleImageGenerations(req, res, requestId);
+        } else if (req.method === 'POST' && pathname === '/images/edits') {
+            await handleImageEdits(req, res, requestId);
         } else {
             res.writeHead(404);
             res.end();
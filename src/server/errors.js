@@ -25,12 +25,18 @@ export const ERROR_TYPES = {
 export const ERROR_CODES = {
     /** 未授权（Token 无效或缺失） */
     UNAUTHORIZED: 'UNAUTHORIZED',
+    /** 权限不足（需要主密钥） */
+    FORBIDDEN: 'FORBIDDEN',
     /** 浏览器未初始化 */
     BROWSER_NOT_INITIALIZED: 'BROWSER_NOT_INITIALIZED',
     /** 服务器繁忙（队列已满） */
     SERVER_BUSY: 'SERVER_BUSY',
+    /** 请求体格式无效 */
+    INVALID_REQUEST_BODY: 'INVALID_REQUEST_BODY',
     /** 请求参数缺少 messages */
     NO_MESSAGES: 'NO_MESSAGES',
+    /** 请求参数缺少 prompt */
+    NO_PROMPT: 'NO_PROMPT',
     /** messages 中缺少 role=user 的消息 */
     NO_USER_MESSAGES: 'NO_USER_MESSAGES',
     /** 图片数量超过限制 */
@@ -41,12 +47,24 @@ export const ERROR_CODES = {
     IMAGE_REQUIRED: 'IMAGE_REQUIRED',
     /** 该模型不支持图片输入 */
     IMAGE_FORBIDDEN: 'IMAGE_FORBIDDEN',
+    /** 该模型不支持文件输入 */
+    FILE_FORBIDDEN: 'FILE_FORBIDDEN',
+    /** 远程图片/文件下载失败 */
+    REMOTE_FILE_FAILED: 'REMOTE_FILE_FAILED',
     /** 触发人机验证（reCAPTCHA） */
     RECAPTCHA: 'RECAPTCHA',
     /** 服务器内部错误 */
     INTERNAL_ERROR: 'INTERNAL_ERROR',
     /** 生成失败 */
     GENERATION_FAILED: 'GENERATION_FAILED',
+    /** 模型输出不符合 response_format（多次修正后仍失败） */
+    INVALID_STRUCTURED_OUTPUT: 'INVALID_STRUCTURED_OUTPUT',
+    /** 异步任务不存在或已过期 */
+    JOB_NOT_FOUND: 'JOB_NOT_FOUND',
+    /** 异步任务因服务重启中断 */
+    JOB_INTERRUPTED: 'JOB_INTERRUPTED',
+    /** Worker 不存在 */
+    WORKER_NOT_FOUND: 'WORKER_NOT_FOUND',
 };
 
 /**
@@ -59,6 +77,11 @@ const ERROR_DETAILS = {
         status: 401,
         type: ERROR_TYPES.INVALID_REQUEST,
     },
+    [ERROR_CODES.FORBIDDEN]: {
+        message: '权限不足（需要主密钥）',
+        status: 403,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
     [ERROR_CODES.BROWSER_NOT_INITIALIZED]: {
         message: '浏览器未初始化',
         status: 503,
@@ -69,11 +92,21 @@ const ERROR_DETAILS = {
         status: 429,
         type: ERROR_TYPES.RATE_LIMIT,
     },
+    [ERROR_CODES.INVALID_REQUEST_BODY]: {
+        message: '请求体格式无效',
+        status: 400,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
     [ERROR_CODES.NO_MESSAGES]: {
         message: '请求参数缺少 messages',
         status: 400,
         type: ERROR_TYPES.INVALID_REQUEST,
     },
+    [ERROR_CODES.NO_PROMPT]: {
+        message: '请求参数缺少 prompt',
+        status: 400,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
     [ERROR_CODES.NO_USER_MESSAGES]: {
         message: 'messages 中缺少 role=user 的消息',
         status: 400,
@@ -99,6 +132,16 @@ const ERROR_DETAILS = {
         status: 400,
         type: ERROR_TYPES.INVALID_REQUEST,
     },
+    [ERROR_CODES.FILE_FORBIDDEN]: {
+        message: '该模型不支持文件输入',
+        status: 400,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.REMOTE_FILE_FAILED]: {
+        message: '远程图片/文件下载失败',
+        status: 400,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
     [ERROR_CODES.RECAPTCHA]: {
         message: '触发人机验证（reCAPTCHA）',
         status: 403,
@@ -114,6 +157,26 @@ const ERROR_DETAILS = {
         status: 502,
         type: ERROR_TYPES.SERVER_ERROR,
     },
+    [ERROR_CODES.INVALID_STRUCTURED_OUTPUT]: {
+        message: '模型输出不符合 response_format',
+        status: 502,
+        type: ERROR_TYPES.SERVER_ERROR,
+    },
+    [ERROR_CODES.JOB_NOT_FOUND]: {
+        message: '任务不存在或已过期',
+        status: 404,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
+    [ERROR_CODES.JOB_INTERRUPTED]: {
+        message: '任务因服务重启中断，请重新提交',
+        status: 503,
+        type: ERROR_TYPES.SERVER_ERROR,
+    },
+    [ERROR_CODES.WORKER_NOT_FOUND]: {
+        message: 'Worker 不存在',
+        status: 404,
+        type: ERROR_TYPES.INVALID_REQUEST,
+    },
 };
 
 /**
@@ -7,13 +7,22 @@ export { ERROR_CODES, getErrorMessage, getErrorStatus, getErrorDetails } from '.
 export {
     sendJson,
     sendSse,
+    sendSseEvent,
     sendSseDone,
     sendHeartbeat,
     sendApiError,
     buildChatCompletion,
-    buildChatCompletionChunk
+    buildChatChoice,
+    buildMultiChoiceCompletion,
+    buildChatCompletionChunk,
+    buildUsageChunk
 } from './respond.js';
 export { createQueueManager } from './queue.js';
+export { createJobStore } from './jobs.js';
+export { createJobResponder } from './api/jobs/responders.js';
+export { createQueueJournal } from './journal.js';
+export { createConfigReloader } from './reload.js';
+export { createMediaStore } from './media.js';
 export { parseRequest } from './api/openai/parse.js';
 export { createGlobalRouter } from './api/index.js';
 export { createAuthMiddleware } from './middlewares/auth.js';
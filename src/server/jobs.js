@@ -0,0 +1,311 @@
+/**
+ * @fileoverview 异步任务存储模块
+ * @description 为 /v1/jobs 接口保存任务状态与结果。视频等长耗时生成不必保持 HTTP 连接，
+ * 客户端提交后轮询任务状态，或提供 webhook_url 在任务结束时接收回调。
+ *
+ * - 每个任务以 JSON 文件持久化到 data/jobs/，服务重启（含 Supervisor 自动重启）后仍可查询
+ * - 重启时尚未结束的任务由队列日志 (journal.js) 重新入队，日志中没有的任务标记为失败（JOB_INTERRUPTED）
+ * - 结束的任务保留 queue.jobRetention 小时后删除
+ * - webhook 最多尝试 3 次；重启时补发尚未送达的回调，地址限制见 webhook.js
+ * - 结果中的媒体链接有效期不短于任务保留时长（见 queue.js 的 mediaTtl）
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { ERROR_CODES, getErrorMessage } from './errors.js';
+import { postWebhook } from './webhook.js';
+
+// 任务存储目录
+const JOBS_DIR = path.join(process.cwd(), 'data', 'jobs');
+
+// webhook 最多尝试次数与单次超时
+const WEBHOOK_ATTEMPTS = 3;
+const WEBHOOK_TIMEOUT = 10000;
+
+// 过期任务清理间隔
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * @typedef {'queued'|'in_progress'|'completed'|'failed'} JobStatus
+ */
+
+/**
+ * @typedef {object} Job
+ * @property {string} id - 任务 ID（job_ 前缀）
+ * @property {'job'} object - 固定为 job
+ * @property {string} model - 模型名称
+ * @property {JobStatus} status - 任务状态
+ * @property {number} created_at - 创建时间（秒）
+ * @property {number|null} started_at - 开始处理时间（秒）
+ * @property {number|null} completed_at - 结束时间（秒）
+ * @property {number|null} expires_at - 结果过期时间（秒，任务结束后设置）
+ * @property {{choices: object[], usage: object}|null} result - 生成结果（completed 时）
+ * @property {{code: string, message: string}|null} error - 错误信息（failed 时）
+ * @property {string|null} webhook_url - 任务结束时回调的地址
+ * @property {number|null} webhook_delivered_at - 回调送达时间（秒）
+ */
+
+/**
+ * 当前时间（秒）
+ * @returns {number}
+ */
+function now() {
+    return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * 判断任务是否已结束
+ * @param {Job} job
+ * @returns {boolean}
+ */
+function isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+}
+
+/**
+ * 创建异步任务存储
+ * @param {object} [options={}] - 选项
+ * @param {number} [options.retention=24] - 结束的任务保留时长（小时）
+ * @param {string} [options.dir] - 存储目录（默认 data/jobs）
+ * @param {string[]} [options.webhookAllowHosts=[]] - 允许回调的主机 (queue.webhookAllowHosts)
+ * @returns {object} 任务存储
+ */
+export function createJobStore(options = {}) {
+    const retentionSeconds = (options.retention ?? 24) * 3600;
+    const dir = options.dir || JOBS_DIR;
+    const webhookAllowHosts = options.webhookAllowHosts || [];
+
+    /** @type {Map<string, Job>} */
+    const jobs = new Map();
+
+    /**
+     * 获取任务文件路径
+     * @param {string} id - 任务 ID
+     * @returns {string}
+     */
+    function jobPath(id) {
+        return path.join(dir, `${id}.json`);
+    }
+
+    /**
+     * 持久化任务（先写临时文件再重命名，避免进程中断时留下不完整的文件）
+     * @param {Job} job
+     */
+    async function persist(job) {
+        const filePath = jobPath(job.id);
+        try {
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(`${filePath}.tmp`, JSON.stringify(job), 'utf8');
+            await fs.rename(`${filePath}.tmp`, filePath);
+        } catch (err) {
+            logger.error('任务', '保存任务失败', { id: job.id, error: err.message });
+        }
+    }
+
+    /**
+     * 删除任务
+     * @param {string} id - 任务 ID
+     */
+    async function remove(id) {
+        jobs.delete(id);
+        try {
+            await fs.unlink(jobPath(id));
+        } catch { /* 文件不存在时忽略 */ }
+    }
+
+    /**
+     * 发送 webhook 回调（失败时按 2s、4s 间隔重试）
+     * @param {Job} job
+     */
+    async function deliverWebhook(job) {
+        for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+            try {
+                await postWebhook(job.webhook_url, job, { allowHosts: webhookAllowHosts, timeout: WEBHOOK_TIMEOUT });
+
+                job.webhook_delivered_at = now();
+                await persist(job);
+                logger.info('任务', 'webhook 回调已送达', { id: job.id, attempt });
+                return;
+            } catch (err) {
+                logger.warn('任务', 'webhook 回调失败', { id: job.id, attempt, error: err.message });
+                if (attempt < WEBHOOK_ATTEMPTS) {
+                    await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+                }
+            }
+        }
+        logger.error('任务', 'webhook 回调多次失败，已放弃', { id: job.id });
+    }
+
+    /**
+     * 结束任务：设置结束时间与过期时间、持久化并触发回调
+     * @param {Job} job
+     */
+    async function finish(job) {
+        job.completed_at = now();
+        job.expires_at = job.completed_at + retentionSeconds;
+        await persist(job);
+        if (job.webhook_url) {
+            deliverWebhook(job).catch(() => { });
+        }
+    }
+
+    /**
+     * 删除已过期的任务
+     */
+    async function prune() {
+        const current = now();
+        for (const job of [...jobs.values()]) {
+            if (job.expires_at !== null && job.expires_at <= current) {
+                await remove(job.id);
+                logger.debug('任务', '任务已过期删除', { id: job.id });
+            }
+        }
+    }
+
+    /**
+     * 从磁盘加载任务（服务启动时调用）
+     * @description 未结束的任务中，可由队列日志恢复的重置为 queued，其余已随上一个进程丢失，标记为失败；
+     * 已结束但回调未送达的任务补发回调
+     * @param {object} [options={}] - 选项
+     * @param {Set<string>} [options.resumable] - 队列日志中的任务 ID
+     */
+    async function load(options = {}) {
+        const resumable = options.resumable || new Set();
+        let files;
+        try {
+            files = await fs.readdir(dir);
+        } catch {
+            files = [];
+        }
+
+        const interrupted = [];
+        const resumed = [];
+        const undelivered = [];
+        for (const file of files) {
+            if (!file.endsWith('.json')) {
+                // 上次写入中断留下的临时文件
+                if (file.endsWith('.tmp')) await fs.unlink(path.join(dir, file)).catch(() => { });
+                continue;
+            }
+            try {
+                const job = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+                jobs.set(job.id, job);
+                if (!isFinished(job)) (resumable.has(job.id) ? resumed : interrupted).push(job);
+                else if (job.webhook_url && !job.webhook_delivered_at) undelivered.push(job);
+            } catch (err) {
+                logger.warn('任务', `任务文件损坏，已跳过: ${file}`, { error: err.message });
+            }
+        }
+
+        await prune();
+
+        for (const job of resumed) {
+            job.status = 'queued';
+            job.started_at = null;
+            await persist(job);
+        }
+        for (const job of interrupted) {
+            job.status = 'failed';
+            job.error = { code: ERROR_CODES.JOB_INTERRUPTED, message: getErrorMessage(ERROR_CODES.JOB_INTERRUPTED) };
+            await finish(job);
+        }
+        for (const job of undelivered) {
+            if (jobs.has(job.id)) deliverWebhook(job).catch(() => { });
+        }
+
+        if (jobs.size > 0) {
+            logger.info('任务', `已加载 ${jobs.size} 个异步任务`, { resumed: resumed.length, interrupted: interrupted.length });
+        }
+
+        setInterval(() => prune().catch(() => { }), PRUNE_INTERVAL).unref();
+    }
+
+    /**
+     * 创建任务
+     * @param {object} data
+     * @param {string} data.model - 模型名称
+     * @param {string|null} [data.webhookUrl] - 回调地址
+     * @returns {Promise<Job>}
+     */
+    async function create({ model, webhookUrl = null }) {
+        const job = {
+            id: `job_${crypto.randomUUID().replace(/-/g, '')}`,
+            object: 'job',
+            model,
+            status: 'queued',
+            created_at: now(),
+            started_at: null,
+            completed_at: null,
+            expires_at: null,
+            result: null,
+            error: null,
+            webhook_url: webhookUrl,
+            webhook_delivered_at: null
+        };
+        jobs.set(job.id, job);
+        await persist(job);
+        return job;
+    }
+
+    /**
+     * 获取任务
+     * @param {string} id - 任务 ID
+     * @returns {Job|null} 不存在或已过期时返回 null
+     */
+    function get(id) {
+        const job = jobs.get(id);
+        if (!job || (job.expires_at !== null && job.expires_at <= now())) return null;
+        return job;
+    }
+
+    /**
+     * 标记任务开始处理
+     * @param {string} id - 任务 ID
+     */
+    async function markRunning(id) {
+        const job = jobs.get(id);
+        if (!job || isFinished(job)) return;
+        job.status = 'in_progress';
+        job.started_at = now();
+        await persist(job);
+    }
+
+    /**
+     * 标记任务完成
+     * @param {string} id - 任务 ID
+     * @param {{choices: object[], usage: object}} result - 生成结果
+     */
+    async function complete(id, result) {
+        const job = jobs.get(id);
+        if (!job || isFinished(job)) return;
+        job.status = 'completed';
+        job.result = result;
+        await finish(job);
+    }
+
+    /**
+     * 标记任务失败
+     * @param {string} id - 任务 ID
+     * @param {{code: string, message: string}} error - 错误信息
+     */
+    async function fail(id, error) {
+        const job = jobs.get(id);
+        if (!job || isFinished(job)) return;
+        job.status = 'failed';
+        job.error = error;
+        await finish(job);
+    }
+
+    return {
+        retentionSeconds,
+        load,
+        create,
+        get,
+        markRunning,
+        complete,
+        fail,
+        prune
+    };
+}
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview 队列日志模块
+ * @description 将已受理的异步任务 (/v1/jobs) 写入 data/queue/，服务重启（/admin/restart 或 Supervisor 崩溃重启）后，
+ * 工作池初始化完成时按入队顺序重新入队，不再因进程退出而丢失。
+ *
+ * - 每个任务一个 JSON 文件，入队时写入，处理结束或被取消时删除；处理中的任务同样会被重放
+ * - 任务引用的临时图片 (data/temp) 在任务结束前不会被删除，重放前检查文件是否仍然存在
+ * - 同步请求的客户端连接随进程一起断开，结果无人接收，不写入日志
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+// 队列日志目录
+const JOURNAL_DIR = path.join(process.cwd(), 'data', 'queue');
+
+/**
+ * @typedef {object} JournalRecord
+ * @property {string} id - 任务 ID
+ * @property {string} prompt - 提示词
+ * @property {string[]} imagePaths - 临时图片路径
+ * @property {string|null} [maskPath] - 蒙版图片路径
+ * @property {object} [session] - 会话续接信息
+ * @property {object|null} [outputFormat] - 结构化输出
+ * @property {string|null} modelId - 模型 ID
+ * @property {string|null} modelName - 模型名称
+ * @property {number} [n] - 生成结果数
+ * @property {'url'|'b64'|null} [mediaFormat] - 媒体返回格式
+ * @property {string} [baseUrl] - 媒体链接的访问地址
+ * @property {number} [mediaTtl] - 媒体链接有效期（秒）
+ * @property {import('./priority.js').TaskLane} lane - 优先级通道
+ * @property {object} replay - 重建 responder 所需的参数
+ * @property {number} journaledAt - 写入时间（毫秒）
+ */
+
+/**
+ * @typedef {object} RecoverySummary
+ * @property {number} recoveredAt - 恢复时间（毫秒）
+ * @property {number} found - 日志中的任务数
+ * @property {string[]} replayed - 重新入队的任务 ID
+ * @property {{id: string, reason: string}[]} failed - 无法恢复的任务
+ * @property {string[]} skipped - 已结束、无需重放的任务 ID
+ */
+
+/**
+ * 创建队列日志
+ * @param {object} [options={}] - 选项
+ * @param {string} [options.dir] - 日志目录（默认 data/queue）
+ * @returns {object} 队列日志
+ */
+export function createQueueJournal(options = {}) {
+    const dir = options.dir || JOURNAL_DIR;
+
+    /** @type {Map<string, JournalRecord>} */
+    const records = new Map();
+
+    /** @type {RecoverySummary|null} */
+    let recovery = null;
+
+    /**
+     * 每个任务尚未完成的文件操作，同一任务的写入与删除按调用顺序执行，
+     * 避免删除先于写入完成导致已结束的任务在重启后被重放
+     * @type {Map<string, Promise<void>>}
+     */
+    const pending = new Map();
+
+    /**
+     * 在同一任务之前的文件操作完成后执行
+     * @param {string} id - 任务 ID
+     * @param {() => Promise<void>} operation - 文件操作（需自行处理错误）
+     * @returns {Promise<void>}
+     */
+    function serialize(id, operation) {
+        const current = (pending.get(id) || Promise.resolve()).then(operation);
+        pending.set(id, current);
+        current.then(() => {
+            if (pending.get(id) === current) pending.delete(id);
+        });
+        return current;
+    }
+
+    /**
+     * 获取日志文件路径
+     * @param {string} id - 任务 ID
+     * @returns {string}
+     */
+    function recordPath(id) {
+        return path.join(dir, `${id}.json`);
+    }
+
+    /**
+     * 读取日志中的任务（服务启动时调用）
+     * @returns {Promise<JournalRecord[]>} 按入队时间排列
+     */
+    async function load() {
+        let files;
+        try {
+            files = await fs.readdir(dir);
+        } catch {
+            return [];
+        }
+
+        for (const file of files) {
+            if (!file.endsWith('.json')) {
+                if (file.endsWith('.tmp')) await fs.unlink(path.join(dir, file)).catch(() => { });
+                continue;
+            }
+            try {
+                const record = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+                records.set(record.id, record);
+            } catch (err) {
+                logger.warn('队列', `队列日志文件损坏，已跳过: ${file}`, { error: err.message });
+            }
+        }
+
+        return [...records.values()].sort((a, b) => a.journaledAt - b.journaledAt);
+    }
+
+    /**
+     * 写入任务（先写临时文件再重命名）
+     * @param {import('./queue.js').TaskContext} task - 任务上下文
+     */
+    async function save(task) {
+        const record = {
+            id: task.id,
+            prompt: task.prompt,
+            imagePaths: task.imagePaths || [],
+            maskPath: task.maskPath || null,
+            session: task.session,
+            outputFormat: task.outputFormat || null,
+            modelId: task.modelId,
+            modelName: task.modelName,
+            n: task.n,
+            mediaFormat: task.mediaFormat || null,
+            baseUrl: task.baseUrl,
+            mediaTtl: task.mediaTtl,
+            lane: task.lane,
+            replay: task.replay,
+            journaledAt: records.get(task.id)?.journaledAt ?? Date.now()
+        };
+        records.set(task.id, record);
+
+        const filePath = recordPath(task.id);
+        await serialize(task.id, async () => {
+            // 任务已在等待写入期间结束时不再写入
+            if (!records.has(task.id)) return;
+            try {
+                await fs.mkdir(dir, { recursive: true });
+                await fs.writeFile(`${filePath}.tmp`, JSON.stringify(record), 'utf8');
+                await fs.rename(`${filePath}.tmp`, filePath);
+            } catch (err) {
+                logger.error('队列', '写入队列日志失败', { id: task.id, error: err.message });
+            }
+        });
+    }
+
+    /**
+     * 删除任务
+     * @param {string} id - 任务 ID
+     */
+    async function remove(id) {
+        if (!records.delete(id)) return;
+        // 等待进行中的写入完成后再删除
+        await serialize(id, async () => {
+            try {
+                await fs.unlink(recordPath(id));
+            } catch { /* 文件尚未写入或已删除时忽略 */ }
+        });
+    }
+
+    /**
+     * 获取日志中任务引用的临时文件（清理缓存时保留）
+     * @returns {Set<string>}
+     */
+    function referencedFiles() {
+        const files = new Set();
+        for (const record of records.values()) {
+            for (const p of record.imagePaths) files.add(path.resolve(p));
+            if (record.maskPath) files.add(path.resolve(record.maskPath));
+        }
+        return files;
+    }
+
+    /**
+     * 记录本次启动的恢复结果
+     * @param {RecoverySummary} summary
+     */
+    function setRecovery(summary) {
+        recovery = summary;
+    }
+
+    /**
+     * 获取本次启动的恢复结果
+     * @returns {RecoverySummary|null} 尚未恢复（如工作池未就绪）时返回 null
+     */
+    function getRecovery() {
+        return recovery;
+    }
+
+    return {
+        load,
+        save,
+        remove,
+        referencedFiles,
+        setRecovery,
+        getRecovery
+    };
+}
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview 媒体文件存储模块
+ * @description 将适配器返回的 data URI（图片、视频）保存到 data/media/，响应中改为返回带签名的下载链接，
+ * 避免数十 MB 的 Base64 嵌在 JSON 里。
+ *
+ * - 链接格式：{baseUrl}/media/{name}?expires={秒级时间戳}&sig={签名}，签名密钥为 server.auth
+ * - 链接与文件在 server.media.ttl 秒后过期，过期文件定时删除；异步任务结果中的链接有效期延长至任务保留时长
+ * - baseUrl 优先使用 server.media.publicUrl，否则取请求的 Host
+ * - 仅在 server.media.trustProxy 开启时读取 X-Forwarded-Proto / X-Forwarded-Host，否则任何客户端都能让签名链接指向其他主机
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { once } from 'events';
+import { pipeline } from 'stream';
+import { logger } from '../utils/logger.js';
+
+// 媒体存储目录
+const MEDIA_DIR = path.join(process.cwd(), 'data', 'media');
+
+// 过期文件清理间隔
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+// 文件名格式：32 位十六进制 ID + 扩展名
+const MEDIA_NAME_PATTERN = /^[a-f0-9]{32}\.[a-z0-9]+$/;
+
+// MIME 类型与扩展名映射
+const MIME_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'video/quicktime': 'mov'
+};
+
+/**
+ * 根据扩展名获取 MIME 类型
+ * @param {string} name - 文件名
+ * @returns {string}
+ */
+function mimeTypeOf(name) {
+    const ext = path.extname(name).slice(1);
+    const entry = Object.entries(MIME_EXTENSIONS).find(([, e]) => e === ext);
+    return entry ? entry[0] : 'application/octet-stream';
+}
+
+/**
+ * 创建媒体文件存储
+ * @param {object} options - 选项
+ * @param {string} options.secret - 签名密钥
+ * @param {number} [options.ttl=86400] - 链接与文件有效期（秒）
+ * @param {number} [options.maxTtl] - 允许的最长有效期（秒，异步任务保留时长），决定文件保留多久
+ * @param {string} [options.publicUrl] - 对外访问地址（如 https://api.example.com）
+ * @param {boolean} [options.trustProxy=false] - 是否信任反向代理设置的 X-Forwarded-* 请求头
+ * @param {'url'|'b64'} [options.responseFormat='b64'] - 默认媒体返回格式
+ * @param {string} [options.dir] - 存储目录（默认 data/media）
+ * @returns {object} 媒体存储
+ */
+export function createMediaStore(options) {
+    const { secret, ttl = 86400, responseFormat = 'b64', trustProxy = false } = options;
+    const maxTtl = Math.max(ttl, options.maxTtl || 0);
+    const publicUrl = options.publicUrl ? options.publicUrl.replace(/\/+$/, '') : '';
+    const dir = options.dir || MEDIA_DIR;
+
+    /**
+     * 计算签名
+     * @param {string} name - 文件名
+     * @param {number} expires - 过期时间（秒）
+     * @returns {string}
+     */
+    function sign(name, expires) {
+        return crypto.createHmac('sha256', secret).update(`${name}:${expires}`).digest('base64url');
+    }
+
+    /**
+     * 校验签名与有效期
+     * @param {string} name - 文件名
+     * @param {URLSearchParams} searchParams - 链接参数
+     * @returns {boolean}
+     */
+    function verify(name, searchParams) {
+        const expires = Number(searchParams.get('expires'));
+        const sig = searchParams.get('sig') || '';
+        if (!Number.isInteger(expires) || expires * 1000 < Date.now()) return false;
+        const expected = Buffer.from(sign(name, expires));
+        const actual = Buffer.from(sig);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    /**
+     * 删除过期文件（按修改时间判断）
+     */
+    async function prune() {
+        let files;
+        try {
+            files = await fs.promises.readdir(dir);
+        } catch {
+            return;
+        }
+        const cutoff = Date.now() - maxTtl * 1000;
+        for (const file of files) {
+            const filePath = path.join(dir, file);
+            try {
+                const stat = await fs.promises.stat(filePath);
+                if (stat.mtimeMs < cutoff) await fs.promises.unlink(filePath);
+            } catch { /* 文件已被删除时忽略 */ }
+        }
+    }
+
+    prune().catch(() => { });
+    setInterval(() => prune().catch(() => { }), PRUNE_INTERVAL).unref();
+
+    /**
+     * 获取请求对应的对外访问地址
+     * @param {import('http').IncomingMessage} [req] - HTTP 请求对象
+     * @returns {string}
+     */
+    function baseUrlOf(req) {
+        if (publicUrl || !req) return publicUrl;
+        const forwarded = (name) => trustProxy ? (req.headers[name] || '').split(',')[0].trim() : '';
+        const proto = forwarded('x-forwarded-proto') || (req.socket?.encrypted ? 'https' : 'http');
+        const host = forwarded('x-forwarded-host') || req.headers.host;
+        return `${proto}://${host}`;
+    }
+
+    /**
+     * 保存 data URI 并返回签名链接
+     * @param {string} dataUri - data URI
+     * @param {string} baseUrl - 对外访问地址
+     * @param {number} linkTtl - 链接有效期（秒）
+     * @returns {Promise<string>}
+     */
+    async function save(dataUri, baseUrl, linkTtl) {
+        const commaIndex = dataUri.indexOf(',');
+        const mimeType = dataUri.slice(5, commaIndex).split(';')[0];
+        const name = `${crypto.randomUUID().replace(/-/g, '')}.${MIME_EXTENSIONS[mimeType] || 'bin'}`;
+
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, name), Buffer.from(dataUri.slice(commaIndex + 1), 'base64'));
+
+        const expires = Math.floor(Date.now() / 1000) + linkTtl;
+        return `${baseUrl}/media/${name}?expires=${expires}&sig=${sign(name, expires)}`;
+    }
+
+    /**
+     * 将结果中的 data URI 替换为签名链接
+     * @param {object[]} results - 适配器结果
+     * @param {string} baseUrl - 对外访问地址
+     * @param {number} [linkTtl] - 链接有效期（秒），不短于 ttl、不超过 maxTtl
+     * @returns {Promise<object[]>} 保存失败的结果保持 data URI 不变
+     */
+    async function externalize(results, baseUrl, linkTtl) {
+        const expiresIn = Math.min(Math.max(ttl, linkTtl || 0), maxTtl);
+        return await Promise.all(results.map(async (result) => {
+            if (!result.image?.startsWith('data:')) return result;
+            try {
+                return { ...result, image: await save(result.image, baseUrl, expiresIn) };
+            } catch (err) {
+                logger.warn('服务器', `媒体文件保存失败，返回 Base64: ${err.message}`);
+                return result;
+            }
+        }));
+    }
+
+    /**
+     * 解析本存储签发的链接
+     * @param {string} url - 媒体链接
+     * @returns {string|null} 签名有效时返回文件名
+     */
+    function parseMediaUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return null;
+        }
+        const match = parsed.pathname.match(/\/media\/([^/]+)$/);
+        if (!match || !MEDIA_NAME_PATTERN.test(match[1]) || !verify(match[1], parsed.searchParams)) return null;
+        return match[1];
+    }
+
+    /**
+     * 获取本存储签发的链接对应的 MIME 类型
+     * @param {string} url - 媒体链接
+     * @returns {string|null} 不是本存储的有效链接时返回 null
+     */
+    function lookup(url) {
+        const name = parseMediaUrl(url);
+        return name ? mimeTypeOf(name) : null;
+    }
+
+    /**
+     * 读取本存储签发的链接对应的文件（responder 需要 Base64 时避免经 HTTP 下载自身链接）
+     * @param {string} url - 媒体链接
+     * @returns {Promise<{mimeType: string, buffer: Buffer}|null>} 不是本存储的有效链接时返回 null
+     */
+    async function read(url) {
+        const name = parseMediaUrl(url);
+        if (!name) return null;
+        try {
+            return { mimeType: mimeTypeOf(name), buffer: await fs.promises.readFile(path.join(dir, name)) };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * 处理 GET /media/{name}（支持 Range 请求，便于播放器拖动视频）
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @param {string} name - 文件名
+     * @param {URLSearchParams} searchParams - 链接参数
+     */
+    async function serve(req, res, name, searchParams) {
+        if (!MEDIA_NAME_PATTERN.test(name) || !verify(name, searchParams)) {
+            res.writeHead(403);
+            res.end('Forbidden');
+            return;
+        }
+
+        const filePath = path.join(dir, name);
+        let stat;
+        try {
+            stat = await fs.promises.stat(filePath);
+        } catch {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        const headers = {
+            'Content-Type': mimeTypeOf(name),
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'private, max-age=3600'
+        };
+
+        const range = req.headers.range?.match(/^bytes=(\d*)-(\d*)$/);
+        if (range && (range[1] || range[2])) {
+            const start = range[1] ? Number(range[1]) : Math.max(0, stat.size - Number(range[2]));
+            const end = range[1] && range[2] ? Math.min(Number(range[2]), stat.size - 1) : stat.size - 1;
+            if (start > end || start >= stat.size) {
+                res.writeHead(416, { 'Content-Range': `bytes */${stat.size}` });
+                res.end();
+                return;
+            }
+            await sendFile(res, filePath, { start, end }, 206, {
+                ...headers, 'Content-Range': `bytes ${start}-${end}/${stat.size}`, 'Content-Length': end - start + 1
+            });
+            return;
+        }
+
+        await sendFile(res, filePath, {}, 200, { ...headers, 'Content-Length': stat.size });
+    }
+
+    /**
+     * 发送文件内容
+     * @description 文件打开成功后才发送响应头，打开失败（如刚被定时清理删除）时返回 404/500；
+     * 发送过程中出错或客户端断开时销毁响应并关闭文件
+     * @param {import('http').ServerResponse} res
+     * @param {string} filePath - 文件路径
+     * @param {{start?: number, end?: number}} range - 读取范围
+     * @param {number} status - HTTP 状态码
+     * @param {object} headers - 响应头
+     */
+    async function sendFile(res, filePath, range, status, headers) {
+        const stream = fs.createReadStream(filePath, range);
+        try {
+            await once(stream, 'open');
+        } catch (err) {
+            res.writeHead(err.code === 'ENOENT' ? 404 : 500);
+            res.end();
+            return;
+        }
+
+        res.writeHead(status, headers);
+        pipeline(stream, res, (err) => {
+            if (!err) return;
+            if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                logger.warn('服务器', `媒体文件发送失败: ${err.message}`);
+            }
+            if (!res.headersSent) {
+                res.writeHead(500);
+                res.end();
+            } else {
+                res.destroy();
+            }
+        });
+    }
+
+    return {
+        responseFormat,
+        baseUrlOf,
+        externalize,
+        read,
+        lookup,
+        serve,
+        prune
+    };
+}
@@ -6,23 +6,74 @@
 import { sendApiError } from '../respond.js';
 import { ERROR_CODES } from '../errors.js';
 
+/**
+ * 判断是否为 Gemini 兼容接口路径
+ * @description 仅 Gemini 接口 (/v1beta/* 与 /v1/models/{model}:xxx) 接受 ?key= 查询参数，
+ * 其余接口（尤其是 /admin）的密钥不应出现在 URL、代理日志与浏览器历史中
+ * @param {string} pathname - 请求路径
+ * @returns {boolean}
+ */
+export function isGeminiPath(pathname) {
+    return pathname.startsWith('/v1beta/') || (pathname.startsWith('/v1/models/') && pathname.includes(':'));
+}
+
+/**
+ * 提取请求携带的密钥
+ * @description 支持 Authorization: Bearer、Anthropic 客户端使用的 x-api-key，
+ * 以及 Gemini 客户端使用的 x-goog-api-key 请求头；?key= 查询参数仅在 Gemini 接口读取
+ * @param {import('http').IncomingMessage} req - HTTP 请求
+ * @returns {string[]} 候选密钥
+ */
+function extractKeys(req) {
+    const keys = [];
+    const authHeader = req.headers['authorization'];
+    if (typeof authHeader === 'string' && authHeader.startsWith('Bearer ')) keys.push(authHeader.slice(7));
+    if (req.headers['x-api-key']) keys.push(req.headers['x-api-key']);
+    if (req.headers['x-goog-api-key']) keys.push(req.headers['x-goog-api-key']);
+    const url = new URL(req.url, 'http://localhost');
+    if (isGeminiPath(url.pathname)) {
+        const queryKey = url.searchParams.get('key');
+        if (queryKey) keys.push(queryKey);
+    }
+    return keys;
+}
+
+/**
+ * 查找请求对应的 API Key
+ * @param {import('http').IncomingMessage} req - HTTP 请求
+ * @param {string} authToken - 主密钥 (server.auth)
+ * @param {import('../priority.js').ApiKeyEntry[]} [apiKeys=[]] - 附加 API Key (server.apiKeys)
+ * @returns {import('../priority.js').ApiKeyEntry|null} 未通过鉴权时返回 null
+ */
+export function findApiKey(req, authToken, apiKeys = []) {
+    if (!authToken) return null;
+    for (const key of extractKeys(req)) {
+        if (key === authToken) return { name: 'default', key, admin: true };
+        const entry = apiKeys.find(k => k.key === key);
+        if (entry) return entry;
+    }
+    return null;
+}
+
 /**
  * 鉴权检查
  * @param {import('http').IncomingMessage} req - HTTP 请求
  * @param {string} authToken - 有效的认证令牌
+ * @param {import('../priority.js').ApiKeyEntry[]} [apiKeys] - 附加 API Key
  * @returns {boolean} 是否通过鉴权
  */
-export function checkAuth(req, authToken) {
-    const authHeader = req.headers['authorization'];
-    return authHeader === `Bearer ${authToken}`;
+export function checkAuth(req, authToken, apiKeys) {
+    return findApiKey(req, authToken, apiKeys) !== null;
 }
 
 /**
  * 创建鉴权中间件
+ * @description 通过鉴权后将匹配的 Key 写入 req.apiKey，供优先级调度使用
  * @param {string} authToken - 认证令牌
+ * @param {import('../priority.js').ApiKeyEntry[]} [apiKeys] - 附加 API Key（只能访问 /v1 接口）
  * @returns {Function} 中间件函数
  */
-export function createAuthMiddleware(authToken) {
+export function createAuthMiddleware(authToken, apiKeys) {
     /**
      * 鉴权中间件
      * @param {import('http').IncomingMessage} req
@@ -30,10 +81,12 @@ export function createAuthMiddleware(authToken) {
      * @returns {boolean} 是否通过鉴权
      */
     return function authMiddleware(req, res) {
-        if (!checkAuth(req, authToken)) {
+        const apiKey = findApiKey(req, authToken, apiKeys);
+        if (!apiKey) {
             sendApiError(res, { code: ERROR_CODES.UNAUTHORIZED });
             return false;
         }
+        req.apiKey = apiKey;
         return true;
     };
 }
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview 任务优先级模块
+ * @description 确定任务所属的优先级通道与公平调度的客户端标识：
+ * - 优先级：high > normal > low，高优先级通道有任务时低优先级通道不会被调度
+ * - 同一通道内按 API Key 加权公平排队（见 queue.js），单个 Key 大量提交不会挤占其他 Key
+ *
+ * 优先级来源：API Key 配置的 priority（server.apiKeys），请求头 X-Priority 可在此基础上调低；
+ * 使用主密钥 (server.auth) 的请求可通过 X-Priority 指定任意优先级
+ */
+
+/** 优先级列表（按调度顺序） */
+export const PRIORITIES = ['high', 'normal', 'low'];
+
+/** 默认优先级 */
+export const DEFAULT_PRIORITY = 'normal';
+
+/**
+ * @typedef {object} ApiKeyEntry
+ * @property {string} name - Key 名称（日志、队列监控与公平调度使用）
+ * @property {string} key - 密钥
+ * @property {'high'|'normal'|'low'} [priority='normal'] - 默认优先级，也是 X-Priority 可指定的最高优先级
+ * @property {number} [weight=1] - 公平调度权重（同一通道内按权重比例分配调度机会）
+ * @property {boolean} [admin] - 是否为主密钥 (server.auth)
+ */
+
+/**
+ * @typedef {object} TaskLane
+ * @property {'high'|'normal'|'low'} priority - 优先级
+ * @property {string} client - 客户端标识（API Key 名称）
+ * @property {number} weight - 公平调度权重
+ */
+
+/**
+ * 获取优先级的排序值（越小越优先）
+ * @param {string} priority - 优先级
+ * @returns {number}
+ */
+export function priorityRank(priority) {
+    const rank = PRIORITIES.indexOf(priority);
+    return rank === -1 ? PRIORITIES.indexOf(DEFAULT_PRIORITY) : rank;
+}
+
+/**
+ * 解析请求的优先级通道
+ * @param {import('http').IncomingMessage} [req] - 已通过鉴权的请求（鉴权中间件写入 req.apiKey）
+ * @returns {TaskLane}
+ */
+export function resolveLane(req) {
+    const apiKey = req?.apiKey;
+    const base = apiKey?.priority || DEFAULT_PRIORITY;
+    let priority = base;
+
+    const requested = String(req?.headers?.['x-priority'] || '').trim().toLowerCase();
+    if (PRIORITIES.includes(requested) && (apiKey?.admin || priorityRank(requested) >= priorityRank(base))) {
+        priority = requested;
+    }
+
+    return {
+        priority,
+        client: apiKey?.name || 'default',
+        weight: apiKey?.weight || 1
+    };
+}
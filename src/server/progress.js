@@ -0,0 +1,32 @@
+/**
+ * @fileoverview 进度事件模块
+ * @description 流式请求携带请求头 `X-Progress-Events: true` 时，在 SSE 响应中额外发送 `event: progress` 事件，
+ * 客户端可据此显示排队与生成进度。事件数据为 {type: 'progress', stage, ...}：
+ * - queued：排队中，附带 position（从 1 开始）与 estimated_wait（秒，尚无法估算时为 null），位置变化时重新发送
+ * - assigned：开始处理，附带 worker（调度时占用的 Worker）
+ * - uploading / typing / generating / downloading：适配器阶段（上传图片、输入提示词、等待生成、下载结果），附带 worker
+ * - failover：当前 Worker 或适配器失败，正在转移，附带 worker 与 error
+ *
+ * 进度事件不属于各官方协议，只在显式开启时发送
+ */
+
+import { sendSseEvent } from './respond.js';
+
+/**
+ * 检查请求是否开启了进度事件
+ * @param {import('http').IncomingMessage} req - HTTP 请求
+ * @returns {boolean}
+ */
+export function wantsProgressEvents(req) {
+    const value = String(req.headers['x-progress-events'] || '').trim().toLowerCase();
+    return value === 'true' || value === '1';
+}
+
+/**
+ * 发送进度事件
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {object} event - 事件内容（stage 及附加字段）
+ */
+export function sendProgressEvent(res, event) {
+    sendSseEvent(res, 'progress', { type: 'progress', ...event });
+}
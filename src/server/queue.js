@@ -1,31 +1,47 @@
 /**
  * @fileoverview 任务队列管理模块
  * @description 负责请求队列、并发控制和心跳机制，适配 Pool 模式架构
+ *
+ * 调度顺序：先按优先级通道 (high > normal > low)，同一通道内按 API Key 加权公平排队 (Start-time Fair Queuing)：
+ * 任务入队时计算虚拟开始/结束标签，结束标签 = max(通道虚拟时间, 该 Key 上一任务的结束标签) + 生成数 / 权重，
+ * 每次调度结束标签最小的任务。持续大量提交的 Key 标签不断累加，其他 Key 的新任务会插到它前面
+ *
+ * 按 Worker 分发：按上述顺序找到第一个有空闲 Worker 能执行的任务，并为其占用该 Worker 直到任务结束。
+ * 模型对应的 Worker 全部繁忙时，排在后面、由其他 Worker 执行的任务不会被它阻塞
  */
 
 import { logger } from '../utils/logger.js';
-import {
-    sendJson,
-    sendSse,
-    sendSseDone,
-    sendHeartbeat,
-    sendApiError,
-    buildChatCompletion,
-    buildChatCompletionChunk
-} from './respond.js';
 import { ERROR_CODES } from './errors.js';
 import { incrementSuccess, incrementFailed } from '../utils/stats.js';
+import { createSessionStore } from './session.js';
+import { createOutputValidator } from './structured.js';
+import { computeUsage } from './usage.js';
+import { PRIORITIES, priorityRank, resolveLane } from './priority.js';
 
 /**
  * @typedef {object} TaskContext
- * @property {import('http').IncomingMessage} req - HTTP 请求对象
- * @property {import('http').ServerResponse} res - HTTP 响应对象
+ * @property {import('http').IncomingMessage} [req] - HTTP 请求对象（异步任务没有）
+ * @property {import('http').ServerResponse} [res] - HTTP 响应对象（异步任务没有）
  * @property {string} prompt - 用户提示词
  * @property {string[]} imagePaths - 图片路径列表
+ * @property {string|null} [maskPath] - 蒙版图片路径（/v1/images/edits 的 mask）
  * @property {string|null} modelId - 模型 ID
  * @property {string|null} modelName - 模型名称
  * @property {string} id - 请求唯一标识
  * @property {boolean} isStreaming - 是否流式请求
+ * @property {number} [n=1] - 生成结果数（/v1/chat/completions 与 /v1/images/* 的 n）
+ * @property {import('./session.js').RequestSession} [session] - 会话续接信息（文本模型）
+ * @property {import('./structured.js').OutputFormat|null} [outputFormat] - response_format 结构化输出（文本模型）
+ * @property {object} responder - 响应写出器，负责将结果转换为对应接口的格式 (见 api/openai/responders.js)
+ * @property {AbortController} [abortController] - 取消控制器（入队时创建，客户端断开时触发）
+ * @property {'url'|'b64'|null} [mediaFormat] - 媒体结果返回格式（请求指定，未指定时使用 server.media.responseFormat）
+ * @property {string} [baseUrl] - 媒体链接的访问地址（没有 req 的异步任务由路由提供）
+ * @property {number} [mediaTtl] - 媒体链接有效期（秒，异步任务为任务保留时长，默认 server.media.ttl）
+ * @property {import('./priority.js').TaskLane} [lane] - 优先级通道（未提供时由 req 解析，没有 req 的异步任务由路由提供）
+ * @property {string[]|null} [reservedWorkers] - 调度时为任务占用的 Worker 名称（Pool 尚未初始化或没有 Worker 能执行时为 null）
+ * @property {{key: string|null, binding: object|null}|null} [resolvedSession] - 调度时查找到的会话绑定
+ * @property {boolean} [progressEvents=false] - 是否通过 responder.progress 发送进度事件 (见 progress.js)
+ * @property {object} [replay] - 重启后重建 responder 所需的参数；提供时任务写入队列日志 (见 journal.js)
  */
 
 /**
@@ -47,17 +63,23 @@ import { incrementSuccess, incrementFailed } from '../utils/stats.js';
  * @param {object} callbacks - 回调函数
  * @param {Function} callbacks.initBrowser - 初始化 Pool 函数
  * @param {Function} callbacks.generate - 生成图片函数
+ * @param {Function} callbacks.generateMany - 并行生成多个结果函数 (n > 1)
  * @param {object} callbacks.config - 配置对象
  * @param {Function} [callbacks.navigateToMonitor] - 监控导航函数
  * @param {Function} [callbacks.getCookies] - 获取 Cookies 函数
+ * @param {object} [callbacks.mediaStore] - 媒体文件存储 (见 media.js)
+ * @param {object} [callbacks.journal] - 队列日志 (见 journal.js)
  * @returns {object} 队列管理器
  */
 export function createQueueManager(queueConfig, callbacks) {
-    const { maxConcurrent, queueBuffer, keepaliveMode } = queueConfig;
-    const { initBrowser, generate, config, navigateToMonitor, getCookies } = callbacks;
+    const { queueBuffer, keepaliveMode } = queueConfig;
+    const { initBrowser, generate, generateMany, config, navigateToMonitor, getCookies, mediaStore, journal } = callbacks;
+
+    // 最大并发数随 Worker 数变化（配置热加载时更新）
+    let maxConcurrent = queueConfig.maxConcurrent;
 
     // 计算有效队列大小：0 表示不限制，否则为 maxConcurrent + buffer
-    const effectiveQueueSize = queueBuffer === 0 ? Infinity : (maxConcurrent + queueBuffer);
+    let effectiveQueueSize = queueBuffer === 0 ? Infinity : (maxConcurrent + queueBuffer);
 
     /** @type {TaskContext[]} */
     const queue = [];
@@ -71,14 +93,32 @@ export function createQueueManager(queueConfig, callbacks) {
     /** @type {PoolContext|null} */
     let poolContext = null;
 
+    // 公平调度状态：各通道的虚拟时间与各 Key 上一任务的结束标签
+    const virtualTime = Object.fromEntries(PRIORITIES.map(p => [p, 0]));
+    const lastFinishTags = new Map();
+    let enqueueSeq = 0;
+
+    // 任务平均耗时（毫秒，指数移动平均），用于估算等待时间；尚无完成的任务时为 null
+    let averageDuration = null;
+
+    // 已被处理中任务占用的 Worker 名称
+    const busyWorkers = new Set();
+
+    // 等待 Worker 限流解除后重新调度的定时器
+    let wakeTimer = null;
+
+    // 会话续接：记录对话与 Worker / 网页会话的绑定
+    const sessionStore = createSessionStore(config?.backend?.pool?.session);
+
     /**
      * 清理任务临时文件
      * @param {TaskContext} task - 任务上下文
      */
     async function cleanupTask(task) {
-        if (task?.imagePaths) {
+        const paths = [...(task?.imagePaths || []), ...(task?.maskPath ? [task.maskPath] : [])];
+        if (paths.length > 0) {
             const fs = await import('fs');
-            for (const p of task.imagePaths) {
+            for (const p of paths) {
                 try { fs.unlinkSync(p); } catch (e) { /* ignore */ }
             }
         }
@@ -89,74 +129,111 @@ export function createQueueManager(queueConfig, callbacks) {
      * @param {TaskContext} task - 任务上下文
      */
     async function processTask(task) {
-        const { res, prompt, imagePaths, modelId, modelName, id, isStreaming } = task;
+        const { prompt, imagePaths, modelId, id, responder } = task;
+        const n = Math.max(1, task.n || 1);
+        // 取消信号（及开启时的进度回调）随 meta 传给 Worker 与适配器
+        const meta = { id, signal: task.abortController?.signal };
+        if (task.progressEvents) {
+            meta.onProgress = (event) => responder.progress?.(event);
+        }
 
         logger.info('服务器', '[队列] 开始处理任务', { id, remaining: queue.length });
-
-        // 启动心跳（流式请求）
         let heartbeatInterval = null;
-        if (isStreaming) {
-            heartbeatInterval = setInterval(() => {
-                if (res.writableEnded) {
-                    clearInterval(heartbeatInterval);
-                    return;
-                }
-                sendHeartbeat(res, keepaliveMode, modelName);
-            }, 3000);
-        }
 
         try {
+            // 发送响应头失败（如客户端已断开）时同样进入失败处理
+            await responder.start?.();
+            meta.onProgress?.({ stage: 'assigned', worker: task.reservedWorkers?.join(', ') || null });
+
+            // 启动心跳（流式请求）
+            if (responder.isStreaming) {
+                heartbeatInterval = setInterval(() => {
+                    if (task.res.writableEnded) {
+                        clearInterval(heartbeatInterval);
+                        return;
+                    }
+                    responder.heartbeat(keepaliveMode);
+                }, 3000);
+            }
+
             // 确保 Pool 已初始化
             if (!poolContext) {
                 poolContext = await initBrowser(config);
             }
 
-            // 调用核心生图逻辑 (通过 Pool 分发)
-            const result = await generate(poolContext, prompt, imagePaths, modelId, { id });
+            // 流式请求：适配器解析到增量内容时立即交给 responder 转发
+            // 结构化输出需要校验完整回复，不转发增量
+            let ctx = responder.isStreaming && !task.outputFormat
+                ? { ...poolContext, onDelta: (delta) => responder.delta(delta) }
+                : poolContext;
+
+            if (task.outputFormat) {
+                ctx = { ...ctx, outputValidator: createOutputValidator(task.outputFormat) };
+            }
+
+            if (task.maskPath) {
+                ctx = { ...ctx, maskPath: task.maskPath };
+            }
+
+            if (task.reservedWorkers) {
+                ctx = { ...ctx, reservedWorkers: task.reservedWorkers };
+            }
+
+            // 会话续接：已有绑定时由 Pool 固定分发至原 Worker，并只输入本轮用户消息
+            const { resolvedSession } = task;
+            if (resolvedSession) {
+                const { prompt: sessionPrompt, imagePaths: sessionImagePaths } = task.session;
+                ctx = { ...ctx, session: { ...resolvedSession.binding, prompt: sessionPrompt, imagePaths: sessionImagePaths } };
+                if (resolvedSession.binding) {
+                    logger.info('服务器', `[队列] 续接会话: ${resolvedSession.binding.workerName}`, { id });
+                }
+            }
+
+            // 调用核心生图逻辑 (通过 Pool 分发)，n > 1 时分散到多个 Worker 并行生成
+            const results = n > 1
+                ? await generateMany(ctx, prompt, imagePaths, modelId, meta, n)
+                : [await generate(ctx, prompt, imagePaths, modelId, meta)];
 
             // 清除心跳
             if (heartbeatInterval) clearInterval(heartbeatInterval);
 
+            // 客户端已断开：结果无人接收，不计入统计
+            if (meta.signal?.aborted) {
+                logger.info('服务器', '[队列] 任务已取消', { id });
+                return;
+            }
+
             // 处理结果
-            if (result.error) {
+            const succeeded = results.filter(r => !r.error);
+            if (succeeded.length === 0) {
                 // 生成失败：记录统计并返回错误
+                const result = results[0];
                 await incrementFailed();
-                sendApiError(res, {
-                    code: ERROR_CODES.GENERATION_FAILED,
+                await responder.error({
+                    code: result.code === ERROR_CODES.INVALID_STRUCTURED_OUTPUT ? result.code : ERROR_CODES.GENERATION_FAILED,
                     message: result.error,
-                    status: result.retryable ? 503 : 502,
-                    isStreaming
+                    status: result.retryable ? 503 : 502
                 });
                 return;
             }
 
             // 生成成功
-            let finalContent = '';
-            if (result.image) {
-                // 只有图片格式才使用 markdown，视频等其他格式直接返回 data URI
-                if (result.image.startsWith('data:image/')) {
-                    finalContent = `![generated](${result.image})`;
-                } else {
-                    finalContent = result.image;
-                }
-            } else {
-                finalContent = result.text || '生成失败';
+            const usage = computeUsage(prompt, imagePaths, succeeded);
+            logger.info('服务器', '结果已准备就绪', { id, succeeded: succeeded.length, total: n, promptTokens: usage.promptTokens, completionTokens: usage.completionTokens });
+            await incrementSuccess(usage);
+
+            if (resolvedSession && succeeded[0].session) {
+                sessionStore.save(task.session, succeeded[0].session, succeeded[0].text || '');
             }
-            logger.info('服务器', '结果已准备就绪', { id });
-            await incrementSuccess();
+
+            // url 格式：data URI 保存到媒体存储，响应中改为签名下载链接
+            const mediaFormat = task.mediaFormat || mediaStore?.responseFormat;
+            const output = mediaStore && mediaFormat === 'url'
+                ? await mediaStore.externalize(results, task.baseUrl ?? mediaStore.baseUrlOf(task.req), task.mediaTtl)
+                : results;
 
             // 发送成功响应
-            logger.info('服务器', '准备发送响应...', { id, isStreaming, contentLength: finalContent.length });
-            if (isStreaming) {
-                const chunk = buildChatCompletionChunk(finalContent, modelName);
-                sendSse(res, chunk);
-                sendSseDone(res);
-                logger.info('服务器', '流式响应已结束', { id });
-            } else {
-                const response = buildChatCompletion(finalContent, modelName);
-                sendJson(res, 200, response);
-                logger.info('服务器', 'JSON 响应已发送', { id });
-            }
+            await responder.success(output, usage);
 
         } catch (err) {
             // 清除心跳
@@ -165,53 +242,232 @@ export function createQueueManager(queueConfig, callbacks) {
             // 记录失败统计
             await incrementFailed();
             logger.error('服务器', '任务处理失败', { id, error: err.message });
-            sendApiError(res, {
+            await responder.error({
                 code: ERROR_CODES.INTERNAL_ERROR,
-                message: err.message,
-                isStreaming
+                message: err.message
             });
         }
     }
 
     /**
-     * 处理队列中的任务
+     * 比较两个等待中任务的调度顺序
+     * @param {TaskContext} a
+     * @param {TaskContext} b
+     * @returns {number}
      */
-    async function processQueue() {
-        // 如果正在处理的任务已满，或队列为空，则停止
-        if (processingCount >= maxConcurrent || queue.length === 0) {
-            // 队列空闲时，触发监控跳转
-            if (processingCount === 0 && queue.length === 0 && navigateToMonitor) {
-                navigateToMonitor().catch(() => { });
-            }
-            return;
+    function compareTasks(a, b) {
+        return priorityRank(a.lane.priority) - priorityRank(b.lane.priority)
+            || a.finishTag - b.finishTag
+            || a.seq - b.seq;
+    }
+
+    /**
+     * 将任务移出等待队列并推进所在通道的虚拟时间
+     * @param {TaskContext} task - 任务上下文
+     */
+    function dequeueTask(task) {
+        queue.splice(queue.indexOf(task), 1);
+        virtualTime[task.lane.priority] = Math.max(virtualTime[task.lane.priority], task.startTag);
+        pruneFinishTags();
+    }
+
+    /**
+     * 删除已落后于通道虚拟时间的结束标签
+     * @description 这些标签不再影响新任务的开始标签，删除后配置热加载移除的 API Key 不会一直留在表中
+     */
+    function pruneFinishTags() {
+        for (const [laneKey, finishTag] of lastFinishTags) {
+            const priority = laneKey.slice(0, laneKey.indexOf(':'));
+            if (finishTag <= virtualTime[priority]) lastFinishTags.delete(laneKey);
+        }
+    }
+
+    /**
+     * 查找任务的会话绑定（多结果任务不参与会话续接）
+     * @param {TaskContext} task - 任务上下文
+     * @returns {{key: string|null, binding: object|null}|null}
+     */
+    function resolveTaskSession(task) {
+        return Math.max(1, task.n || 1) === 1 ? sessionStore.resolve(task.session) : null;
+    }
+
+    /**
+     * 选择下一个可以开始的任务
+     * @description 按调度顺序找到第一个有空闲 Worker 能执行的任务；Pool 尚未初始化时按全局并发数调度
+     * @returns {{task: TaskContext, workers: string[]|null}|null} 没有可开始的任务时返回 null
+     */
+    function selectNextTask() {
+        if (queue.length === 0) return null;
+        const ordered = [...queue].sort(compareTasks);
+        const poolManager = poolContext?.poolManager;
+
+        if (!poolManager) {
+            if (processingCount >= maxConcurrent) return null;
+            ordered[0].resolvedSession = resolveTaskSession(ordered[0]);
+            return { task: ordered[0], workers: null };
         }
 
-        // 取出下一个任务
-        const task = queue.shift();
+        for (const task of ordered) {
+            task.resolvedSession = resolveTaskSession(task);
+            const workers = poolManager.selectIdleWorkers(task.modelId, task.imagePaths, busyWorkers, {
+                count: Math.max(1, task.n || 1),
+                pinned: task.resolvedSession?.binding?.workerName
+            });
+            if (workers === null || workers.length > 0) return { task, workers };
+        }
+        return null;
+    }
+
+    /**
+     * 估算等待秒数
+     * @param {number} position - 排队位置（从 1 开始）
+     * @returns {number|null} 尚无完成的任务时为 null
+     */
+    function estimateWait(position) {
+        return averageDuration === null
+            ? null
+            : Math.round(Math.ceil(position / maxConcurrent) * averageDuration / 1000);
+    }
+
+    /**
+     * 向开启进度事件的等待中任务发送排队位置（仅位置变化时发送）
+     */
+    function notifyQueuePositions() {
+        [...queue].sort(compareTasks).forEach((task, i) => {
+            if (!task.progressEvents || task.notifiedPosition === i + 1) return;
+            task.notifiedPosition = i + 1;
+            task.responder.progress?.({ stage: 'queued', position: i + 1, estimated_wait: estimateWait(i + 1) });
+        });
+    }
+
+    /**
+     * 记录任务耗时
+     * @param {number} duration - 耗时（毫秒）
+     */
+    function recordDuration(duration) {
+        averageDuration = averageDuration === null ? duration : averageDuration * 0.8 + duration * 0.2;
+    }
+
+    /**
+     * 在占用的 Worker 上运行任务，结束后释放 Worker 并继续调度
+     * @param {TaskContext} task - 任务上下文
+     * @param {string[]|null} workers - 占用的 Worker 名称
+     */
+    async function runTask(task, workers) {
+        dequeueTask(task);
+        task.reservedWorkers = workers;
+        workers?.forEach(name => busyWorkers.add(name));
+        if (workers) poolContext?.poolManager?.recordDispatch(workers);
         processingCount++;
         processingTasks.push(task);  // 添加到处理中列表
+        task.startedAt = Date.now();
 
         try {
             await processTask(task);
         } finally {
+            if (!task.abortController.signal.aborted) recordDuration(Date.now() - task.startedAt);
             // 从处理中列表移除
             const idx = processingTasks.indexOf(task);
             if (idx !== -1) processingTasks.splice(idx, 1);
-            // 清理临时文件
+            // 清理临时文件与队列日志
             cleanupTask(task);
+            if (task.replay) journal?.remove(task.id);
+            workers?.forEach(name => busyWorkers.delete(name));
             processingCount--;
-            // 递归处理下一个任务
+            // 继续处理后续任务
             processQueue();
         }
     }
 
+    /**
+     * 处理队列中的任务
+     * @description 为所有能开始的任务分配空闲 Worker
+     */
+    function processQueue() {
+        let next;
+        while ((next = selectNextTask())) {
+            runTask(next.task, next.workers);
+        }
+        notifyQueuePositions();
+        scheduleWake();
+
+        // 队列空闲时，触发监控跳转
+        if (processingCount === 0 && queue.length === 0 && navigateToMonitor) {
+            navigateToMonitor().catch(() => { });
+        }
+    }
+
+    /**
+     * 仍有任务等待时，在最近一次 Worker 限流解除后重新调度
+     * @description 令牌恢复不会触发任务结束等事件，需要定时唤醒
+     */
+    function scheduleWake() {
+        if (wakeTimer || queue.length === 0) return;
+        const delay = poolContext?.poolManager?.getThrottleDelay?.();
+        if (!delay) return;
+        wakeTimer = setTimeout(() => {
+            wakeTimer = null;
+            processQueue();
+        }, delay);
+    }
+
+    /**
+     * 取消任务（客户端断开）
+     * @description 等待中的任务直接移出队列；处理中的任务触发取消信号，
+     * 由 Worker 停止站点上的生成并结束适配器的等待
+     * @param {TaskContext} task - 任务上下文
+     */
+    function cancelTask(task) {
+        const index = queue.indexOf(task);
+        if (index !== -1) {
+            queue.splice(index, 1);
+            cleanupTask(task);
+            if (task.replay) journal?.remove(task.id);
+            logger.info('服务器', '[队列] 客户端已断开，任务已移出队列', { id: task.id, remaining: queue.length });
+            notifyQueuePositions();
+            return;
+        }
+        if (processingTasks.includes(task) && !task.abortController.signal.aborted) {
+            logger.info('服务器', '[队列] 客户端已断开，正在取消生成', { id: task.id });
+            task.abortController.abort();
+        }
+    }
+
     /**
      * 添加任务到队列
      * @param {TaskContext} task - 任务上下文
+     * @returns {Promise<void>} 任务写入队列日志后完成（不写入日志的任务立即完成）
      */
     function addTask(task) {
+        task.abortController = new AbortController();
+
+        // 计算公平调度标签
+        task.lane ??= resolveLane(task.req);
+        const laneKey = `${task.lane.priority}:${task.lane.client}`;
+        task.startTag = Math.max(virtualTime[task.lane.priority], lastFinishTags.get(laneKey) ?? 0);
+        task.finishTag = task.startTag + Math.max(1, task.n || 1) / task.lane.weight;
+        task.seq = ++enqueueSeq;
+        lastFinishTags.set(laneKey, task.finishTag);
+
+        // 响应正常结束时同样会触发 close，此时 writableFinished 为 true
+        task.res?.on('close', () => {
+            if (!task.res.writableFinished) cancelTask(task);
+        });
+        const journaled = task.replay && journal ? journal.save(task) : Promise.resolve();
         queue.push(task);
         processQueue();
+        return journaled;
+    }
+
+    /**
+     * 更新最大并发数并重新调度（配置热加载后 Worker 数变化时调用）
+     * @param {number} value - 最大并发数
+     */
+    function updateConcurrency(value) {
+        maxConcurrent = value;
+        effectiveQueueSize = queueBuffer === 0 ? Infinity : (maxConcurrent + queueBuffer);
+        pruneFinishTags();
+        processQueue();
     }
 
     /**
@@ -228,29 +484,50 @@ export function createQueueManager(queueConfig, callbacks) {
 
     /**
      * 获取详细队列状态（包含任务列表）
+     * @description 等待列表按调度顺序排列，position 从 1 开始；
+     * estimatedWait 为预计开始处理前的等待秒数（按任务平均耗时与并发数估算，尚无完成的任务时为 null）
      * @returns {{processing: object[], waiting: object[]}}
      */
     function getDetailedStatus() {
+        const describe = t => ({
+            id: t.id,
+            model: t.modelName || t.modelId,
+            isStreaming: t.isStreaming,
+            priority: t.lane.priority,
+            client: t.lane.client
+        });
+
         return {
-            processing: processingTasks.map(t => ({
-                id: t.id,
-                model: t.modelName || t.modelId,
-                isStreaming: t.isStreaming
-            })),
-            waiting: queue.map(t => ({
-                id: t.id,
-                model: t.modelName || t.modelId,
-                isStreaming: t.isStreaming
+            processing: processingTasks.map(t => ({ ...describe(t), worker: t.reservedWorkers?.join(', ') || null })),
+            waiting: [...queue].sort(compareTasks).map((t, i) => ({
+                ...describe(t),
+                position: i + 1,
+                estimatedWait: estimateWait(i + 1)
             }))
         };
     }
 
     /**
      * 检查是否可以接受新请求（非流式）
+     * @description 按模型计算容量：上限为支持该模型的 Worker 数 + 缓冲区大小，
+     * 已占用的容量为可能占用这些 Worker 的任务数（处理中与等待中）。
+     * 未指定模型、模型未知或 Pool 尚未初始化时按全局容量计算
+     * @param {string} [modelId] - 请求的模型
      * @returns {boolean}
      */
-    function canAcceptNonStreaming() {
-        return processingCount + queue.length < effectiveQueueSize;
+    function canAcceptNonStreaming(modelId) {
+        if (queueBuffer === 0) return true;
+
+        const poolManager = poolContext?.poolManager;
+        const names = typeof modelId === 'string' && poolManager ? poolManager.getWorkerNames(modelId) : [];
+        if (names.length === 0) {
+            return processingCount + queue.length < effectiveQueueSize;
+        }
+
+        const pending = [...processingTasks, ...queue].filter(t =>
+            t.modelId && poolManager.getWorkerNames(t.modelId).some(name => names.includes(name))
+        ).length;
+        return pending < names.length + queueBuffer;
     }
 
     /**
@@ -294,6 +571,7 @@ export function createQueueManager(queueConfig, callbacks) {
         canAcceptNonStreaming,
         initializePool,
         getPoolContext,
-        getWorkerCookies
+        getWorkerCookies,
+        updateConcurrency
     };
 }
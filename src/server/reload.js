@@ -0,0 +1,93 @@
+/**
+ * @fileoverview 配置热加载模块
+ * @description 通过 WebUI 保存实例、工作池与适配器配置，或直接修改 data/config.yaml 后无需重启即可生效：
+ * - 新增的 Worker 启动完成后才参与调度，被移除的 Worker 完成正在执行的任务后关闭
+ * - 调度策略、故障转移、限速、冷却、健康检查与适配器配置（模型过滤）一并切换
+ * - server、browser 与 queue 配置（并发数除外）仍需重启服务生效
+ *
+ * 配置文件每 2 秒检查一次修改时间，内容与上次加载时相同则跳过；多次加载按顺序依次执行
+ */
+
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+
+// 配置文件检查间隔（毫秒）
+const WATCH_INTERVAL = 2000;
+
+/**
+ * @typedef {object} ReloadResult
+ * @property {boolean} changed - 是否加载了新配置
+ * @property {string[]} [added] - 新增的 Worker
+ * @property {string[]} [removed] - 移除的 Worker（完成当前任务后关闭）
+ * @property {{name: string, error: string}[]} [failed] - 启动失败的 Worker
+ * @property {string} [error] - 新配置无效时的错误信息（原配置保持不变）
+ */
+
+/**
+ * 创建配置热加载器
+ * @param {object} options - 选项
+ * @param {string} options.configPath - 配置文件路径
+ * @param {Function} options.reload - 加载新配置的函数，返回变更摘要（见 PoolManager.reload）
+ * @returns {object} 配置热加载器
+ */
+export function createConfigReloader(options) {
+    const { configPath, reload: applyConfig } = options;
+
+    let lastContent = readContent();
+    let chain = Promise.resolve();
+
+    /**
+     * 读取配置文件内容
+     * @returns {string|null}
+     */
+    function readContent() {
+        try {
+            return fs.readFileSync(configPath, 'utf8');
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * 配置有变化时加载
+     * @returns {Promise<ReloadResult>}
+     */
+    async function apply() {
+        const content = readContent();
+        if (content === null || content === lastContent) return { changed: false };
+        // 无论成功与否都记录，同一份无效配置不反复尝试
+        lastContent = content;
+
+        try {
+            const result = await applyConfig();
+            return { changed: true, added: [], removed: [], failed: [], ...result };
+        } catch (err) {
+            logger.error('配置器', '配置热加载失败，继续使用原配置', { error: err.message });
+            return { changed: false, error: err.message };
+        }
+    }
+
+    /**
+     * 加载配置（等待之前的加载完成后执行）
+     * @returns {Promise<ReloadResult>}
+     */
+    function reload() {
+        const result = chain.then(apply);
+        chain = result.catch(() => { });
+        return result;
+    }
+
+    /**
+     * 开始监视配置文件
+     */
+    function watch() {
+        fs.watchFile(configPath, { interval: WATCH_INTERVAL, persistent: false }, (curr, prev) => {
+            if (curr.mtimeMs !== prev.mtimeMs) reload();
+        });
+    }
+
+    return {
+        reload,
+        watch
+    };
+}
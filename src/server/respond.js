@@ -27,6 +27,17 @@ export function sendSse(res, payload) {
     res.write(`data: ${JSON.stringify(payload)}\n\n`);
 }
 
+/**
+ * 发送带事件名的 SSE 事件（如 Anthropic 的 event: content_block_delta）
+ * @param {import('http').ServerResponse} res - HTTP 响应对象
+ * @param {string} event - 事件名
+ * @param {object} payload - 事件数据
+ */
+export function sendSseEvent(res, event, payload) {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
 /**
  * 发送 SSE 结束标记
  * @param {import('http').ServerResponse} res - HTTP 响应对象
@@ -106,42 +117,120 @@ export function sendApiError(res, options) {
  * 构造 OpenAI 格式的聊天完成响应（非流式）
  * @param {string} content - 响应内容
  * @param {string} [modelName] - 模型名称
+ * @param {string} [reasoning] - 思考过程（存在时输出为 reasoning_content）
+ * @param {object[]} [annotations] - 引用标注（url_citation 列表）
+ * @param {object} [usage] - 用量（OpenAI usage 格式，见 usage.js 的 toChatUsage）
  * @returns {object} OpenAI 格式的响应对象
  */
-export function buildChatCompletion(content, modelName) {
+export function buildChatCompletion(content, modelName, reasoning, annotations, usage) {
+    return buildMultiChoiceCompletion([buildChatChoice(0, content, reasoning, annotations)], modelName, usage);
+}
+
+/**
+ * 构造单个聊天完成选项
+ * @param {number} index - 选项序号
+ * @param {string|null} content - 响应内容（生成失败时为 null）
+ * @param {string} [reasoning] - 思考过程
+ * @param {object[]} [annotations] - 引用标注（url_citation 列表）
+ * @param {string} [finishReason='stop'] - 完成原因（生成失败时为 'error'，调用工具时为 'tool_calls'）
+ * @param {object[]} [toolCalls] - 工具调用（OpenAI tool_calls 格式）
+ * @returns {object} choices 数组中的一项
+ */
+export function buildChatChoice(index, content, reasoning, annotations, finishReason = 'stop', toolCalls) {
+    const message = {
+        role: 'assistant',
+        content: content
+    };
+    if (reasoning) {
+        message.reasoning_content = reasoning;
+    }
+    if (annotations?.length) {
+        message.annotations = annotations;
+    }
+    if (toolCalls?.length) {
+        message.tool_calls = toolCalls;
+    }
+
     return {
+        index,
+        message,
+        finish_reason: finishReason
+    };
+}
+
+/**
+ * 构造包含多个选项的聊天完成响应（n > 1）
+ * @param {object[]} choices - 由 buildChatChoice 构造的选项列表
+ * @param {string} [modelName] - 模型名称
+ * @param {object} [usage] - 用量（OpenAI usage 格式）
+ * @returns {object} OpenAI 格式的响应对象
+ */
+export function buildMultiChoiceCompletion(choices, modelName, usage) {
+    const completion = {
         id: 'chatcmpl-' + Date.now(),
         object: 'chat.completion',
         created: Math.floor(Date.now() / 1000),
         model: modelName || 'default-model',
-        choices: [{
-            index: 0,
-            message: {
-                role: 'assistant',
-                content: content
-            },
-            finish_reason: 'stop'
-        }]
+        choices
     };
+    if (usage) {
+        completion.usage = usage;
+    }
+    return completion;
 }
 
 /**
  * 构造 OpenAI 格式的流式聊天完成响应块
- * @param {string} content - 响应内容
+ * @param {string|null} content - 响应内容（为 null 时 delta 不包含 content）
  * @param {string} [modelName] - 模型名称
  * @param {string|null} [finishReason='stop'] - 完成原因
+ * @param {string} [reasoning] - 思考过程增量（存在时输出为 reasoning_content）
+ * @param {object[]} [annotations] - 引用标注（url_citation 列表）
+ * @param {number} [index=0] - 选项序号（n > 1 时区分各结果）
+ * @param {object[]} [toolCalls] - 工具调用增量（每项带 index）
  * @returns {object} OpenAI 格式的流式响应块
  */
-export function buildChatCompletionChunk(content, modelName, finishReason = 'stop') {
+export function buildChatCompletionChunk(content, modelName, finishReason = 'stop', reasoning, annotations, index = 0, toolCalls) {
+    const delta = {};
+    if (reasoning) {
+        delta.reasoning_content = reasoning;
+    }
+    if (content !== null && content !== undefined) {
+        delta.content = content;
+    }
+    if (annotations?.length) {
+        delta.annotations = annotations;
+    }
+    if (toolCalls?.length) {
+        delta.tool_calls = toolCalls;
+    }
+
     return {
         id: 'chatcmpl-' + Date.now(),
         object: 'chat.completion.chunk',
         created: Math.floor(Date.now() / 1000),
         model: modelName || 'default-model',
         choices: [{
-            index: 0,
-            delta: { content },
+            index,
+            delta,
             finish_reason: finishReason
         }]
     };
 }
+
+/**
+ * 构造流式响应末尾的用量块（stream_options.include_usage 开启时在 [DONE] 之前发送）
+ * @param {object} usage - 用量（OpenAI usage 格式）
+ * @param {string} [modelName] - 模型名称
+ * @returns {object} choices 为空数组的流式响应块
+ */
+export function buildUsageChunk(usage, modelName) {
+    return {
+        id: 'chatcmpl-' + Date.now(),
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: modelName || 'default-model',
+        choices: [],
+        usage
+    };
+}
@@ -4,8 +4,14 @@
  *
  * 支持的端点：
  * - GET  /v1/models          - 获取可用模型列表
- * - GET  /v1/cookies         - 获取当前浏览器 Cookies
+ * - GET  /v1/cookies         - 获取当前浏览器 Cookies（仅主密钥）
  * - POST /v1/chat/completions - 生成图像（OpenAI 兼容格式）
+ * - POST /v1/responses       - 生成内容（OpenAI Responses 格式）
+ * - POST /v1/images/generations, /v1/images/edits - 图片接口（OpenAI 兼容格式）
+ * - POST /v1/messages        - 对话生成（Anthropic Messages 兼容格式）
+ * - POST /v1beta/models/{model}:generateContent, :streamGenerateContent - 生成内容（Gemini 兼容格式）
+ * - POST /v1/jobs, GET /v1/jobs/{id} - 异步任务（提交后轮询结果或接收 webhook 回调）
+ * - GET  /media/{name}       - 下载生成的图片/视频（签名链接，无需鉴权）
  *
  * 启动方式：
  * - 通过 supervisor.js 启动（推荐，支持自动重启和 Xvfb 管理）
@@ -16,6 +22,7 @@
  */
 
 import http from 'http';
+import fs from 'fs';
 
 // ==================== 启动前自检 ====================
 import { runPreflight } from './preflight.js';
@@ -23,7 +30,17 @@ runPreflight();
 // ==================== 加载其他依赖 ====================
 const { getBackend } = await import('../backend/index.js');
 const { logger } = await import('../utils/logger.js');
-const { createQueueManager, createGlobalRouter } = await import('./index.js');
+const {
+    createQueueManager,
+    createGlobalRouter,
+    createJobStore,
+    createJobResponder,
+    createQueueJournal,
+    createConfigReloader,
+    createMediaStore,
+    ERROR_CODES
+} = await import('./index.js');
+const { getConfigPath } = await import('../config/index.js');
 const { isUnderSupervisor } = await import('../utils/ipc.js');
 const { loadTodayStats } = await import('../utils/stats.js');
 
@@ -46,10 +63,13 @@ const {
     name: backendName,
     initBrowser,
     generate,
+    generateMany,
     TEMP_DIR,
     getModels,
     getImagePolicy,
-    getModelType
+    getModelType,
+    supportsDocuments,
+    getImageConstraints
 } = backend;
 
 /** @type {number} 服务器端口 */
@@ -70,8 +90,29 @@ const QUEUE_BUFFER = config.queue?.queueBuffer ?? 2;
 /** @type {number} 图片数量限制 */
 const IMAGE_LIMIT = config.queue?.imageLimit || 5;
 
+/** @type {number} 异步任务结果保留时长（小时） */
+const JOB_RETENTION = config.queue?.jobRetention ?? 24;
+
 // ==================== 创建服务组件 ====================
 
+/**
+ * 媒体存储：media_format 为 url 时保存生成的图片/视频，返回签名下载链接
+ */
+const mediaStore = createMediaStore({
+    secret: AUTH_TOKEN,
+    ttl: config.server?.media?.ttl,
+    // 异步任务结果中的链接与任务保留同样久
+    maxTtl: JOB_RETENTION * 3600,
+    publicUrl: config.server?.media?.publicUrl,
+    trustProxy: config.server?.media?.trustProxy,
+    responseFormat: config.server?.media?.responseFormat
+});
+
+/**
+ * 队列日志：保存已受理的异步任务，重启后重新入队
+ */
+const queueJournal = createQueueJournal();
+
 /**
  * 队列管理器：负责任务队列、并发控制和心跳机制
  */
@@ -84,7 +125,10 @@ const queueManager = createQueueManager(
     {
         initBrowser,
         generate,
+        generateMany,
         config,
+        mediaStore,
+        journal: queueJournal,
         navigateToMonitor: backend.navigateToMonitor
             ? () => backend.navigateToMonitor()
             : null,
@@ -94,6 +138,23 @@ const queueManager = createQueueManager(
     }
 );
 
+/**
+ * 异步任务存储：保存 /v1/jobs 任务的状态与结果
+ */
+const jobStore = createJobStore({ retention: JOB_RETENTION, webhookAllowHosts: config.queue?.webhookAllowHosts });
+
+/**
+ * 配置热加载器：实例、工作池与适配器配置修改后无需重启
+ */
+const configReloader = createConfigReloader({
+    configPath: getConfigPath(),
+    reload: async () => {
+        const result = await backend.reload();
+        queueManager.updateConcurrency(config.queue.maxConcurrent);
+        return result;
+    }
+});
+
 // ==================== 创建路由 ====================
 
 /**
@@ -113,13 +174,20 @@ let safeModeReason = null;
 
 const handleRequest = createGlobalRouter({
     authToken: AUTH_TOKEN,
+    apiKeys: config.server?.apiKeys,
     backendName,
     getModels,
     getImagePolicy,
     getModelType,
+    supportsDocuments,
+    getImageConstraints,
     tempDir: TEMP_DIR,
     imageLimit: IMAGE_LIMIT,
     queueManager,
+    queueJournal,
+    configReloader: isLoginMode ? null : configReloader,
+    jobStore,
+    mediaStore,
     config,
     loginMode: isLoginMode,
     getSafeMode: () => ({ enabled: safeMode, reason: safeModeReason })
@@ -127,6 +195,62 @@ const handleRequest = createGlobalRouter({
 
 // ==================== 启动服务器 ====================
 
+/**
+ * 删除任务引用的临时文件
+ * @param {string[]} files - 文件路径
+ */
+function removeFiles(files) {
+    for (const p of files) {
+        try { fs.unlinkSync(p); } catch (e) { /* ignore */ }
+    }
+}
+
+/**
+ * 重放队列日志中的任务
+ * @description 工作池就绪后调用：任务按原有优先级通道重新入队，临时图片已丢失的任务标记为失败
+ * @param {import('./journal.js').JournalRecord[]} records - 启动时读取的日志记录
+ */
+async function recoverQueue(records) {
+    const summary = { recoveredAt: Date.now(), found: records.length, replayed: [], failed: [], skipped: [] };
+
+    for (const record of records) {
+        const files = [...record.imagePaths, ...(record.maskPath ? [record.maskPath] : [])];
+        const job = jobStore.get(record.id);
+        if (!job || job.status !== 'queued') {
+            // 任务已过期或已结束（如结果写入后、日志删除前进程退出）
+            summary.skipped.push(record.id);
+            await queueJournal.remove(record.id);
+            removeFiles(files);
+            continue;
+        }
+
+        const missing = files.filter(p => !fs.existsSync(p));
+        if (missing.length > 0) {
+            const reason = `临时图片已丢失，无法恢复: ${missing.length} 个文件`;
+            summary.failed.push({ id: record.id, reason });
+            await jobStore.fail(record.id, { code: ERROR_CODES.JOB_INTERRUPTED, message: reason });
+            await queueJournal.remove(record.id);
+            removeFiles(files);
+            continue;
+        }
+
+        queueManager.addTask({
+            ...record,
+            isStreaming: false,
+            responder: createJobResponder(jobStore, record.id, record.replay)
+        });
+        summary.replayed.push(record.id);
+    }
+
+    queueJournal.setRecovery(summary);
+    if (records.length > 0) {
+        logger.info('服务器', `队列日志恢复完成，重新入队 ${summary.replayed.length} 个任务`, {
+            failed: summary.failed.length,
+            skipped: summary.skipped.length
+        });
+    }
+}
+
 /**
  * 启动 HTTP 服务器
  * @returns {Promise<void>}
@@ -135,6 +259,10 @@ async function startServer() {
     // 加载今日统计
     await loadTodayStats();
 
+    // 读取队列日志，加载异步任务（日志中的任务保持排队，其余未完成的任务标记为中断）
+    const journalRecords = await queueJournal.load();
+    await jobStore.load({ resumable: new Set(journalRecords.map(r => r.id)) });
+
     // 登录模式提示
     if (isLoginMode) {
         logger.info('服务器', '登录模式已就绪，请在浏览器中完成登录操作');
@@ -152,6 +280,18 @@ async function startServer() {
         safeModeReason = err.message;
     }
 
+    // 重放队列日志（安全模式与登录模式不处理生成请求，日志留到下次正常启动）
+    if (!safeMode && !isLoginMode) {
+        await recoverQueue(journalRecords).catch(err => {
+            logger.error('服务器', '队列日志恢复失败', { error: err.message });
+        });
+    }
+
+    // 监视配置文件，修改后热加载工作池
+    if (!safeMode && !isLoginMode) {
+        configReloader.watch();
+    }
+
     // 创建并启动 HTTP 服务器
     const server = http.createServer(handleRequest);
 
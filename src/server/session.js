@@ -0,0 +1,132 @@
+/**
+ * @fileoverview 会话续接模块
+ * @description 记录对话与 Worker / 网页会话地址的绑定关系，使后续轮次回到同一网页会话中继续对话，
+ * 而不是每次开启新会话并拼接虚拟上下文。
+ *
+ * 会话标识来源：
+ * - 请求体中的 conversation_id 扩展字段（客户端自定义，始终生效）
+ * - 消息历史哈希（需开启 backend.pool.session.enabled）：
+ *   本轮完成后以「历史 + 本轮用户消息 + 回复」的哈希登记，下一轮请求的历史部分恰好与之相同
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @typedef {object} ConversationTurn
+ * @property {string} role - 消息角色
+ * @property {string} text - 规范化后的消息文本
+ */
+
+/**
+ * @typedef {object} SessionBinding
+ * @property {string} workerName - 产生上一轮回复的 Worker 名称
+ * @property {string} adapter - 适配器 ID（Merge Worker 需要固定同一适配器）
+ * @property {string} url - 网页会话地址
+ */
+
+/**
+ * @typedef {object} RequestSession
+ * @property {string|null} conversationId - 客户端指定的会话 ID
+ * @property {string|null} modelId - 模型 ID（参与哈希，切换模型即视为新会话）
+ * @property {ConversationTurn[]} turns - 截至本轮用户消息的对话记录
+ * @property {string} prompt - 仅包含本轮用户消息的提示词
+ * @property {string[]} imagePaths - 本轮用户消息中的图片
+ */
+
+/**
+ * 将消息 content 规范化为文本
+ * @param {string|object[]} content - 字符串或 content parts
+ * @returns {string}
+ */
+export function normalizeContent(content) {
+    if (typeof content === 'string') return content.trim();
+    if (!Array.isArray(content)) return '';
+    return content.map(item => {
+        if (item.type === 'text') return item.text || '';
+        if (item.type === 'image_url') return `[image:${item.image_url?.url || ''}]`;
+        return '';
+    }).join('').trim();
+}
+
+/**
+ * 计算对话记录的哈希
+ * @param {string|null} modelId - 模型 ID
+ * @param {ConversationTurn[]} turns - 对话记录
+ * @returns {string}
+ */
+export function hashTurns(modelId, turns) {
+    const hash = crypto.createHash('sha256');
+    hash.update(modelId || '');
+    for (const turn of turns) {
+        hash.update(`\n${turn.role}\n${turn.text}`);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * 创建会话存储
+ * @param {object} [options={}] - 会话配置 (backend.pool.session)
+ * @param {boolean} [options.enabled=false] - 是否按消息历史哈希自动续接
+ * @param {number} [options.ttl=3600] - 会话闲置过期时间（秒）
+ * @returns {object} 会话存储
+ */
+export function createSessionStore(options = {}) {
+    const autoDetect = options.enabled === true;
+    const ttlMs = (options.ttl ?? 3600) * 1000;
+
+    /** @type {Map<string, {binding: SessionBinding, updatedAt: number}>} */
+    const bindings = new Map();
+
+    /**
+     * 清理过期会话
+     */
+    function prune() {
+        const now = Date.now();
+        for (const [key, entry] of bindings) {
+            if (now - entry.updatedAt > ttlMs) bindings.delete(key);
+        }
+    }
+
+    /**
+     * 查找请求对应的会话绑定
+     * @param {RequestSession} [session] - 解析阶段产出的会话信息
+     * @returns {{key: string|null, binding: SessionBinding|null}|null} 未启用会话续接时返回 null
+     */
+    function resolve(session) {
+        if (!session) return null;
+
+        let key = null;
+        if (session.conversationId) {
+            key = `id:${session.conversationId}`;
+        } else if (autoDetect) {
+            // 历史只有本轮用户消息（及 system）时不存在可续接的会话
+            const history = session.turns.slice(0, -1);
+            if (history.some(t => t.role === 'assistant')) {
+                key = `hash:${hashTurns(session.modelId, history)}`;
+            }
+        } else {
+            return null;
+        }
+
+        prune();
+        const entry = key ? bindings.get(key) : null;
+        return { key, binding: entry?.binding || null };
+    }
+
+    /**
+     * 登记本轮完成后的会话绑定
+     * @param {RequestSession} session - 解析阶段产出的会话信息
+     * @param {SessionBinding} binding - Worker 返回的会话绑定
+     * @param {string} reply - 本轮回复文本
+     */
+    function save(session, binding, reply) {
+        const key = session.conversationId
+            ? `id:${session.conversationId}`
+            : `hash:${hashTurns(session.modelId, [...session.turns, { role: 'assistant', text: normalizeContent(reply) }])}`;
+        bindings.set(key, { binding, updatedAt: Date.now() });
+        logger.debug('服务器', `会话已登记: ${binding.workerName} -> ${binding.url}`);
+    }
+
+    return { resolve, save };
+}
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview 结构化输出模块
+ * @description 在网页端模型上实现 response_format：
+ * - json_object：回复必须是 JSON 对象
+ * - json_schema：回复必须符合给定的 JSON Schema
+ *
+ * 解析阶段将格式要求追加到提示词；生成后从回复（含 ```json 代码块）中提取 JSON 并校验，
+ * 不符合时由 Worker 在原页面上要求模型修正（见 Worker._repairOutput），多次失败后返回 INVALID_STRUCTURED_OUTPUT。
+ *
+ * Schema 校验只实现常用关键字：type、enum、const、properties、required、additionalProperties、
+ * items、min/maxItems、min/maxLength、pattern、minimum/maximum、anyOf/oneOf/allOf 与本地 $ref
+ */
+
+import { ERROR_CODES } from './errors.js';
+import { RETRY } from '../utils/constants.js';
+import { TOOL_CALLS_START } from './tools.js';
+
+/**
+ * @typedef {object} OutputFormat
+ * @property {'json_object'|'json_schema'} type - 格式类型
+ * @property {string} [name] - schema 名称
+ * @property {object} [schema] - JSON Schema（json_schema 时）
+ */
+
+/**
+ * 校验并规范化请求中的 response_format
+ * @param {*} responseFormat - 请求中的 response_format
+ * @returns {{format: OutputFormat|null}|{error: string}} 未指定或为 text 时 format 为 null
+ */
+export function normalizeResponseFormat(responseFormat) {
+    if (!responseFormat || responseFormat.type === 'text') {
+        return { format: null };
+    }
+    if (responseFormat.type === 'json_object') {
+        return { format: { type: 'json_object' } };
+    }
+    if (responseFormat.type === 'json_schema') {
+        const { name, schema } = responseFormat.json_schema || {};
+        if (!schema || typeof schema !== 'object') {
+            return { error: 'response_format.json_schema.schema 必须为对象' };
+        }
+        return { format: { type: 'json_schema', name, schema } };
+    }
+    return { error: `不支持的 response_format: ${responseFormat.type}` };
+}
+
+/**
+ * 构造追加到提示词末尾的格式要求
+ * @param {OutputFormat} format - 输出格式
+ * @returns {string}
+ */
+export function buildFormatPrompt(format) {
+    if (format.type === 'json_object') {
+        return '（输出要求：只回复一个合法的 JSON 对象，不要包含任何其他文字。）';
+    }
+    return `（输出要求：只回复一个符合以下 JSON Schema 的 JSON 值，不要包含任何其他文字。\nJSON Schema${format.name ? ` (${format.name})` : ''}:\n${JSON.stringify(format.schema)}）`;
+}
+
+/**
+ * 从回复中提取 JSON
+ * @description 依次尝试：第一个代码块、整段回复、第一个 { / [ 到最后一个 } / ] 之间的内容
+ * @param {string} text - 模型回复
+ * @returns {{value: *, text: string}|{error: string}}
+ */
+export function extractJson(text) {
+    const candidates = [];
+    const fenced = text.match(/```(?:json)?\s*\n?([\s\S]*?)```/i);
+    if (fenced) candidates.push(fenced[1]);
+    candidates.push(text);
+    const start = text.search(/[{[]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+
+    for (const candidate of candidates) {
+        const trimmed = candidate.trim();
+        try {
+            return { value: JSON.parse(trimmed), text: trimmed };
+        } catch {
+            // 尝试下一种提取方式
+        }
+    }
+    return { error: '回复中没有合法的 JSON' };
+}
+
+/**
+ * 获取值的 JSON Schema 类型
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * 解析本地 $ref（#/$defs/x、#/definitions/x）
+ * @param {string} ref - 引用路径
+ * @param {object} root - 根 schema
+ * @returns {object|null}
+ */
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#')) return null;
+    let node = root;
+    for (const part of ref.slice(1).split('/').filter(Boolean)) {
+        node = node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+    return node && typeof node === 'object' ? node : null;
+}
+
+/**
+ * 按 JSON Schema 校验值
+ * @param {*} value - 待校验的值
+ * @param {object} schema - JSON Schema
+ * @param {string} [path='$'] - 当前路径（用于错误信息）
+ * @param {object} [root] - 根 schema（解析 $ref）
+ * @returns {string[]} 错误列表，为空表示通过
+ */
+export function validateSchema(value, schema, path = '$', root = schema) {
+    if (schema === false) return [`${path}: 不允许出现`];
+    if (!schema || typeof schema !== 'object') return [];
+
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, root);
+        return target ? validateSchema(value, target, path, root) : [`${path}: 无法解析 $ref ${schema.$ref}`];
+    }
+
+    const errors = [];
+    const actual = typeOf(value);
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matched = types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+        if (!matched) return [`${path}: 类型应为 ${types.join('|')}，实际为 ${actual}`];
+    }
+    if (schema.enum && !schema.enum.some(v => JSON.stringify(v) === JSON.stringify(value))) {
+        errors.push(`${path}: 取值应为 ${schema.enum.map(v => JSON.stringify(v)).join(', ')} 之一`);
+    }
+    if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path}: 取值应为 ${JSON.stringify(schema.const)}`);
+    }
+
+    if (actual === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}: 缺少必需字段 ${key}`);
+        }
+        for (const [key, child] of Object.entries(value)) {
+            if (key in properties) {
+                errors.push(...validateSchema(child, properties[key], `${path}.${key}`, root));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: 不允许额外字段 ${key}`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(child, schema.additionalProperties, `${path}.${key}`, root));
+            }
+        }
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: 至少需要 ${schema.minItems} 项`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: 最多 ${schema.maxItems} 项`);
+        if (schema.items && typeof schema.items === 'object') {
+            value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`, root)));
+        }
+    }
+
+    if (actual === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: 长度至少为 ${schema.minLength}`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: 长度最多为 ${schema.maxLength}`);
+        if (schema.pattern) {
+            try {
+                if (!new RegExp(schema.pattern, 'u').test(value)) errors.push(`${path}: 不匹配 ${schema.pattern}`);
+            } catch {
+                // 无法编译的 pattern 不参与校验
+            }
+        }
+    }
+
+    if (actual === 'number' || actual === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: 不能小于 ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: 不能大于 ${schema.maximum}`);
+    }
+
+    if (schema.allOf) {
+        for (const sub of schema.allOf) errors.push(...validateSchema(value, sub, path, root));
+    }
+    if (schema.anyOf && !schema.anyOf.some(sub => validateSchema(value, sub, path, root).length === 0)) {
+        errors.push(`${path}: 不符合 anyOf 中的任何一项`);
+    }
+    if (schema.oneOf && schema.oneOf.filter(sub => validateSchema(value, sub, path, root).length === 0).length !== 1) {
+        errors.push(`${path}: 必须恰好符合 oneOf 中的一项`);
+    }
+
+    return errors;
+}
+
+/**
+ * 创建输出校验器（通过 ctx.outputValidator 传给 Worker）
+ * @param {OutputFormat} format - 输出格式
+ * @returns {object} 校验器
+ */
+export function createOutputValidator(format) {
+    return {
+        /** 校验失败后最多要求模型修正的次数 */
+        maxRepairs: RETRY.STRUCTURED_OUTPUT_REPAIRS,
+
+        /**
+         * 校验适配器结果
+         * @param {object} result - 适配器结果
+         * @returns {{result: object}|{error: string}} 通过时 result.text 替换为提取出的 JSON
+         */
+        validate(result) {
+            if (result.image) return { error: '回复不是文本' };
+            // 工具调用回复由 responder 解析为 tool_calls，不要求符合输出格式
+            if (result.text?.includes(TOOL_CALLS_START)) return { result };
+
+            const extracted = extractJson(result.text || '');
+            if (extracted.error) return { error: extracted.error };
+
+            if (format.type === 'json_object') {
+                if (typeOf(extracted.value) !== 'object') return { error: '回复必须是 JSON 对象' };
+            } else {
+                const errors = validateSchema(extracted.value, format.schema);
+                if (errors.length > 0) return { error: errors.slice(0, 5).join('; ') };
+            }
+            return { result: { ...result, text: extracted.text } };
+        },
+
+        /**
+         * 构造要求模型修正的提示词
+         * @param {string} error - 校验错误
+         * @returns {string}
+         */
+        buildRepairPrompt(error) {
+            return `你上一次的回复不符合输出要求：${error}\n请重新回复。${buildFormatPrompt(format)}`;
+        },
+
+        /**
+         * 构造多次修正仍失败时返回的错误结果
+         * @param {string} error - 最后一次校验错误
+         * @returns {{error: string, code: string, retryable: boolean}}
+         */
+        failure(error) {
+            return { error: `模型输出不符合 response_format: ${error}`, code: ERROR_CODES.INVALID_STRUCTURED_OUTPUT, retryable: false };
+        }
+    };
+}
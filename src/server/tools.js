@@ -0,0 +1,232 @@
+/**
+ * @fileoverview 工具调用模拟模块
+ * @description 网页端聊天不支持原生 function calling，此模块在文本层面模拟 OpenAI 工具调用：
+ * - 将 tools 声明与调用格式说明注入提示词
+ * - 将历史中的 assistant tool_calls 与 role: tool 结果渲染为文本
+ * - 从模型回复中解析调用块，还原为 message.tool_calls
+ *
+ * 调用块格式（纯文本标记，避免被网页的 Markdown/HTML 渲染吞掉）：
+ * [TOOL_CALLS]
+ * [{"name": "get_weather", "arguments": {"city": "Paris"}}]
+ * [/TOOL_CALLS]
+ */
+
+import crypto from 'crypto';
+
+/** 调用块起始标记 */
+export const TOOL_CALLS_START = '[TOOL_CALLS]';
+
+/** 调用块结束标记 */
+const TOOL_CALLS_END = '[/TOOL_CALLS]';
+
+/**
+ * @typedef {object} ToolDefinition
+ * @property {string} name - 函数名
+ * @property {string} [description] - 函数说明
+ * @property {object} [parameters] - 参数 JSON Schema
+ */
+
+/**
+ * @typedef {object} ToolSpec
+ * @property {ToolDefinition[]} tools - 可用工具
+ * @property {'auto'|'none'|'required'} mode - 调用模式
+ * @property {string|null} forced - tool_choice 指定的函数名
+ * @property {boolean} parallel - 是否允许一次调用多个工具
+ */
+
+/**
+ * 校验并规范化请求中的 tools / tool_choice
+ * @param {object} data - 请求体数据
+ * @returns {{spec: ToolSpec|null}|{error: string}} 未声明工具时 spec 为 null
+ */
+export function normalizeTools(data) {
+    const { tools, tool_choice: toolChoice } = data;
+    if (tools === undefined || tools === null) {
+        return { spec: null };
+    }
+    if (!Array.isArray(tools)) {
+        return { error: 'tools 必须为数组' };
+    }
+    if (tools.length === 0) {
+        return { spec: null };
+    }
+
+    const definitions = [];
+    for (let i = 0; i < tools.length; i++) {
+        const tool = tools[i];
+        const fn = tool?.function;
+        if (tool?.type !== 'function' || !fn || typeof fn.name !== 'string' || !fn.name) {
+            return { error: `tools[${i}] 必须为 {type: "function", function: {name, ...}}` };
+        }
+        definitions.push({ name: fn.name, description: fn.description, parameters: fn.parameters });
+    }
+
+    let mode = 'auto';
+    let forced = null;
+    if (toolChoice === 'none' || toolChoice === 'required' || toolChoice === 'auto') {
+        mode = toolChoice;
+    } else if (toolChoice && typeof toolChoice === 'object') {
+        forced = toolChoice.function?.name;
+        if (!definitions.some(t => t.name === forced)) {
+            return { error: `tool_choice 指定的函数不存在: ${forced}` };
+        }
+        mode = 'required';
+    } else if (toolChoice !== undefined && toolChoice !== null) {
+        return { error: `不支持的 tool_choice: ${toolChoice}` };
+    }
+
+    return { spec: { tools: definitions, mode, forced, parallel: data.parallel_tool_calls !== false } };
+}
+
+/**
+ * 构造注入提示词的工具说明
+ * @param {ToolSpec} spec - 工具声明
+ * @returns {string} 工具说明文本；tool_choice 为 none 时返回空字符串
+ */
+export function buildToolPrompt(spec) {
+    if (spec.mode === 'none') return '';
+
+    const declarations = spec.tools.map(t => JSON.stringify({
+        name: t.name,
+        description: t.description || '',
+        parameters: t.parameters || { type: 'object', properties: {} }
+    })).join('\n');
+
+    let rule;
+    if (spec.forced) {
+        rule = `本轮必须调用函数 ${spec.forced}。`;
+    } else if (spec.mode === 'required') {
+        rule = '本轮必须至少调用一个函数。';
+    } else {
+        rule = '需要函数提供的信息或操作时调用函数，否则直接回答。';
+    }
+    if (!spec.parallel) {
+        rule += '每次最多调用一个函数。';
+    }
+
+    return [
+        '=== 可用函数 ===',
+        declarations,
+        '',
+        `${rule}调用函数时，回复末尾只输出以下格式的调用块（不要使用代码块包裹，调用块之后不要输出任何内容）：`,
+        TOOL_CALLS_START,
+        '[{"name": "函数名", "arguments": {参数对象}}]',
+        TOOL_CALLS_END,
+        '函数结果会在下一轮以 Tool 消息提供。'
+    ].join('\n');
+}
+
+/**
+ * 将 assistant 消息中的 tool_calls 渲染为调用块文本
+ * @param {object[]} toolCalls - OpenAI 格式的 tool_calls
+ * @returns {string}
+ */
+export function renderToolCalls(toolCalls) {
+    const calls = toolCalls.map(call => {
+        let args = call.function?.arguments;
+        try {
+            args = JSON.parse(args);
+        } catch {
+            // 参数不是合法 JSON 时原样保留
+        }
+        return { name: call.function?.name, arguments: args ?? {} };
+    });
+    return `${TOOL_CALLS_START}\n${JSON.stringify(calls)}\n${TOOL_CALLS_END}`;
+}
+
+/**
+ * 将 role: tool 消息渲染为一行对话记录
+ * @param {object} message - tool 消息
+ * @param {string} content - 已处理的消息文本
+ * @param {Map<string, string>} callNames - tool_call_id 到函数名的映射
+ * @returns {string}
+ */
+export function renderToolResult(message, content, callNames) {
+    const name = message.name || callNames.get(message.tool_call_id) || 'unknown';
+    return `Tool (${name}): ${content}`;
+}
+
+/**
+ * 生成 tool_call ID
+ * @returns {string}
+ */
+function toolCallId() {
+    return `call_${crypto.randomUUID().replace(/-/g, '').slice(0, 24)}`;
+}
+
+/**
+ * 从模型回复中解析工具调用
+ * @param {string} text - 模型回复
+ * @param {string[]} toolNames - 已声明的函数名（未声明的调用视为普通文本）
+ * @returns {{content: string, toolCalls: object[]}} 调用块之前的文本与 OpenAI 格式的 tool_calls；未解析到调用时 toolCalls 为空数组
+ */
+export function extractToolCalls(text, toolNames) {
+    const start = text.indexOf(TOOL_CALLS_START);
+    if (start === -1) return { content: text, toolCalls: [] };
+
+    const bodyStart = start + TOOL_CALLS_START.length;
+    const end = text.indexOf(TOOL_CALLS_END, bodyStart);
+    const body = text.slice(bodyStart, end === -1 ? undefined : end)
+        .trim()
+        .replace(/^```(?:json)?\s*/, '')
+        .replace(/\s*```$/, '');
+
+    let calls;
+    try {
+        calls = JSON.parse(body);
+    } catch {
+        return { content: text, toolCalls: [] };
+    }
+    if (!Array.isArray(calls)) calls = [calls];
+
+    const toolCalls = [];
+    for (const call of calls) {
+        if (!call || !toolNames.includes(call.name)) {
+            return { content: text, toolCalls: [] };
+        }
+        const args = typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments ?? {});
+        toolCalls.push({ id: toolCallId(), type: 'function', function: { name: call.name, arguments: args } });
+    }
+
+    // 模型仍用代码块包裹调用块时，一并去掉起始的代码块标记
+    const content = text.slice(0, start).replace(/```(?:json)?\s*$/, '').trim();
+    return { content, toolCalls };
+}
+
+/**
+ * 创建流式文本过滤器
+ * @description 流式输出时调用块不能作为普通文本发出：可能构成起始标记的尾部先暂存，
+ * 确认出现起始标记后丢弃之后的全部内容，由结束块统一解析为 tool_calls
+ * @returns {{push: (text: string) => string}} push 返回可立即发出的文本
+ */
+export function createToolCallFilter() {
+    let pending = '';
+    let stopped = false;
+
+    return {
+        push(text) {
+            if (stopped) return '';
+            pending += text;
+
+            const start = pending.indexOf(TOOL_CALLS_START);
+            if (start !== -1) {
+                stopped = true;
+                const out = pending.slice(0, start);
+                pending = '';
+                return out;
+            }
+
+            // 保留与起始标记前缀相同的尾部
+            let keep = 0;
+            for (let len = Math.min(pending.length, TOOL_CALLS_START.length - 1); len > 0; len--) {
+                if (TOOL_CALLS_START.startsWith(pending.slice(-len))) {
+                    keep = len;
+                    break;
+                }
+            }
+            const out = pending.slice(0, pending.length - keep);
+            pending = pending.slice(pending.length - keep);
+            return out;
+        }
+    };
+}
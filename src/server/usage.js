@@ -0,0 +1,101 @@
+/**
+ * @fileoverview 用量计算模块
+ * @description 根据提示词与生成结果计算一次任务的用量，由队列计算后交给 responder 写入响应并计入每日统计。
+ * - 文本：提示词与回复（含思考过程）按本地 o200k_base 分词器计算 token 数
+ * - 媒体：输入图片、生成的图片与视频按张/个计数，不折算为 token
+ */
+
+import { countTokens } from '../utils/tokenizer.js';
+
+/**
+ * @typedef {object} Usage
+ * @property {number} promptTokens - 提示词 token 数
+ * @property {number} completionTokens - 回复 token 数（包含思考过程）
+ * @property {number} reasoningTokens - 思考过程 token 数
+ * @property {number} inputImages - 输入图片/文件数量
+ * @property {number} images - 生成的图片数量
+ * @property {number} videos - 生成的视频数量
+ */
+
+/**
+ * 判断媒体结果是否为视频
+ * @param {string} media - data URI 或 http(s) 链接
+ * @returns {boolean}
+ */
+export function isVideoResult(media) {
+    if (media.startsWith('data:')) return media.startsWith('data:video/');
+    return /\.(mp4|webm|mov)(\?|#|$)/i.test(media);
+}
+
+/**
+ * 计算任务用量
+ * @param {string} prompt - 发送给模型的完整提示词
+ * @param {string[]} imagePaths - 输入图片/文件
+ * @param {object[]} results - 生成成功的结果（n > 1 时为多个）
+ * @returns {Usage}
+ */
+export function computeUsage(prompt, imagePaths, results) {
+    const usage = {
+        promptTokens: countTokens(prompt),
+        completionTokens: 0,
+        reasoningTokens: 0,
+        inputImages: imagePaths?.length || 0,
+        images: 0,
+        videos: 0
+    };
+
+    for (const result of results) {
+        if (result.image) {
+            if (isVideoResult(result.image)) usage.videos++;
+            else usage.images++;
+        } else {
+            usage.completionTokens += countTokens(result.text);
+        }
+        const reasoningTokens = countTokens(result.reasoning);
+        usage.reasoningTokens += reasoningTokens;
+        usage.completionTokens += reasoningTokens;
+    }
+    return usage;
+}
+
+/**
+ * 转换为 OpenAI Chat Completions 的 usage 对象
+ * @description 媒体数量只在非零时写入 *_tokens_details
+ * @param {Usage} usage
+ * @returns {object}
+ */
+export function toChatUsage(usage) {
+    const completionDetails = { reasoning_tokens: usage.reasoningTokens };
+    if (usage.images) completionDetails.images = usage.images;
+    if (usage.videos) completionDetails.videos = usage.videos;
+
+    const result = {
+        prompt_tokens: usage.promptTokens,
+        completion_tokens: usage.completionTokens,
+        total_tokens: usage.promptTokens + usage.completionTokens,
+        completion_tokens_details: completionDetails
+    };
+    if (usage.inputImages) {
+        result.prompt_tokens_details = { images: usage.inputImages };
+    }
+    return result;
+}
+
+/**
+ * 转换为 OpenAI Responses / Images 接口的 usage 对象（input/output 命名）
+ * @param {Usage} usage
+ * @returns {object}
+ */
+export function toResponsesUsage(usage) {
+    const outputDetails = { reasoning_tokens: usage.reasoningTokens };
+    if (usage.images) outputDetails.images = usage.images;
+    if (usage.videos) outputDetails.videos = usage.videos;
+
+    return {
+        input_tokens: usage.promptTokens,
+        input_tokens_details: { cached_tokens: 0, ...(usage.inputImages ? { images: usage.inputImages } : {}) },
+        output_tokens: usage.completionTokens,
+        output_tokens_details: outputDetails,
+        total_tokens: usage.promptTokens + usage.completionTokens
+    };
+}
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview webhook 回调模块
+ * @description 校验客户端提交的 webhook_url 并发送回调，防止借服务端请求访问本机、内网或云服务元数据接口 (SSRF)：
+ * - 只允许 http(s) 地址，且不能携带用户名密码
+ * - 默认拒绝解析到回环、私有、链路本地、CGNAT、组播等非公网地址的主机
+ * - queue.webhookAllowHosts 非空时只允许列表中的主机（支持 *.example.com），列表中的主机可以是内网地址
+ * - 发送时在建立连接前再次校验实际连接的地址，避免提交后 DNS 指向改变（DNS rebinding）
+ */
+
+import http from 'http';
+import https from 'https';
+import { isPrivateAddress, hostnameOf, resolveAddresses, publicLookup } from '../utils/address.js';
+
+/**
+ * 判断主机是否在允许列表中
+ * @param {string} hostname - 主机名
+ * @param {string[]} allowHosts - 允许的主机（*.example.com 匹配其所有子域名）
+ * @returns {boolean}
+ */
+function isAllowedHost(hostname, allowHosts) {
+    const host = hostname.toLowerCase();
+    return allowHosts.some(entry => {
+        const pattern = String(entry).toLowerCase();
+        return pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern;
+    });
+}
+
+/**
+ * 校验 webhook 地址
+ * @param {string} webhookUrl - 回调地址
+ * @param {string[]} [allowHosts=[]] - 允许的主机 (queue.webhookAllowHosts)
+ * @returns {Promise<string|null>} 不允许时返回原因，允许时返回 null
+ */
+export async function checkWebhookUrl(webhookUrl, allowHosts = []) {
+    let url;
+    try {
+        url = new URL(webhookUrl);
+    } catch {
+        return 'webhook_url 不是有效的地址';
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'webhook_url 必须是 http(s) 地址';
+    if (url.username || url.password) return 'webhook_url 不能包含用户名或密码';
+
+    const hostname = hostnameOf(url);
+    if (allowHosts.length > 0) {
+        return isAllowedHost(hostname, allowHosts) ? null : `webhook_url 的主机不在允许列表中: ${hostname}`;
+    }
+
+    let addresses;
+    try {
+        addresses = await resolveAddresses(hostname);
+    } catch (err) {
+        return `webhook_url 的主机无法解析: ${hostname}`;
+    }
+    if (addresses.some(isPrivateAddress)) return `webhook_url 不能指向本机或内网地址: ${hostname}`;
+    return null;
+}
+
+/**
+ * 发送 webhook 回调（POST JSON）
+ * @param {string} webhookUrl - 回调地址
+ * @param {object} payload - 回调内容
+ * @param {object} [options={}] - 选项
+ * @param {string[]} [options.allowHosts=[]] - 允许的主机，列表中的主机不限制地址
+ * @param {number} [options.timeout=10000] - 超时（毫秒）
+ * @returns {Promise<void>} 非 2xx 响应或连接失败时拒绝
+ */
+export async function postWebhook(webhookUrl, payload, options = {}) {
+    const { allowHosts = [], timeout = 10000 } = options;
+    const reason = await checkWebhookUrl(webhookUrl, allowHosts);
+    if (reason) throw new Error(reason);
+
+    const url = new URL(webhookUrl);
+    const body = JSON.stringify(payload);
+    const client = url.protocol === 'https:' ? https : http;
+    const trusted = allowHosts.length > 0;
+
+    await new Promise((resolve, reject) => {
+        const req = client.request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+            timeout,
+            ...(trusted ? {} : { lookup: publicLookup })
+        }, (res) => {
+            res.resume();
+            if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+            else reject(new Error(`HTTP ${res.statusCode}`));
+        });
+        req.on('timeout', () => req.destroy(new Error('请求超时')));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview 网络地址校验模块
+ * @description 识别回环、私有、链路本地、CGNAT、组播等非公网地址，并提供建立连接时过滤这些地址的 DNS 查询函数，
+ * 用于服务端按客户端提交的链接发起请求时（webhook 回调、远程文件下载）防止访问本机、内网或云服务元数据接口 (SSRF)。
+ */
+
+import net from 'net';
+import dns from 'dns';
+
+/**
+ * 判断 IPv4 地址是否为非公网地址
+ * @param {string} ip - IPv4 地址
+ * @returns {boolean}
+ */
+function isPrivateIPv4(ip) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 0                              // 0.0.0.0/8
+        || a === 10                             // 10.0.0.0/8
+        || a === 127                            // 回环
+        || (a === 100 && b >= 64 && b <= 127)   // CGNAT 100.64.0.0/10
+        || (a === 169 && b === 254)             // 链路本地（含云服务元数据 169.254.169.254）
+        || (a === 172 && b >= 16 && b <= 31)    // 172.16.0.0/12
+        || (a === 192 && b === 168)             // 192.168.0.0/16
+        || (a === 192 && b === 0)               // 192.0.0.0/24
+        || (a === 198 && (b === 18 || b === 19)) // 基准测试 198.18.0.0/15
+        || a >= 224;                            // 组播与保留地址
+}
+
+/**
+ * 判断 IP 地址是否为非公网地址
+ * @param {string} ip - IPv4 或 IPv6 地址
+ * @returns {boolean} 无法识别的地址同样视为非公网
+ */
+export function isPrivateAddress(ip) {
+    const family = net.isIP(ip);
+    if (family === 4) return isPrivateIPv4(ip);
+    if (family !== 6) return true;
+
+    const lower = ip.toLowerCase();
+    // IPv4 映射 / 转换地址按内嵌的 IPv4 判断
+    const mapped = lower.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateIPv4(mapped[1]);
+    const hexMapped = lower.match(/^(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (hexMapped) {
+        const high = parseInt(hexMapped[1], 16);
+        const low = parseInt(hexMapped[2], 16);
+        return isPrivateIPv4(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+
+    return lower === '::' || lower === '::1'
+        || /^f[cd]/.test(lower)          // 唯一本地地址 fc00::/7
+        || /^fe[89ab]/.test(lower)       // 链路本地 fe80::/10
+        || lower.startsWith('ff');       // 组播
+}
+
+/**
+ * 解析 URL 中的主机名（去除 IPv6 地址的方括号）
+ * @param {URL} url
+ * @returns {string}
+ */
+export function hostnameOf(url) {
+    return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+/**
+ * 解析主机名对应的全部地址
+ * @param {string} hostname - 主机名或 IP 地址
+ * @returns {Promise<string[]>} 解析失败时拒绝
+ */
+export async function resolveAddresses(hostname) {
+    if (net.isIP(hostname)) return [hostname];
+    return (await dns.promises.lookup(hostname, { all: true })).map(a => a.address);
+}
+
+/**
+ * 建立连接时校验解析结果的 DNS 查询函数，避免校验后 DNS 指向改变（DNS rebinding）
+ * @type {import('net').LookupFunction}
+ */
+export function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const allowed = addresses.filter(a => !isPrivateAddress(a.address));
+        if (allowed.length === 0) {
+            return callback(new Error(`拒绝连接到本机或内网地址: ${hostname}`));
+        }
+        if (options.all) return callback(null, allowed);
+        callback(null, allowed[0].address, allowed[0].family);
+    });
+}
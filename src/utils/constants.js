@@ -35,6 +35,28 @@ export const TIMEOUTS = {
 
     /** 轮询间隔（waitForInput 等） */
     POLL_INTERVAL: 500,
+
+    /** 远程图片/文件下载超时 */
+    REMOTE_FETCH: 30000,
+
+    /** 热加载移除 Worker 时等待任务完成的超时，超时后中断任务（视频生成耗时较长） */
+    WORKER_DRAIN: 10 * 60 * 1000,
+};
+
+// ==========================================
+// 远程文件限制
+// ==========================================
+
+/**
+ * 请求中 http(s) 图片/文件链接的下载限制（字节）
+ * @readonly
+ */
+export const REMOTE_FILE_LIMITS = {
+    /** 图片大小上限 */
+    MAX_IMAGE_SIZE: 20 * 1024 * 1024,
+
+    /** 文档大小上限 */
+    MAX_DOCUMENT_SIZE: 50 * 1024 * 1024,
 };
 
 // ==========================================
@@ -49,6 +71,9 @@ export const RETRY = {
     /** 适配器默认最大重试次数 */
     MAX_ATTEMPTS: 2,
 
+    /** response_format 校验失败后要求模型修正的最大次数 */
+    STRUCTURED_OUTPUT_REPAIRS: 2,
+
     /** 重试间隔基数（毫秒） */
     BASE_DELAY: 1000,
 
@@ -98,6 +123,12 @@ export const ADAPTER_ERRORS = {
 
     /** 内容被阻止 (API/页面检测到错误关键词) */
     CONTENT_BLOCKED: 'CONTENT_BLOCKED',
+
+    /** 输出不符合 response_format（已在原 Worker 上修正过，不再故障转移） */
+    INVALID_STRUCTURED_OUTPUT: 'INVALID_STRUCTURED_OUTPUT',
+
+    /** 客户端已断开，任务被取消（不再故障转移） */
+    REQUEST_ABORTED: 'REQUEST_ABORTED',
 };
 
 // ==========================================
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview 远程文件下载模块
+ * @description 在服务端拉取请求中的 http(s) 图片/文件链接：经配置的代理下载（got-scraping），
+ * 限制文件大小与超时时间，并根据文件头识别真实类型，不信任链接后缀与响应头。
+ * 链接及每次重定向的目标都不能指向本机或内网地址 (SSRF)，直连时在建立连接前再次校验实际连接的地址。
+ */
+
+import { buildProxyUrl, getHttpProxy, getProxyConfig } from './proxy.js';
+import { isPrivateAddress, hostnameOf, resolveAddresses, publicLookup } from './address.js';
+import { TIMEOUTS } from './constants.js';
+import { logger } from './logger.js';
+
+/**
+ * 支持上传的文档类型 (MIME -> 扩展名)
+ * @readonly
+ */
+export const DOCUMENT_TYPES = {
+    'application/pdf': '.pdf',
+    'text/plain': '.txt',
+    'text/markdown': '.md',
+    'text/csv': '.csv',
+    'text/html': '.html',
+    'application/json': '.json'
+};
+
+/**
+ * 判断临时文件是否为文档（按扩展名）
+ * @param {string} filePath - 文件路径
+ * @returns {boolean}
+ */
+export function isDocumentPath(filePath) {
+    const lower = filePath.toLowerCase();
+    return Object.values(DOCUMENT_TYPES).some(ext => lower.endsWith(ext));
+}
+
+// 已解析的代理地址（SOCKS5 代理需要 proxy-chain 建立本地桥接，代理配置不变时复用）
+let proxyCache = { key: null, promise: null };
+
+/**
+ * 获取下载使用的 HTTP 代理地址
+ * @description 每次下载都从配置读取代理，热加载修改代理后立即生效
+ * @param {object} config - 全局配置
+ * @returns {Promise<string|null>}
+ */
+function getDownloadProxyUrl(config) {
+    const proxyConfig = getProxyConfig(config);
+    if (!proxyConfig) return Promise.resolve(null);
+
+    const key = buildProxyUrl(proxyConfig);
+    if (proxyCache.key !== key) {
+        const promise = getHttpProxy(proxyConfig).catch(err => {
+            if (proxyCache.promise === promise) proxyCache = { key: null, promise: null };
+            throw err;
+        });
+        proxyCache = { key, promise };
+    }
+    return proxyCache.promise;
+}
+
+/**
+ * 校验下载链接（含重定向目标）
+ * @param {string|URL} target - 链接
+ * @returns {Promise<void>} 非 http(s) 链接或主机解析到本机、内网地址时拒绝
+ */
+async function assertPublicUrl(target) {
+    const url = new URL(target);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`不支持的链接协议: ${url.protocol}`);
+    }
+    const hostname = hostnameOf(url);
+    const addresses = await resolveAddresses(hostname).catch(() => {
+        throw new Error(`无法解析主机: ${hostname}`);
+    });
+    if (addresses.some(isPrivateAddress)) {
+        throw new Error(`不能下载本机或内网地址的文件: ${hostname}`);
+    }
+}
+
+/**
+ * 根据文件头识别 MIME 类型
+ * @param {Buffer} buffer - 文件数据
+ * @returns {string|null} 识别出的 MIME 类型，无法识别时返回 null
+ */
+export function sniffMimeType(buffer) {
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504E47) return 'image/png';
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+    if (buffer.length >= 6 && buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    if (buffer.length >= 2 && buffer.toString('ascii', 0, 2) === 'BM') return 'image/bmp';
+    if (buffer.length >= 5 && buffer.toString('ascii', 0, 5) === '%PDF-') return 'application/pdf';
+    return null;
+}
+
+/**
+ * 判断数据是否为文本（不含 NUL 字节且为合法 UTF-8）
+ * @param {Buffer} buffer - 文件数据
+ * @returns {boolean}
+ */
+export function isTextBuffer(buffer) {
+    if (buffer.includes(0)) return false;
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * 下载远程文件
+ * @param {string} url - http(s) 链接
+ * @param {object} options - 下载选项
+ * @param {object} [options.config] - 全局配置（用于读取 browser.proxy）
+ * @param {number} options.maxBytes - 文件大小上限（字节）
+ * @param {number} [options.timeout] - 超时时间（毫秒）
+ * @returns {Promise<{buffer: Buffer, mimeType: string|null}>} 文件数据与识别出的类型（文件头无法识别时使用响应头）
+ */
+export async function downloadRemoteFile(url, options) {
+    const { config, maxBytes, timeout = TIMEOUTS.REMOTE_FETCH } = options;
+
+    await assertPublicUrl(url);
+
+    const { gotScraping } = await import('got-scraping');
+    const proxyUrl = await getDownloadProxyUrl(config);
+    const maxMB = Math.round(maxBytes / 1024 / 1024);
+
+    logger.debug('下载器', `下载远程文件: ${url}`);
+
+    return await new Promise((resolve, reject) => {
+        const stream = gotScraping.stream({
+            url,
+            proxyUrl: proxyUrl || undefined,
+            // 直连时在建立连接前校验实际连接的地址；经代理时由代理解析，只能依赖请求前的校验
+            dnsLookup: proxyUrl ? undefined : publicLookup,
+            timeout: { request: timeout },
+            hooks: {
+                beforeRedirect: [(redirectOptions) => assertPublicUrl(redirectOptions.url)]
+            }
+        });
+
+        const chunks = [];
+        let received = 0;
+        let headerType = null;
+
+        stream.on('response', (response) => {
+            headerType = (response.headers['content-type'] || '').split(';')[0].trim() || null;
+            const length = Number(response.headers['content-length']);
+            if (length > maxBytes) {
+                stream.destroy(new Error(`文件超过大小限制 (${maxMB}MB)`));
+            }
+        });
+
+        stream.on('data', (chunk) => {
+            received += chunk.length;
+            if (received > maxBytes) {
+                stream.destroy(new Error(`文件超过大小限制 (${maxMB}MB)`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        stream.on('end', () => {
+            const buffer = Buffer.concat(chunks);
+            resolve({ buffer, mimeType: sniffMimeType(buffer) || headerType });
+        });
+
+        stream.on('error', reject);
+    });
+}
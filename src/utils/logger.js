@@ -123,8 +123,10 @@ export function log(level, mod, msg, meta = {}) {
     const sanitizedMsg = msg.replace(/\r?\n/g, ' ↵ ');
     const base = `${ts} [${levelTag}] [${mod}] ${sanitizedMsg}`;
 
-    const metaStr = Object.keys(meta).length
-        ? ' | ' + Object.entries(meta).map(([k, v]) => {
+    // 任务取消信号与进度回调随 meta 传递给适配器，不写入日志
+    const entries = Object.entries(meta).filter(([, v]) => !(v instanceof AbortSignal) && typeof v !== 'function');
+    const metaStr = entries.length
+        ? ' | ' + entries.map(([k, v]) => {
             if (v instanceof Error) {
                 return `${k}=${v.message}`;
             }
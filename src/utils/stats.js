@@ -1,6 +1,6 @@
 /**
  * @fileoverview 请求统计管理模块
- * @description 按日期存储成功/失败请求计数，支持日期范围查询和删除
+ * @description 按日期存储成功/失败请求计数与用量（token 数、生成的图片/视频数），支持日期范围查询和删除
  */
 
 import { promises as fs } from 'fs';
@@ -30,8 +30,19 @@ function getTodayDateStr() {
     return `${year}-${month}-${day}`;
 }
 
+/**
+ * 创建空的统计数据
+ * @returns {{success: number, failed: number, promptTokens: number, completionTokens: number, images: number, videos: number}}
+ */
+function emptyStats() {
+    return { success: 0, failed: 0, promptTokens: 0, completionTokens: 0, images: 0, videos: 0 };
+}
+
+// 用量字段（成功请求累加）
+const USAGE_FIELDS = ['promptTokens', 'completionTokens', 'images', 'videos'];
+
 // 内存缓存：今日统计
-let todayStats = { success: 0, failed: 0 };
+let todayStats = emptyStats();
 let todayDate = getTodayDateStr();
 
 /**
@@ -53,7 +64,7 @@ async function checkDateRollover() {
         await saveStats(todayDate, todayStats);
         // 重置为新的一天
         todayDate = currentDate;
-        todayStats = { success: 0, failed: 0 };
+        todayStats = emptyStats();
         // 尝试加载今日已有数据
         await loadTodayStats();
     }
@@ -80,20 +91,27 @@ export async function loadTodayStats() {
 
     try {
         const data = await fs.readFile(filePath, 'utf-8');
-        todayStats = JSON.parse(data);
+        // 旧版本的统计文件没有用量字段
+        todayStats = { ...emptyStats(), ...JSON.parse(data) };
     } catch {
-        todayStats = { success: 0, failed: 0 };
+        todayStats = emptyStats();
     }
 
     return todayStats;
 }
 
 /**
- * 增加成功计数
+ * 增加成功计数并累加用量
+ * @param {import('../server/usage.js').Usage} [usage] - 本次请求的用量
  */
-export async function incrementSuccess() {
+export async function incrementSuccess(usage) {
     await checkDateRollover();
     todayStats.success++;
+    if (usage) {
+        for (const field of USAGE_FIELDS) {
+            todayStats[field] += usage[field] || 0;
+        }
+    }
     await saveStats(todayDate, todayStats);
 }
 
@@ -108,14 +126,14 @@ export async function incrementFailed() {
 
 /**
  * 获取今日统计
- * @returns {{success: number, failed: number}}
+ * @returns {{success: number, failed: number, promptTokens: number, completionTokens: number, images: number, videos: number}}
  */
 export function getTodayStats() {
     // 检查是否跨天（同步版本，仅检查不保存）
     const currentDate = getTodayDateStr();
     if (currentDate !== todayDate) {
         // 返回空数据，等待下次写入时触发跨天处理
-        return { success: 0, failed: 0 };
+        return emptyStats();
     }
     return { ...todayStats };
 }
@@ -124,10 +142,10 @@ export function getTodayStats() {
  * 获取日期范围内的汇总统计
  * @param {string} startDate - 开始日期 YYYY-MM-DD
  * @param {string} endDate - 结束日期 YYYY-MM-DD
- * @returns {Promise<{success: number, failed: number, days: number}>}
+ * @returns {Promise<{success: number, failed: number, promptTokens: number, completionTokens: number, images: number, videos: number, days: number}>}
  */
 export async function getStatsRange(startDate, endDate) {
-    const result = { success: 0, failed: 0, days: 0 };
+    const result = { ...emptyStats(), days: 0 };
 
     const start = new Date(startDate);
     const end = new Date(endDate);
@@ -141,6 +159,9 @@ export async function getStatsRange(startDate, endDate) {
             const stats = JSON.parse(data);
             result.success += stats.success || 0;
             result.failed += stats.failed || 0;
+            for (const field of USAGE_FIELDS) {
+                result[field] += stats[field] || 0;
+            }
             result.days++;
         } catch {
             // 文件不存在，跳过
@@ -172,7 +193,7 @@ export async function clearStatsRange(startDate, endDate) {
 
             // 如果删除的是今日文件，重置内存缓存
             if (dateStr === todayDate) {
-                todayStats = { success: 0, failed: 0 };
+                todayStats = emptyStats();
             }
         } catch {
             // 文件不存在，跳过
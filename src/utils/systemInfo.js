@@ -191,9 +191,10 @@ export function deleteDataFolders(folderNames, workers = []) {
 /**
  * 清理临时文件
  * @param {string} tempDir - 临时目录路径
+ * @param {Set<string>} [keep] - 需要保留的文件（绝对路径）
  * @returns {{success: boolean, cleaned: number}}
  */
-export function clearTempFiles(tempDir) {
+export function clearTempFiles(tempDir, keep = new Set()) {
     if (!tempDir || !fs.existsSync(tempDir)) {
         return { success: true, cleaned: 0 };
     }
@@ -202,8 +203,10 @@ export function clearTempFiles(tempDir) {
     try {
         const files = fs.readdirSync(tempDir);
         for (const file of files) {
+            const filePath = path.resolve(tempDir, file);
+            if (keep.has(filePath)) continue;
             try {
-                fs.unlinkSync(path.join(tempDir, file));
+                fs.unlinkSync(filePath);
                 cleaned++;
             } catch (e) { /* ignore */ }
         }
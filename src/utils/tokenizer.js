@@ -0,0 +1,26 @@
+/**
+ * @fileoverview 本地 Token 计数模块
+ * @description 网页端模型不返回用量，此模块在本地对文本做 BPE 分词计数，用于响应中的 usage 与用量统计。
+ *
+ * 使用 js-tiktoken 的 o200k_base 词表（GPT-4o / GPT-5 系列使用的分词器），与 OpenAI 接口的计数方式一致；
+ * 其他厂商的模型（Claude、Gemini、DeepSeek 等）使用各自的词表，实际 token 数会有出入。
+ * 词表在首次计数时加载。
+ */
+
+import { Tiktoken } from 'js-tiktoken/lite';
+import o200kBase from 'js-tiktoken/ranks/o200k_base';
+
+/** @type {Tiktoken|null} */
+let encoder = null;
+
+/**
+ * 计算文本的 token 数
+ * @description 文本中出现的特殊 token（如 <|endoftext|>）按普通文本处理
+ * @param {string} [text] - 文本
+ * @returns {number}
+ */
+export function countTokens(text) {
+    if (!text) return 0;
+    if (!encoder) encoder = new Tiktoken(o200kBase);
+    return encoder.encode(text, [], []).length;
+}
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview 远程文件下载测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { downloadRemoteFile, sniffMimeType } from '../src/utils/download.js';
+
+const options = { config: {}, maxBytes: 1024 };
+
+test('downloadRemoteFile: 拒绝非 http(s) 链接', async () => {
+    await assert.rejects(downloadRemoteFile('file:///etc/passwd', options), /不支持的链接协议/);
+});
+
+test('downloadRemoteFile: 拒绝本机、内网与云服务元数据地址', async (t) => {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        requests++;
+        res.end('secret');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    for (const url of [
+        `http://127.0.0.1:${server.address().port}/`,
+        `http://localhost:${server.address().port}/`,
+        'http://[::1]/',
+        'http://10.0.0.1/a.png',
+        'http://169.254.169.254/latest/meta-data/'
+    ]) {
+        await assert.rejects(downloadRemoteFile(url, options), /本机或内网/, url);
+    }
+    assert.equal(requests, 0);
+});
+
+test('sniffMimeType: 按文件头识别类型', () => {
+    assert.equal(sniffMimeType(Buffer.from('89504E470D0A1A0A', 'hex')), 'image/png');
+    assert.equal(sniffMimeType(Buffer.from('%PDF-1.7')), 'application/pdf');
+    assert.equal(sniffMimeType(Buffer.from('hello')), null);
+});
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Gemini 兼容接口路由测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createGeminiRouter } from '../src/server/api/gemini/routes.js';
+
+test('模型名称的 URL 编码无效时返回 400', async (t) => {
+    const handleGeminiRequest = createGeminiRouter({});
+    const server = http.createServer((req, res) => {
+        const parsedUrl = new URL(req.url, 'http://localhost');
+        handleGeminiRequest(req, res, parsedUrl.pathname.slice(7), parsedUrl);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const { status, body } = await new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port: server.address().port,
+            method: 'POST',
+            path: '/v1beta/models/gemini%E0%A4%A:generateContent'
+        }, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+        });
+        req.on('error', reject);
+        req.end('{}');
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error.status, 'INVALID_ARGUMENT');
+    assert.match(body.error.message, /URL 编码/);
+});
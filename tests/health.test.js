@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Worker 健康状态测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHealthMonitor, HEALTH_STATES } from '../src/backend/pool/health.js';
+
+const failure = (code) => ({ error: `failed: ${code}`, code });
+
+test('失败后降级，成功后恢复', () => {
+    const health = createHealthMonitor();
+    assert.equal(health.getState('w1').state, HEALTH_STATES.HEALTHY);
+
+    health.record('w1', failure('TIMEOUT_ERROR'));
+    assert.equal(health.getState('w1').state, HEALTH_STATES.DEGRADED);
+    assert.equal(health.getState('w1').failures, 1);
+    assert.equal(health.isAvailable('w1'), true);
+
+    health.record('w1', { text: 'ok' });
+    assert.deepEqual(
+        { state: health.getState('w1').state, failures: health.getState('w1').failures },
+        { state: HEALTH_STATES.HEALTHY, failures: 0 }
+    );
+});
+
+test('连续失败达到阈值后隔离', () => {
+    const health = createHealthMonitor({ quarantineAfter: 2 });
+    health.record('w1', failure('TIMEOUT_ERROR'));
+    health.record('w1', failure('NETWORK_ERROR'));
+    assert.equal(health.getState('w1').state, HEALTH_STATES.QUARANTINED);
+    assert.equal(health.isAvailable('w1'), false);
+
+    // 隔离期间结束的任务不影响状态
+    health.record('w1', { text: 'ok' });
+    assert.equal(health.getState('w1').state, HEALTH_STATES.QUARANTINED);
+});
+
+test('需要登录或页面崩溃时立即隔离，限流与取消不计入失败', () => {
+    const health = createHealthMonitor();
+    for (const code of ['RATE_LIMITED', 'CAPTCHA_REQUIRED', 'CONTENT_BLOCKED', 'INVALID_STRUCTURED_OUTPUT', 'REQUEST_ABORTED']) {
+        health.record('w1', failure(code));
+    }
+    assert.equal(health.getState('w1').state, HEALTH_STATES.HEALTHY);
+
+    health.record('w1', failure('AUTH_REQUIRED'));
+    assert.equal(health.getState('w1').state, HEALTH_STATES.QUARANTINED);
+    health.record('w2', failure('PAGE_CRASHED'));
+    assert.equal(health.getState('w2').state, HEALTH_STATES.QUARANTINED);
+});
+
+test('探测成功后恢复，连续探测失败后判定为 dead', () => {
+    const health = createHealthMonitor({ maxProbes: 2 });
+    health.quarantine('w1', 'page_closed');
+    health.recordProbe('w1', { ok: false, error: 'timeout' });
+    assert.equal(health.getState('w1').state, HEALTH_STATES.QUARANTINED);
+    health.recordProbe('w1', { ok: false, error: 'timeout' });
+    assert.equal(health.getState('w1').state, HEALTH_STATES.DEAD);
+
+    // dead 状态不再被重新隔离，只能通过探测恢复
+    health.quarantine('w1', 'restart');
+    assert.equal(health.getState('w1').state, HEALTH_STATES.DEAD);
+    health.recordProbe('w1', { ok: true });
+    assert.equal(health.getState('w1').state, HEALTH_STATES.HEALTHY);
+});
+
+test('手动探测失败时隔离正常的 Worker', () => {
+    const health = createHealthMonitor();
+    health.recordProbe('w1', { ok: false, error: 'selector missing' });
+    assert.equal(health.getState('w1').state, HEALTH_STATES.QUARANTINED);
+    assert.equal(health.getState('w1').lastError, 'selector missing');
+});
+
+test('记录状态变更（新的在前），移除后重置', () => {
+    const health = createHealthMonitor();
+    health.record('w1', failure('TIMEOUT_ERROR'));
+    health.quarantine('w1', 'page_closed');
+    health.recordProbe('w1', { ok: true });
+
+    assert.deepEqual(
+        health.getTransitions().map(({ worker, from, to, reason }) => ({ worker, from, to, reason })),
+        [
+            { worker: 'w1', from: 'quarantined', to: 'healthy', reason: 'probe_ok' },
+            { worker: 'w1', from: 'degraded', to: 'quarantined', reason: 'page_closed' },
+            { worker: 'w1', from: 'healthy', to: 'degraded', reason: 'TIMEOUT_ERROR' }
+        ]
+    );
+
+    health.quarantine('w1', 'page_closed');
+    health.remove('w1');
+    assert.equal(health.getState('w1').state, HEALTH_STATES.HEALTHY);
+});
+
+test('update: 热加载阈值时保留已有状态', () => {
+    const health = createHealthMonitor({ quarantineAfter: 5 });
+    health.record('w1', failure('TIMEOUT_ERROR'));
+    health.update({ quarantineAfter: 2 });
+    assert.equal(health.getState('w1').state, HEALTH_STATES.DEGRADED);
+    health.record('w1', failure('TIMEOUT_ERROR'));
+    assert.equal(health.getState('w1').state, HEALTH_STATES.QUARANTINED);
+});
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview 异步任务存储测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createJobStore } from '../src/server/jobs.js';
+
+/**
+ * 创建临时存储目录
+ * @param {import('node:test').TestContext} t
+ * @returns {Promise<string>}
+ */
+async function tempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'webai-jobs-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('任务状态流转并设置过期时间', async (t) => {
+    const store = createJobStore({ dir: await tempDir(t), retention: 1 });
+    assert.equal(store.retentionSeconds, 3600);
+
+    const job = await store.create({ model: 'gpt' });
+    assert.match(job.id, /^job_[a-f0-9]{32}$/);
+    assert.equal(store.get(job.id).status, 'queued');
+
+    await store.markRunning(job.id);
+    assert.equal(store.get(job.id).status, 'in_progress');
+
+    await store.complete(job.id, { choices: [], usage: {} });
+    const done = store.get(job.id);
+    assert.equal(done.status, 'completed');
+    assert.equal(done.expires_at - done.completed_at, 3600);
+
+    // 已结束的任务不再改变状态
+    await store.fail(job.id, { code: 'X', message: 'x' });
+    assert.equal(store.get(job.id).status, 'completed');
+});
+
+test('过期任务不可查询并被清理', async (t) => {
+    const dir = await tempDir(t);
+    const store = createJobStore({ dir, retention: 0 });
+    const job = await store.create({ model: 'gpt' });
+    await store.fail(job.id, { code: 'X', message: 'x' });
+    assert.equal(store.get(job.id), null);
+
+    await store.prune();
+    assert.deepEqual(await fs.readdir(dir), []);
+});
+
+test('重启后可恢复的任务重新排队，其余标记为中断', async (t) => {
+    const dir = await tempDir(t);
+    const before = createJobStore({ dir });
+    const resumable = await before.create({ model: 'gpt' });
+    const lost = await before.create({ model: 'gpt' });
+    await before.markRunning(resumable.id);
+    await before.markRunning(lost.id);
+    await fs.writeFile(path.join(dir, 'job_partial.json.tmp'), '{');
+
+    const after = createJobStore({ dir });
+    await after.load({ resumable: new Set([resumable.id]) });
+
+    assert.equal(after.get(resumable.id).status, 'queued');
+    assert.equal(after.get(resumable.id).started_at, null);
+    assert.equal(after.get(lost.id).status, 'failed');
+    assert.equal(after.get(lost.id).error.code, 'JOB_INTERRUPTED');
+    assert.ok(!(await fs.readdir(dir)).some(f => f.endsWith('.tmp')));
+});
+
+test('任务结束后向允许的主机发送 webhook', async (t) => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const store = createJobStore({ dir: await tempDir(t), webhookAllowHosts: ['127.0.0.1'] });
+    const job = await store.create({ model: 'gpt', webhookUrl: `http://127.0.0.1:${server.address().port}/hook` });
+    await store.complete(job.id, { choices: [{ index: 0 }], usage: {} });
+
+    for (let i = 0; i < 50 && !store.get(job.id).webhook_delivered_at; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.equal(received.length, 1);
+    assert.equal(received[0].id, job.id);
+    assert.equal(received[0].status, 'completed');
+    assert.ok(store.get(job.id).webhook_delivered_at);
+});
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview 队列日志测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// 队列会写入用量统计 (data/logs)，在临时目录中运行
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'webai-journal-'));
+process.chdir(workDir);
+process.on('exit', () => rmSync(workDir, { recursive: true, force: true }));
+const { createQueueJournal } = await import('../src/server/journal.js');
+const { createQueueManager } = await import('../src/server/queue.js');
+
+/**
+ * 构造任务上下文
+ * @param {string} id - 任务 ID
+ * @param {object} [extra]
+ */
+function makeTask(id, extra = {}) {
+    return {
+        id,
+        prompt: `prompt ${id}`,
+        imagePaths: [],
+        modelId: 'model',
+        modelName: 'model',
+        lane: { priority: 'normal', client: 'default', weight: 1 },
+        replay: { includeReasoning: true },
+        ...extra
+    };
+}
+
+test('重启后按入队顺序读取日志', async () => {
+    const dir = await fs.mkdtemp(path.join(workDir, 'queue-'));
+    const journal = createQueueJournal({ dir });
+    await journal.save(makeTask('job_b', { imagePaths: ['data/temp/b.png'], maskPath: 'data/temp/mask.png', mediaTtl: 3600 }));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await journal.save(makeTask('job_a'));
+    await fs.writeFile(path.join(dir, 'job_c.json'), '{');
+    await fs.writeFile(path.join(dir, 'job_d.json.tmp'), '{');
+
+    const restarted = createQueueJournal({ dir });
+    const records = await restarted.load();
+    assert.deepEqual(records.map(r => r.id), ['job_b', 'job_a']);
+    assert.equal(records[0].prompt, 'prompt job_b');
+    assert.equal(records[0].mediaTtl, 3600);
+    assert.deepEqual(records[0].replay, { includeReasoning: true });
+    assert.deepEqual(records[0].lane, { priority: 'normal', client: 'default', weight: 1 });
+
+    assert.deepEqual([...restarted.referencedFiles()].sort(),
+        [path.resolve('data/temp/b.png'), path.resolve('data/temp/mask.png')]);
+    assert.ok(!(await fs.readdir(dir)).includes('job_d.json.tmp'));
+});
+
+test('重新写入时保留原入队时间', async () => {
+    const dir = await fs.mkdtemp(path.join(workDir, 'queue-'));
+    const journal = createQueueJournal({ dir });
+    await journal.save(makeTask('job_a'));
+    const [first] = await createQueueJournal({ dir }).load();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await journal.save(makeTask('job_a'));
+    const [second] = await createQueueJournal({ dir }).load();
+    assert.equal(second.journaledAt, first.journaledAt);
+});
+
+test('任务结束后删除日志，写入期间结束的任务不留下文件', async () => {
+    const dir = await fs.mkdtemp(path.join(workDir, 'queue-'));
+    const journal = createQueueJournal({ dir });
+    await journal.save(makeTask('job_a'));
+    await journal.remove('job_a');
+
+    const saving = journal.save(makeTask('job_b'));
+    await journal.remove('job_b');
+    await saving;
+
+    assert.deepEqual(await fs.readdir(dir), []);
+    assert.deepEqual(await createQueueJournal({ dir }).load(), []);
+});
+
+test('写入即将完成时删除的任务在写入后删除，重启后不会重放', async (t) => {
+    const dir = await fs.mkdtemp(path.join(workDir, 'queue-'));
+    const journal = createQueueJournal({ dir });
+
+    // 在临时文件重命名前结束任务
+    let removing;
+    const rename = fs.rename;
+    t.mock.method(fs, 'rename', async (...args) => {
+        removing = journal.remove('job_a');
+        return rename(...args);
+    });
+    await journal.save(makeTask('job_a'));
+    await removing;
+
+    assert.deepEqual(await fs.readdir(dir), []);
+    assert.deepEqual(await createQueueJournal({ dir }).load(), []);
+});
+
+test('addTask 在写入队列日志后完成，任务结束时删除日志', async () => {
+    const dir = await fs.mkdtemp(path.join(workDir, 'queue-'));
+    const journal = createQueueJournal({ dir });
+    let finish;
+    const queue = createQueueManager({ maxConcurrent: 1, queueBuffer: 0, keepaliveMode: 'comment' }, {
+        initBrowser: async () => ({}),
+        generate: () => new Promise(resolve => { finish = resolve; }),
+        config: {},
+        journal
+    });
+
+    let responded;
+    const done = new Promise(resolve => { responded = resolve; });
+    await queue.addTask(makeTask('job_a', { isStreaming: false, responder: { success: responded, error: responded } }));
+    assert.deepEqual(await fs.readdir(dir), ['job_a.json']);
+
+    while (!finish) await new Promise(resolve => setTimeout(resolve, 5));
+    finish({ text: 'ok' });
+    await done;
+    for (let i = 0; i < 50 && (await fs.readdir(dir)).length > 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.deepEqual(await fs.readdir(dir), []);
+});
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview 媒体文件存储测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createMediaStore } from '../src/server/media.js';
+
+// 1x1 PNG
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+/**
+ * 创建使用临时目录的媒体存储
+ * @param {import('node:test').TestContext} t
+ * @param {object} [options]
+ */
+async function createStore(t, options = {}) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'webai-media-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return createMediaStore({ secret: 'sk-test', dir, ...options });
+}
+
+/**
+ * 对媒体存储的 serve 发起请求
+ * @param {import('node:test').TestContext} t
+ * @param {object} store - 媒体存储
+ * @param {string} url - 签名链接
+ * @param {object} [headers]
+ * @returns {Promise<{status: number, headers: object, body: Buffer}>}
+ */
+async function fetchFrom(t, store, url, headers = {}) {
+    const server = http.createServer((req, res) => {
+        const parsed = new URL(req.url, 'http://localhost');
+        store.serve(req, res, parsed.pathname.split('/').pop(), parsed.searchParams);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const { pathname, search } = new URL(url);
+    return await new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: server.address().port, path: pathname + search, headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        }).on('error', reject);
+    });
+}
+
+test('externalize: 保存 data URI 并返回签名链接', async (t) => {
+    const store = await createStore(t);
+    const [result, text] = await store.externalize([{ image: PNG }, { text: 'hi' }], 'https://api.example.com');
+    assert.match(result.image, /^https:\/\/api\.example\.com\/media\/[a-f0-9]{32}\.png\?expires=\d+&sig=[\w-]+$/);
+    assert.deepEqual(text, { text: 'hi' });
+
+    assert.equal(store.lookup(result.image), 'image/png');
+    const file = await store.read(result.image);
+    assert.equal(file.mimeType, 'image/png');
+    assert.deepEqual(file.buffer, Buffer.from(PNG.split(',')[1], 'base64'));
+});
+
+test('签名被篡改、密钥不同或已过期的链接无效', async (t) => {
+    const store = await createStore(t);
+    const [{ image }] = await store.externalize([{ image: PNG }], 'http://localhost');
+    const url = new URL(image);
+
+    const tampered = new URL(url);
+    tampered.searchParams.set('sig', url.searchParams.get('sig').replace(/^./, c => (c === 'A' ? 'B' : 'A')));
+    assert.equal(store.lookup(tampered.href), null);
+
+    const extended = new URL(url);
+    extended.searchParams.set('expires', String(Number(url.searchParams.get('expires')) + 60));
+    assert.equal(store.lookup(extended.href), null);
+
+    const other = await createStore(t, { secret: 'sk-other' });
+    assert.equal(other.lookup(image), null);
+
+    const expired = await createStore(t, { ttl: -1 });
+    const [{ image: expiredImage }] = await expired.externalize([{ image: PNG }], 'http://localhost');
+    assert.equal(expired.lookup(expiredImage), null);
+});
+
+test('externalize: 链接有效期限制在 ttl 与 maxTtl 之间', async (t) => {
+    const store = await createStore(t, { ttl: 60, maxTtl: 3600 });
+    const expiresIn = async (linkTtl) => {
+        const [{ image }] = await store.externalize([{ image: PNG }], 'http://localhost', linkTtl);
+        return Number(new URL(image).searchParams.get('expires')) - Math.floor(Date.now() / 1000);
+    };
+    assert.ok(Math.abs(await expiresIn(undefined) - 60) <= 1);
+    assert.ok(Math.abs(await expiresIn(600) - 600) <= 1);
+    assert.ok(Math.abs(await expiresIn(86400) - 3600) <= 1);
+});
+
+test('serve: 校验签名并支持 Range 请求', async (t) => {
+    const store = await createStore(t);
+    const [{ image }] = await store.externalize([{ image: PNG }], 'http://localhost');
+    const size = Buffer.from(PNG.split(',')[1], 'base64').length;
+
+    const full = await fetchFrom(t, store, image);
+    assert.equal(full.status, 200);
+    assert.equal(full.headers['content-type'], 'image/png');
+    assert.equal(full.body.length, size);
+
+    const partial = await fetchFrom(t, store, image, { Range: 'bytes=0-7' });
+    assert.equal(partial.status, 206);
+    assert.equal(partial.headers['content-range'], `bytes 0-7/${size}`);
+    assert.equal(partial.body.toString('latin1', 1, 4), 'PNG');
+
+    const forbidden = await fetchFrom(t, store, image.replace(/sig=[^&]+/, 'sig=invalid'));
+    assert.equal(forbidden.status, 403);
+});
+
+test('baseUrlOf: 只在 trustProxy 开启时读取 X-Forwarded-* 请求头', async (t) => {
+    const req = {
+        headers: { host: 'internal:3000', 'x-forwarded-host': 'api.example.com, proxy', 'x-forwarded-proto': 'https' },
+        socket: {}
+    };
+    assert.equal((await createStore(t)).baseUrlOf(req), 'http://internal:3000');
+    assert.equal((await createStore(t, { trustProxy: true })).baseUrlOf(req), 'https://api.example.com');
+    assert.equal((await createStore(t, { publicUrl: 'https://cdn.example.com/' })).baseUrlOf(req), 'https://cdn.example.com');
+});
+
+test('serve: 文件在发送前被删除时返回 404，读取出错时断开连接', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'webai-media-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const store = createMediaStore({ secret: 'sk-test', dir });
+    const [{ image }] = await store.externalize([{ image: PNG }], 'http://localhost');
+    const filePath = path.join(dir, new URL(image).pathname.split('/').pop());
+
+    // stat 之后、打开文件之前被清理
+    const stat = t.mock.method(fs, 'stat', async () => ({ size: 67 }));
+    await fs.unlink(filePath);
+    assert.equal((await fetchFrom(t, store, image)).status, 404);
+    stat.mock.restore();
+
+    // 打开成功但读取失败（目录）时已发送响应头，只能断开连接
+    await fs.mkdir(filePath);
+    const server = http.createServer((req, res) => {
+        const parsed = new URL(req.url, 'http://localhost');
+        store.serve(req, res, parsed.pathname.split('/').pop(), parsed.searchParams);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const { pathname, search } = new URL(image);
+    const outcome = await new Promise((resolve) => {
+        http.get({ host: '127.0.0.1', port: server.address().port, path: pathname + search }, (res) => {
+            res.on('error', () => resolve('aborted'));
+            res.on('end', () => resolve('end'));
+            res.resume();
+        }).on('error', () => resolve('aborted'));
+    });
+    assert.equal(outcome, 'aborted');
+});
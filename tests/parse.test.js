@@ -0,0 +1,86 @@
+/**
+ * @fileoverview 请求解析测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseRequest } from '../src/server/api/openai/parse.js';
+
+// 1x1 PNG
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+/**
+ * 构造解析选项（chat 为文本模型）
+ * @param {string} tempDir - 临时目录
+ * @param {object} [extra]
+ */
+function makeOptions(tempDir, extra = {}) {
+    return {
+        tempDir,
+        imageLimit: 5,
+        backendName: 'test',
+        getSupportedModels: () => ({ data: [{ id: 'chat' }] }),
+        getImagePolicy: () => 'optional',
+        getModelType: () => 'text',
+        supportsDocuments: () => false,
+        requestId: 'test',
+        logger: { info: () => { }, warn: () => { }, debug: () => { } },
+        ...extra
+    };
+}
+
+/**
+ * 创建临时目录
+ * @param {import('node:test').TestContext} t
+ * @returns {Promise<string>}
+ */
+async function tempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'webai-parse-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('parseRequest: 保存图片与文本到临时目录', async (t) => {
+    const dir = await tempDir(t);
+    const result = await parseRequest({
+        model: 'chat',
+        messages: [{ role: 'user', content: [{ type: 'text', text: '看图' }, { type: 'image_url', image_url: { url: PNG } }] }]
+    }, makeOptions(dir));
+
+    assert.equal(result.success, true);
+    assert.equal(result.data.prompt, '看图[图片1]');
+    assert.equal(result.data.imagePaths.length, 1);
+    assert.deepEqual(await fs.readdir(dir), [path.basename(result.data.imagePaths[0])]);
+});
+
+test('parseRequest: 模型不支持文件输入时返回 FILE_FORBIDDEN 并删除已保存的图片', async (t) => {
+    const dir = await tempDir(t);
+    const result = await parseRequest({
+        model: 'chat',
+        messages: [{
+            role: 'user',
+            content: [
+                { type: 'image_url', image_url: { url: PNG } },
+                { type: 'file', file: { filename: 'notes.txt', file_data: Buffer.from('hello').toString('base64') } }
+            ]
+        }]
+    }, makeOptions(dir));
+
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, 'FILE_FORBIDDEN');
+    assert.deepEqual(await fs.readdir(dir), []);
+});
+
+test('parseRequest: 缺少 user 消息时删除已保存的图片', async (t) => {
+    const dir = await tempDir(t);
+    const result = await parseRequest({
+        model: 'chat',
+        messages: [{ role: 'system', content: [{ type: 'image_url', image_url: { url: PNG } }] }]
+    }, makeOptions(dir));
+
+    assert.equal(result.error.code, 'NO_USER_MESSAGES');
+    assert.deepEqual(await fs.readdir(dir), []);
+});
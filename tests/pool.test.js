@@ -0,0 +1,307 @@
+/**
+ * @fileoverview 工作池调度、单 Worker 重建与热加载测试
+ * @description 使用不启动浏览器的 Worker 替身，只测试 PoolManager 与队列的调度逻辑
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import { promises as fs, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Worker.js 引用的浏览器启动模块会加载 Camoufox，这里替换为空实现
+const LAUNCHER_STUB = 'data:text/javascript,export const initBrowserBase = () => {}, createCursor = () => {}, isShuttingDown = () => false;';
+register('data:text/javascript,' + encodeURIComponent(`
+export async function resolve(specifier, context, next) {
+    if (specifier.endsWith('/engine/launcher.js')) return { url: '${LAUNCHER_STUB}', shortCircuit: true };
+    return next(specifier, context);
+}`));
+
+// 队列会写入用量统计 (data/logs)，在临时目录中运行
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'webai-pool-'));
+process.chdir(workDir);
+process.on('exit', () => rmSync(workDir, { recursive: true, force: true }));
+const { PoolManager } = await import('../src/backend/pool/PoolManager.js');
+const { createQueueManager } = await import('../src/server/queue.js');
+
+/**
+ * 创建可关闭的浏览器 / 页面替身
+ * @returns {{closed: boolean, isClosed: () => boolean, close: () => Promise<void>}}
+ */
+function fakeHandle() {
+    const handle = {
+        closed: false,
+        isClosed: () => handle.closed,
+        close: async () => { handle.closed = true; }
+    };
+    return handle;
+}
+
+/**
+ * 创建 Worker 替身
+ * @param {object} workerConfig - Worker 配置（models 为支持的模型）
+ */
+function stubWorker(workerConfig) {
+    const { name, models = ['m'] } = workerConfig;
+    const worker = {
+        name,
+        workerConfig,
+        userDataDir: workerConfig.userDataDir,
+        busyCount: 0,
+        throttle: null,
+        browser: null,
+        page: null,
+        initialized: false,
+        inits: 0,
+        pageRebuilds: 0,
+        onRebuild: null,
+        supports: (modelId) => models.includes(modelId),
+        supportsDocuments: () => false,
+        getThrottle: () => worker.throttle,
+        isAlive: () => !!worker.page && !worker.page.isClosed(),
+        isBrowserAlive: () => !!worker.browser && !worker.browser.closed,
+        async init(shared) {
+            worker.browser = shared || fakeHandle();
+            worker.page = fakeHandle();
+            worker.initialized = true;
+            worker.inits++;
+        },
+        async recreatePage() {
+            worker.onRebuild?.();
+            worker.page = fakeHandle();
+            worker.pageRebuilds++;
+            return true;
+        },
+        detach() {
+            const browser = worker.browser;
+            worker.browser = null;
+            worker.page = null;
+            worker.initialized = false;
+            return browser;
+        },
+        abortTasks() {
+            worker.busyCount = 0;
+        }
+    };
+    return worker;
+}
+
+/**
+ * 构造工作池配置
+ * @param {object[]} workers - Worker 配置
+ * @param {object} [pool] - 其他 pool 配置
+ */
+function makeConfig(workers, pool = {}) {
+    return {
+        backend: {
+            adapter: {},
+            pool: { strategy: 'least_busy', failover: { enabled: true }, health: { probeInterval: 0 }, workers, ...pool }
+        }
+    };
+}
+
+/**
+ * 创建使用 Worker 替身的工作池（同一 userDataDir 的 Worker 共享浏览器）
+ * @param {object[]} workers - Worker 配置（userDataDir 默认为 /data/{name}）
+ * @param {object} [pool] - 其他 pool 配置
+ * @returns {Promise<PoolManager>}
+ */
+async function createPool(workers, pool = {}) {
+    const configs = workers.map(wc => ({ type: 'fake', userDataDir: `/data/${wc.name}`, ...wc }));
+    const pm = new PoolManager(makeConfig(configs, pool));
+    pm._createWorker = (wc) => stubWorker(wc);
+    for (const wc of configs) {
+        const worker = stubWorker(wc);
+        await worker.init(pm.workers.find(w => w.userDataDir === worker.userDataDir)?.browser || null);
+        pm.workers.push(worker);
+    }
+    pm.initialized = true;
+    return pm;
+}
+
+/**
+ * 等待条件成立
+ * @param {() => boolean} condition
+ * @param {number} [timeout=3000] - 超时（毫秒）
+ */
+async function waitFor(condition, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('等待超时');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('selectIdleWorkers: 跳过繁忙与令牌不足的 Worker，均在冷却中时返回 null', async () => {
+    const pm = await createPool([{ name: 'a' }, { name: 'b' }, { name: 'c', models: ['other'] }]);
+    const [a, b] = pm.workers;
+
+    assert.deepEqual(pm.selectIdleWorkers('m', [], new Set(), { count: 3 }), ['a', 'b']);
+    assert.deepEqual(pm.selectIdleWorkers('m', [], new Set(['a'])), ['b']);
+    assert.deepEqual(pm.selectIdleWorkers('m', [], new Set(['a', 'b'])), []);
+
+    // 会话续接只等待原 Worker
+    assert.deepEqual(pm.selectIdleWorkers('m', [], new Set(), { pinned: 'b' }), ['b']);
+    assert.deepEqual(pm.selectIdleWorkers('m', [], new Set(['b']), { pinned: 'b' }), []);
+
+    b.throttle = { reason: 'throttle', wait: 1000 };
+    assert.deepEqual(pm.selectIdleWorkers('m', [], new Set(), { count: 2 }), ['a']);
+    a.throttle = { reason: 'cooldown', wait: 60000 };
+    assert.deepEqual(pm.selectIdleWorkers('m', [], new Set()), []);
+    b.throttle = { reason: 'cooldown', wait: 60000 };
+    assert.equal(pm.selectIdleWorkers('m', [], new Set()), null);
+
+    assert.equal(pm.selectIdleWorkers('unknown', [], new Set()), null);
+});
+
+test('round_robin: 队列占用 Worker 后才推进轮询位置', async () => {
+    for (const names of [['a', 'b'], ['a', 'b', 'c']]) {
+        const pm = await createPool(names.map(name => ({ name })), { strategy: 'round_robin' });
+        const picked = [];
+        for (let i = 0; i < names.length * 2; i++) {
+            // 每轮调度可能多次检查空闲 Worker
+            pm.selectIdleWorkers('m', [], new Set());
+            const workers = pm.selectIdleWorkers('m', [], new Set());
+            pm.recordDispatch(workers);
+            picked.push(...workers);
+        }
+        assert.deepEqual(picked, [...names, ...names]);
+    }
+
+    // 轮询位置上的 Worker 繁忙时顺延到下一个
+    const pm = await createPool([{ name: 'a' }, { name: 'b' }, { name: 'c' }], { strategy: 'round_robin' });
+    pm.recordDispatch(pm.selectIdleWorkers('m', [], new Set()));
+    assert.deepEqual(pm.selectIdleWorkers('m', [], new Set(['b'])), ['c']);
+});
+
+test('队列按 Worker 分发任务，并按支持该模型的 Worker 数限制非流式请求', async () => {
+    const pm = await createPool([{ name: 'a', models: ['x'] }, { name: 'b', models: ['y'] }, { name: 'c', models: ['y'] }]);
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const runs = [];
+    const queue = createQueueManager({ maxConcurrent: 3, queueBuffer: 1, keepaliveMode: 'comment' }, {
+        initBrowser: async () => ({ poolManager: pm }),
+        generate: async (ctx, prompt) => {
+            runs.push(`${prompt}@${ctx.reservedWorkers.join(',')}`);
+            await gate;
+            return { text: prompt };
+        },
+        config: {}
+    });
+    await queue.initializePool();
+
+    const done = [];
+    const submit = (prompt, modelId) => {
+        done.push(new Promise(resolve => {
+            queue.addTask({
+                id: prompt,
+                prompt,
+                imagePaths: [],
+                modelId,
+                isStreaming: false,
+                lane: { priority: 'normal', client: 'default', weight: 1 },
+                responder: { success: resolve, error: resolve }
+            });
+        }));
+    };
+
+    assert.equal(queue.canAcceptNonStreaming('x'), true);
+    submit('x1', 'x');
+    assert.equal(queue.canAcceptNonStreaming('x'), true);
+    submit('x2', 'x');
+    // x 只有一个 Worker：一个处理中、一个等待，已达到 Worker 数 + queueBuffer
+    assert.equal(queue.canAcceptNonStreaming('x'), false);
+    assert.equal(queue.canAcceptNonStreaming('y'), true);
+
+    submit('y1', 'y');
+    submit('y2', 'y');
+    await waitFor(() => runs.length === 3);
+    assert.deepEqual(runs, ['x1@a', 'y1@b', 'y2@c']);
+    assert.deepEqual(queue.getStatus(), { queueLength: 1, processing: 3, total: 4 });
+
+    release();
+    await Promise.all(done);
+    assert.deepEqual(runs, ['x1@a', 'y1@b', 'y2@c', 'x2@a']);
+});
+
+test('restartWorker: 只重建指定 Worker 的页面，重建期间不接收任务', async () => {
+    const pm = await createPool([{ name: 'a' }, { name: 'b' }]);
+    const [a, b] = pm.workers;
+
+    a.busyCount = 1;
+    await assert.rejects(pm.restartWorker('a'), /正在处理任务/);
+    a.busyCount = 0;
+
+    let selectedDuringRestart;
+    a.onRebuild = () => { selectedDuringRestart = pm.selectIdleWorkers('m', [], new Set(), { count: 2 }); };
+    const state = await pm.restartWorker('a');
+    assert.equal(state.state, 'healthy');
+    assert.deepEqual(selectedDuringRestart, ['b']);
+    assert.equal(a.pageRebuilds, 1);
+    assert.equal(a.inits, 1);
+    assert.equal(b.pageRebuilds, 0);
+
+    await assert.rejects(pm.restartWorker('missing'), /Worker 不存在/);
+});
+
+test('restartWorker: 重启浏览器时一并重建共享该浏览器的 Worker', async () => {
+    const pm = await createPool([{ name: 'a', userDataDir: '/data/shared' }, { name: 'b', userDataDir: '/data/shared' }, { name: 'c' }]);
+    const [a, b, c] = pm.workers;
+    const oldBrowser = a.browser;
+    const otherBrowser = c.browser;
+
+    await pm.restartWorker('b', { browser: true });
+    assert.equal(oldBrowser.closed, true);
+    assert.equal(a.inits, 2);
+    assert.equal(b.inits, 2);
+    assert.notEqual(a.browser, oldBrowser);
+    assert.equal(a.browser, b.browser);
+    assert.equal(c.browser, otherBrowser);
+    assert.equal(c.inits, 1);
+
+    // 页面已关闭时自动恢复只重建页面
+    a.page.closed = true;
+    await pm.restartWorker('a', { ifLost: true });
+    assert.equal(a.pageRebuilds, 1);
+    await pm.restartWorker('a', { ifLost: true });
+    assert.equal(a.pageRebuilds, 1);
+});
+
+test('reload: 新增与保留 Worker，被移除的 Worker 完成任务后关闭', async () => {
+    const pm = await createPool([{ name: 'a', userDataDir: '/data/shared' }, { name: 'b' }]);
+    const [a, b] = pm.workers;
+    b.busyCount = 1;
+
+    const next = makeConfig([
+        { name: 'c', type: 'fake', userDataDir: '/data/shared' },
+        { name: 'a', type: 'fake', userDataDir: '/data/shared', rateLimit: { rpm: 5 } }
+    ], { strategy: 'round_robin', health: { probeInterval: 0 } });
+    const result = await pm.reload(next, () => { pm.config.backend = next.backend; });
+
+    assert.deepEqual(result, { added: ['c'], removed: ['b'], failed: [] });
+    assert.deepEqual(pm.workers.map(w => w.name), ['c', 'a']);
+    assert.equal(pm.workers[1], a);
+    assert.deepEqual(a.workerConfig.rateLimit, { rpm: 5 });
+    assert.equal(pm.workers[0].browser, a.browser);
+    assert.equal(pm.strategy, 'round_robin');
+
+    // 被移除的 Worker 不再接收新任务，正在执行的任务完成后才关闭
+    assert.deepEqual(pm.selectIdleWorkers('m', [], new Set(), { count: 3 }).sort(), ['a', 'c']);
+    assert.ok(pm.draining.has(b));
+    const oldBrowser = b.browser;
+    assert.equal(oldBrowser.closed, false);
+
+    b.busyCount = 0;
+    await waitFor(() => !pm.draining.has(b));
+    assert.equal(oldBrowser.closed, true);
+    assert.equal(b.browser, null);
+
+    // 用户数据目录变化的 Worker 按先移除再添加处理
+    const moved = makeConfig([{ name: 'a', type: 'fake', userDataDir: '/data/moved' }], { health: { probeInterval: 0 } });
+    const replaced = await pm.reload(moved, () => { pm.config.backend = moved.backend; });
+    assert.deepEqual(replaced, { added: ['a'], removed: ['c', 'a'], failed: [] });
+    assert.notEqual(pm.workers[0], a);
+    assert.equal(pm.workers[0].userDataDir, '/data/moved');
+    await waitFor(() => pm.draining.size === 0);
+});
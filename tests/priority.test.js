@@ -0,0 +1,78 @@
+/**
+ * @fileoverview 优先级通道与加权公平调度测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveLane, priorityRank } from '../src/server/priority.js';
+
+// 队列会写入用量统计 (data/logs)，在临时目录中运行
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'webai-queue-'));
+process.chdir(workDir);
+process.on('exit', () => rmSync(workDir, { recursive: true, force: true }));
+const { createQueueManager } = await import('../src/server/queue.js');
+
+test('priorityRank: 未知优先级按 normal 处理', () => {
+    assert.ok(priorityRank('high') < priorityRank('normal'));
+    assert.ok(priorityRank('normal') < priorityRank('low'));
+    assert.equal(priorityRank('urgent'), priorityRank('normal'));
+});
+
+test('resolveLane: 附加 Key 只能通过 X-Priority 调低优先级', () => {
+    const apiKey = { name: 'batch', priority: 'normal', weight: 3 };
+    assert.deepEqual(resolveLane({ apiKey, headers: {} }), { priority: 'normal', client: 'batch', weight: 3 });
+    assert.equal(resolveLane({ apiKey, headers: { 'x-priority': 'LOW' } }).priority, 'low');
+    assert.equal(resolveLane({ apiKey, headers: { 'x-priority': 'high' } }).priority, 'normal');
+    assert.deepEqual(resolveLane(undefined), { priority: 'normal', client: 'default', weight: 1 });
+});
+
+test('resolveLane: 主密钥可指定任意优先级', () => {
+    const apiKey = { name: 'admin', admin: true };
+    assert.equal(resolveLane({ apiKey, headers: { 'x-priority': 'high' } }).priority, 'high');
+});
+
+test('队列按优先级调度，同一优先级内按权重公平分配', async () => {
+    const started = [];
+    const queue = createQueueManager({ maxConcurrent: 1, queueBuffer: 0, keepaliveMode: 'comment' }, {
+        initBrowser: async () => ({}),
+        generate: async (ctx, prompt) => {
+            started.push(prompt);
+            return { text: prompt };
+        },
+        config: {}
+    });
+
+    const done = [];
+    const submit = (prompt, lane) => {
+        done.push(new Promise(resolve => {
+            queue.addTask({
+                id: prompt,
+                prompt,
+                imagePaths: [],
+                modelId: null,
+                isStreaming: false,
+                lane,
+                responder: { success: resolve, error: resolve }
+            });
+        }));
+    };
+
+    const laneA = { priority: 'normal', client: 'a', weight: 1 };
+    const laneB = { priority: 'normal', client: 'b', weight: 2 };
+    // 第一个任务占用唯一的并发，其余任务在队列中等待调度
+    submit('first', { priority: 'normal', client: 'default', weight: 1 });
+    submit('low', { priority: 'low', client: 'batch', weight: 1 });
+    submit('a1', laneA);
+    submit('a2', laneA);
+    submit('a3', laneA);
+    submit('b1', laneB);
+    submit('b2', laneB);
+    submit('b3', laneB);
+    submit('high', { priority: 'high', client: 'vip', weight: 1 });
+
+    await Promise.all(done);
+    assert.deepEqual(started, ['first', 'high', 'b1', 'a1', 'b2', 'b3', 'a2', 'a3', 'low']);
+});
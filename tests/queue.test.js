@@ -0,0 +1,53 @@
+/**
+ * @fileoverview 任务队列测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// 队列会写入用量统计 (data/logs)，在临时目录中运行
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'webai-queue-'));
+process.chdir(workDir);
+process.on('exit', () => rmSync(workDir, { recursive: true, force: true }));
+const { createQueueManager } = await import('../src/server/queue.js');
+
+const lane = { priority: 'normal', client: 'default', weight: 1 };
+
+test('responder.start 抛出时任务按失败结束并继续调度后续任务', async () => {
+    const queue = createQueueManager({ maxConcurrent: 1, queueBuffer: 0, keepaliveMode: 'comment' }, {
+        initBrowser: async () => ({}),
+        generate: async (ctx, prompt) => ({ text: prompt }),
+        config: {}
+    });
+
+    const submit = (id, start) => new Promise(resolve => {
+        queue.addTask({
+            id,
+            prompt: id,
+            imagePaths: [],
+            modelId: null,
+            isStreaming: false,
+            lane,
+            responder: {
+                start,
+                success: () => resolve({ id, ok: true }),
+                error: (error) => resolve({ id, ok: false, message: error.message })
+            }
+        });
+    });
+
+    const results = await Promise.all([
+        submit('broken', async () => { throw new Error('socket closed'); }),
+        submit('next', async () => { })
+    ]);
+    assert.deepEqual(results, [
+        { id: 'broken', ok: false, message: 'socket closed' },
+        { id: 'next', ok: true }
+    ]);
+    // 响应发送后在 finally 中释放并发
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(queue.getStatus().processing, 0);
+});
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Worker 限流测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../src/backend/pool/rateLimiter.js';
+
+/**
+ * 构造限流配置
+ * @param {object} [options]
+ */
+function makeConfig({ workerRule, adapterRule, cooldown = { rateLimited: 60, captcha: 300, max: 200 } } = {}) {
+    return {
+        backend: {
+            pool: { cooldown, workers: [{ name: 'w1', rateLimit: workerRule }] },
+            adapter: adapterRule ? { chatgpt: { rateLimit: adapterRule } } : {}
+        }
+    };
+}
+
+/**
+ * 用可控的时钟替换 Date.now
+ * @param {import('node:test').TestContext} t
+ * @returns {{advance: (ms: number) => void}}
+ */
+function useClock(t) {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    return { advance: (ms) => { now += ms; } };
+}
+
+test('令牌桶: burst 用完后按 rpm 恢复', (t) => {
+    const clock = useClock(t);
+    const limiter = createRateLimiter(makeConfig({ workerRule: { rpm: 6, burst: 2 } }));
+
+    assert.equal(limiter.check('w1', 'chatgpt', 'gpt'), null);
+    limiter.acquire('w1', 'chatgpt', 'gpt');
+    limiter.acquire('w1', 'chatgpt', 'gpt');
+    assert.deepEqual(limiter.check('w1', 'chatgpt', 'gpt'), { reason: 'throttle', wait: 10000 });
+    assert.equal(limiter.nextReadyIn(), 10000);
+
+    clock.advance(4000);
+    assert.deepEqual(limiter.check('w1', 'chatgpt', 'gpt'), { reason: 'throttle', wait: 6000 });
+    clock.advance(6000);
+    assert.equal(limiter.check('w1', 'chatgpt', 'gpt'), null);
+});
+
+test('令牌桶: Worker、适配器与模型级限速同时生效', (t) => {
+    useClock(t);
+    const limiter = createRateLimiter(makeConfig({ adapterRule: { rpm: 60, burst: 5, models: { 'gpt-4o': { rpm: 2 } } } }));
+
+    limiter.acquire('w1', 'chatgpt', 'gpt-4o');
+    assert.deepEqual(limiter.check('w1', 'chatgpt', 'gpt-4o'), { reason: 'throttle', wait: 30000 });
+    // 其他模型只受适配器级限速
+    assert.equal(limiter.check('w1', 'chatgpt', 'gpt-5'), null);
+    // 其他 Worker 单独计算
+    assert.equal(limiter.check('w2', 'chatgpt', 'gpt-4o'), null);
+});
+
+test('冷却: 连续限流时翻倍且不超过上限，成功后恢复', (t) => {
+    const clock = useClock(t);
+    const limiter = createRateLimiter(makeConfig());
+    const rateLimited = { error: '429', code: 'RATE_LIMITED' };
+
+    limiter.report('w1', 'chatgpt', rateLimited);
+    assert.deepEqual(limiter.check('w1', 'chatgpt', 'gpt'), { reason: 'cooldown', wait: 60000 });
+    assert.deepEqual(limiter.getCooldowns('w1'), [{ adapter: 'chatgpt', reason: 'RATE_LIMITED', remaining: 60 }]);
+    assert.equal(limiter.check('w1', 'deepseek', 'chat'), null);
+
+    limiter.report('w1', 'chatgpt', rateLimited);
+    assert.equal(limiter.check('w1', 'chatgpt', 'gpt').wait, 120000);
+    limiter.report('w1', 'chatgpt', rateLimited);
+    assert.equal(limiter.check('w1', 'chatgpt', 'gpt').wait, 200000);
+
+    // 其他错误不影响冷却，成功后清除
+    limiter.report('w1', 'chatgpt', { error: 'timeout', code: 'TIMEOUT_ERROR' });
+    assert.equal(limiter.check('w1', 'chatgpt', 'gpt').reason, 'cooldown');
+    limiter.report('w1', 'chatgpt', { text: 'ok' });
+    assert.equal(limiter.check('w1', 'chatgpt', 'gpt'), null);
+
+    limiter.report('w1', 'chatgpt', rateLimited);
+    assert.equal(limiter.check('w1', 'chatgpt', 'gpt').wait, 60000);
+    clock.advance(60000);
+    assert.equal(limiter.check('w1', 'chatgpt', 'gpt'), null);
+    assert.deepEqual(limiter.getCooldowns('w1'), []);
+});
+
+test('冷却: 人机验证使用固定时长，冷却时长为 0 时不冷却', (t) => {
+    useClock(t);
+    const limiter = createRateLimiter(makeConfig({ cooldown: { rateLimited: 0, captcha: 300 } }));
+    const captcha = { error: 'captcha', code: 'CAPTCHA_REQUIRED' };
+
+    limiter.report('w1', 'chatgpt', captcha);
+    limiter.report('w1', 'chatgpt', captcha);
+    assert.deepEqual(limiter.check('w1', 'chatgpt', 'gpt'), { reason: 'cooldown', wait: 300000 });
+
+    limiter.report('w1', 'deepseek', { error: '429', code: 'RATE_LIMITED' });
+    assert.equal(limiter.check('w1', 'deepseek', 'chat'), null);
+});
+
+test('update: 热加载限速规则时保留已有的令牌', (t) => {
+    useClock(t);
+    const limiter = createRateLimiter(makeConfig({ workerRule: { rpm: 6 } }));
+    limiter.acquire('w1', 'chatgpt', 'gpt');
+    limiter.update(makeConfig({ workerRule: { rpm: 60 } }));
+    assert.deepEqual(limiter.check('w1', 'chatgpt', 'gpt'), { reason: 'throttle', wait: 1000 });
+
+    limiter.update(makeConfig());
+    assert.equal(limiter.check('w1', 'chatgpt', 'gpt'), null);
+});
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview 负载均衡策略测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStrategySelector, STRATEGIES } from '../src/backend/strategies/index.js';
+
+/**
+ * 按轮询策略连续分发，返回每次选中的候选名称
+ * @param {string[]} names - 候选名称
+ * @param {number} rounds - 分发次数
+ * @returns {string[]}
+ */
+function dispatchRoundRobin(names, rounds) {
+    const selector = createStrategySelector(STRATEGIES.ROUND_ROBIN);
+    const candidates = names.map(name => ({ name, busyCount: 0 }));
+    const picked = [];
+    for (let i = 0; i < rounds; i++) {
+        // 队列调度: 多次 peek 不推进位置，实际占用后 advance
+        selector.peek(candidates);
+        const [first] = selector.peek(candidates);
+        selector.advance();
+        picked.push(first.name);
+    }
+    return picked;
+}
+
+test('round_robin: 2 个 Worker 时交替分发', () => {
+    assert.deepEqual(dispatchRoundRobin(['a', 'b'], 4), ['a', 'b', 'a', 'b']);
+});
+
+test('round_robin: 3 个 Worker 时依次分发', () => {
+    assert.deepEqual(dispatchRoundRobin(['a', 'b', 'c'], 6), ['a', 'b', 'c', 'a', 'b', 'c']);
+});
+
+test('round_robin: sort 与 select 每次推进一个位置，单个候选时同样推进', () => {
+    const selector = createStrategySelector(STRATEGIES.ROUND_ROBIN);
+    const [a, b] = [{ name: 'a' }, { name: 'b' }];
+    assert.deepEqual(selector.sort([a, b]), [a, b]);
+    assert.deepEqual(selector.sort([a]), [a]);
+    assert.equal(selector.select([a, b]), a);
+    assert.equal(selector.select([a, b]), b);
+});
+
+test('least_busy: 按当前任务数排序，不受 advance 影响', () => {
+    const selector = createStrategySelector(STRATEGIES.LEAST_BUSY);
+    const candidates = [{ name: 'a', busyCount: 2 }, { name: 'b', busyCount: 0 }, { name: 'c', busyCount: 1 }];
+    selector.advance(5);
+    assert.deepEqual(selector.peek(candidates).map(c => c.name), ['b', 'c', 'a']);
+});
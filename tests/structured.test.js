@@ -0,0 +1,85 @@
+/**
+ * @fileoverview 结构化输出测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeResponseFormat,
+    extractJson,
+    validateSchema,
+    createOutputValidator
+} from '../src/server/structured.js';
+
+test('normalizeResponseFormat: text 与未指定时不启用', () => {
+    assert.deepEqual(normalizeResponseFormat(undefined), { format: null });
+    assert.deepEqual(normalizeResponseFormat({ type: 'text' }), { format: null });
+    assert.deepEqual(normalizeResponseFormat({ type: 'json_object' }), { format: { type: 'json_object' } });
+    assert.ok(normalizeResponseFormat({ type: 'json_schema', json_schema: {} }).error);
+    assert.ok(normalizeResponseFormat({ type: 'xml' }).error);
+});
+
+test('extractJson: 优先提取代码块', () => {
+    const { value, text } = extractJson('结果如下：\n```json\n{"a": 1}\n```\n以上。');
+    assert.deepEqual(value, { a: 1 });
+    assert.equal(text, '{"a": 1}');
+});
+
+test('extractJson: 提取正文中的 JSON', () => {
+    assert.deepEqual(extractJson('[1, 2]').value, [1, 2]);
+    assert.deepEqual(extractJson('好的 {"ok": true} 完成').value, { ok: true });
+    assert.ok(extractJson('没有 JSON').error);
+});
+
+test('validateSchema: 类型、必需字段与额外字段', () => {
+    const schema = {
+        type: 'object',
+        properties: { name: { type: 'string' }, age: { type: 'integer', minimum: 0 } },
+        required: ['name', 'age'],
+        additionalProperties: false
+    };
+    assert.deepEqual(validateSchema({ name: 'a', age: 3 }, schema), []);
+    assert.deepEqual(validateSchema({ name: 'a' }, schema), ['$: 缺少必需字段 age']);
+    assert.deepEqual(validateSchema({ name: 'a', age: 1.5 }, schema), ['$.age: 类型应为 integer，实际为 number']);
+    assert.deepEqual(validateSchema({ name: 'a', age: -1, x: 1 }, schema), ['$.age: 不能小于 0', '$: 不允许额外字段 x']);
+});
+
+test('validateSchema: 数组、枚举、$ref 与组合', () => {
+    const schema = {
+        $defs: { color: { enum: ['red', 'blue'] } },
+        type: 'array',
+        minItems: 1,
+        items: { $ref: '#/$defs/color' }
+    };
+    assert.deepEqual(validateSchema(['red'], schema), []);
+    assert.deepEqual(validateSchema([], schema), ['$: 至少需要 1 项']);
+    assert.equal(validateSchema(['green'], schema).length, 1);
+
+    const oneOf = { oneOf: [{ type: 'number' }, { type: 'integer' }] };
+    assert.deepEqual(validateSchema(1.5, oneOf), []);
+    assert.equal(validateSchema(1, oneOf).length, 1);
+    assert.deepEqual(validateSchema('x', { anyOf: [{ type: 'string' }, { type: 'null' }] }), []);
+});
+
+test('createOutputValidator: 通过时替换为提取出的 JSON', () => {
+    const validator = createOutputValidator({ type: 'json_object' });
+    assert.deepEqual(validator.validate({ text: '```\n{"a":1}\n```' }), { result: { text: '{"a":1}' } });
+    assert.equal(validator.validate({ text: '[1]' }).error, '回复必须是 JSON 对象');
+    assert.ok(validator.validate({ image: 'data:image/png;base64,' }).error);
+});
+
+test('createOutputValidator: 工具调用回复不做校验', () => {
+    const validator = createOutputValidator({ type: 'json_object' });
+    const result = { text: '[TOOL_CALLS]\n[{"name": "f", "arguments": {}}]\n[/TOOL_CALLS]' };
+    assert.deepEqual(validator.validate(result), { result });
+});
+
+test('createOutputValidator: 修正提示与最终错误', () => {
+    const validator = createOutputValidator({ type: 'json_schema', name: 'person', schema: { type: 'object', required: ['name'] } });
+    const { error } = validator.validate({ text: '{}' });
+    assert.equal(error, '$: 缺少必需字段 name');
+    assert.match(validator.buildRepairPrompt(error), /缺少必需字段 name[\s\S]*JSON Schema \(person\)/);
+    const failure = validator.failure(error);
+    assert.equal(failure.code, 'INVALID_STRUCTURED_OUTPUT');
+    assert.equal(failure.retryable, false);
+});
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview 本地 Token 计数测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countTokens } from '../src/utils/tokenizer.js';
+
+test('countTokens: 空文本为 0', () => {
+    assert.equal(countTokens(''), 0);
+    assert.equal(countTokens(undefined), 0);
+});
+
+test('countTokens: 按 o200k_base 词表计数', () => {
+    assert.equal(countTokens('Hello, world!'), 4);
+    assert.ok(countTokens('你好，世界') > 0);
+});
+
+test('countTokens: 特殊 token 按普通文本处理', () => {
+    assert.ok(countTokens('<|endoftext|>') > 1);
+});
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview 工具调用模拟测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeTools,
+    buildToolPrompt,
+    renderToolCalls,
+    extractToolCalls,
+    createToolCallFilter,
+    TOOL_CALLS_START
+} from '../src/server/tools.js';
+
+const weatherTool = {
+    type: 'function',
+    function: { name: 'get_weather', description: '查询天气', parameters: { type: 'object', properties: { city: { type: 'string' } } } }
+};
+
+test('normalizeTools: 未声明工具时不启用', () => {
+    assert.deepEqual(normalizeTools({}), { spec: null });
+    assert.deepEqual(normalizeTools({ tools: [] }), { spec: null });
+});
+
+test('normalizeTools: 校验 tools 与 tool_choice', () => {
+    assert.ok(normalizeTools({ tools: {} }).error);
+    assert.ok(normalizeTools({ tools: [{ type: 'function', function: {} }] }).error);
+    assert.ok(normalizeTools({ tools: [weatherTool], tool_choice: 'always' }).error);
+    assert.ok(normalizeTools({ tools: [weatherTool], tool_choice: { type: 'function', function: { name: 'missing' } } }).error);
+});
+
+test('normalizeTools: 指定函数时转为 required', () => {
+    const { spec } = normalizeTools({
+        tools: [weatherTool],
+        tool_choice: { type: 'function', function: { name: 'get_weather' } },
+        parallel_tool_calls: false
+    });
+    assert.equal(spec.mode, 'required');
+    assert.equal(spec.forced, 'get_weather');
+    assert.equal(spec.parallel, false);
+    assert.equal(spec.tools[0].name, 'get_weather');
+});
+
+test('buildToolPrompt: tool_choice 为 none 时不注入', () => {
+    const { spec } = normalizeTools({ tools: [weatherTool], tool_choice: 'none' });
+    assert.equal(buildToolPrompt(spec), '');
+});
+
+test('buildToolPrompt: 包含函数声明与调用块格式', () => {
+    const { spec } = normalizeTools({ tools: [weatherTool] });
+    const prompt = buildToolPrompt(spec);
+    assert.match(prompt, /"name":"get_weather"/);
+    assert.ok(prompt.includes(TOOL_CALLS_START));
+});
+
+test('extractToolCalls: 解析调用块并保留之前的文本', () => {
+    const text = '我来查一下。\n[TOOL_CALLS]\n[{"name": "get_weather", "arguments": {"city": "Paris"}}]\n[/TOOL_CALLS]';
+    const { content, toolCalls } = extractToolCalls(text, ['get_weather']);
+    assert.equal(content, '我来查一下。');
+    assert.equal(toolCalls.length, 1);
+    assert.equal(toolCalls[0].type, 'function');
+    assert.match(toolCalls[0].id, /^call_[a-f0-9]{24}$/);
+    assert.deepEqual(toolCalls[0].function, { name: 'get_weather', arguments: '{"city":"Paris"}' });
+});
+
+test('extractToolCalls: 去掉包裹调用块的代码块标记', () => {
+    const text = '```json\n[TOOL_CALLS]\n```json\n{"name": "get_weather", "arguments": {}}\n```\n[/TOOL_CALLS]';
+    const { content, toolCalls } = extractToolCalls(text, ['get_weather']);
+    assert.equal(content, '');
+    assert.equal(toolCalls[0].function.arguments, '{}');
+});
+
+test('extractToolCalls: 未声明的函数或无效 JSON 视为普通文本', () => {
+    const unknown = '[TOOL_CALLS]\n[{"name": "rm_rf", "arguments": {}}]\n[/TOOL_CALLS]';
+    assert.deepEqual(extractToolCalls(unknown, ['get_weather']), { content: unknown, toolCalls: [] });
+    const invalid = '[TOOL_CALLS]\n[{"name": \n[/TOOL_CALLS]';
+    assert.deepEqual(extractToolCalls(invalid, ['get_weather']), { content: invalid, toolCalls: [] });
+});
+
+test('renderToolCalls: 与 extractToolCalls 往返一致', () => {
+    const rendered = renderToolCalls([{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]);
+    const { toolCalls } = extractToolCalls(rendered, ['get_weather']);
+    assert.equal(toolCalls[0].function.arguments, '{"city":"Paris"}');
+});
+
+test('createToolCallFilter: 暂存可能构成起始标记的尾部，出现调用块后停止输出', () => {
+    const filter = createToolCallFilter();
+    assert.equal(filter.push('好的[TOOL'), '好的');
+    assert.equal(filter.push('_CALLS]\n[{"name"'), '');
+    assert.equal(filter.push(': "get_weather"}]'), '');
+
+    const plain = createToolCallFilter();
+    assert.equal(plain.push('数组 [1'), '数组 [1');
+    assert.equal(plain.push(', 2]'), ', 2]');
+});
@@ -12,6 +12,20 @@ export const useSettingsStore = defineStore('settings', {
             failover: {
                 enabled: false,
                 maxRetries: 3
+            },
+            session: {
+                enabled: false,
+                ttl: 3600
+            },
+            cooldown: {
+                rateLimited: 60,
+                captcha: 300,
+                max: 900
+            },
+            health: {
+                quarantineAfter: 3,
+                probeInterval: 60,
+                maxProbes: 5
             }
         },
         adapterConfig: {},
@@ -70,6 +84,13 @@ export const useSettingsStore = defineStore('settings', {
             }
         },
 
+        // 实例、工作池与适配器配置保存后由服务端热加载，加载失败时提示原因
+        notifyReload(data) {
+            if (data?.reload?.error || data?.reload?.failed?.length > 0) {
+                message.warning(data.message, 6);
+            }
+        },
+
         // --- 服务器配置 ---
         async fetchServerConfig() {
             try {
@@ -144,6 +165,7 @@ export const useSettingsStore = defineStore('settings', {
                 });
                 const result = await this.handleResponse(res, '实例配置保存成功');
                 if (result.success) {
+                    this.notifyReload(result.data);
                     this.workerConfig = config;
                     return true;
                 }
@@ -165,6 +187,20 @@ export const useSettingsStore = defineStore('settings', {
                         failover: {
                             enabled: data.failover?.enabled || false,
                             maxRetries: data.failover?.maxRetries || 3
+                        },
+                        session: {
+                            enabled: data.session?.enabled || false,
+                            ttl: data.session?.ttl || 3600
+                        },
+                        cooldown: {
+                            rateLimited: data.cooldown?.rateLimited ?? 60,
+                            captcha: data.cooldown?.captcha ?? 300,
+                            max: data.cooldown?.max ?? 900
+                        },
+                        health: {
+                            quarantineAfter: data.health?.quarantineAfter ?? 3,
+                            probeInterval: data.health?.probeInterval ?? 60,
+                            maxProbes: data.health?.maxProbes ?? 5
                         }
                     };
                 }
@@ -181,6 +217,7 @@ export const useSettingsStore = defineStore('settings', {
                 });
                 const result = await this.handleResponse(res, '工作池设置保存成功');
                 if (result.success) {
+                    this.notifyReload(result.data);
                     this.poolConfig = config;
                     return true;
                 }
@@ -216,6 +253,7 @@ export const useSettingsStore = defineStore('settings', {
                 });
                 const result = await this.handleResponse(res, '适配器设置保存成功');
                 if (result.success) {
+                    this.notifyReload(result.data);
                     // 通过合并更新本地状态
                     this.adapterConfig = { ...this.adapterConfig, ...config };
                     return true;
@@ -22,6 +22,9 @@ export const useSystemStore = defineStore('system', {
             reason: null
         },
 
+        // Worker 状态（负载与限流冷却）
+        workers: [],
+
         // 仪表盘统计信息
         stats: {
             totalRequests: 0,
@@ -30,7 +33,11 @@ export const useSystemStore = defineStore('system', {
             totalWorkers: 0,
             avgResponseTime: 0,
             success: 0,
-            failed: 0
+            failed: 0,
+            promptTokens: 0,
+            completionTokens: 0,
+            images: 0,
+            videos: 0
         }
     }),
 